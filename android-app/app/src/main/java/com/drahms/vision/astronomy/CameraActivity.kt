@@ -2,10 +2,15 @@ package com.drahms.vision.astronomy
 
 import android.Manifest
 import android.content.pm.PackageManager
+import android.graphics.Bitmap
 import android.os.Bundle
+import android.os.Handler
+import android.os.Looper
 import android.util.Log
 import android.widget.Toast
+import androidx.annotation.OptIn
 import androidx.appcompat.app.AppCompatActivity
+import androidx.camera.camera2.interop.ExperimentalCamera2Interop
 import androidx.camera.core.*
 import androidx.camera.lifecycle.ProcessCameraProvider
 import androidx.core.app.ActivityCompat
@@ -13,16 +18,20 @@ import androidx.core.content.ContextCompat
 import com.drahms.vision.astronomy.databinding.ActivityCameraBinding
 import com.drahms.vision.astronomy.camera.A25CameraManager
 import com.drahms.vision.astronomy.camera.AstronomyCameraModes
+import com.drahms.vision.astronomy.camera.RemoteCameraSettings
 import com.drahms.vision.astronomy.sensors.SensorDataManager
 import com.drahms.vision.astronomy.network.WebSocketManager
 import com.drahms.vision.astronomy.utils.AudioGuidance
 import com.drahms.vision.astronomy.utils.PowerManager
+import org.json.JSONObject
+import java.io.ByteArrayOutputStream
 import java.io.File
 import java.text.SimpleDateFormat
 import java.util.*
 import java.util.concurrent.ExecutorService
 import java.util.concurrent.Executors
 
+@OptIn(ExperimentalCamera2Interop::class)
 class CameraActivity : AppCompatActivity() {
     
     private lateinit var binding: ActivityCameraBinding
@@ -37,11 +46,20 @@ class CameraActivity : AppCompatActivity() {
     private var imageCapture: ImageCapture? = null
     private var camera: Camera? = null
     private var lensFacing = CameraSelector.LENS_FACING_BACK
+    private val remoteSettings = RemoteCameraSettings()
+    
+    // The live feed and recordings are preview frames sent as JPEGs a few times a second
+    private val streamHandler = Handler(Looper.getMainLooper())
+    private var isStreaming = false
+    private var isRecording = false
+    private var streamFrameNumber = 0
     
     companion object {
         private const val TAG = "CameraActivity"
         private const val REQUEST_CODE_PERMISSIONS = 10
         private val REQUIRED_PERMISSIONS = arrayOf(Manifest.permission.CAMERA)
+        private const val STREAM_INTERVAL_MS = 200L
+        private const val STREAM_JPEG_QUALITY = 80
     }
     
     override fun onCreate(savedInstanceState: Bundle?) {
@@ -66,7 +84,7 @@ class CameraActivity : AppCompatActivity() {
         a25CameraManager = A25CameraManager(this)
         astronomyModes = AstronomyCameraModes(this)
         sensorDataManager = SensorDataManager(this)
-        webSocketManager = WebSocketManager()
+        webSocketManager = WebSocketManager(this)
         audioGuidance = AudioGuidance(this)
         powerManager = PowerManager(this)
         
@@ -82,10 +100,69 @@ class CameraActivity : AppCompatActivity() {
         // Initialize audio guidance
         audioGuidance.initialize()
         
+        // Commands from the web interface run on the main thread, like the buttons here
+        webSocketManager.setCommandHandler { command, payload, respond ->
+            runOnUiThread {
+                val response = try {
+                    handleCameraCommand(command, payload)
+                } catch (e: Exception) {
+                    Log.e(TAG, "Camera command $command failed", e)
+                    JSONObject().put("success", false).put("error", e.message ?: "$command failed")
+                }
+                respond(response)
+            }
+        }
+        
         // Connect to WebSocket server
         webSocketManager.connect()
     }
     
+    // Carries out a command relayed from the web interface and returns the ack sent back
+    private fun handleCameraCommand(command: String, payload: JSONObject): JSONObject {
+        val response = JSONObject().put("success", true)
+        when (command) {
+            "camera_setting" -> {
+                val setting = payload.getString("setting")
+                val value = remoteSettings.apply(setting, payload.get("value"))
+                response.put("settings", JSONObject().put(setting, value))
+            }
+            "set_camera_mode" -> {
+                val mode = payload.getString("mode")
+                astronomyModes.setMode(AstronomyCameraModes.CameraMode.valueOf(mode.uppercase(Locale.US)))
+                updateModeUI()
+                updateCameraInfo()
+                payload.optJSONObject("settings")?.let { response.put("settings", remoteSettings.applyAll(it)) }
+            }
+            "capture_image" -> {
+                if (imageCapture == null) throw IllegalStateException("The camera has not started yet")
+                takePhoto()
+            }
+            "start_camera_stream" -> isStreaming = true
+            "stop_camera_stream" -> isStreaming = false
+            "start_recording" -> isRecording = true
+            "stop_recording" -> isRecording = false
+            else -> throw IllegalArgumentException("Unknown command $command")
+        }
+        
+        streamHandler.removeCallbacks(sendStreamFrame)
+        if (isStreaming || isRecording) streamHandler.post(sendStreamFrame)
+        return response
+    }
+    
+    private val sendStreamFrame = object : Runnable {
+        override fun run() {
+            binding.viewFinder.bitmap?.let { bitmap ->
+                val frameNumber = ++streamFrameNumber
+                cameraExecutor.execute {
+                    val jpeg = ByteArrayOutputStream()
+                    bitmap.compress(Bitmap.CompressFormat.JPEG, STREAM_JPEG_QUALITY, jpeg)
+                    webSocketManager.sendPreviewFrame(jpeg.toByteArray(), frameNumber)
+                }
+            }
+            streamHandler.postDelayed(this, STREAM_INTERVAL_MS)
+        }
+    }
+    
     private fun setupUI() {
         binding.apply {
             // Camera controls
@@ -179,6 +256,7 @@ class CameraActivity : AppCompatActivity() {
                 camera = cameraProvider.bindToLifecycle(
                     this, cameraSelector, preview, imageCapture
                 )
+                camera?.let { remoteSettings.attach(it) }
                 
                 Log.d(TAG, "Camera started successfully")
                 
@@ -303,6 +381,7 @@ class CameraActivity : AppCompatActivity() {
     
     override fun onDestroy() {
         super.onDestroy()
+        streamHandler.removeCallbacks(sendStreamFrame)
         cameraExecutor.shutdown()
         sensorDataManager.stopSensors()
         powerManager.enablePowerSaving()
@@ -103,8 +103,10 @@ class MainActivity : AppCompatActivity() {
         // Show a simple settings dialog
         val settingsDialog = androidx.appcompat.app.AlertDialog.Builder(this)
             .setTitle("Drahms Vision Settings")
-            .setItems(arrayOf("Server IP: 10.0.0.60:3003", "Camera Quality: High", "Auto-Connect: Enabled", "Night Mode: Auto")) { _, _ ->
-                // Settings selected
+            .setItems(arrayOf("Server IP: 10.0.0.60:3003", "Camera Quality: High", "Auto-Connect: Enabled", "Night Mode: Auto", "Pair with server")) { _, which ->
+                if (which == 4) {
+                    showPairingDialog()
+                }
             }
             .setPositiveButton("OK") { dialog, _ ->
                 dialog.dismiss()
@@ -118,6 +120,30 @@ class MainActivity : AppCompatActivity() {
         settingsDialog.show()
     }
     
+    // The server prints a six-digit code; the phone sends it once and keeps the token it gets back
+    private fun showPairingDialog() {
+        val input = android.widget.EditText(this).apply {
+            inputType = android.text.InputType.TYPE_CLASS_NUMBER
+            hint = "Pairing code"
+        }
+        
+        androidx.appcompat.app.AlertDialog.Builder(this)
+            .setTitle("Pair with server")
+            .setMessage("Enter the device pairing code shown in the server console or the web interface's Pairing dialog")
+            .setView(input)
+            .setPositiveButton("Pair") { _, _ ->
+                val code = input.text.toString()
+                if (code.length == 6) {
+                    WebSocketManager.savePairingCode(this, code)
+                    connectToWebApp()
+                } else {
+                    Toast.makeText(this, "Pairing codes have six digits", Toast.LENGTH_SHORT).show()
+                }
+            }
+            .setNegativeButton("Cancel", null)
+            .show()
+    }
+    
     private fun testServerConnection() {
         Toast.makeText(this, "Testing server connection...", Toast.LENGTH_SHORT).show()
         
@@ -129,6 +155,9 @@ class MainActivity : AppCompatActivity() {
                 connection.connectTimeout = 5000
                 connection.readTimeout = 5000
                 connection.requestMethod = "GET"
+                WebSocketManager.savedToken(this)?.let {
+                    connection.setRequestProperty("Authorization", "Bearer $it")
+                }
                 
                 val responseCode = connection.responseCode
                 
@@ -137,6 +166,9 @@ class MainActivity : AppCompatActivity() {
                         Toast.makeText(this, "✅ Server is reachable!", Toast.LENGTH_LONG).show()
                         // Now try WebSocket connection
                         connectToWebApp()
+                    } else if (responseCode == 401) {
+                        Toast.makeText(this, "🔐 Server is reachable but this phone is not paired", Toast.LENGTH_LONG).show()
+                        showPairingDialog()
                     } else {
                         Toast.makeText(this, "❌ Server responded with code: $responseCode", Toast.LENGTH_LONG).show()
                     }
@@ -154,7 +186,7 @@ class MainActivity : AppCompatActivity() {
         Toast.makeText(this, "Connecting to web app...", Toast.LENGTH_SHORT).show()
         
         // Create WebSocket manager and connect
-        val webSocketManager = WebSocketManager()
+        val webSocketManager = WebSocketManager(this)
         
         // Set up connection callback
         webSocketManager.setConnectionCallback { connected ->
@@ -0,0 +1,103 @@
+package com.drahms.vision.astronomy.camera
+
+import android.hardware.camera2.CameraCharacteristics
+import android.hardware.camera2.CaptureRequest
+import android.util.Log
+import androidx.camera.camera2.interop.Camera2CameraControl
+import androidx.camera.camera2.interop.Camera2CameraInfo
+import androidx.camera.camera2.interop.CaptureRequestOptions
+import androidx.camera.camera2.interop.ExperimentalCamera2Interop
+import androidx.camera.core.Camera
+import org.json.JSONObject
+
+// Applies the settings sent from the web interface to the bound camera: zoom through CameraX,
+// the rest as Camera2 capture options. Auto exposure stays on until an exposure time is set and
+// returns when it goes back to 0; auto focus stays on until a focus position is set.
+@ExperimentalCamera2Interop
+class RemoteCameraSettings {
+    
+    companion object {
+        private const val TAG = "RemoteCameraSettings"
+        private const val NANOS_PER_SECOND = 1_000_000_000L
+        
+        private val WHITE_BALANCE_MODES = mapOf(
+            "auto" to CaptureRequest.CONTROL_AWB_MODE_AUTO,
+            "daylight" to CaptureRequest.CONTROL_AWB_MODE_DAYLIGHT,
+            "cloudy" to CaptureRequest.CONTROL_AWB_MODE_CLOUDY_DAYLIGHT,
+            "shade" to CaptureRequest.CONTROL_AWB_MODE_SHADE,
+            "twilight" to CaptureRequest.CONTROL_AWB_MODE_TWILIGHT,
+            "fluorescent" to CaptureRequest.CONTROL_AWB_MODE_FLUORESCENT,
+            "incandescent" to CaptureRequest.CONTROL_AWB_MODE_INCANDESCENT
+        )
+    }
+    
+    private var camera: Camera? = null
+    private val settings = mutableMapOf<String, Any>()
+    
+    // Settings already applied are reapplied to a newly bound camera
+    fun attach(camera: Camera) {
+        this.camera = camera
+        settings.toMap().forEach { (setting, value) -> apply(setting, value) }
+    }
+    
+    // Applies one setting and returns the value in effect; throws for an unknown setting or value
+    fun apply(setting: String, value: Any): Any {
+        val camera = camera ?: throw IllegalStateException("The camera has not started yet")
+        
+        when (setting) {
+            "zoom" -> camera.cameraControl.setZoomRatio(number(setting, value))
+            "focus", "iso", "exposure" -> number(setting, value)
+            "whiteBalance" -> if (value.toString() !in WHITE_BALANCE_MODES) {
+                throw IllegalArgumentException("Unknown white balance \"$value\"")
+            }
+            else -> throw IllegalArgumentException("Unknown camera setting \"$setting\"")
+        }
+        settings[setting] = value
+        if (setting != "zoom") {
+            Camera2CameraControl.from(camera.cameraControl).captureRequestOptions = captureOptions(camera)
+        }
+        Log.d(TAG, "Camera setting $setting = $value")
+        return value
+    }
+    
+    // Applies every setting in a JSON object (as sent with set_camera_mode) and returns them
+    fun applyAll(values: JSONObject): JSONObject {
+        val applied = JSONObject()
+        values.keys().forEach { setting -> applied.put(setting, apply(setting, values.get(setting))) }
+        return applied
+    }
+    
+    private fun number(setting: String, value: Any): Float {
+        return (value as? Number)?.toFloat() ?: value.toString().toFloatOrNull()
+            ?: throw IllegalArgumentException("$setting must be a number")
+    }
+    
+    private fun captureOptions(camera: Camera): CaptureRequestOptions {
+        val builder = CaptureRequestOptions.Builder()
+        
+        // Exposure is in seconds; 0 leaves exposure and ISO to the camera
+        val exposure = settings["exposure"]?.let { number("exposure", it) } ?: 0f
+        if (exposure > 0f) {
+            builder.setCaptureRequestOption(CaptureRequest.CONTROL_AE_MODE, CaptureRequest.CONTROL_AE_MODE_OFF)
+            builder.setCaptureRequestOption(CaptureRequest.SENSOR_EXPOSURE_TIME, (exposure * NANOS_PER_SECOND).toLong())
+            settings["iso"]?.let {
+                builder.setCaptureRequestOption(CaptureRequest.SENSOR_SENSITIVITY, number("iso", it).toInt())
+            }
+        }
+        
+        // Focus runs from 0 (closest the lens allows) to 100 (infinity, where the stars are)
+        settings["focus"]?.let {
+            val closest = Camera2CameraInfo.from(camera.cameraInfo)
+                .getCameraCharacteristic(CameraCharacteristics.LENS_INFO_MINIMUM_FOCUS_DISTANCE) ?: 0f
+            if (closest > 0f) {
+                builder.setCaptureRequestOption(CaptureRequest.CONTROL_AF_MODE, CaptureRequest.CONTROL_AF_MODE_OFF)
+                builder.setCaptureRequestOption(CaptureRequest.LENS_FOCUS_DISTANCE, closest * (1f - number("focus", it) / 100f))
+            }
+        }
+        
+        settings["whiteBalance"]?.let {
+            builder.setCaptureRequestOption(CaptureRequest.CONTROL_AWB_MODE, WHITE_BALANCE_MODES.getValue(it.toString()))
+        }
+        return builder.build()
+    }
+}
@@ -1,25 +1,66 @@
 package com.drahms.vision.astronomy.network
 
+import android.content.Context
+import android.os.Build
 import android.util.Log
+import io.socket.client.Ack
 import io.socket.client.IO
 import io.socket.client.Socket
+import org.json.JSONObject
 import java.net.URISyntaxException
 
-class WebSocketManager {
+class WebSocketManager(context: Context) {
     
     companion object {
         private const val TAG = "WebSocketManager"
         private const val SERVER_URL = "http://10.0.0.60:3003"  // Your computer's IP address
+        
+        private const val PREFS_NAME = "drahms_vision_auth"
+        private const val KEY_TOKEN = "token"
+        private const val KEY_PAIRING_CODE = "pairing_code"
+        
+        // Camera commands the web interface sends through the server; each is answered with an
+        // ack of { success, error?, settings? } before the server's command timeout runs out
+        val CAMERA_COMMANDS = listOf(
+            "camera_setting",
+            "capture_image",
+            "start_recording",
+            "stop_recording",
+            "set_camera_mode",
+            "start_camera_stream",
+            "stop_camera_stream"
+        )
+        
+        // The code shown by the server; it is sent with the next connection and exchanged for a token
+        fun savePairingCode(context: Context, code: String) {
+            context.getSharedPreferences(PREFS_NAME, Context.MODE_PRIVATE).edit()
+                .putString(KEY_PAIRING_CODE, code.trim())
+                .remove(KEY_TOKEN)
+                .apply()
+        }
+        
+        fun savedToken(context: Context): String? {
+            return context.getSharedPreferences(PREFS_NAME, Context.MODE_PRIVATE).getString(KEY_TOKEN, null)
+        }
     }
     
+    private val prefs = context.applicationContext.getSharedPreferences(PREFS_NAME, Context.MODE_PRIVATE)
+    
     private var socket: Socket? = null
     private var isConnected = false
     private var connectionCallback: ((Boolean) -> Unit)? = null
+    private var commandHandler: ((String, JSONObject, (JSONObject) -> Unit) -> Unit)? = null
     
     fun setConnectionCallback(callback: (Boolean) -> Unit) {
         connectionCallback = callback
     }
     
+    // Called with the command, its payload and a function that sends the reply; without a
+    // handler (no camera open) commands are refused rather than left to time out
+    fun setCommandHandler(handler: (command: String, payload: JSONObject, respond: (JSONObject) -> Unit) -> Unit) {
+        commandHandler = handler
+    }
+    
     fun connect() {
         try {
             Log.d(TAG, "Attempting to connect to: $SERVER_URL")
@@ -29,6 +70,21 @@ class WebSocketManager {
                 reconnection = true
                 reconnectionAttempts = 5
                 reconnectionDelay = 1000
+                // Declare this socket as the camera device so the server routes commands to it
+                // and authenticate it with the paired token, or the pairing code on first use
+                auth = buildMap {
+                    put("role", "device")
+                    put("name", "${Build.MANUFACTURER} ${Build.MODEL}")
+                    put("model", Build.MODEL)
+                    put("capabilities", "capture,sensors,commands")
+                    val token = prefs.getString(KEY_TOKEN, null)
+                    val pairingCode = prefs.getString(KEY_PAIRING_CODE, null)
+                    if (token != null) {
+                        put("token", token)
+                    } else if (pairingCode != null) {
+                        put("pairingCode", pairingCode)
+                    }
+                }
             }
             
             socket = IO.socket(SERVER_URL, options)
@@ -45,9 +101,26 @@ class WebSocketManager {
                 connectionCallback?.invoke(false)
             }
             
+            // Sent once after connecting with a pairing code; later connections use the token
+            socket?.on("paired") { args ->
+                val token = (args.getOrNull(0) as? JSONObject)?.optString("token")
+                if (!token.isNullOrEmpty()) {
+                    prefs.edit().putString(KEY_TOKEN, token).remove(KEY_PAIRING_CODE).apply()
+                    Log.d(TAG, "🔐 Paired with server")
+                }
+            }
+            
+            CAMERA_COMMANDS.forEach { command ->
+                socket?.on(command) { args -> handleCommand(command, args) }
+            }
+            
             socket?.on(Socket.EVENT_CONNECT_ERROR) { args ->
-                val error = args.getOrNull(0)?.toString() ?: "Unknown error"
+                val error = (args.getOrNull(0) as? JSONObject)?.optString("message")
+                    ?: args.getOrNull(0)?.toString() ?: "Unknown error"
                 Log.e(TAG, "❌ Connection error: $error")
+                if (error == "Unauthorized") {
+                    Log.w(TAG, "Server requires pairing: enter its pairing code under Settings")
+                }
                 isConnected = false
                 connectionCallback?.invoke(false)
             }
@@ -67,6 +140,25 @@ class WebSocketManager {
         }
     }
     
+    private fun handleCommand(command: String, args: Array<out Any?>) {
+        val payload = args.firstOrNull { it is JSONObject } as? JSONObject ?: JSONObject()
+        val ack = args.lastOrNull() as? Ack
+        val respond: (JSONObject) -> Unit = { response -> ack?.call(response) }
+        Log.d(TAG, "📷 Command received: $command")
+        
+        val handler = commandHandler
+        if (handler == null) {
+            respond(JSONObject().put("success", false).put("error", "The camera is not open on the phone"))
+            return
+        }
+        try {
+            handler(command, payload, respond)
+        } catch (e: Exception) {
+            Log.e(TAG, "Command $command failed", e)
+            respond(JSONObject().put("success", false).put("error", e.message ?: "$command failed"))
+        }
+    }
+    
     fun disconnect() {
         socket?.disconnect()
         isConnected = false
@@ -85,6 +177,19 @@ class WebSocketManager {
         }
     }
     
+    // A live feed or recording frame: shown to viewers, or written into the recording, but not
+    // kept in the gallery
+    fun sendPreviewFrame(jpeg: ByteArray, frameNumber: Int) {
+        if (isConnected) {
+            socket?.emit("image_data", JSONObject()
+                .put("image", jpeg)
+                .put("mimeType", "image/jpeg")
+                .put("preview", true)
+                .put("timestamp", System.currentTimeMillis())
+                .put("frameNumber", frameNumber))
+        }
+    }
+    
     fun sendSensorData(sensorData: Map<String, Any>) {
         if (isConnected) {
             socket?.emit("sensor_data", sensorData)
@@ -1,6 +1,15 @@
 // Drahms Vision - Main Application JavaScript
 // Handles core application logic, WebSocket connections, and UI state management
 
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Makes text from the server (names typed by any client) safe inside markup and attribute values;
+// every module that builds HTML from such text goes through this
+function escapeHtml(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
 class DrahmsVisionApp {
     constructor() {
         this.socket = null;
@@ -8,6 +17,11 @@ class DrahmsVisionApp {
         this.currentMode = 'idle';
         this.cameraStream = null;
         this.sensorData = {};
+        this.cameraState = null;
+        this.commandTimeout = 10000;
+        this.serverConfig = null;
+        this.selectedCaptures = new Set();
+        this.stackJobId = null;
         
         this.init();
     }
@@ -21,8 +35,10 @@ class DrahmsVisionApp {
     }
     
     setupSocketConnection() {
-        // Connect to WebSocket server
-        this.socket = io('http://localhost:3003');
+        // Connect back to the server this page was loaded from, whatever its address and port
+        this.socket = io({
+            auth: { role: 'viewer' }
+        });
         
         this.socket.on('connect', () => {
             console.log('✅ Connected to Drahms Vision server');
@@ -31,10 +47,22 @@ class DrahmsVisionApp {
             this.requestInitialData();
         });
         
-        this.socket.on('disconnect', () => {
+        this.socket.on('disconnect', (reason) => {
             console.log('❌ Disconnected from server');
             this.isConnected = false;
             this.updateConnectionStatus(false);
+            
+            // The server closes sockets whose token has been revoked
+            if (reason === 'io server disconnect' && window.pairingController) {
+                window.pairingController.checkSession();
+            }
+        });
+        
+        // Without a paired token the server refuses the socket; the pairing form takes over
+        this.socket.on('connect_error', (error) => {
+            if (error.message === 'Unauthorized' && window.pairingController) {
+                window.pairingController.requirePairing();
+            }
         });
         
         this.socket.on('camera_feed', (data) => {
@@ -48,6 +76,73 @@ class DrahmsVisionApp {
         this.socket.on('capture_complete', (data) => {
             this.handleCaptureComplete(data);
         });
+        
+        this.socket.on('camera_state', (state) => {
+            this.handleCameraState(state);
+        });
+        
+        this.socket.on('gallery_updated', () => {
+            this.loadGallery();
+        });
+        
+        this.socket.on('stack_progress', (progress) => {
+            this.handleStackProgress(progress);
+        });
+        
+        this.socket.on('stack_complete', (result) => {
+            this.handleStackComplete(result);
+        });
+        
+        this.socket.on('calibration_updated', (event) => {
+            this.handleCalibrationUpdate(event);
+        });
+        
+        this.socket.on('recipe_progress', (progress) => {
+            if (window.imageEditorController) {
+                window.imageEditorController.handleRecipeProgress(progress);
+            }
+        });
+        
+        this.socket.on('recipe_complete', (result) => {
+            if (window.imageEditorController) {
+                window.imageEditorController.handleRecipeComplete(result);
+            }
+        });
+        
+        this.socket.on('recording_updated', (event) => {
+            this.handleRecordingUpdate(event);
+        });
+        
+        this.socket.on('sequence_progress', (progress) => {
+            if (window.sequencerController) {
+                window.sequencerController.handleProgress(progress);
+            }
+        });
+        
+        this.socket.on('sequence_updated', (sequence) => {
+            if (window.sequencerController) {
+                window.sequencerController.handleUpdate(sequence);
+            }
+        });
+        
+        this.socket.on('sequence_complete', (sequence) => {
+            if (window.sequencerController) {
+                window.sequencerController.handleComplete(sequence);
+            }
+        });
+        
+        this.socket.on('session_updated', (event) => {
+            if (window.sessionController) {
+                window.sessionController.handleUpdate(event);
+            }
+        });
+        
+        // Profiles are shared, so a change made in another browser shows up here too
+        this.socket.on('profiles_updated', () => {
+            if (window.settingsController) {
+                window.settingsController.loadProfiles();
+            }
+        });
     }
     
     setupEventListeners() {
@@ -74,6 +169,27 @@ class DrahmsVisionApp {
                 this.toggleRecording();
             });
         }
+        
+        // Stack the selected gallery items
+        const stackBtn = document.getElementById('stack-btn');
+        if (stackBtn) {
+            stackBtn.addEventListener('click', () => {
+                this.stackSelected();
+            });
+        }
+        
+        // Import FITS files into the gallery
+        const importBtn = document.getElementById('fits-import-btn');
+        const importInput = document.getElementById('fits-import-input');
+        if (importBtn && importInput) {
+            importBtn.addEventListener('click', () => importInput.click());
+            importInput.addEventListener('change', async () => {
+                for (const file of Array.from(importInput.files)) {
+                    await this.importFits(file);
+                }
+                importInput.value = '';
+            });
+        }
     }
     
     updateConnectionStatus(connected) {
@@ -110,6 +226,62 @@ class DrahmsVisionApp {
             this.socket.emit('request_camera_status');
             this.socket.emit('request_sensor_data');
         }
+        
+        this.loadServerConfig();
+        this.loadGallery();
+        
+        // A sequence may have progressed while this page was disconnected
+        if (window.sequencerController) {
+            window.sequencerController.refresh();
+        }
+        if (window.sessionController) {
+            window.sessionController.refresh();
+        }
+        if (window.settingsController) {
+            window.settingsController.loadProfiles();
+        }
+    }
+    
+    async loadServerConfig() {
+        try {
+            const response = await fetch('/api/config');
+            if (!response.ok) return;
+            this.serverConfig = await response.json();
+            
+            // Leave the server time to report its own relay timeout before giving up here
+            this.commandTimeout = this.serverConfig.commandTimeoutMs + 2000;
+            console.log(`⚙️ Drahms Vision server ${this.serverConfig.version}`);
+        } catch (error) {
+            console.error('Failed to load server configuration:', error);
+        }
+    }
+    
+    sendCommand(command, payload = {}) {
+        // Resolves with the server's acknowledgement, rejects on timeout or a failed relay
+        return new Promise((resolve, reject) => {
+            if (!this.socket || !this.isConnected) {
+                reject(new Error('Not connected to camera'));
+                return;
+            }
+            
+            this.socket.timeout(this.commandTimeout).emit(command, payload, (err, response) => {
+                if (err) {
+                    reject(new Error('Server did not respond'));
+                } else if (!response.success) {
+                    reject(new Error(response.error));
+                } else {
+                    resolve(response);
+                }
+            });
+        });
+    }
+    
+    handleCameraState(state) {
+        this.cameraState = state;
+        
+        if (window.cameraController) {
+            window.cameraController.applyCameraState(state);
+        }
     }
     
     handleCameraFeed(data) {
@@ -121,6 +293,10 @@ class DrahmsVisionApp {
     handleSensorUpdate(data) {
         this.sensorData = { ...this.sensorData, ...data };
         this.updateSensorDisplay();
+        
+        if (data.pointing && window.skyMapController) {
+            window.skyMapController.updatePointing(data.pointing, data.deviceId);
+        }
     }
     
     handleCaptureComplete(data) {
@@ -136,12 +312,225 @@ class DrahmsVisionApp {
         const cameraFeed = document.getElementById('camera-feed');
         if (cameraFeed) {
             cameraFeed.innerHTML = `<img src="${imageData}" alt="Camera Feed" style="width: 100%; height: 100%; object-fit: cover;">`;
+            // Keep the editor's adjustments showing on the new frame
+            if (window.imageEditorController) {
+                window.imageEditorController.refreshPreview();
+            }
+            if (window.feedHistogramController) {
+                window.feedHistogramController.update();
+            }
+            if (window.guideController) {
+                window.guideController.attach();
+            }
         }
     }
     
     displayCapturedImage(imageUrl) {
-        // Display captured image in gallery or preview area
+        // Captures are stored on the server, so refresh the preview from the gallery
         console.log('Captured image:', imageUrl);
+        this.loadGallery();
+    }
+    
+    async loadGallery() {
+        try {
+            const response = await fetch('/api/gallery?pageSize=12');
+            if (!response.ok) {
+                throw new Error('Gallery request failed');
+            }
+            const gallery = await response.json();
+            this.renderGallery(gallery.items);
+        } catch (error) {
+            console.error('Error loading gallery:', error);
+        }
+    }
+    
+    renderGallery(items) {
+        const galleryPreview = document.getElementById('gallery-preview');
+        if (!galleryPreview) return;
+        
+        // Drop selections for captures that are gone
+        this.selectedCaptures.forEach(id => {
+            if (!items.some(item => item.id === id)) this.selectedCaptures.delete(id);
+        });
+        this.updateStackButton();
+        
+        if (items.length === 0) {
+            galleryPreview.innerHTML = `
+                <div class="gallery-placeholder">
+                    <i class="fas fa-images"></i>
+                    <p>No images yet</p>
+                </div>
+            `;
+            return;
+        }
+        
+        galleryPreview.innerHTML = `
+            <div class="gallery-grid">
+                ${items.map(item => item.type === 'recording' ? `
+                    <div class="gallery-item gallery-item-recording" data-id="${item.id}" title="${new Date(item.timestamp).toLocaleString()}: ${item.video.frameCount} frames at ${item.video.fps} fps${item.video.droppedFrames ? `, ${item.video.droppedFrames} dropped` : ''}">
+                        <img src="${item.imageUrl}" alt="Recording ${item.id}" loading="lazy">
+                        <span class="gallery-item-duration"><i class="fas fa-film"></i> ${this.formatDuration(item.video.durationSeconds)} ${item.video.format.toUpperCase()}</span>
+                        <button class="gallery-item-delete" data-id="${item.id}" title="Delete">
+                            <i class="fas fa-times"></i>
+                        </button>
+                        <button class="gallery-item-extract" data-id="${item.id}" title="Extract a frame as a still">
+                            <i class="fas fa-camera"></i>
+                        </button>
+                    </div>
+                ` : `
+                    <div class="gallery-item" data-id="${item.id}" title="${new Date(item.timestamp).toLocaleString()}">
+                        <img src="${item.imageUrl}" alt="Capture ${item.id}" loading="lazy">
+                        <input type="checkbox" class="gallery-item-select" data-id="${item.id}" title="Select for stacking"${this.selectedCaptures.has(item.id) ? ' checked' : ''}>
+                        <button class="gallery-item-delete" data-id="${item.id}" title="Delete">
+                            <i class="fas fa-times"></i>
+                        </button>
+                        <a class="gallery-item-fits" href="${item.imageUrl.replace(/\/image$/, '/fits')}" title="Download as FITS">FITS</a>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+        
+        galleryPreview.querySelectorAll('.gallery-item').forEach(element => {
+            element.addEventListener('click', () => {
+                const item = items.find(entry => entry.id === element.dataset.id);
+                this.displayCameraImage(item.imageUrl);
+            });
+        });
+        
+        galleryPreview.querySelectorAll('.gallery-item-fits').forEach(link => {
+            link.addEventListener('click', (e) => e.stopPropagation());
+        });
+        
+        galleryPreview.querySelectorAll('.gallery-item-extract').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.extractFrame(items.find(entry => entry.id === button.dataset.id));
+            });
+        });
+        
+        galleryPreview.querySelectorAll('.gallery-item-delete').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.deleteCapture(button.dataset.id);
+            });
+        });
+        
+        galleryPreview.querySelectorAll('.gallery-item-select').forEach(checkbox => {
+            checkbox.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (checkbox.checked) {
+                    this.selectedCaptures.add(checkbox.dataset.id);
+                } else {
+                    this.selectedCaptures.delete(checkbox.dataset.id);
+                }
+                this.updateStackButton();
+            });
+        });
+    }
+    
+    updateStackButton(progressText) {
+        const stackBtn = document.getElementById('stack-btn');
+        if (!stackBtn) return;
+        
+        if (this.stackJobId) {
+            stackBtn.innerHTML = `<i class="fas fa-spinner fa-spin"></i> ${progressText || 'Stacking...'}`;
+            stackBtn.disabled = true;
+        } else {
+            const count = this.selectedCaptures.size;
+            stackBtn.innerHTML = `<i class="fas fa-layer-group"></i> Stack selected${count ? ` (${count})` : ''}`;
+            stackBtn.disabled = count < 2;
+        }
+    }
+    
+    async stackSelected() {
+        const methodSelect = document.getElementById('stack-method');
+        try {
+            const response = await fetch('/api/stack', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    captureIds: Array.from(this.selectedCaptures),
+                    method: methodSelect ? methodSelect.value : 'average'
+                })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || result.error || 'Stack request failed');
+            }
+            
+            this.stackJobId = result.jobId;
+            this.updateStackButton();
+            this.showNotification(`Stacking ${this.selectedCaptures.size} captures...`, 'info');
+        } catch (error) {
+            console.error('Error starting stack:', error);
+            this.showNotification(`Stacking failed: ${error.message}`, 'error');
+        }
+    }
+    
+    handleStackProgress(progress) {
+        if (progress.jobId !== this.stackJobId) return;
+        this.updateStackButton(`${progress.stage} ${progress.percent}%`);
+    }
+    
+    handleStackComplete(result) {
+        if (result.jobId !== this.stackJobId) return;
+        this.stackJobId = null;
+        
+        if (result.success) {
+            const { stacked, rejected } = result.report;
+            this.selectedCaptures.clear();
+            this.displayCameraImage(result.capture.imageUrl);
+            this.showNotification(`Stacked ${stacked} frame(s)${rejected ? `, ${rejected} rejected` : ''}`, 'success');
+        } else {
+            this.showNotification(`Stacking failed: ${result.error}`, 'error');
+        }
+        
+        // Say why each left-out frame was rejected
+        if (result.report) {
+            result.report.frames
+                .filter(frame => frame.status === 'rejected')
+                .forEach(frame => console.warn(`Stack rejected ${frame.id}: ${frame.reason}`));
+        }
+        
+        this.loadGallery();
+    }
+    
+    async importFits(file) {
+        try {
+            const response = await fetch(`/api/gallery/import?filename=${encodeURIComponent(file.name)}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/fits',
+                },
+                body: file
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || result.error || 'Import request failed');
+            }
+            
+            this.showNotification(`Imported ${file.name}${result.wcs ? ' with its WCS' : ''}`, 'success');
+            this.displayCameraImage(result.capture.imageUrl);
+        } catch (error) {
+            console.error('Error importing FITS:', error);
+            this.showNotification(`Could not import ${file.name}: ${error.message}`, 'error');
+        }
+    }
+    
+    async deleteCapture(id) {
+        try {
+            const response = await fetch(`/api/gallery/${id}`, { method: 'DELETE' });
+            if (!response.ok) {
+                throw new Error('Delete request failed');
+            }
+            this.showNotification('Capture deleted', 'info');
+            this.loadGallery();
+        } catch (error) {
+            console.error('Error deleting capture:', error);
+            this.showNotification('Failed to delete capture', 'error');
+        }
     }
     
     updateSensorDisplay() {
@@ -149,26 +538,105 @@ class DrahmsVisionApp {
         console.log('Sensor data updated:', this.sensorData);
     }
     
-    captureImage() {
-        if (this.socket && this.isConnected) {
-            this.socket.emit('capture_image');
-            this.showNotification('Capturing image...', 'info');
-        } else {
-            this.showNotification('Not connected to camera', 'error');
+    // Lights unless a dark, flat or bias series is being shot
+    getFrameType() {
+        const frameTypeSelect = document.getElementById('frame-type');
+        return frameTypeSelect ? frameTypeSelect.value : 'light';
+    }
+    
+    async captureImage() {
+        try {
+            const frameType = this.getFrameType();
+            this.showNotification(frameType === 'light' ? 'Capturing image...' : `Capturing ${frameType} frame...`, 'info');
+            await this.sendCommand('capture_image', { frameType });
+        } catch (error) {
+            this.showNotification(`Capture failed: ${error.message}`, 'error');
         }
     }
     
-    toggleRecording() {
-        if (this.socket && this.isConnected) {
-            this.socket.emit('toggle_recording');
-            this.showNotification('Recording toggled', 'info');
-        } else {
-            this.showNotification('Not connected to camera', 'error');
+    getRecordingFormat() {
+        const formatSelect = document.getElementById('record-format');
+        return formatSelect ? formatSelect.value : 'avi';
+    }
+    
+    async toggleRecording() {
+        try {
+            const result = await this.sendCommand('toggle_recording', { format: this.getRecordingFormat() });
+            const started = result.command === 'start_recording';
+            this.showNotification(started ? 'Recording started' : 'Recording stopped', 'info');
+        } catch (error) {
+            this.showNotification(`Recording failed: ${error.message}`, 'error');
+        }
+    }
+    
+    // Live frame count, rate and drops while recording, and the saved file when it ends
+    handleRecordingUpdate(event) {
+        const stats = document.getElementById('recording-stats');
+        if (event.action === 'started' || event.action === 'progress') {
+            if (stats) {
+                stats.hidden = false;
+                stats.textContent = `${this.formatDuration(event.durationSeconds)} · ${event.frameCount} frames · ${event.fps} fps` +
+                    (event.droppedFrames ? ` · ${event.droppedFrames} dropped` : '');
+            }
+            return;
+        }
+        
+        if (stats) stats.hidden = true;
+        if (event.action === 'finished') {
+            this.showNotification(
+                `Recording saved: ${event.frameCount} frames, ${this.formatDuration(event.durationSeconds)}` +
+                    (event.droppedFrames ? `, ${event.droppedFrames} dropped` : ''),
+                'success'
+            );
+            this.loadGallery();
+        } else if (event.action === 'failed') {
+            this.showNotification(`Recording could not be saved: ${event.error}`, 'error');
+        } else if (event.action === 'discarded') {
+            this.showNotification('Recording stopped before any frames arrived', 'info');
+        }
+    }
+    
+    formatDuration(seconds) {
+        const total = Math.round(seconds);
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    }
+    
+    async extractFrame(recording) {
+        const answer = prompt(`Extract which frame? (1-${recording.video.frameCount})`, '1');
+        if (answer === null) return;
+        
+        const frame = parseInt(answer, 10);
+        if (!(frame >= 1 && frame <= recording.video.frameCount)) {
+            this.showNotification(`Pick a frame between 1 and ${recording.video.frameCount}`, 'error');
+            return;
+        }
+        
+        try {
+            const response = await fetch(`/api/gallery/${recording.id}/frames/${frame - 1}/extract`, { method: 'POST' });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || result.error);
+            }
+            this.showNotification(`Frame ${frame} saved to the gallery`, 'success');
+        } catch (error) {
+            console.error('Error extracting frame:', error);
+            this.showNotification(`Could not extract frame: ${error.message}`, 'error');
+        }
+    }
+    
+    handleCalibrationUpdate(event) {
+        if (event.action === 'built') {
+            const { frameType, frameCount } = event.master;
+            this.showNotification(`Master ${frameType} built from ${frameCount} frames`, 'success');
+        } else if (event.action === 'failed') {
+            this.showNotification(`Master ${event.frameType} not built: ${event.error}`, 'error');
         }
     }
     
     showSettings() {
-        this.showNotification('Settings panel coming soon', 'info');
+        if (window.settingsController) {
+            window.settingsController.open();
+        }
     }
     
     showNotification(message, type = 'info') {
@@ -77,53 +77,63 @@ class CameraController {
     
     updateCameraSetting(setting, value) {
         // Send camera setting update to Android app via WebSocket
-        if (window.drahmsVisionApp && window.drahmsVisionApp.socket) {
-            window.drahmsVisionApp.socket.emit('camera_setting', {
-                setting: setting,
-                value: value
-            });
-        }
+        this.sendCommand('camera_setting', {
+            setting: setting,
+            value: value
+        });
         
         this.saveCameraSettings();
     }
     
-    startCameraStream() {
-        if (window.drahmsVisionApp && window.drahmsVisionApp.socket) {
-            window.drahmsVisionApp.socket.emit('start_camera_stream');
-            this.isStreaming = true;
+    async sendCommand(command, payload = {}) {
+        if (!window.drahmsVisionApp) return null;
+        
+        try {
+            return await window.drahmsVisionApp.sendCommand(command, payload);
+        } catch (error) {
+            console.error(`Camera command ${command} failed:`, error.message);
+            window.drahmsVisionApp.showNotification(error.message, 'error');
+            return null;
+        }
+    }
+    
+    applyCameraState(state) {
+        // The server holds the authoritative state; mirror it in the controls
+        this.isStreaming = state.isStreaming;
+        this.isRecording = state.isRecording;
+        this.currentSettings = { ...this.currentSettings, ...state.settings };
+        this.updateControlValues();
+        this.updateRecordButton();
+    }
+    
+    async startCameraStream() {
+        if (await this.sendCommand('start_camera_stream')) {
             console.log('📹 Camera stream started');
         }
     }
     
-    stopCameraStream() {
-        if (window.drahmsVisionApp && window.drahmsVisionApp.socket) {
-            window.drahmsVisionApp.socket.emit('stop_camera_stream');
-            this.isStreaming = false;
+    async stopCameraStream() {
+        if (await this.sendCommand('stop_camera_stream')) {
             console.log('📹 Camera stream stopped');
         }
     }
     
-    captureImage() {
-        if (window.drahmsVisionApp && window.drahmsVisionApp.socket) {
-            window.drahmsVisionApp.socket.emit('capture_image');
+    async captureImage() {
+        const frameType = window.drahmsVisionApp ? window.drahmsVisionApp.getFrameType() : 'light';
+        if (await this.sendCommand('capture_image', { frameType })) {
             console.log('📸 Capturing image...');
         }
     }
     
-    startRecording() {
-        if (window.drahmsVisionApp && window.drahmsVisionApp.socket) {
-            window.drahmsVisionApp.socket.emit('start_recording');
-            this.isRecording = true;
-            this.updateRecordButton();
+    async startRecording() {
+        const format = window.drahmsVisionApp ? window.drahmsVisionApp.getRecordingFormat() : 'avi';
+        if (await this.sendCommand('start_recording', { format })) {
             console.log('🎥 Recording started');
         }
     }
     
-    stopRecording() {
-        if (window.drahmsVisionApp && window.drahmsVisionApp.socket) {
-            window.drahmsVisionApp.socket.emit('stop_recording');
-            this.isRecording = false;
-            this.updateRecordButton();
+    async stopRecording() {
+        if (await this.sendCommand('stop_recording')) {
             console.log('🎥 Recording stopped');
         }
     }
@@ -149,48 +159,30 @@ class CameraController {
         }
     }
     
-    setCameraMode(mode) {
-        if (window.drahmsVisionApp && window.drahmsVisionApp.socket) {
-            window.drahmsVisionApp.socket.emit('set_camera_mode', { mode: mode });
+    async setCameraMode(mode) {
+        const result = await this.sendCommand('set_camera_mode', {
+            mode: mode,
+            settings: this.currentSettings
+        });
+        if (result) {
             console.log(`📷 Camera mode set to: ${mode}`);
         }
     }
     
-    // Camera mode presets for astronomy
-    setAstronomyMode() {
-        this.currentSettings = {
-            zoom: 1.0,
-            focus: 50,
-            iso: 1600,
-            exposure: 0,
-            whiteBalance: 'auto'
-        };
+    // A saved profile (see settings.js): the camera mode and every setting in one command
+    async applyProfile(profile) {
+        this.currentSettings = { ...this.currentSettings, ...profile.settings };
         this.updateControlValues();
-        this.setCameraMode('astronomy');
-    }
-    
-    setNightMode() {
-        this.currentSettings = {
-            zoom: 1.0,
-            focus: 50,
-            iso: 3200,
-            exposure: 0,
-            whiteBalance: 'auto'
-        };
-        this.updateControlValues();
-        this.setCameraMode('night');
-    }
-    
-    setAutoMode() {
-        this.currentSettings = {
-            zoom: 1.0,
-            focus: 50,
-            iso: 400,
-            exposure: 0,
-            whiteBalance: 'auto'
-        };
-        this.updateControlValues();
-        this.setCameraMode('auto');
+        this.saveCameraSettings();
+        
+        const result = await this.sendCommand('set_camera_mode', {
+            mode: profile.mode,
+            settings: profile.settings
+        });
+        if (result) {
+            console.log(`📷 Camera profile applied: ${profile.name || profile.mode}`);
+        }
+        return Boolean(result);
     }
 }
 
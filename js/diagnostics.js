@@ -0,0 +1,232 @@
+// Drahms Vision - Diagnostics Module
+// Field troubleshooting page: connected devices with their frame rate and round-trip time,
+// every open socket, storage, running work and which identification providers are set up.
+// Reads /api/status and refreshes while open.
+
+const DIAGNOSTICS_REFRESH_MS = 5000;
+// A device that has sent nothing for this long is flagged even though its socket is open
+const DIAGNOSTICS_QUIET_MS = 30000;
+
+class DiagnosticsController {
+    constructor() {
+        this.refreshTimer = null;
+        
+        this.init();
+    }
+    
+    init() {
+        console.log('🩺 Initializing Diagnostics Controller...');
+        this.setupDiagnosticsUI();
+    }
+    
+    setupDiagnosticsUI() {
+        const openBtn = document.getElementById('diagnostics-btn');
+        if (openBtn) {
+            openBtn.addEventListener('click', () => {
+                this.open();
+            });
+        }
+        
+        const closeBtn = document.getElementById('diagnostics-close-btn');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => {
+                this.close();
+            });
+        }
+        
+        const modal = document.getElementById('diagnostics-modal');
+        if (modal) {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) this.close();
+            });
+        }
+    }
+    
+    open() {
+        const modal = document.getElementById('diagnostics-modal');
+        if (!modal) return;
+        modal.classList.add('active');
+        this.refresh();
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = setInterval(() => this.refresh(), DIAGNOSTICS_REFRESH_MS);
+    }
+    
+    close() {
+        const modal = document.getElementById('diagnostics-modal');
+        if (modal) modal.classList.remove('active');
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+    
+    async refresh() {
+        const updated = document.getElementById('diagnostics-updated');
+        try {
+            const response = await fetch('/api/status');
+            if (!response.ok) {
+                throw new Error(`Server answered ${response.status}`);
+            }
+            this.render(await response.json());
+            if (updated) updated.textContent = `Updated ${new Date().toLocaleTimeString()}`;
+        } catch (error) {
+            console.error('Failed to load diagnostics:', error);
+            if (updated) updated.textContent = `Server unreachable: ${error.message}`;
+        }
+    }
+    
+    render(status) {
+        const body = document.getElementById('diagnostics-body');
+        if (!body) return;
+        
+        body.innerHTML = [
+            this.renderServer(status),
+            this.renderDevices(status),
+            this.renderConnections(status),
+            this.renderStorage(status.storage),
+            this.renderActivity(status.activity),
+            this.renderProviders(status.identification)
+        ].join('');
+    }
+    
+    renderServer(status) {
+        return this.section('Server', `
+            <dl class="diagnostics-list">
+                <dt>Version</dt><dd>${escapeHtml(status.version)} (Node ${escapeHtml(status.process.node)})</dd>
+                <dt>Uptime</dt><dd>${this.formatDuration(status.uptime)}</dd>
+                <dt>Memory</dt><dd>${this.formatBytes(status.process.memory.rssBytes)}</dd>
+            </dl>
+        `);
+    }
+    
+    renderDevices(status) {
+        if (!status.devices.length) {
+            return this.section('Camera devices', '<p class="diagnostics-empty">No phone has connected since the server started</p>');
+        }
+        
+        const rows = status.devices.map(device => {
+            const frames = device.frames;
+            const quiet = device.connected && Date.now() - Date.parse(device.lastSeen) > DIAGNOSTICS_QUIET_MS;
+            const state = !device.connected ? 'offline' : quiet ? 'quiet' : 'online';
+            return `
+                <tr data-state="${state}">
+                    <td>${escapeHtml(device.name)}${device.id === status.activeDeviceId ? ' <span class="diagnostics-tag">active</span>' : ''}<br><small>${escapeHtml(device.model)}</small></td>
+                    <td>${state}${device.recording ? ' · recording' : ''}<br><small>seen ${this.formatAge(device.lastSeen)}</small></td>
+                    <td>${device.latencyMs !== null ? `${device.latencyMs} ms` : '—'}<br><small>${escapeHtml(device.transport || '')}</small></td>
+                    <td>${frames.framesPerSecond} fps<br><small>${frames.lastFrameAt ? `last ${this.formatAge(frames.lastFrameAt)}` : 'no frames'}</small></td>
+                    <td>${device.sensorDataAt ? this.formatAge(device.sensorDataAt) : '—'}</td>
+                </tr>
+            `;
+        }).join('');
+        
+        return this.section('Camera devices', `
+            <table class="diagnostics-table">
+                <thead><tr><th>Device</th><th>State</th><th>Round trip</th><th>Frames</th><th>Sensors</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `);
+    }
+    
+    renderConnections(status) {
+        const rows = status.connections.map(connection => `
+            <tr>
+                <td>${escapeHtml(connection.role)}</td>
+                <td>${escapeHtml(connection.address)}</td>
+                <td>${escapeHtml(connection.transport)}</td>
+                <td>${connection.latencyMs !== null ? `${connection.latencyMs} ms` : 'measuring…'}</td>
+                <td>${this.formatAge(connection.connectedAt)}</td>
+            </tr>
+        `).join('');
+        
+        return this.section(`Sockets (${status.connections.length})`, `
+            <table class="diagnostics-table">
+                <thead><tr><th>Role</th><th>Address</th><th>Transport</th><th>Round trip</th><th>Connected</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `);
+    }
+    
+    renderStorage(storage) {
+        const free = storage.freeBytes !== null
+            ? `${this.formatBytes(storage.freeBytes)} of ${this.formatBytes(storage.totalBytes)}`
+            : 'unknown';
+        const low = storage.freeBytes !== null && storage.freeBytes < 1024 * 1024 * 1024;
+        
+        return this.section('Storage', `
+            <dl class="diagnostics-list">
+                <dt>Folder</dt><dd>${escapeHtml(storage.path)}</dd>
+                <dt>Gallery</dt><dd>${storage.galleryItems} item(s), ${this.formatBytes(storage.usedBytes)}</dd>
+                <dt>Free</dt><dd${low ? ' class="diagnostics-warning"' : ''}>${free}</dd>
+            </dl>
+        `);
+    }
+    
+    renderActivity(activity) {
+        const items = [];
+        if (activity.sequence) {
+            const sequence = activity.sequence;
+            items.push(`Sequence "${escapeHtml(sequence.name || sequence.id)}": ${sequence.status}, ${sequence.completed}/${sequence.total} frames`);
+        }
+        activity.recordings.forEach(recording => {
+            items.push(`Recording ${recording.format.toUpperCase()}: ${recording.frameCount} frames, ${recording.droppedFrames} dropped`);
+        });
+        activity.stackJobs.forEach(job => {
+            items.push(`Stacking ${job.frames} frames${job.progress ? ` (${escapeHtml(job.progress.stage)} ${job.progress.percent}%)` : ''}`);
+        });
+        if (activity.session) {
+            items.push(`Session "${escapeHtml(activity.session.name)}": ${activity.session.entryCount} entries`);
+        }
+        
+        return this.section('Running', items.length
+            ? `<ul class="diagnostics-items">${items.map(item => `<li>${item}</li>`).join('')}</ul>`
+            : '<p class="diagnostics-empty">Nothing running</p>');
+    }
+    
+    renderProviders(providers) {
+        const rows = Object.entries(providers).map(([name, provider]) => `
+            <tr>
+                <td>${escapeHtml(name)}</td>
+                <td>${provider.configured ? 'configured' : 'not configured'}</td>
+                <td>${provider.available ? 'in use' : 'unused'}</td>
+                <td>${escapeHtml(provider.detail)}</td>
+            </tr>
+        `).join('');
+        
+        return this.section('Identification providers', `
+            <table class="diagnostics-table">
+                <tbody>${rows}</tbody>
+            </table>
+        `);
+    }
+    
+    section(title, content) {
+        return `<section class="diagnostics-section"><h3>${title}</h3>${content}</section>`;
+    }
+    
+    formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+    }
+    
+    formatDuration(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        return hours ? `${hours}h ${minutes}m` : `${minutes}m ${Math.floor(seconds % 60)}s`;
+    }
+    
+    formatAge(time) {
+        const seconds = Math.max(0, Math.round((Date.now() - Date.parse(time)) / 1000));
+        if (seconds < 60) return `${seconds}s ago`;
+        if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+        return new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+}
+
+// Initialize diagnostics controller when the page loads
+document.addEventListener('DOMContentLoaded', () => {
+    window.diagnosticsController = new DiagnosticsController();
+});
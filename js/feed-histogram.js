@@ -0,0 +1,306 @@
+// Drahms Vision - Feed Histogram Module
+// RGB and luminance histogram, channel statistics and a clipping (zebra) overlay for the
+// camera view, refreshed on every feed frame so exposure can be judged while framing
+
+const HISTOGRAM_MAX_SIZE = 1024;   // longest edge of the copy that is measured
+const HISTOGRAM_HEIGHT = 100;
+
+const HISTOGRAM_CHANNELS = [
+    { name: 'red', label: 'R', colour: 'rgba(255, 80, 80, 0.6)' },
+    { name: 'green', label: 'G', colour: 'rgba(80, 255, 80, 0.6)' },
+    { name: 'blue', label: 'B', colour: 'rgba(80, 140, 255, 0.6)' },
+    { name: 'luminance', label: 'L', colour: 'rgba(255, 255, 255, 0.9)' }
+];
+
+class FeedHistogramController {
+    constructor() {
+        this.showHistogram = false;
+        this.showZebra = false;
+        this.logScale = false;
+        this.lastStats = null;
+        this.panel = null;
+        this.zebraCanvas = null;
+        this.worker = null;
+        this.workerJobs = new Map();
+        this.workerJobId = 0;
+        this.isMeasuring = false;
+        this.updatePending = false;
+        
+        this.init();
+    }
+    
+    init() {
+        console.log('📊 Initializing Feed Histogram Controller...');
+        this.setupHistogramUI();
+        this.setupWorker();
+    }
+    
+    setupHistogramUI() {
+        const cameraControls = document.querySelector('.camera-controls');
+        if (cameraControls) {
+            const histogramBtn = document.createElement('button');
+            histogramBtn.className = 'btn-secondary';
+            histogramBtn.id = 'histogram-btn';
+            histogramBtn.title = 'Histogram and channel statistics';
+            histogramBtn.innerHTML = '<i class="fas fa-chart-bar"></i> Histogram';
+            histogramBtn.addEventListener('click', () => {
+                this.toggleHistogram();
+            });
+            cameraControls.appendChild(histogramBtn);
+            
+            const zebraBtn = document.createElement('button');
+            zebraBtn.className = 'btn-secondary';
+            zebraBtn.id = 'zebra-btn';
+            zebraBtn.title = 'Highlight clipped pixels';
+            zebraBtn.innerHTML = '<i class="fas fa-barcode"></i> Zebra';
+            zebraBtn.addEventListener('click', () => {
+                this.toggleZebra();
+            });
+            cameraControls.appendChild(zebraBtn);
+        }
+        
+        this.panel = document.createElement('div');
+        this.panel.className = 'histogram-overlay';
+        this.panel.innerHTML = `
+            <div class="histogram-header">
+                <span>Histogram</span>
+                <button class="histogram-scale" id="histogram-scale-btn" title="Switch between linear and log scale">Linear</button>
+            </div>
+            <canvas class="histogram-canvas" width="256" height="${HISTOGRAM_HEIGHT}"></canvas>
+            <table class="histogram-stats"></table>
+            <div class="histogram-clipping"></div>
+        `;
+        this.panel.querySelector('#histogram-scale-btn').addEventListener('click', () => {
+            this.logScale = !this.logScale;
+            this.renderHistogram();
+        });
+        
+        this.zebraCanvas = document.createElement('canvas');
+        this.zebraCanvas.className = 'zebra-overlay';
+    }
+    
+    setupWorker() {
+        if (!window.Worker) return;
+        
+        try {
+            this.worker = new Worker('js/image-worker.js');
+            this.worker.onmessage = (e) => this.handleWorkerMessage(e.data);
+            this.worker.onerror = (e) => {
+                console.error('Histogram worker failed, measuring on the main thread:', e.message);
+                this.worker = null;
+                this.workerJobs.forEach(job => job.reject(new Error('Histogram worker failed')));
+                this.workerJobs.clear();
+            };
+        } catch (error) {
+            console.error('Could not start the histogram worker:', error);
+            this.worker = null;
+        }
+    }
+    
+    toggleHistogram() {
+        this.showHistogram = !this.showHistogram;
+        this.updateButtons();
+        this.update();
+    }
+    
+    toggleZebra() {
+        this.showZebra = !this.showZebra;
+        this.updateButtons();
+        this.update();
+    }
+    
+    updateButtons() {
+        const histogramBtn = document.getElementById('histogram-btn');
+        if (histogramBtn) histogramBtn.classList.toggle('active', this.showHistogram);
+        const zebraBtn = document.getElementById('zebra-btn');
+        if (zebraBtn) zebraBtn.classList.toggle('active', this.showZebra);
+    }
+    
+    // Called for every new feed frame. One measurement runs at a time; frames arriving
+    // meanwhile are collapsed into a single follow-up run on the newest one.
+    async update() {
+        if (this.isMeasuring) {
+            this.updatePending = true;
+            return;
+        }
+        
+        const cameraFeed = document.getElementById('camera-feed');
+        const img = cameraFeed && cameraFeed.querySelector('img');
+        if (!img || (!this.showHistogram && !this.showZebra)) {
+            this.panel.remove();
+            this.zebraCanvas.remove();
+            return;
+        }
+        
+        this.isMeasuring = true;
+        try {
+            const sourceUrl = img.src;
+            const pixels = await this.readPixels(img);
+            const { stats, mask } = await this.measure(pixels, this.showZebra);
+            if (img.isConnected && img.src === sourceUrl) {
+                this.lastStats = stats;
+                this.attachOverlays(cameraFeed);
+                this.renderHistogram();
+                if (mask) this.renderZebra(stats.width, stats.height, mask);
+            }
+        } catch (error) {
+            console.error('Error measuring frame:', error);
+        } finally {
+            this.isMeasuring = false;
+            if (this.updatePending) {
+                this.updatePending = false;
+                this.update();
+            }
+        }
+    }
+    
+    // The feed replaces its contents on every frame, so the overlays are put back each time
+    attachOverlays(cameraFeed) {
+        if (this.showZebra) {
+            if (this.zebraCanvas.parentElement !== cameraFeed) cameraFeed.appendChild(this.zebraCanvas);
+        } else {
+            this.zebraCanvas.remove();
+        }
+        
+        if (this.showHistogram) {
+            if (this.panel.parentElement !== cameraFeed) cameraFeed.appendChild(this.panel);
+        } else {
+            this.panel.remove();
+        }
+    }
+    
+    async readPixels(img) {
+        if (!img.complete || !img.naturalWidth) {
+            await new Promise((resolve, reject) => {
+                img.addEventListener('load', resolve, { once: true });
+                img.addEventListener('error', () => reject(new Error('Image failed to load')), { once: true });
+            });
+        }
+        
+        const scale = Math.min(1, HISTOGRAM_MAX_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+        const context = canvas.getContext('2d');
+        context.drawImage(img, 0, 0, canvas.width, canvas.height);
+        
+        const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+        return { width: imageData.width, height: imageData.height, data: imageData.data };
+    }
+    
+    // Resolves to { stats, mask }; mask is only computed when the zebra overlay is on
+    measure(pixels, withMask) {
+        if (!this.worker) {
+            return Promise.resolve({
+                stats: ImageOps.channelStats(pixels),
+                mask: withMask ? ImageOps.clippingMask(pixels) : null
+            });
+        }
+        
+        return new Promise((resolve, reject) => {
+            const id = ++this.workerJobId;
+            this.workerJobs.set(id, { resolve, reject });
+            this.worker.postMessage({
+                id,
+                task: 'stats',
+                width: pixels.width,
+                height: pixels.height,
+                buffer: pixels.data.buffer,
+                mask: withMask
+            }, [pixels.data.buffer]);
+        });
+    }
+    
+    handleWorkerMessage({ id, stats, mask, error }) {
+        const job = this.workerJobs.get(id);
+        if (!job) return;
+        
+        this.workerJobs.delete(id);
+        if (error) {
+            job.reject(new Error(error));
+        } else {
+            job.resolve({ stats, mask });
+        }
+    }
+    
+    renderHistogram() {
+        const stats = this.lastStats;
+        if (!stats || !this.showHistogram) return;
+        
+        const scaleBtn = this.panel.querySelector('#histogram-scale-btn');
+        scaleBtn.textContent = this.logScale ? 'Log' : 'Linear';
+        
+        const canvas = this.panel.querySelector('.histogram-canvas');
+        const context = canvas.getContext('2d');
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        
+        // All channels share one vertical scale so their heights compare
+        const scale = this.logScale ? Math.log1p : (count) => count;
+        const peak = Math.max(1, ...HISTOGRAM_CHANNELS.map(channel => Math.max(...stats.channels[channel.name].histogram)));
+        const top = scale(peak);
+        
+        HISTOGRAM_CHANNELS.forEach(channel => {
+            const histogram = stats.channels[channel.name].histogram;
+            context.beginPath();
+            context.moveTo(0, HISTOGRAM_HEIGHT);
+            for (let value = 0; value < 256; value++) {
+                context.lineTo(value, HISTOGRAM_HEIGHT - HISTOGRAM_HEIGHT * scale(histogram[value]) / top);
+            }
+            context.lineTo(255, HISTOGRAM_HEIGHT);
+            
+            if (channel.name === 'luminance') {
+                context.strokeStyle = channel.colour;
+                context.stroke();
+            } else {
+                context.fillStyle = channel.colour;
+                context.globalCompositeOperation = 'lighter';
+                context.fill();
+                context.globalCompositeOperation = 'source-over';
+            }
+        });
+        
+        this.panel.querySelector('.histogram-stats').innerHTML = `
+            <tr><th></th><th>Min</th><th>Max</th><th>Mean</th><th>Median</th></tr>
+            ${HISTOGRAM_CHANNELS.map(channel => {
+                const values = stats.channels[channel.name];
+                return `<tr><th>${channel.label}</th><td>${values.min}</td><td>${values.max}</td><td>${values.mean.toFixed(1)}</td><td>${values.median}</td></tr>`;
+            }).join('')}
+        `;
+        this.panel.querySelector('.histogram-clipping').textContent =
+            `Clipped: ${stats.clipped.highlights.toFixed(2)}% highlights, ${stats.clipped.shadows.toFixed(2)}% shadows`;
+    }
+    
+    // Diagonal red stripes over clipped highlights, solid blue over clipped shadows
+    renderZebra(width, height, mask) {
+        const canvas = this.zebraCanvas;
+        canvas.width = width;
+        canvas.height = height;
+        
+        const context = canvas.getContext('2d');
+        const overlay = context.createImageData(width, height);
+        const { data } = overlay;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const pixel = y * width + x;
+                const index = pixel * 4;
+                if (mask[pixel] === 1 && ((x + y) >> 2) % 2 === 0) {
+                    data[index] = 255;
+                    data[index + 1] = 0;
+                    data[index + 2] = 64;
+                    data[index + 3] = 255;
+                } else if (mask[pixel] === 2) {
+                    data[index] = 0;
+                    data[index + 1] = 96;
+                    data[index + 2] = 255;
+                    data[index + 3] = 160;
+                }
+            }
+        }
+        context.putImageData(overlay, 0, 0);
+    }
+}
+
+// Initialize feed histogram controller when the page loads
+document.addEventListener('DOMContentLoaded', () => {
+    window.feedHistogramController = new FeedHistogramController();
+});
@@ -0,0 +1,258 @@
+// Drahms Vision - Guide Module
+// "Guide me" mode: compares a sky map target's altitude and azimuth with where the phone's
+// camera points, shows an arrow and the remaining degrees over the camera view, can speak
+// the directions, and confirms (optionally capturing) once the target is in frame
+
+const GUIDE_CUE_INTERVAL_MS = 4000;    // gap between spoken directions
+const GUIDE_SETTLE_MS = 2000;          // target must stay in frame this long before an auto capture
+const GUIDE_FRAME_MARGIN = 0.9;        // share of the field of view that counts as "in frame"
+
+class GuideController {
+    constructor() {
+        this.target = null;
+        this.inFrame = false;
+        this.inFrameSince = null;
+        this.captured = false;
+        this.speak = false;
+        this.autoCapture = false;
+        this.lastCueAt = 0;
+        this.overlay = null;
+        
+        this.init();
+    }
+    
+    init() {
+        console.log('🧭 Initializing Guide Controller...');
+        this.setupGuideUI();
+    }
+    
+    setupGuideUI() {
+        const guideBtn = document.getElementById('sky-guide-btn');
+        if (guideBtn) {
+            guideBtn.addEventListener('click', () => {
+                const selected = window.skyMapController && window.skyMapController.selectedObject;
+                this.start(selected);
+            });
+        }
+        
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'guide-overlay';
+        this.overlay.innerHTML = `
+            <div class="guide-arrow"><i class="fas fa-arrow-up"></i></div>
+            <div class="guide-text">
+                <div class="guide-target"></div>
+                <div class="guide-directions"></div>
+            </div>
+            <div class="guide-actions">
+                <button class="guide-capture" title="Capture now" hidden><i class="fas fa-camera"></i> Capture</button>
+                <label title="Capture automatically once the target is steady in frame">
+                    <input type="checkbox" class="guide-auto-capture"> Auto
+                </label>
+                <button class="guide-speak" title="Spoken directions"><i class="fas fa-volume-mute"></i></button>
+                <button class="guide-stop" title="Stop guiding"><i class="fas fa-times"></i></button>
+            </div>
+        `;
+        
+        this.overlay.querySelector('.guide-capture').addEventListener('click', () => {
+            this.capture();
+        });
+        this.overlay.querySelector('.guide-auto-capture').addEventListener('change', (e) => {
+            this.autoCapture = e.target.checked;
+        });
+        this.overlay.querySelector('.guide-speak').addEventListener('click', () => {
+            this.toggleSpeech();
+        });
+        this.overlay.querySelector('.guide-stop').addEventListener('click', () => {
+            this.stop();
+        });
+    }
+    
+    start(object) {
+        if (!object || object.type === 'constellation') {
+            this.showNotification('Select a star or planet on the sky map to be guided to it', 'info');
+            return;
+        }
+        
+        const skyMap = window.skyMapController;
+        if (!skyMap || !skyMap.pointing) {
+            this.showNotification('Waiting for the phone\'s orientation sensors; guidance starts with the first reading', 'info');
+        }
+        
+        // Guidance needs the sky as it is now, not a chart frozen at another time
+        if (skyMap && !skyMap.followRealTime) {
+            skyMap.updateTime(null);
+        }
+        
+        this.target = { id: object.id, name: object.name };
+        this.inFrame = false;
+        this.inFrameSince = null;
+        this.captured = false;
+        this.lastCueAt = 0;
+        console.log(`🧭 Guiding to ${object.name}`);
+        this.attach();
+        this.update();
+    }
+    
+    stop() {
+        this.target = null;
+        this.overlay.remove();
+        if (window.speechSynthesis) {
+            window.speechSynthesis.cancel();
+        }
+    }
+    
+    // The camera feed replaces its content on every frame, so the overlay is put back afterwards
+    attach() {
+        const cameraFeed = document.getElementById('camera-feed');
+        if (this.target && cameraFeed && this.overlay.parentElement !== cameraFeed) {
+            cameraFeed.appendChild(this.overlay);
+        }
+    }
+    
+    toggleSpeech() {
+        if (!window.speechSynthesis) {
+            this.showNotification('This browser cannot speak directions', 'error');
+            return;
+        }
+        
+        this.speak = !this.speak;
+        this.lastCueAt = 0;
+        this.overlay.querySelector('.guide-speak').innerHTML = this.speak
+            ? '<i class="fas fa-volume-up"></i>'
+            : '<i class="fas fa-volume-mute"></i>';
+        if (!this.speak) {
+            window.speechSynthesis.cancel();
+        }
+        this.update();
+    }
+    
+    // Offsets from the camera's pointing to the target: up/down in altitude, left/right as
+    // angle along the sky (azimuth scaled by the cosine of altitude), and their position in
+    // the camera frame once the phone's roll is taken into account
+    computeOffsets(target, pointing) {
+        const up = target.altitude - pointing.altitude;
+        let deltaAz = target.azimuth - pointing.azimuth;
+        if (deltaAz > 180) deltaAz -= 360;
+        if (deltaAz < -180) deltaAz += 360;
+        const meanAltitude = (target.altitude + pointing.altitude) / 2 * Math.PI / 180;
+        const right = deltaAz * Math.cos(meanAltitude);
+        
+        const toRad = Math.PI / 180;
+        const cosSeparation = Math.sin(target.altitude * toRad) * Math.sin(pointing.altitude * toRad)
+            + Math.cos(target.altitude * toRad) * Math.cos(pointing.altitude * toRad) * Math.cos(deltaAz * toRad);
+        const separation = Math.acos(Math.max(-1, Math.min(1, cosSeparation))) / toRad;
+        
+        // Sky directions appear turned against the phone's roll on its screen
+        const roll = (pointing.roll || 0) * toRad;
+        const screenX = right * Math.cos(roll) + up * Math.sin(roll);
+        const screenY = up * Math.cos(roll) - right * Math.sin(roll);
+        const fov = pointing.fieldOfView;
+        const inFrame = Math.abs(screenX) < fov.width / 2 * GUIDE_FRAME_MARGIN
+            && Math.abs(screenY) < fov.height / 2 * GUIDE_FRAME_MARGIN;
+        
+        return {
+            up,
+            right,
+            separation,
+            arrowAngle: Math.atan2(screenX, screenY) / toRad,
+            inFrame
+        };
+    }
+    
+    // Called whenever the sky map gets a new pointing reading or fresh object positions
+    update() {
+        if (!this.target) return;
+        
+        const skyMap = window.skyMapController;
+        const target = skyMap && skyMap.findObjectById(this.target.id);
+        const pointing = skyMap && skyMap.pointing;
+        const targetLabel = this.overlay.querySelector('.guide-target');
+        const directions = this.overlay.querySelector('.guide-directions');
+        
+        if (!target || !pointing) {
+            targetLabel.textContent = this.target.name;
+            directions.textContent = target ? 'Waiting for the phone\'s orientation…' : 'Waiting for the sky map…';
+            return;
+        }
+        
+        const offsets = this.computeOffsets(target, pointing);
+        targetLabel.textContent = `${target.name}${target.altitude < 0 ? ' (below the horizon)' : ''}`;
+        directions.textContent = offsets.inFrame
+            ? `In frame, ${offsets.separation.toFixed(1)}° from centre`
+            : `${this.describeDirections(offsets, true)} · ${offsets.separation.toFixed(0)}° to go`;
+        
+        this.overlay.dataset.inFrame = String(offsets.inFrame);
+        this.overlay.querySelector('.guide-arrow').style.transform = `rotate(${offsets.arrowAngle}deg)`;
+        this.overlay.querySelector('.guide-capture').hidden = !offsets.inFrame;
+        
+        this.handleFraming(offsets.inFrame, target);
+        this.cue(offsets);
+    }
+    
+    // "up 10°, left 5°" on screen; "up 10 degrees, left 5" when spoken
+    describeDirections(offsets, short) {
+        const parts = [];
+        const vertical = Math.round(Math.abs(offsets.up));
+        const horizontal = Math.round(Math.abs(offsets.right));
+        if (vertical >= 1) {
+            parts.push(`${offsets.up > 0 ? 'up' : 'down'} ${vertical}${short ? '°' : ` degree${vertical === 1 ? '' : 's'}`}`);
+        }
+        if (horizontal >= 1) {
+            const unit = short ? '°' : (parts.length ? '' : ` degree${horizontal === 1 ? '' : 's'}`);
+            parts.push(`${offsets.right > 0 ? 'right' : 'left'} ${horizontal}${unit}`);
+        }
+        return parts.join(', ') || 'hold steady';
+    }
+    
+    handleFraming(inFrame, target) {
+        if (!inFrame) {
+            this.inFrame = false;
+            this.inFrameSince = null;
+            this.captured = false;
+            return;
+        }
+        
+        const now = Date.now();
+        if (!this.inFrame) {
+            this.inFrame = true;
+            this.inFrameSince = now;
+            this.showNotification(`${target.name} is in frame`, 'success');
+            this.say(`${target.name} is in frame`);
+        }
+        
+        if (this.autoCapture && !this.captured && now - this.inFrameSince >= GUIDE_SETTLE_MS) {
+            this.capture();
+        }
+    }
+    
+    cue(offsets) {
+        const now = Date.now();
+        if (!this.speak || offsets.inFrame || now - this.lastCueAt < GUIDE_CUE_INTERVAL_MS) return;
+        this.lastCueAt = now;
+        this.say(this.describeDirections(offsets, false));
+    }
+    
+    say(text) {
+        if (!this.speak || !window.speechSynthesis) return;
+        window.speechSynthesis.cancel();
+        window.speechSynthesis.speak(new SpeechSynthesisUtterance(text));
+    }
+    
+    capture() {
+        if (!window.cameraController) return;
+        this.captured = true;
+        this.say('Capturing');
+        window.cameraController.captureImage();
+    }
+    
+    showNotification(message, type) {
+        if (window.drahmsVisionApp) {
+            window.drahmsVisionApp.showNotification(message, type);
+        }
+    }
+}
+
+// Initialize guide controller when the page loads
+document.addEventListener('DOMContentLoaded', () => {
+    window.guideController = new GuideController();
+});
@@ -1,17 +1,83 @@
 // Drahms Vision - Image Editor Module
 // Handles image processing, enhancement, and editing features
 
+const GALLERY_IMAGE_URL = /\/api\/gallery\/([^/]+)\/image$/;
+
+const DEFAULT_EDITOR_FILTERS = {
+    brightness: 0,
+    contrast: 0,
+    saturation: 0,
+    sharpness: 0,
+    gamma: 1,
+    levelsBlack: 0,
+    levelsWhite: 255,
+    curve: [],
+    blackPoint: 0,
+    stretch: 'none',
+    removeGradient: false
+};
+
+// Slider controls by the filter (and recipe operation) they set
+const FILTER_SLIDERS = {
+    brightness: 'brightness-slider',
+    contrast: 'contrast-slider',
+    saturation: 'saturation-slider',
+    sharpness: 'sharpness-slider',
+    gamma: 'gamma-slider',
+    levelsBlack: 'levels-black-slider',
+    levelsWhite: 'levels-white-slider',
+    blackPoint: 'black-point-slider'
+};
+
+// Sliders only step in whole numbers, so gamma is held in hundredths
+const SLIDER_SCALES = {
+    gamma: 100
+};
+
+// Curve points ([input, output] in 0-255) for the curve presets
+const CURVE_PRESETS = {
+    linear: { label: 'Linear', points: [] },
+    's-curve': { label: 'S-curve', points: [[64, 48], [192, 208]] },
+    'lift-shadows': { label: 'Lift shadows', points: [[64, 96]] },
+    'darken-midtones': { label: 'Darken midtones', points: [[128, 100]] }
+};
+
+// Longest edge of the copy the live preview works on
+const PREVIEW_MAX_SIZE = 1280;
+
+const STEP_LABELS = {
+    brightness: 'Brightness',
+    contrast: 'Contrast',
+    saturation: 'Saturation',
+    sharpness: 'Sharpness',
+    gamma: 'Gamma',
+    levelsBlack: 'Levels black',
+    levelsWhite: 'Levels white',
+    curve: 'Curve',
+    blackPoint: 'Black point',
+    stretch: 'Stretch',
+    removeGradient: 'Remove gradient',
+    reset: 'Reset'
+};
+
 class ImageEditorController {
     constructor() {
         this.currentImage = null;
         this.isProcessing = false;
+        // Edits as recipe steps ({ operation, value }); the first historyIndex are applied and
+        // the rest are there to redo
         this.editHistory = [];
-        this.currentFilters = {
-            brightness: 0,
-            contrast: 0,
-            saturation: 0,
-            sharpness: 0
-        };
+        this.historyIndex = 0;
+        this.currentFilters = { ...DEFAULT_EDITOR_FILTERS };
+        this.lastRender = null;
+        this.recipes = [];
+        this.recipeJobId = null;
+        this.worker = null;
+        this.workerJobs = new Map();
+        this.workerJobId = 0;
+        this.previewSource = null;
+        this.previewBusy = false;
+        this.previewPending = false;
         
         this.init();
     }
@@ -19,6 +85,9 @@ class ImageEditorController {
     init() {
         console.log('🎨 Initializing Image Editor Controller...');
         this.setupImageEditorUI();
+        this.setupPreviewWorker();
+        this.renderHistory();
+        this.loadRecipes();
     }
     
     setupImageEditorUI() {
@@ -50,6 +119,44 @@ class ImageEditorController {
                         <input type="range" id="sharpness-slider" min="0" max="100" value="0">
                         <span class="filter-value">0</span>
                     </div>
+                    <div class="filter-control">
+                        <label>Gamma</label>
+                        <input type="range" id="gamma-slider" min="10" max="500" value="100">
+                        <span class="filter-value">1</span>
+                    </div>
+                    <div class="filter-control">
+                        <label>Levels black</label>
+                        <input type="range" id="levels-black-slider" min="0" max="254" value="0">
+                        <span class="filter-value">0</span>
+                    </div>
+                    <div class="filter-control">
+                        <label>Levels white</label>
+                        <input type="range" id="levels-white-slider" min="1" max="255" value="255">
+                        <span class="filter-value">255</span>
+                    </div>
+                    <div class="filter-control">
+                        <label>Curve</label>
+                        <select id="curve-select" class="control-input">
+                            ${Object.entries(CURVE_PRESETS).map(([name, preset]) => `<option value="${name}">${preset.label}</option>`).join('')}
+                            <option value="custom" hidden>Custom</option>
+                        </select>
+                    </div>
+                    <div class="filter-control">
+                        <label>Black point</label>
+                        <input type="range" id="black-point-slider" min="0" max="100" value="0">
+                        <span class="filter-value">0</span>
+                    </div>
+                    <div class="filter-control">
+                        <label>Stretch</label>
+                        <select id="stretch-select" class="control-input">
+                            <option value="none">None</option>
+                            <option value="auto">Auto</option>
+                            <option value="asinh">Arcsinh</option>
+                        </select>
+                    </div>
+                    <div class="filter-control">
+                        <label><input type="checkbox" id="gradient-checkbox"> Remove gradient</label>
+                    </div>
                 </div>
                 <div class="editor-buttons">
                     <button id="enhance-btn" class="btn-secondary">Enhance</button>
@@ -65,43 +172,43 @@ class ImageEditorController {
     }
     
     setupFilterControls() {
-        // Brightness slider
-        const brightnessSlider = document.getElementById('brightness-slider');
-        if (brightnessSlider) {
-            brightnessSlider.addEventListener('input', (e) => {
-                this.currentFilters.brightness = parseInt(e.target.value);
-                this.updateFilterValue('brightness-slider', e.target.value);
+        // Sliders preview while dragging and become a history step when released
+        Object.entries(FILTER_SLIDERS).forEach(([operation, sliderId]) => {
+            const slider = document.getElementById(sliderId);
+            if (!slider) return;
+            
+            slider.addEventListener('input', (e) => {
+                this.currentFilters[operation] = this.sliderValue(operation, e.target.value);
+                this.updateFilterValue(sliderId, this.currentFilters[operation]);
                 this.previewFilter();
             });
-        }
+            slider.addEventListener('change', (e) => {
+                this.recordStep(operation, this.sliderValue(operation, e.target.value));
+            });
+        });
         
-        // Contrast slider
-        const contrastSlider = document.getElementById('contrast-slider');
-        if (contrastSlider) {
-            contrastSlider.addEventListener('input', (e) => {
-                this.currentFilters.contrast = parseInt(e.target.value);
-                this.updateFilterValue('contrast-slider', e.target.value);
-                this.previewFilter();
+        const curveSelect = document.getElementById('curve-select');
+        if (curveSelect) {
+            curveSelect.addEventListener('change', (e) => {
+                const preset = CURVE_PRESETS[e.target.value];
+                if (preset) {
+                    this.recordStep('curve', preset.points);
+                }
             });
         }
         
-        // Saturation slider
-        const saturationSlider = document.getElementById('saturation-slider');
-        if (saturationSlider) {
-            saturationSlider.addEventListener('input', (e) => {
-                this.currentFilters.saturation = parseInt(e.target.value);
-                this.updateFilterValue('saturation-slider', e.target.value);
-                this.previewFilter();
+        // Astro operations only run on the server, so they have no live preview
+        const stretchSelect = document.getElementById('stretch-select');
+        if (stretchSelect) {
+            stretchSelect.addEventListener('change', (e) => {
+                this.recordStep('stretch', e.target.value);
             });
         }
         
-        // Sharpness slider
-        const sharpnessSlider = document.getElementById('sharpness-slider');
-        if (sharpnessSlider) {
-            sharpnessSlider.addEventListener('input', (e) => {
-                this.currentFilters.sharpness = parseInt(e.target.value);
-                this.updateFilterValue('sharpness-slider', e.target.value);
-                this.previewFilter();
+        const gradientCheckbox = document.getElementById('gradient-checkbox');
+        if (gradientCheckbox) {
+            gradientCheckbox.addEventListener('change', (e) => {
+                this.recordStep('removeGradient', e.target.checked);
             });
         }
         
@@ -128,6 +235,14 @@ class ImageEditorController {
         }
     }
     
+    sliderValue(operation, sliderPosition) {
+        const value = parseInt(sliderPosition) / (SLIDER_SCALES[operation] || 1);
+        // The levels black point has to stay below the white point
+        if (operation === 'levelsBlack') return Math.min(value, this.currentFilters.levelsWhite - 1);
+        if (operation === 'levelsWhite') return Math.max(value, this.currentFilters.levelsBlack + 1);
+        return value;
+    }
+    
     updateFilterValue(sliderId, value) {
         const slider = document.getElementById(sliderId);
         if (slider) {
@@ -138,39 +253,417 @@ class ImageEditorController {
         }
     }
     
-    previewFilter() {
-        // Apply filters to current image preview
+    getFeedImage() {
         const cameraFeed = document.getElementById('camera-feed');
-        if (cameraFeed) {
-            const img = cameraFeed.querySelector('img');
-            if (img) {
-                this.applyFiltersToImage(img);
+        return cameraFeed ? cameraFeed.querySelector('img') : null;
+    }
+    
+    previewFilter() {
+        const img = this.getFeedImage();
+        if (img) {
+            // Edits after an enhance preview on the original again, not on top of the result
+            if (this.isShowingRender(img)) {
+                img.src = this.lastRender.sourceUrl;
             }
+            this.refreshPreview();
+        }
+    }
+    
+    isShowingRender(img) {
+        return Boolean(this.lastRender) && img.src.endsWith(this.lastRender.renderedUrl);
+    }
+    
+    // Pixel pipeline
+    setupPreviewWorker() {
+        if (!window.Worker) return;
+        
+        try {
+            this.worker = new Worker('js/image-worker.js');
+            this.worker.onmessage = (e) => this.handleWorkerMessage(e.data);
+            this.worker.onerror = (e) => {
+                // Without the worker the pipeline runs on the main thread
+                console.error('Image worker failed, processing on the main thread:', e.message);
+                this.worker = null;
+                this.workerJobs.forEach(job => job.reject(new Error('Image worker failed')));
+                this.workerJobs.clear();
+            };
+        } catch (error) {
+            console.error('Could not start the image worker:', error);
+            this.worker = null;
         }
     }
     
-    applyFiltersToImage(img) {
-        const filters = [];
+    getAdjustments() {
+        const adjustments = {};
+        Object.keys(ImageOps.DEFAULT_ADJUSTMENTS).forEach(name => {
+            adjustments[name] = this.currentFilters[name];
+        });
+        return adjustments;
+    }
+    
+    // Resolves to the processed { width, height, data } pixels; the input buffer is handed
+    // over to the worker, so callers must not reuse it
+    processPixels(pixels, adjustments) {
+        if (!this.worker) {
+            return Promise.resolve(ImageOps.applyAdjustments(pixels, adjustments));
+        }
+        
+        return new Promise((resolve, reject) => {
+            const id = ++this.workerJobId;
+            this.workerJobs.set(id, { resolve, reject });
+            this.worker.postMessage({
+                id,
+                task: 'adjust',
+                width: pixels.width,
+                height: pixels.height,
+                buffer: pixels.data.buffer,
+                adjustments
+            }, [pixels.data.buffer]);
+        });
+    }
+    
+    handleWorkerMessage({ id, width, height, buffer, error }) {
+        const job = this.workerJobs.get(id);
+        if (!job) return;
+        
+        this.workerJobs.delete(id);
+        if (error) {
+            job.reject(new Error(error));
+        } else {
+            job.resolve({ width, height, data: new Uint8ClampedArray(buffer) });
+        }
+    }
+    
+    // Reads an image's pixels, scaled down so its longest edge is at most maxSize
+    async readPixels(img, maxSize = Infinity) {
+        if (!img.complete || !img.naturalWidth) {
+            await new Promise((resolve, reject) => {
+                img.addEventListener('load', resolve, { once: true });
+                img.addEventListener('error', () => reject(new Error('Image failed to load')), { once: true });
+            });
+        }
         
-        if (this.currentFilters.brightness !== 0) {
-            filters.push(`brightness(${100 + this.currentFilters.brightness}%)`);
+        const scale = Math.min(1, maxSize / Math.max(img.naturalWidth, img.naturalHeight));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+        const context = canvas.getContext('2d');
+        context.drawImage(img, 0, 0, canvas.width, canvas.height);
+        
+        const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+        return { width: imageData.width, height: imageData.height, data: imageData.data };
+    }
+    
+    // Redraws the live preview canvas over the feed image. Runs one job at a time; edits made
+    // while a job is running are picked up by a single follow-up run.
+    async refreshPreview() {
+        if (this.previewBusy) {
+            this.previewPending = true;
+            return;
         }
         
-        if (this.currentFilters.contrast !== 0) {
-            filters.push(`contrast(${100 + this.currentFilters.contrast}%)`);
+        const img = this.getFeedImage();
+        const adjustments = this.getAdjustments();
+        if (!img || this.isShowingRender(img) || ImageOps.isNeutral(adjustments)) {
+            this.hidePreview();
+            return;
         }
         
-        if (this.currentFilters.saturation !== 0) {
-            filters.push(`saturate(${100 + this.currentFilters.saturation}%)`);
+        this.previewBusy = true;
+        try {
+            const sourceUrl = img.src;
+            if (!this.previewSource || this.previewSource.url !== sourceUrl) {
+                this.previewSource = { url: sourceUrl, pixels: await this.readPixels(img, PREVIEW_MAX_SIZE) };
+            }
+            
+            const { pixels } = this.previewSource;
+            const result = await this.processPixels({ ...pixels, data: pixels.data.slice() }, adjustments);
+            if (!this.previewPending && img.isConnected && img.src === sourceUrl) {
+                this.drawPreview(img, result);
+            }
+        } catch (error) {
+            console.error('Error rendering preview:', error);
+        } finally {
+            this.previewBusy = false;
+            if (this.previewPending) {
+                this.previewPending = false;
+                this.refreshPreview();
+            }
+        }
+    }
+    
+    drawPreview(img, pixels) {
+        let canvas = img.parentElement.querySelector('.editor-preview');
+        if (!canvas) {
+            canvas = document.createElement('canvas');
+            canvas.className = 'editor-preview';
+            img.after(canvas);
         }
         
-        if (this.currentFilters.sharpness > 0) {
-            // Apply sharpness using CSS filter (simplified)
-            const blur = Math.max(0, 1 - this.currentFilters.sharpness / 100);
-            filters.push(`blur(${blur}px)`);
+        canvas.width = pixels.width;
+        canvas.height = pixels.height;
+        canvas.getContext('2d').putImageData(new ImageData(pixels.data, pixels.width, pixels.height), 0, 0);
+    }
+    
+    hidePreview() {
+        const cameraFeed = document.getElementById('camera-feed');
+        const canvas = cameraFeed && cameraFeed.querySelector('.editor-preview');
+        if (canvas) {
+            canvas.remove();
         }
+    }
+    
+    // History
+    recordStep(operation, value) {
+        const step = operation === 'reset' ? { operation } : { operation, value };
+        const applied = this.foldSteps(this.getRecipeSteps());
+        if (operation !== 'reset' && JSON.stringify(applied[operation]) === JSON.stringify(value)) return;
         
-        img.style.filter = filters.join(' ');
+        // A new edit after an undo replaces whatever could have been redone
+        this.editHistory = [...this.getRecipeSteps(), step];
+        this.historyIndex = this.editHistory.length;
+        this.applyHistory();
+    }
+    
+    // Whether the editor is on screen with edits to step through; the undo and redo keys are
+    // only taken over from the browser while it is
+    isActive() {
+        const controls = document.querySelector('.image-editor-controls');
+        return Boolean(controls && controls.offsetParent !== null && this.editHistory.length);
+    }
+    
+    undo() {
+        if (this.historyIndex === 0) return;
+        this.historyIndex--;
+        this.applyHistory();
+    }
+    
+    redo() {
+        if (this.historyIndex >= this.editHistory.length) return;
+        this.historyIndex++;
+        this.applyHistory();
+    }
+    
+    jumpToStep(index) {
+        this.historyIndex = Math.max(0, Math.min(this.editHistory.length, index));
+        this.applyHistory();
+    }
+    
+    applyHistory() {
+        this.currentFilters = this.foldSteps(this.getRecipeSteps());
+        this.syncControls();
+        this.previewFilter();
+        this.renderHistory();
+    }
+    
+    // Same rules as the server: each step sets one filter, reset restores the defaults
+    foldSteps(steps) {
+        return steps.reduce((filters, step) => step.operation === 'reset'
+            ? { ...DEFAULT_EDITOR_FILTERS }
+            : { ...filters, [step.operation]: step.value }, { ...DEFAULT_EDITOR_FILTERS });
+    }
+    
+    getRecipeSteps() {
+        return this.editHistory.slice(0, this.historyIndex);
+    }
+    
+    syncControls() {
+        Object.entries(FILTER_SLIDERS).forEach(([operation, sliderId]) => {
+            const slider = document.getElementById(sliderId);
+            if (slider) {
+                slider.value = this.currentFilters[operation] * (SLIDER_SCALES[operation] || 1);
+                this.updateFilterValue(sliderId, this.currentFilters[operation]);
+            }
+        });
+        
+        const curveSelect = document.getElementById('curve-select');
+        if (curveSelect) curveSelect.value = this.curvePresetName(this.currentFilters.curve);
+        
+        const stretchSelect = document.getElementById('stretch-select');
+        if (stretchSelect) stretchSelect.value = this.currentFilters.stretch;
+        const gradientCheckbox = document.getElementById('gradient-checkbox');
+        if (gradientCheckbox) gradientCheckbox.checked = this.currentFilters.removeGradient;
+    }
+    
+    curvePresetName(points) {
+        const key = JSON.stringify(points);
+        const match = Object.entries(CURVE_PRESETS).find(([, preset]) => JSON.stringify(preset.points) === key);
+        return match ? match[0] : 'custom';
+    }
+    
+    formatStep(step) {
+        const label = STEP_LABELS[step.operation] || step.operation;
+        if (step.operation === 'reset') return label;
+        if (typeof step.value === 'boolean') return `${label}: ${step.value ? 'on' : 'off'}`;
+        if (step.operation === 'curve') {
+            const preset = CURVE_PRESETS[this.curvePresetName(step.value)];
+            return `${label}: ${preset ? preset.label : `${step.value.length} points`}`;
+        }
+        return `${label}: ${step.value}`;
+    }
+    
+    renderHistory() {
+        const workspace = document.getElementById('editor-workspace');
+        if (!workspace) return;
+        
+        workspace.innerHTML = `
+            <div class="edit-history">
+                <div class="edit-history-header">
+                    <h4>History</h4>
+                    <button class="btn-secondary" id="undo-btn" title="Undo (Ctrl+Z)"${this.historyIndex === 0 ? ' disabled' : ''}>
+                        <i class="fas fa-undo"></i>
+                    </button>
+                    <button class="btn-secondary" id="redo-btn" title="Redo (Ctrl+Y)"${this.historyIndex >= this.editHistory.length ? ' disabled' : ''}>
+                        <i class="fas fa-redo"></i>
+                    </button>
+                </div>
+                <ol class="edit-history-list">
+                    <li class="edit-history-step${this.historyIndex === 0 ? ' current' : ''}" data-index="0">Original</li>
+                    ${this.editHistory.map((step, index) => `
+                        <li class="edit-history-step${index + 1 === this.historyIndex ? ' current' : ''}${index >= this.historyIndex ? ' undone' : ''}" data-index="${index + 1}">
+                            ${this.formatStep(step)}
+                        </li>
+                    `).join('')}
+                </ol>
+            </div>
+            <div class="recipe-controls">
+                <h4>Recipes</h4>
+                <div class="recipe-row">
+                    <input type="text" class="control-input" id="recipe-name" placeholder="Recipe name" maxlength="64">
+                    <button class="btn-secondary" id="save-recipe-btn"${this.historyIndex === 0 ? ' disabled' : ''}>Save</button>
+                </div>
+                <div class="recipe-row">
+                    <select class="control-input" id="recipe-select">
+                        ${this.recipes.length
+                            ? this.recipes.map(recipe => `<option value="${escapeHtml(recipe.name)}">${escapeHtml(recipe.name)} (${recipe.steps.length} steps)</option>`).join('')
+                            : '<option value="">No saved recipes</option>'}
+                    </select>
+                    <button class="btn-secondary" id="load-recipe-btn" title="Load into the editor"${this.recipes.length ? '' : ' disabled'}>Load</button>
+                    <button class="btn-secondary" id="apply-recipe-btn" title="Enhance the selected gallery items"${this.recipes.length && !this.recipeJobId ? '' : ' disabled'}>
+                        ${this.recipeJobId ? 'Applying...' : 'Apply to selected'}
+                    </button>
+                </div>
+            </div>
+        `;
+        
+        workspace.querySelectorAll('.edit-history-step').forEach(item => {
+            item.addEventListener('click', () => {
+                this.jumpToStep(parseInt(item.dataset.index));
+            });
+        });
+        document.getElementById('undo-btn').addEventListener('click', () => this.undo());
+        document.getElementById('redo-btn').addEventListener('click', () => this.redo());
+        document.getElementById('save-recipe-btn').addEventListener('click', () => this.saveRecipe());
+        document.getElementById('load-recipe-btn').addEventListener('click', () => this.loadRecipe());
+        document.getElementById('apply-recipe-btn').addEventListener('click', () => this.applyRecipeToSelection());
+    }
+    
+    // Recipes
+    async loadRecipes() {
+        try {
+            const response = await fetch('/api/recipes');
+            if (!response.ok) {
+                throw new Error('Recipe request failed');
+            }
+            this.recipes = (await response.json()).recipes;
+            this.renderHistory();
+        } catch (error) {
+            console.error('Error loading recipes:', error);
+        }
+    }
+    
+    async saveRecipe() {
+        const nameInput = document.getElementById('recipe-name');
+        const name = nameInput ? nameInput.value.trim() : '';
+        if (!name) {
+            this.showNotification('Give the recipe a name first', 'info');
+            return;
+        }
+        
+        try {
+            const response = await fetch(`/api/recipes/${encodeURIComponent(name)}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ steps: this.getRecipeSteps() })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || result.error || 'Recipe save failed');
+            }
+            
+            this.showNotification(`Recipe "${result.recipe.name}" saved`, 'success');
+            await this.loadRecipes();
+        } catch (error) {
+            console.error('Error saving recipe:', error);
+            this.showNotification(`Could not save recipe: ${error.message}`, 'error');
+        }
+    }
+    
+    getSelectedRecipe() {
+        const recipeSelect = document.getElementById('recipe-select');
+        return recipeSelect ? this.recipes.find(recipe => recipe.name === recipeSelect.value) : null;
+    }
+    
+    // Replaces the history with a saved recipe, ready to preview and enhance
+    loadRecipe() {
+        const recipe = this.getSelectedRecipe();
+        if (!recipe) return;
+        
+        this.editHistory = recipe.steps.map(step => ({ ...step }));
+        this.historyIndex = this.editHistory.length;
+        this.applyHistory();
+        this.showNotification(`Recipe "${recipe.name}" loaded`, 'info');
+    }
+    
+    async applyRecipeToSelection() {
+        const recipe = this.getSelectedRecipe();
+        const captureIds = window.drahmsVisionApp ? Array.from(window.drahmsVisionApp.selectedCaptures) : [];
+        if (!recipe) return;
+        if (captureIds.length === 0) {
+            this.showNotification('Select gallery items to apply the recipe to', 'info');
+            return;
+        }
+        
+        try {
+            const response = await fetch(`/api/recipes/${encodeURIComponent(recipe.name)}/apply`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ captureIds })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || result.error || 'Recipe request failed');
+            }
+            
+            this.recipeJobId = result.jobId;
+            this.renderHistory();
+            this.showNotification(`Applying "${recipe.name}" to ${captureIds.length} capture(s)...`, 'info');
+        } catch (error) {
+            console.error('Error applying recipe:', error);
+            this.showNotification(`Could not apply recipe: ${error.message}`, 'error');
+        }
+    }
+    
+    handleRecipeProgress(progress) {
+        if (progress.jobId !== this.recipeJobId) return;
+        const applyBtn = document.getElementById('apply-recipe-btn');
+        if (applyBtn) {
+            applyBtn.textContent = `Applying ${progress.current}/${progress.total}`;
+        }
+    }
+    
+    handleRecipeComplete(result) {
+        if (result.jobId !== this.recipeJobId) return;
+        this.recipeJobId = null;
+        this.renderHistory();
+        this.showNotification(
+            `Recipe "${result.recipe}" applied to ${result.succeeded} capture(s)${result.failed ? `, ${result.failed} failed` : ''}`,
+            result.failed ? 'error' : 'success'
+        );
     }
     
     async enhanceImage() {
@@ -187,13 +680,14 @@ class ImageEditorController {
             
             if (imageData) {
                 const enhancedImage = await this.sendForEnhancement(imageData);
-                this.handleEnhancedImage(enhancedImage);
+                this.handleEnhancedImage(enhancedImage, imageData);
             } else {
                 console.log('No image available for enhancement');
+                this.showNotification('No image to enhance yet', 'info');
             }
         } catch (error) {
             console.error('Error during image enhancement:', error);
-            this.showNotification('Enhancement failed', 'error');
+            this.showNotification(`Enhancement failed: ${error.message}`, 'error');
         } finally {
             this.isProcessing = false;
             this.updateEnhanceButton();
@@ -205,7 +699,8 @@ class ImageEditorController {
         if (cameraFeed) {
             const img = cameraFeed.querySelector('img');
             if (img && img.src) {
-                return img.src;
+                // The recipe always runs on the original, never on a previous result
+                return this.isShowingRender(img) ? this.lastRender.sourceUrl : img.src;
             }
         }
         return null;
@@ -213,32 +708,40 @@ class ImageEditorController {
     
     async sendForEnhancement(imageData) {
         try {
+            // Gallery images are processed from the stored file, live frames are posted
+            const galleryMatch = GALLERY_IMAGE_URL.exec(imageData);
+            const steps = this.getRecipeSteps();
+            const source = galleryMatch
+                ? { captureId: decodeURIComponent(galleryMatch[1]) }
+                : { image: imageData };
+            
             const response = await fetch('/api/image/enhance', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
                 body: JSON.stringify({
-                    image: imageData,
-                    filters: this.currentFilters
+                    ...source,
+                    recipe: { steps }
                 })
             });
             
-            if (response.ok) {
-                return await response.json();
-            } else {
-                throw new Error('Enhancement request failed');
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || result.error || 'Enhancement request failed');
             }
+            return result;
         } catch (error) {
             console.error('Error sending image for enhancement:', error);
             throw error;
         }
     }
     
-    handleEnhancedImage(result) {
-        if (result.success && result.enhanced) {
+    handleEnhancedImage(result, sourceUrl) {
+        if (result.success && result.enhanced && result.imageUrl) {
             this.showNotification('Image enhanced successfully!', 'success');
-            // Apply enhanced image to display
+            // The history stays with the original, so further edits start from it again
+            this.lastRender = { sourceUrl, renderedUrl: result.imageUrl };
             this.displayEnhancedImage(result.imageUrl);
         } else {
             this.showNotification('Enhancement failed', 'error');
@@ -250,52 +753,65 @@ class ImageEditorController {
         if (cameraFeed) {
             const img = cameraFeed.querySelector('img');
             if (img) {
+                // The render already has the adjustments baked in
+                this.hidePreview();
                 img.src = imageUrl;
             }
         }
     }
     
     resetFilters() {
-        this.currentFilters = {
-            brightness: 0,
-            contrast: 0,
-            saturation: 0,
-            sharpness: 0
-        };
-        
-        // Reset sliders
-        const sliders = ['brightness-slider', 'contrast-slider', 'saturation-slider', 'sharpness-slider'];
-        sliders.forEach(sliderId => {
-            const slider = document.getElementById(sliderId);
-            if (slider) {
-                slider.value = 0;
-                this.updateFilterValue(sliderId, 0);
-            }
-        });
-        
-        // Reset image
-        this.previewFilter();
+        // Recorded like any other edit, so a reset can be undone
+        this.recordStep('reset');
         this.showNotification('Filters reset', 'info');
     }
     
-    saveImage() {
-        const cameraFeed = document.getElementById('camera-feed');
-        if (cameraFeed) {
-            const img = cameraFeed.querySelector('img');
-            if (img && img.src) {
-                // Create download link
-                const link = document.createElement('a');
+    // Downloads what the preview shows: the adjustments are run over the full-resolution
+    // pixels, so the file matches the edit rather than the unedited frame
+    async saveImage() {
+        const img = this.getFeedImage();
+        if (!img || !img.src) {
+            this.showNotification('No image to save', 'error');
+            return;
+        }
+        
+        try {
+            const adjustments = this.getAdjustments();
+            const link = document.createElement('a');
+            let objectUrl = null;
+            
+            if (this.isShowingRender(img) || ImageOps.isNeutral(adjustments)) {
                 link.href = img.src;
                 link.download = `drahms-vision-${Date.now()}.jpg`;
-                link.click();
-                
-                this.showNotification('Image saved successfully!', 'success');
             } else {
-                this.showNotification('No image to save', 'error');
+                const pixels = await this.processPixels(await this.readPixels(img), adjustments);
+                objectUrl = URL.createObjectURL(await this.encodePixels(pixels));
+                link.href = objectUrl;
+                link.download = `drahms-vision-${Date.now()}.png`;
+            }
+            link.click();
+            if (objectUrl) {
+                setTimeout(() => URL.revokeObjectURL(objectUrl), 1000);
             }
+            
+            this.showNotification('Image saved successfully!', 'success');
+        } catch (error) {
+            console.error('Error saving image:', error);
+            this.showNotification(`Could not save image: ${error.message}`, 'error');
         }
     }
     
+    encodePixels(pixels) {
+        const canvas = document.createElement('canvas');
+        canvas.width = pixels.width;
+        canvas.height = pixels.height;
+        canvas.getContext('2d').putImageData(new ImageData(pixels.data, pixels.width, pixels.height), 0, 0);
+        
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not encode image')), 'image/png');
+        });
+    }
+    
     updateEnhanceButton() {
         const enhanceBtn = document.getElementById('enhance-btn');
         if (enhanceBtn) {
@@ -0,0 +1,284 @@
+// Drahms Vision - Image Operations
+// Pixel adjustments on RGBA images: levels, gamma, curves, brightness, contrast, saturation and
+// unsharp masking, plus the channel statistics behind the feed histogram. The same code runs
+// in the editor's Web Worker for the live preview and on the server for /api/image/enhance,
+// so what the preview shows is what gets saved.
+
+(function (root) {
+    const DEFAULT_ADJUSTMENTS = {
+        levelsBlack: 0,
+        levelsWhite: 255,
+        gamma: 1,
+        curve: [],           // [[input, output], ...] in 0-255, input ascending
+        brightness: 0,
+        contrast: 0,
+        saturation: 0,
+        sharpness: 0
+    };
+    
+    const LUMA = [0.2126, 0.7152, 0.0722];
+    const SHARPEN_SIGMA = 1;       // pixels
+    const MAX_SHARPEN_AMOUNT = 2;
+    
+    function clampByte(value) {
+        return value <= 0 ? 0 : value >= 255 ? 255 : Math.round(value);
+    }
+    
+    function withDefaults(adjustments) {
+        return { ...DEFAULT_ADJUSTMENTS, ...adjustments };
+    }
+    
+    function isNeutral(adjustments) {
+        const settings = withDefaults(adjustments);
+        return settings.levelsBlack === 0 && settings.levelsWhite === 255 && settings.gamma === 1 &&
+            settings.curve.length === 0 && settings.brightness === 0 && settings.contrast === 0 &&
+            settings.saturation === 0 && settings.sharpness === 0;
+    }
+    
+    // Monotone cubic (Fritsch-Carlson) through the curve points, so the curve never overshoots
+    // and dark tones never end up brighter than lighter ones. (0,0) and (255,255) are implied.
+    function curveTable(points) {
+        const knots = points.map(([x, y]) => [x, y]);
+        if (knots.length === 0 || knots[0][0] > 0) knots.unshift([0, 0]);
+        if (knots[knots.length - 1][0] < 255) knots.push([255, 255]);
+        
+        const n = knots.length;
+        const slopes = [];
+        for (let i = 0; i < n - 1; i++) {
+            slopes.push((knots[i + 1][1] - knots[i][1]) / (knots[i + 1][0] - knots[i][0]));
+        }
+        const tangents = [slopes[0]];
+        for (let i = 1; i < n - 1; i++) {
+            tangents.push(slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2);
+        }
+        tangents.push(slopes[n - 2]);
+        for (let i = 0; i < n - 1; i++) {
+            if (slopes[i] === 0) {
+                tangents[i] = 0;
+                tangents[i + 1] = 0;
+                continue;
+            }
+            const a = tangents[i] / slopes[i];
+            const b = tangents[i + 1] / slopes[i];
+            const length = Math.hypot(a, b);
+            if (length > 3) {
+                tangents[i] = 3 * a / length * slopes[i];
+                tangents[i + 1] = 3 * b / length * slopes[i];
+            }
+        }
+        
+        const table = new Float32Array(256);
+        let segment = 0;
+        for (let x = 0; x < 256; x++) {
+            while (segment < n - 2 && x > knots[segment + 1][0]) segment++;
+            const [x0, y0] = knots[segment];
+            const [x1, y1] = knots[segment + 1];
+            const h = x1 - x0;
+            const t = Math.min(1, Math.max(0, (x - x0) / h));
+            const t2 = t * t;
+            const t3 = t2 * t;
+            table[x] = (2 * t3 - 3 * t2 + 1) * y0 + (t3 - 2 * t2 + t) * h * tangents[segment] +
+                (-2 * t3 + 3 * t2) * y1 + (t3 - t2) * h * tangents[segment + 1];
+        }
+        return table;
+    }
+    
+    // Levels, gamma, curve, brightness and contrast are all per-value, so they fold into one table
+    function toneTable(settings) {
+        const curve = settings.curve.length ? curveTable(settings.curve) : null;
+        const range = Math.max(1, settings.levelsWhite - settings.levelsBlack);
+        const brightness = 1 + settings.brightness / 100;
+        const contrast = 1 + settings.contrast / 100;
+        const table = new Uint8Array(256);
+        
+        for (let value = 0; value < 256; value++) {
+            let x = Math.min(1, Math.max(0, (value - settings.levelsBlack) / range));
+            x = Math.pow(x, 1 / settings.gamma);
+            if (curve) {
+                const position = x * 255;
+                const low = Math.floor(position);
+                const high = Math.min(255, low + 1);
+                x = (curve[low] + (curve[high] - curve[low]) * (position - low)) / 255;
+            }
+            x *= brightness;
+            x = (x - 0.5) * contrast + 0.5;
+            table[value] = clampByte(x * 255);
+        }
+        return table;
+    }
+    
+    function applyTable(data, table) {
+        for (let i = 0; i < data.length; i += 4) {
+            data[i] = table[data[i]];
+            data[i + 1] = table[data[i + 1]];
+            data[i + 2] = table[data[i + 2]];
+        }
+    }
+    
+    function applySaturation(data, saturation) {
+        const amount = 1 + saturation / 100;
+        for (let i = 0; i < data.length; i += 4) {
+            const r = data[i];
+            const g = data[i + 1];
+            const b = data[i + 2];
+            const luminance = LUMA[0] * r + LUMA[1] * g + LUMA[2] * b;
+            data[i] = clampByte(luminance + (r - luminance) * amount);
+            data[i + 1] = clampByte(luminance + (g - luminance) * amount);
+            data[i + 2] = clampByte(luminance + (b - luminance) * amount);
+        }
+    }
+    
+    // Unsharp mask: adds back the difference between the image and a Gaussian-blurred copy
+    function unsharpMask(image, sharpness) {
+        const { width, height, data } = image;
+        const amount = MAX_SHARPEN_AMOUNT * sharpness / 100;
+        const radius = Math.ceil(3 * SHARPEN_SIGMA);
+        const kernel = [];
+        for (let k = -radius; k <= radius; k++) {
+            kernel.push(Math.exp(-(k * k) / (2 * SHARPEN_SIGMA * SHARPEN_SIGMA)));
+        }
+        const total = kernel.reduce((sum, weight) => sum + weight, 0);
+        const weights = kernel.map(weight => weight / total);
+        
+        const scratch = new Float32Array(width * height);
+        const blurred = new Float32Array(width * height);
+        for (let channel = 0; channel < 3; channel++) {
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    let sum = 0;
+                    for (let k = -radius; k <= radius; k++) {
+                        const sx = Math.min(width - 1, Math.max(0, x + k));
+                        sum += weights[k + radius] * data[(y * width + sx) * 4 + channel];
+                    }
+                    scratch[y * width + x] = sum;
+                }
+            }
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    let sum = 0;
+                    for (let k = -radius; k <= radius; k++) {
+                        const sy = Math.min(height - 1, Math.max(0, y + k));
+                        sum += weights[k + radius] * scratch[sy * width + x];
+                    }
+                    blurred[y * width + x] = sum;
+                }
+            }
+            for (let i = 0; i < blurred.length; i++) {
+                const index = i * 4 + channel;
+                data[index] = clampByte(data[index] + amount * (data[index] - blurred[i]));
+            }
+        }
+    }
+    
+    // Applies every adjustment to image.data ({ width, height, data } RGBA) in place
+    function applyAdjustments(image, adjustments) {
+        const settings = withDefaults(adjustments);
+        
+        const table = toneTable(settings);
+        if (!table.every((value, index) => value === index)) {
+            applyTable(image.data, table);
+        }
+        if (settings.saturation !== 0) {
+            applySaturation(image.data, settings.saturation);
+        }
+        if (settings.sharpness > 0) {
+            unsharpMask(image, settings.sharpness);
+        }
+        return image;
+    }
+    
+    function medianOf(histogram, count) {
+        let seen = 0;
+        for (let value = 0; value < histogram.length; value++) {
+            seen += histogram[value];
+            if (seen * 2 >= count) return value;
+        }
+        return 0;
+    }
+    
+    // Histograms (256 bins) and min/max/mean/median for red, green, blue and luminance, plus
+    // the share of pixels with any channel clipped at 255 (highlights) or 0 (shadows)
+    function channelStats(image) {
+        const { data } = image;
+        const pixels = data.length / 4;
+        const names = ['red', 'green', 'blue', 'luminance'];
+        const histograms = names.map(() => new Uint32Array(256));
+        let highlights = 0;
+        let shadows = 0;
+        
+        for (let i = 0; i < data.length; i += 4) {
+            const r = data[i];
+            const g = data[i + 1];
+            const b = data[i + 2];
+            histograms[0][r]++;
+            histograms[1][g]++;
+            histograms[2][b]++;
+            histograms[3][clampByte(LUMA[0] * r + LUMA[1] * g + LUMA[2] * b)]++;
+            if (r === 255 || g === 255 || b === 255) highlights++;
+            if (r === 0 || g === 0 || b === 0) shadows++;
+        }
+        
+        const channels = {};
+        names.forEach((name, index) => {
+            const histogram = histograms[index];
+            let min = 255;
+            let max = 0;
+            let total = 0;
+            for (let value = 0; value < 256; value++) {
+                if (!histogram[value]) continue;
+                min = Math.min(min, value);
+                max = Math.max(max, value);
+                total += value * histogram[value];
+            }
+            channels[name] = {
+                histogram,
+                min: pixels ? min : 0,
+                max,
+                mean: pixels ? total / pixels : 0,
+                median: medianOf(histogram, pixels)
+            };
+        });
+        
+        return {
+            width: image.width,
+            height: image.height,
+            pixels,
+            channels,
+            clipped: {
+                highlights: pixels ? 100 * highlights / pixels : 0,
+                shadows: pixels ? 100 * shadows / pixels : 0
+            }
+        };
+    }
+    
+    // Per-pixel flags for the zebra overlay, counted the same way as channelStats: 1 where a
+    // channel is clipped at 255, otherwise 2 where a channel is clipped at 0
+    function clippingMask(image) {
+        const { data } = image;
+        const mask = new Uint8Array(data.length / 4);
+        for (let i = 0, pixel = 0; i < data.length; i += 4, pixel++) {
+            if (data[i] === 255 || data[i + 1] === 255 || data[i + 2] === 255) {
+                mask[pixel] = 1;
+            } else if (data[i] === 0 || data[i + 1] === 0 || data[i + 2] === 0) {
+                mask[pixel] = 2;
+            }
+        }
+        return mask;
+    }
+    
+    const ImageOps = {
+        DEFAULT_ADJUSTMENTS,
+        isNeutral,
+        curveTable,
+        toneTable,
+        applyAdjustments,
+        channelStats,
+        clippingMask
+    };
+    
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ImageOps;
+    } else {
+        root.ImageOps = ImageOps;
+    }
+})(typeof self !== 'undefined' ? self : this);
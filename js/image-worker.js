@@ -0,0 +1,26 @@
+// Drahms Vision - Image Worker
+// Runs pixel work off the main thread. Each message carries an RGBA buffer and a task:
+// 'adjust' runs the editor's pipeline and transfers the processed buffer back, 'stats'
+// measures the frame for the feed histogram. Replies carry the request's id.
+
+importScripts('image-ops.js');
+
+self.onmessage = (event) => {
+    const { id, task = 'adjust', width, height, buffer, adjustments, mask } = event.data;
+    
+    try {
+        const image = { width, height, data: new Uint8ClampedArray(buffer) };
+        
+        if (task === 'stats') {
+            const stats = ImageOps.channelStats(image);
+            const clipping = mask ? ImageOps.clippingMask(image) : null;
+            self.postMessage({ id, stats, mask: clipping }, clipping ? [clipping.buffer] : []);
+            return;
+        }
+        
+        ImageOps.applyAdjustments(image, adjustments);
+        self.postMessage({ id, width, height, buffer: image.data.buffer }, [image.data.buffer]);
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
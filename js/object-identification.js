@@ -1,11 +1,13 @@
 // Drahms Vision - Object Identification Module
-// Handles AI-powered object recognition and identification
+// Plate-solves the frame in the camera view and labels the stars, deep-sky objects and planets in it
+
+const GALLERY_IMAGE_PATTERN = /\/api\/gallery\/([^/]+)\/image$/;
 
 class ObjectIdentificationController {
     constructor() {
         this.isIdentifying = false;
+        this.lastSolution = null;
         this.lastResults = [];
-        this.confidenceThreshold = 0.7;
         
         this.init();
     }
@@ -13,6 +15,11 @@ class ObjectIdentificationController {
     init() {
         console.log('🔍 Initializing Object Identification Controller...');
         this.setupIdentificationUI();
+        
+        // Overlay labels follow the image as the viewport is resized
+        window.addEventListener('resize', () => {
+            if (this.lastSolution) this.drawOverlay(this.lastSolution);
+        });
     }
     
     setupIdentificationUI() {
@@ -48,11 +55,11 @@ class ObjectIdentificationController {
                 const results = await this.sendForIdentification(imageData);
                 this.handleIdentificationResults(results);
             } else {
-                console.log('No image available for identification');
+                this.showNotification('No image to identify yet', 'info');
             }
         } catch (error) {
             console.error('Error during object identification:', error);
-            this.showNotification('Identification failed', 'error');
+            this.showNotification(`Identification failed: ${error.message}`, 'error');
         } finally {
             this.isIdentifying = false;
             this.updateIdentifyButton();
@@ -72,70 +79,149 @@ class ObjectIdentificationController {
     }
     
     async sendForIdentification(imageData) {
-        try {
-            const response = await fetch('/api/identify', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify({
-                    image: imageData,
-                    confidence_threshold: this.confidenceThreshold
-                })
-            });
-            
-            if (response.ok) {
-                return await response.json();
-            } else {
-                throw new Error('Identification request failed');
-            }
-        } catch (error) {
-            console.error('Error sending image for identification:', error);
-            throw error;
+        // Gallery images are solved on the server from the stored file, live frames are posted
+        const galleryMatch = GALLERY_IMAGE_PATTERN.exec(imageData);
+        const body = galleryMatch
+            ? { captureId: decodeURIComponent(galleryMatch[1]) }
+            : { image: imageData, time: new Date().toISOString() };
+        
+        const response = await fetch('/api/identify', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(body)
+        });
+        
+        const results = await response.json();
+        if (!response.ok) {
+            throw new Error(results.message || results.error || 'Identification request failed');
         }
+        return results;
     }
     
     handleIdentificationResults(results) {
-        this.lastResults = results.results || [];
-        
-        if (this.lastResults.length > 0) {
-            this.displayResults(this.lastResults);
-            this.showNotification(`Identified ${this.lastResults.length} object(s)`, 'success');
-        } else {
-            this.showNotification('No objects identified', 'info');
+        if (!results.solved) {
+            this.lastSolution = null;
+            this.lastResults = [];
+            this.displayUnsolved(results);
+            this.clearOverlay();
+            this.showNotification(results.message || 'Could not solve this field', 'info');
+            return;
         }
+        
+        const objects = results.objects || { stars: [], deepSky: [], solarSystem: [] };
+        this.lastSolution = results;
+        this.lastResults = [...objects.solarSystem, ...objects.deepSky, ...objects.stars];
+        
+        this.displayResults(results);
+        this.drawOverlay(results);
+        this.showNotification(`Field solved: ${this.lastResults.length} object(s) labelled`, 'success');
     }
     
-    displayResults(results) {
-        // Create results display
-        const resultsContainer = document.createElement('div');
-        resultsContainer.className = 'identification-results';
+    displayResults(solution) {
+        const resultsContainer = document.getElementById('identification-results');
+        if (!resultsContainer) return;
+        
+        const { stars, deepSky, solarSystem } = solution.objects;
+        const fov = solution.fieldOfView;
+        
         resultsContainer.innerHTML = `
-            <h3>Identified Objects</h3>
+            <div class="plate-solution">
+                <h3>Solved Field</h3>
+                <p>Centre: RA ${this.formatRa(solution.center.ra)} &nbsp; Dec ${this.formatDec(solution.center.dec)}</p>
+                <p>Field of view: ${fov.width.toFixed(2)}° × ${fov.height.toFixed(2)}°</p>
+                <p>Scale: ${solution.pixelScale.toFixed(2)}″/px &nbsp; Rotation: ${solution.rotation.toFixed(1)}°${solution.mirrored ? ' (mirrored)' : ''}</p>
+                <p>Matched ${solution.matchedStars} of ${solution.detectedStars} detected stars, RMS ${solution.rms}″</p>
+            </div>
+            ${this.renderObjectGroup('Solar System', solarSystem)}
+            ${this.renderObjectGroup('Deep Sky', deepSky)}
+            ${this.renderObjectGroup('Stars', stars)}
+        `;
+    }
+    
+    renderObjectGroup(title, objects) {
+        if (!objects.length) return '';
+        
+        return `
+            <h4>${title}</h4>
             <div class="results-list">
-                ${results.map(result => `
+                ${objects.map(object => `
                     <div class="result-item">
-                        <div class="result-label">${result.label}</div>
-                        <div class="result-confidence">${(result.confidence * 100).toFixed(1)}%</div>
-                        <div class="result-type">${result.type || 'Unknown'}</div>
+                        <div class="result-label">${object.name}</div>
+                        <div class="result-type">${[object.designation !== object.name && object.designation, object.type].filter(Boolean).join(' · ')}</div>
+                        <div class="result-magnitude">${object.magnitude !== null && object.magnitude !== undefined ? `mag ${object.magnitude.toFixed(1)}` : ''}</div>
                     </div>
                 `).join('')}
             </div>
         `;
+    }
+    
+    displayUnsolved(results) {
+        const resultsContainer = document.getElementById('identification-results');
+        if (!resultsContainer) return;
         
-        // Remove existing results
-        const existingResults = document.querySelector('.identification-results');
-        if (existingResults) {
-            existingResults.remove();
-        }
+        resultsContainer.innerHTML = `
+            <div class="results-placeholder">
+                <i class="fas fa-question-circle"></i>
+                <p>${results.message || 'Could not solve this field'}</p>
+                <p>${results.detectedStars || 0} star(s) detected</p>
+            </div>
+        `;
+    }
+    
+    // Labels over the camera view; the feed image is drawn with object-fit: cover,
+    // so solution pixels are scaled and cropped the same way
+    drawOverlay(solution) {
+        const cameraFeed = document.getElementById('camera-feed');
+        const img = cameraFeed && cameraFeed.querySelector('img');
+        if (!img) return;
         
-        // Add new results
-        document.body.appendChild(resultsContainer);
+        this.clearOverlay();
+        const overlay = document.createElement('div');
+        overlay.className = 'identification-overlay';
         
-        // Remove after 10 seconds
-        setTimeout(() => {
-            resultsContainer.remove();
-        }, 10000);
+        const { width, height } = solution.imageSize;
+        const scale = Math.max(img.clientWidth / width, img.clientHeight / height);
+        const offsetX = img.offsetLeft + (img.clientWidth - width * scale) / 2;
+        const offsetY = img.offsetTop + (img.clientHeight - height * scale) / 2;
+        
+        this.lastResults.forEach(object => {
+            const x = offsetX + object.x * scale;
+            const y = offsetY + object.y * scale;
+            if (x < img.offsetLeft || y < img.offsetTop ||
+                x > img.offsetLeft + img.clientWidth || y > img.offsetTop + img.clientHeight) return;
+                
+            const label = document.createElement('div');
+            label.className = `identification-label ${object.type === 'star' ? 'star' : 'highlight'}`;
+            label.style.left = `${x}px`;
+            label.style.top = `${y}px`;
+            label.textContent = object.name;
+            overlay.appendChild(label);
+        });
+        
+        cameraFeed.appendChild(overlay);
+    }
+    
+    clearOverlay() {
+        const existingOverlay = document.querySelector('.identification-overlay');
+        if (existingOverlay) {
+            existingOverlay.remove();
+        }
+    }
+    
+    formatRa(ra) {
+        const totalSeconds = Math.round(ra / 15 * 3600) % 86400;
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor(totalSeconds / 60) % 60;
+        return `${hours}h ${String(minutes).padStart(2, '0')}m ${String(totalSeconds % 60).padStart(2, '0')}s`;
+    }
+    
+    formatDec(dec) {
+        const totalSeconds = Math.round(Math.abs(dec) * 3600);
+        const degrees = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor(totalSeconds / 60) % 60;
+        return `${dec < 0 ? '−' : '+'}${degrees}° ${String(minutes).padStart(2, '0')}′ ${String(totalSeconds % 60).padStart(2, '0')}″`;
     }
     
     updateIdentifyButton() {
@@ -157,9 +243,8 @@ class ObjectIdentificationController {
         }
     }
     
-    setConfidenceThreshold(threshold) {
-        this.confidenceThreshold = Math.max(0, Math.min(1, threshold));
-        console.log(`Confidence threshold set to: ${this.confidenceThreshold}`);
+    getLastSolution() {
+        return this.lastSolution;
     }
     
     getLastResults() {
@@ -167,10 +252,18 @@ class ObjectIdentificationController {
     }
     
     clearResults() {
+        this.lastSolution = null;
         this.lastResults = [];
-        const existingResults = document.querySelector('.identification-results');
-        if (existingResults) {
-            existingResults.remove();
+        this.clearOverlay();
+        
+        const resultsContainer = document.getElementById('identification-results');
+        if (resultsContainer) {
+            resultsContainer.innerHTML = `
+                <div class="results-placeholder">
+                    <i class="fas fa-search"></i>
+                    <p>Identification results will appear here</p>
+                </div>
+            `;
         }
     }
 }
@@ -0,0 +1,272 @@
+// Drahms Vision - Pairing Module
+// Access to the server: the pairing form for a browser that has no token yet and, for
+// controllers, the current pairing code and every paired client with a revoke button.
+// The token itself lives in an HttpOnly cookie set by the server.
+
+const PAIRING_REFRESH_MS = 15000;
+// What each pairing code grants, in the order the controller sees them
+const PAIRING_ROLE_LABELS = {
+    viewer: 'Viewer: watch only',
+    controller: 'Controller: full camera control',
+    device: 'Phone camera'
+};
+
+class PairingController {
+    constructor() {
+        this.session = null;
+        this.refreshTimer = null;
+        
+        this.init();
+    }
+    
+    init() {
+        console.log('🔐 Initializing Pairing Controller...');
+        this.setupPairingUI();
+        this.checkSession();
+    }
+    
+    setupPairingUI() {
+        const openBtn = document.getElementById('pairing-btn');
+        if (openBtn) {
+            openBtn.addEventListener('click', () => {
+                this.open();
+            });
+        }
+        
+        const closeBtn = document.getElementById('pairing-close-btn');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => {
+                this.close();
+            });
+        }
+        
+        const modal = document.getElementById('pairing-modal');
+        if (modal) {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) this.close();
+            });
+        }
+        
+        const form = document.getElementById('pairing-form');
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.pair();
+            });
+        }
+        
+        const logoutBtn = document.getElementById('pairing-logout-btn');
+        if (logoutBtn) {
+            logoutBtn.addEventListener('click', () => {
+                this.logout();
+            });
+        }
+        
+        const tokenList = document.getElementById('pairing-tokens');
+        if (tokenList) {
+            tokenList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-token-id]');
+                if (button) this.revoke(button.dataset.tokenId, button.dataset.tokenName);
+            });
+        }
+    }
+    
+    needsPairing() {
+        return Boolean(this.session && this.session.required && !this.session.authenticated);
+    }
+    
+    canManage() {
+        if (!this.session) return false;
+        return !this.session.required || Boolean(this.session.token && this.session.token.permissions.includes('control'));
+    }
+    
+    async checkSession() {
+        try {
+            const response = await fetch('/api/auth/session');
+            this.session = await response.json();
+        } catch (error) {
+            console.error('Failed to check pairing:', error);
+            return;
+        }
+        
+        const token = this.session.token;
+        document.body.dataset.accessRole = token ? token.role : (this.session.required ? 'none' : 'controller');
+        if (this.needsPairing()) {
+            this.requirePairing();
+        }
+    }
+    
+    // Shows the pairing form and keeps it open until the browser has a token
+    requirePairing() {
+        if (this.session) {
+            this.session.authenticated = false;
+        } else {
+            this.session = { required: true, authenticated: false, token: null };
+        }
+        this.open();
+    }
+    
+    open() {
+        const modal = document.getElementById('pairing-modal');
+        if (!modal) return;
+        
+        const pairing = !this.session || this.needsPairing();
+        document.getElementById('pairing-form').hidden = !pairing;
+        document.getElementById('pairing-manage').hidden = pairing;
+        document.getElementById('pairing-close-btn').hidden = pairing;
+        modal.classList.add('active');
+        
+        if (pairing) {
+            document.getElementById('pairing-code').focus();
+            return;
+        }
+        this.refresh();
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = setInterval(() => this.refresh(), PAIRING_REFRESH_MS);
+    }
+    
+    close() {
+        if (this.needsPairing()) return;
+        
+        const modal = document.getElementById('pairing-modal');
+        if (modal) modal.classList.remove('active');
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+    
+    async pair() {
+        const error = document.getElementById('pairing-error');
+        error.textContent = '';
+        
+        try {
+            const response = await fetch('/api/auth/pair', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    code: document.getElementById('pairing-code').value,
+                    name: document.getElementById('pairing-name').value
+                })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || result.error);
+            }
+            
+            // Every module loads its data again, this time with the token
+            console.log(`🔐 Paired as ${result.record.role}`);
+            window.location.reload();
+        } catch (err) {
+            console.error('Pairing failed:', err);
+            error.textContent = err.message;
+        }
+    }
+    
+    async refresh() {
+        const token = this.session.token;
+        const identity = document.getElementById('pairing-identity');
+        identity.textContent = token
+            ? `This browser is paired as "${token.name}" (${token.role})`
+            : 'Authentication is turned off on this server (AUTH_DISABLED)';
+        document.getElementById('pairing-logout-btn').hidden = !token;
+        
+        const current = document.getElementById('pairing-current');
+        const tokenList = document.getElementById('pairing-tokens');
+        current.hidden = !this.canManage();
+        if (!this.canManage()) {
+            tokenList.innerHTML = '';
+            return;
+        }
+        
+        try {
+            const [codeResponse, tokensResponse] = await Promise.all([
+                fetch('/api/auth/pairing-code'),
+                fetch('/api/auth/tokens')
+            ]);
+            if (!codeResponse.ok || !tokensResponse.ok) {
+                throw new Error(`Server answered ${codeResponse.ok ? tokensResponse.status : codeResponse.status}`);
+            }
+            
+            const { codes } = await codeResponse.json();
+            this.renderCodes(codes);
+            
+            const { tokens, currentTokenId } = await tokensResponse.json();
+            this.renderTokens(tokens, currentTokenId);
+        } catch (error) {
+            console.error('Failed to load pairing details:', error);
+            tokenList.innerHTML = `<li>${escapeHtml(error.message)}</li>`;
+        }
+    }
+    
+    // One code per role: whoever enters a code is paired with that code's role
+    renderCodes(codes) {
+        const time = iso => new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        document.getElementById('pairing-codes').innerHTML = Object.entries(PAIRING_ROLE_LABELS).map(([role, label]) => {
+            const pairing = codes.find(entry => entry.role === role);
+            return pairing ? `
+                <dt>${label}</dt>
+                <dd class="pairing-code-display" title="Changes after each use and at ${time(pairing.expiresAt)}">${escapeHtml(pairing.code)}</dd>
+            ` : '';
+        }).join('');
+        document.getElementById('pairing-code-expiry').textContent =
+            'Give out the code for the access you want to grant. Each code changes after it is used and every ten minutes.';
+    }
+    
+    renderTokens(tokens, currentTokenId) {
+        const tokenList = document.getElementById('pairing-tokens');
+        if (!tokens.length) {
+            tokenList.innerHTML = '<li>Nothing paired yet</li>';
+            return;
+        }
+        
+        tokenList.innerHTML = tokens.map(token => `
+            <li data-revoked="${Boolean(token.revokedAt)}">
+                <span class="pairing-token-name" title="Paired ${new Date(token.createdAt).toLocaleString()}">
+                    ${escapeHtml(token.name)}${token.id === currentTokenId ? ' (this browser)' : ''}
+                </span>
+                <span>${escapeHtml(token.role)}</span>
+                ${token.revokedAt || token.id === currentTokenId ? '' : `
+                    <button class="btn-secondary" data-token-id="${escapeHtml(token.id)}" data-token-name="${escapeHtml(token.name)}" title="Revoke">
+                        <i class="fas fa-ban"></i>
+                    </button>
+                `}
+            </li>
+        `).join('');
+    }
+    
+    async revoke(tokenId, name) {
+        if (!confirm(`Revoke access for "${name}"? It will be disconnected and has to pair again.`)) return;
+        
+        try {
+            const response = await fetch(`/api/auth/tokens/${encodeURIComponent(tokenId)}`, { method: 'DELETE' });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || result.error);
+            }
+            this.showNotification(`Revoked "${name}"`, 'success');
+            this.refresh();
+        } catch (error) {
+            console.error('Failed to revoke token:', error);
+            this.showNotification(`Could not revoke "${name}": ${error.message}`, 'error');
+        }
+    }
+    
+    async logout() {
+        try {
+            await fetch('/api/auth/logout', { method: 'POST' });
+        } catch (error) {
+            console.error('Failed to sign out:', error);
+        }
+        window.location.reload();
+    }
+    
+    showNotification(message, type) {
+        if (window.drahmsVisionApp) {
+            window.drahmsVisionApp.showNotification(message, type);
+        }
+    }
+}
+
+// Initialize pairing controller when the page loads
+document.addEventListener('DOMContentLoaded', () => {
+    window.pairingController = new PairingController();
+});
@@ -0,0 +1,264 @@
+// Drahms Vision - Sequencer Module
+// Builds capture plans (light, dark, flat and bias steps with their settings and interval),
+// hands them to the server's sequence engine and shows the running sequence's progress.
+// The sequence itself runs on the server, so this card simply picks it up again on reload.
+
+const SEQUENCE_DEFAULT_STEPS = [
+    { frameType: 'light', count: 30, iso: 1600, exposure: '', interval: 10 },
+    { frameType: 'dark', count: 10, iso: 1600, exposure: '', interval: 0 }
+];
+
+const SEQUENCE_FRAME_TYPES = {
+    light: 'Lights',
+    dark: 'Darks',
+    flat: 'Flats',
+    bias: 'Bias'
+};
+
+class SequencerController {
+    constructor() {
+        this.steps = SEQUENCE_DEFAULT_STEPS.map(step => ({ ...step }));
+        this.sequence = null;
+        this.etaTimer = null;
+        
+        this.init();
+    }
+    
+    init() {
+        console.log('🎬 Initializing Sequencer Controller...');
+        this.setupSequenceUI();
+        this.renderSteps();
+        this.refresh();
+    }
+    
+    setupSequenceUI() {
+        const addStepBtn = document.getElementById('sequence-add-step-btn');
+        if (addStepBtn) {
+            addStepBtn.addEventListener('click', () => {
+                const last = this.steps[this.steps.length - 1] || SEQUENCE_DEFAULT_STEPS[0];
+                this.steps.push({ ...last });
+                this.renderSteps();
+            });
+        }
+        
+        const startBtn = document.getElementById('sequence-start-btn');
+        if (startBtn) {
+            startBtn.addEventListener('click', () => {
+                this.startSequence();
+            });
+        }
+        
+        const pauseBtn = document.getElementById('sequence-pause-btn');
+        if (pauseBtn) {
+            pauseBtn.addEventListener('click', () => {
+                if (!this.sequence) return;
+                this.sendAction(this.sequence.status === 'paused' ? 'resume' : 'pause');
+            });
+        }
+        
+        const abortBtn = document.getElementById('sequence-abort-btn');
+        if (abortBtn) {
+            abortBtn.addEventListener('click', () => {
+                if (this.sequence && confirm('Abort the running sequence?')) {
+                    this.sendAction('abort');
+                }
+            });
+        }
+    }
+    
+    renderSteps() {
+        const container = document.getElementById('sequence-steps');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        this.steps.forEach((step, index) => {
+            const row = document.createElement('div');
+            row.className = 'sequence-step';
+            row.innerHTML = `
+                <select class="control-input" data-field="frameType" title="Frame type">
+                    ${Object.entries(SEQUENCE_FRAME_TYPES).map(([value, label]) =>
+                        `<option value="${value}"${value === step.frameType ? ' selected' : ''}>${label}</option>`).join('')}
+                </select>
+                <input class="control-input" type="number" data-field="count" min="1" max="1000" value="${step.count}" title="Frames">
+                <input class="control-input" type="number" data-field="iso" min="100" max="3200" step="100" value="${step.iso}" placeholder="ISO" title="ISO">
+                <input class="control-input" type="number" data-field="exposure" min="0" max="30" step="0.1" value="${step.exposure}" placeholder="Exp s" title="Exposure (seconds, empty for auto)">
+                <input class="control-input" type="number" data-field="interval" min="0" max="3600" value="${step.interval}" title="Interval between frame starts (seconds)">
+                <button class="btn-secondary sequence-step-remove" title="Remove step"${this.steps.length === 1 ? ' disabled' : ''}>
+                    <i class="fas fa-times"></i>
+                </button>
+            `;
+            
+            row.querySelectorAll('[data-field]').forEach(input => {
+                input.addEventListener('change', () => {
+                    step[input.dataset.field] = input.value;
+                    this.updateSummary();
+                });
+            });
+            row.querySelector('.sequence-step-remove').addEventListener('click', () => {
+                this.steps.splice(index, 1);
+                this.renderSteps();
+            });
+            container.appendChild(row);
+        });
+        this.updateSummary();
+    }
+    
+    updateSummary() {
+        const summary = document.getElementById('sequence-summary');
+        if (!summary) return;
+        
+        const frames = this.steps.reduce((sum, step) => sum + (parseInt(step.count, 10) || 0), 0);
+        summary.textContent = `${frames} frame(s) in ${this.steps.length} step(s)`;
+    }
+    
+    // The builder rows as a POST /api/sequences plan; empty ISO or exposure keeps the camera's value
+    buildPlan() {
+        const nameInput = document.getElementById('sequence-name');
+        return {
+            name: nameInput ? nameInput.value.trim() : '',
+            steps: this.steps.map(step => {
+                const settings = {};
+                if (step.iso !== '') settings.iso = Number(step.iso);
+                if (step.exposure !== '') settings.exposure = Number(step.exposure);
+                return {
+                    frameType: step.frameType,
+                    count: Number(step.count),
+                    interval: Number(step.interval) || 0,
+                    settings
+                };
+            })
+        };
+    }
+    
+    async startSequence() {
+        try {
+            const response = await fetch('/api/sequences', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(this.buildPlan())
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || result.error);
+            }
+            
+            this.showSequence(result.sequence);
+            this.showNotification(`Sequence started: ${result.sequence.total} frame(s)`, 'info');
+        } catch (error) {
+            console.error('Failed to start sequence:', error);
+            this.showNotification(`Sequence not started: ${error.message}`, 'error');
+        }
+    }
+    
+    async sendAction(action) {
+        try {
+            const response = await fetch(`/api/sequences/${this.sequence.id}/${action}`, { method: 'POST' });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || result.error);
+            }
+            this.showSequence(result.sequence);
+        } catch (error) {
+            console.error(`Failed to ${action} sequence:`, error);
+            this.showNotification(`Could not ${action} the sequence: ${error.message}`, 'error');
+        }
+    }
+    
+    // Picks up the newest sequence, e.g. one that kept running while this page was closed
+    async refresh() {
+        try {
+            const response = await fetch('/api/sequences');
+            if (!response.ok) return;
+            const { sequences } = await response.json();
+            if (sequences.length) this.showSequence(sequences[0]);
+        } catch (error) {
+            console.error('Failed to load sequences:', error);
+        }
+    }
+    
+    handleProgress(progress) {
+        this.showSequence(progress);
+        if (progress.result && !progress.result.success) {
+            this.showNotification(`Sequence frame failed: ${progress.result.error}`, 'error');
+        }
+    }
+    
+    handleUpdate(sequence) {
+        this.showSequence(sequence);
+    }
+    
+    handleComplete(sequence) {
+        this.showSequence(sequence);
+        if (sequence.status === 'complete') {
+            this.showNotification(`Sequence finished: ${sequence.completed} frame(s) captured`, 'success');
+        } else if (sequence.status === 'failed') {
+            this.showNotification(`Sequence failed: ${sequence.statusReason}`, 'error');
+        }
+    }
+    
+    showSequence(sequence) {
+        if (this.sequence && sequence.id !== this.sequence.id && sequence.createdAt < this.sequence.createdAt) return;
+        this.sequence = sequence;
+        
+        const card = document.getElementById('sequence-status');
+        if (!card) return;
+        card.hidden = false;
+        
+        const active = sequence.status === 'running' || sequence.status === 'paused';
+        const step = sequence.steps[sequence.currentStep - 1];
+        card.dataset.status = sequence.status;
+        card.querySelector('.sequence-title').textContent = sequence.name || 'Sequence';
+        card.querySelector('.sequence-state').textContent = sequence.status;
+        card.querySelector('.sequence-position').textContent = active && step
+            ? `Step ${sequence.currentStep}/${sequence.steps.length}: ${SEQUENCE_FRAME_TYPES[step.frameType]} ${Math.min(sequence.currentFrame, step.count)}/${step.count}`
+            : `${sequence.completed}/${sequence.total} frame(s) captured${sequence.failed ? `, ${sequence.failed} failed attempt(s)` : ''}`;
+        card.querySelector('.sequence-progress-fill').style.width = `${sequence.percent}%`;
+        card.querySelector('.sequence-reason').textContent = sequence.statusReason || '';
+        
+        const last = sequence.lastResult;
+        card.querySelector('.sequence-last').textContent = last
+            ? `Last frame ${last.step}.${last.frame}: ${last.success ? `saved as ${last.captureId}` : last.error}`
+            : '';
+        
+        const pauseBtn = document.getElementById('sequence-pause-btn');
+        pauseBtn.disabled = !active;
+        pauseBtn.innerHTML = sequence.status === 'paused'
+            ? '<i class="fas fa-play"></i> Resume'
+            : '<i class="fas fa-pause"></i> Pause';
+        document.getElementById('sequence-abort-btn').disabled = !active;
+        document.getElementById('sequence-start-btn').disabled = active;
+        
+        this.updateEta();
+        clearInterval(this.etaTimer);
+        this.etaTimer = sequence.status === 'running' ? setInterval(() => this.updateEta(), 1000) : null;
+    }
+    
+    // Counts down between server updates; the server re-estimates after every frame
+    updateEta() {
+        const eta = document.querySelector('#sequence-status .sequence-eta');
+        if (!eta || !this.sequence) return;
+        
+        if (!this.sequence.eta) {
+            eta.textContent = this.sequence.finishedAt ? `Finished ${new Date(this.sequence.finishedAt).toLocaleTimeString()}` : '';
+            return;
+        }
+        
+        const remaining = this.sequence.status === 'running'
+            ? Math.max(0, Math.round((Date.parse(this.sequence.eta) - Date.now()) / 1000))
+            : this.sequence.remainingSeconds;
+        const minutes = Math.floor(remaining / 60);
+        const etaTime = new Date(Date.now() + remaining * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        eta.textContent = `ETA ${etaTime} (${minutes}m ${remaining % 60}s left)`;
+    }
+    
+    showNotification(message, type) {
+        if (window.drahmsVisionApp) {
+            window.drahmsVisionApp.showNotification(message, type);
+        }
+    }
+}
+
+// Initialize sequencer controller when the page loads
+document.addEventListener('DOMContentLoaded', () => {
+    window.sequencerController = new SequencerController();
+});
@@ -0,0 +1,187 @@
+// Drahms Vision - Sessions Module
+// Starts and ends observing sessions, adds notes to the one in progress and lists past
+// sessions with their JSON and CSV exports. Captures, sequences and plate solves are
+// attached to the active session by the server.
+
+const SESSION_LIST_LIMIT = 5;
+
+const SESSION_COUNT_LABELS = {
+    capture: 'capture',
+    sequence: 'sequence',
+    identification: 'plate solve',
+    note: 'note'
+};
+
+class SessionController {
+    constructor() {
+        this.activeSession = null;
+        this.sessions = [];
+        
+        this.init();
+    }
+    
+    init() {
+        console.log('📓 Initializing Session Controller...');
+        this.setupSessionUI();
+        this.refresh();
+    }
+    
+    setupSessionUI() {
+        const startBtn = document.getElementById('session-start-btn');
+        if (startBtn) {
+            startBtn.addEventListener('click', () => {
+                this.startSession();
+            });
+        }
+        
+        const endBtn = document.getElementById('session-end-btn');
+        if (endBtn) {
+            endBtn.addEventListener('click', () => {
+                if (this.activeSession && confirm(`End session "${this.activeSession.name}"?`)) {
+                    this.endSession();
+                }
+            });
+        }
+        
+        const noteBtn = document.getElementById('session-note-btn');
+        if (noteBtn) {
+            noteBtn.addEventListener('click', () => {
+                this.addNote();
+            });
+        }
+    }
+    
+    async request(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            headers: { 'Content-Type': 'application/json' }
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.message || result.error);
+        }
+        return result;
+    }
+    
+    async refresh() {
+        try {
+            const { sessions, activeSessionId } = await this.request('/api/sessions');
+            this.sessions = sessions;
+            this.activeSession = sessions.find(session => session.id === activeSessionId) || null;
+            this.render();
+        } catch (error) {
+            console.error('Failed to load sessions:', error);
+        }
+    }
+    
+    async startSession() {
+        const nameInput = document.getElementById('session-name');
+        try {
+            const { session } = await this.request('/api/sessions', {
+                method: 'POST',
+                body: JSON.stringify({ name: nameInput ? nameInput.value.trim() : '' })
+            });
+            if (nameInput) nameInput.value = '';
+            this.showNotification(`Session "${session.name}" started`, 'success');
+            this.refresh();
+        } catch (error) {
+            console.error('Failed to start session:', error);
+            this.showNotification(`Session not started: ${error.message}`, 'error');
+        }
+    }
+    
+    async endSession() {
+        try {
+            const { session } = await this.request(`/api/sessions/${this.activeSession.id}/end`, { method: 'POST' });
+            this.showNotification(`Session "${session.name}" ended with ${session.entryCount} entries`, 'info');
+            this.refresh();
+        } catch (error) {
+            console.error('Failed to end session:', error);
+            this.showNotification(`Could not end the session: ${error.message}`, 'error');
+        }
+    }
+    
+    async addNote() {
+        const noteInput = document.getElementById('session-note');
+        if (!noteInput || !noteInput.value.trim() || !this.activeSession) return;
+        
+        try {
+            await this.request(`/api/sessions/${this.activeSession.id}/notes`, {
+                method: 'POST',
+                body: JSON.stringify({ text: noteInput.value })
+            });
+            noteInput.value = '';
+        } catch (error) {
+            console.error('Failed to add note:', error);
+            this.showNotification(`Note not saved: ${error.message}`, 'error');
+        }
+    }
+    
+    // session_updated: started, ended, updated (site) or entry
+    handleUpdate(event) {
+        const index = this.sessions.findIndex(session => session.id === event.session.id);
+        if (index === -1) {
+            this.sessions.unshift(event.session);
+        } else {
+            this.sessions[index] = event.session;
+        }
+        this.activeSession = event.session.status === 'active'
+            ? event.session
+            : (this.activeSession && this.activeSession.id === event.session.id ? null : this.activeSession);
+        this.render();
+    }
+    
+    render() {
+        const startForm = document.getElementById('session-start');
+        const activeCard = document.getElementById('session-active');
+        if (!startForm || !activeCard) return;
+        
+        const session = this.activeSession;
+        startForm.hidden = Boolean(session);
+        activeCard.hidden = !session;
+        
+        if (session) {
+            const site = session.site;
+            activeCard.querySelector('.session-title').textContent = session.name;
+            activeCard.querySelector('.session-details').textContent =
+                `Since ${new Date(session.startedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} · ` +
+                `${site.latitude.toFixed(3)}, ${site.longitude.toFixed(3)}${site.source === 'default' ? ' (site default, waiting for GPS)' : ''}`;
+            activeCard.querySelector('.session-counts').textContent = this.describeCounts(session) || 'Nothing logged yet';
+        }
+        
+        const list = document.getElementById('session-list');
+        if (!list) return;
+        list.innerHTML = '';
+        this.sessions
+            .filter(entry => entry.status !== 'active')
+            .slice(0, SESSION_LIST_LIMIT)
+            .forEach(entry => {
+                const item = document.createElement('li');
+                item.innerHTML = `
+                    <span class="session-list-name" title="${this.describeCounts(entry)}"></span>
+                    <a href="/api/sessions/${entry.id}/export?format=csv" title="Download the observation log as CSV">CSV</a>
+                    <a href="/api/sessions/${entry.id}/export?format=json" title="Download the full session as JSON">JSON</a>
+                `;
+                item.querySelector('.session-list-name').textContent =
+                    `${entry.name} (${new Date(entry.startedAt).toLocaleDateString()})`;
+                list.appendChild(item);
+            });
+    }
+    
+    describeCounts(session) {
+        return Object.entries(session.counts)
+            .map(([type, count]) => `${count} ${SESSION_COUNT_LABELS[type] || type}${count === 1 ? '' : 's'}`)
+            .join(', ');
+    }
+    
+    showNotification(message, type) {
+        if (window.drahmsVisionApp) {
+            window.drahmsVisionApp.showNotification(message, type);
+        }
+    }
+}
+
+// Initialize session controller when the page loads
+document.addEventListener('DOMContentLoaded', () => {
+    window.sessionController = new SessionController();
+});
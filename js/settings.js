@@ -0,0 +1,332 @@
+// Drahms Vision - Settings Module
+// The camera settings panel: edits the mode and every camera parameter, saves them as named
+// profiles on the server (shared by every browser, with import and export), and binds a
+// profile to each sidebar mode button
+
+const SETTINGS_MODE_BUTTONS = {
+    auto: { id: 'auto-mode-btn', label: 'Auto Mode' },
+    night: { id: 'night-mode-btn', label: 'Night Mode' },
+    manual: { id: 'manual-mode-btn', label: 'Manual Mode' }
+};
+const SETTINGS_RANGE_INPUTS = ['zoom', 'focus', 'iso'];
+
+class SettingsController {
+    constructor() {
+        this.profiles = [];
+        this.bindings = {};
+        this.limits = null;
+        
+        this.init();
+    }
+    
+    init() {
+        console.log('🎛️ Initializing Settings Controller...');
+        this.setupSettingsUI();
+        this.setupModeButtons();
+    }
+    
+    setupSettingsUI() {
+        const closeBtn = document.getElementById('settings-close-btn');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => {
+                this.close();
+            });
+        }
+        
+        const modal = document.getElementById('settings-modal');
+        if (modal) {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) this.close();
+            });
+        }
+        
+        SETTINGS_RANGE_INPUTS.forEach(setting => {
+            const input = document.getElementById(`settings-${setting}`);
+            if (input) {
+                input.addEventListener('input', () => this.updateOutput(setting));
+            }
+        });
+        
+        document.getElementById('settings-apply-btn').addEventListener('click', () => {
+            this.applyProfile({ name: 'Settings panel', ...this.readForm() });
+        });
+        document.getElementById('settings-profile-load-btn').addEventListener('click', () => {
+            const profile = this.selectedProfile();
+            if (profile) this.fillForm(profile);
+        });
+        document.getElementById('settings-profile-delete-btn').addEventListener('click', () => {
+            this.deleteProfile();
+        });
+        document.getElementById('settings-profile-save-btn').addEventListener('click', () => {
+            this.saveProfile();
+        });
+        document.getElementById('settings-profile').addEventListener('change', (e) => {
+            document.getElementById('settings-profile-name').value = e.target.value;
+        });
+        document.getElementById('settings-import-input').addEventListener('change', (e) => {
+            if (e.target.files[0]) this.importProfiles(e.target.files[0]);
+            e.target.value = '';
+        });
+        document.getElementById('settings-bindings').addEventListener('change', (e) => {
+            if (e.target.dataset.button) this.bindProfile(e.target.dataset.button, e.target.value || null);
+        });
+    }
+    
+    setupModeButtons() {
+        Object.entries(SETTINGS_MODE_BUTTONS).forEach(([button, { id }]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener('click', () => {
+                    this.applyButton(button);
+                });
+            }
+        });
+    }
+    
+    open() {
+        const modal = document.getElementById('settings-modal');
+        if (!modal) return;
+        
+        modal.classList.add('active');
+        this.loadProfiles().then(() => {
+            if (window.cameraController) {
+                const state = window.drahmsVisionApp && window.drahmsVisionApp.cameraState;
+                this.fillForm({
+                    mode: state ? state.mode : 'auto',
+                    settings: window.cameraController.currentSettings
+                });
+            }
+        });
+    }
+    
+    close() {
+        const modal = document.getElementById('settings-modal');
+        if (modal) modal.classList.remove('active');
+    }
+    
+    async loadProfiles() {
+        try {
+            const response = await fetch('/api/profiles');
+            if (!response.ok) {
+                throw new Error(`Server answered ${response.status}`);
+            }
+            
+            const data = await response.json();
+            this.profiles = data.profiles;
+            this.bindings = data.bindings;
+            if (!this.limits) {
+                this.limits = data.limits;
+                this.buildForm();
+            }
+            this.renderProfiles();
+        } catch (error) {
+            console.error('Failed to load camera profiles:', error);
+        }
+    }
+    
+    // Input ranges and choices come from the server, which validates profiles against them
+    buildForm() {
+        const { modes, ranges, whiteBalanceModes } = this.limits;
+        
+        document.getElementById('settings-mode').innerHTML = modes
+            .map(mode => `<option value="${mode}">${this.capitalize(mode)}</option>`).join('');
+        document.getElementById('settings-white-balance').innerHTML = whiteBalanceModes
+            .map(mode => `<option value="${mode}">${this.capitalize(mode)}</option>`).join('');
+        
+        Object.entries(ranges).forEach(([setting, range]) => {
+            const input = document.getElementById(`settings-${setting}`);
+            if (!input) return;
+            input.min = range.min;
+            input.max = range.max;
+            input.step = range.step;
+        });
+    }
+    
+    renderProfiles() {
+        const select = document.getElementById('settings-profile');
+        const selected = select.value;
+        const options = this.profiles
+            .map(profile => `<option value="${escapeHtml(profile.name)}">${escapeHtml(profile.name)} (${profile.mode})</option>`)
+            .join('');
+        select.innerHTML = options || '<option value="">No profiles saved</option>';
+        if (this.profiles.some(profile => profile.name === selected)) {
+            select.value = selected;
+        }
+        
+        document.getElementById('settings-bindings').innerHTML = Object.entries(SETTINGS_MODE_BUTTONS).map(([button, { label }]) => `
+            <label for="settings-binding-${button}">${label}</label>
+            <select class="control-input" id="settings-binding-${button}" data-button="${button}">
+                <option value="">Open this panel</option>
+                ${this.profiles.map(profile => `
+                    <option value="${escapeHtml(profile.name)}"${this.bindings[button] === profile.name ? ' selected' : ''}>${escapeHtml(profile.name)}</option>
+                `).join('')}
+            </select>
+        `).join('');
+        
+        // The sidebar buttons say which profile they apply
+        Object.entries(SETTINGS_MODE_BUTTONS).forEach(([button, { id }]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.title = this.bindings[button]
+                    ? `Apply the "${this.bindings[button]}" profile`
+                    : 'No profile bound: opens the camera settings';
+            }
+        });
+    }
+    
+    fillForm(profile) {
+        document.getElementById('settings-mode').value = profile.mode;
+        Object.entries(profile.settings).forEach(([setting, value]) => {
+            const input = document.querySelector(`#settings-camera [data-setting="${setting}"]`);
+            if (input) input.value = value;
+        });
+        SETTINGS_RANGE_INPUTS.forEach(setting => this.updateOutput(setting));
+    }
+    
+    readForm() {
+        const settings = {};
+        document.querySelectorAll('#settings-camera [data-setting]').forEach(input => {
+            settings[input.dataset.setting] = input.dataset.setting === 'whiteBalance'
+                ? input.value
+                : parseFloat(input.value);
+        });
+        return { mode: document.getElementById('settings-mode').value, settings };
+    }
+    
+    updateOutput(setting) {
+        const input = document.getElementById(`settings-${setting}`);
+        const output = document.getElementById(`settings-${setting}-value`);
+        if (input && output) {
+            output.textContent = setting === 'zoom' ? `${parseFloat(input.value).toFixed(1)}×` : input.value;
+        }
+    }
+    
+    selectedProfile() {
+        const name = document.getElementById('settings-profile').value;
+        return this.profiles.find(profile => profile.name === name) || null;
+    }
+    
+    async applyButton(button) {
+        const name = this.bindings[button];
+        const profile = this.profiles.find(entry => entry.name === name);
+        if (!profile) {
+            this.open();
+            return;
+        }
+        
+        if (await this.applyProfile(profile)) {
+            this.showNotification(`${SETTINGS_MODE_BUTTONS[button].label}: "${profile.name}" applied`, 'success');
+        }
+    }
+    
+    async applyProfile(profile) {
+        if (!window.cameraController) return false;
+        return window.cameraController.applyProfile(profile);
+    }
+    
+    async saveProfile() {
+        const name = document.getElementById('settings-profile-name').value.trim();
+        if (!name) {
+            this.showNotification('Enter a name for the profile', 'error');
+            return;
+        }
+        
+        try {
+            const response = await fetch(`/api/profiles/${encodeURIComponent(name)}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(this.readForm())
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || result.error);
+            }
+            
+            await this.loadProfiles();
+            document.getElementById('settings-profile').value = result.profile.name;
+            this.showNotification(`Profile "${result.profile.name}" saved`, 'success');
+        } catch (error) {
+            console.error('Failed to save profile:', error);
+            this.showNotification(`Could not save the profile: ${error.message}`, 'error');
+        }
+    }
+    
+    async deleteProfile() {
+        const profile = this.selectedProfile();
+        if (!profile || !confirm(`Delete the profile "${profile.name}"?`)) return;
+        
+        try {
+            const response = await fetch(`/api/profiles/${encodeURIComponent(profile.name)}`, { method: 'DELETE' });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || result.error);
+            }
+            await this.loadProfiles();
+        } catch (error) {
+            console.error('Failed to delete profile:', error);
+            this.showNotification(`Could not delete "${profile.name}": ${error.message}`, 'error');
+        }
+    }
+    
+    async bindProfile(button, name) {
+        try {
+            const response = await fetch(`/api/profiles/bindings/${button}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ profile: name })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || result.error);
+            }
+            this.bindings = result.bindings;
+            this.renderProfiles();
+        } catch (error) {
+            console.error('Failed to bind profile:', error);
+            this.showNotification(`Could not bind the profile: ${error.message}`, 'error');
+            this.renderProfiles();
+        }
+    }
+    
+    async importProfiles(file) {
+        try {
+            let data;
+            try {
+                data = JSON.parse(await file.text());
+            } catch (error) {
+                throw new Error('the file is not JSON');
+            }
+            
+            const response = await fetch('/api/profiles/import', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(data)
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || result.error);
+            }
+            
+            await this.loadProfiles();
+            this.showNotification(`Imported ${result.imported.length} profile(s)`, 'success');
+        } catch (error) {
+            console.error('Failed to import profiles:', error);
+            this.showNotification(`Could not import ${file.name}: ${error.message}`, 'error');
+        }
+    }
+    
+    capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+    
+    showNotification(message, type) {
+        if (window.drahmsVisionApp) {
+            window.drahmsVisionApp.showNotification(message, type);
+        }
+    }
+}
+
+// Initialize settings controller when the page loads
+document.addEventListener('DOMContentLoaded', () => {
+    window.settingsController = new SettingsController();
+});
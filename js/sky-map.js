@@ -1,12 +1,23 @@
 // Drahms Vision - Sky Mapping Module
 // Handles astronomical object identification and sky mapping
 
+// A pointing reading older than this is drawn greyed out: the phone has stopped reporting
+const SKY_POINTING_STALE_MS = 10000;
+
 class SkyMapController {
     constructor() {
         this.currentLocation = null;
         this.currentTime = new Date();
         this.visibleObjects = [];
         this.selectedObject = null;
+        this.followRealTime = true;
+        this.refreshInterval = 60000;
+        this.magnitudeLimit = 5.0;
+        this.layers = { lines: true, boundaries: false, names: true, pointing: true };
+        this.pointing = null;
+        this.pointingDeviceId = null;
+        // Which data sets failed to load, so each failure is reported once
+        this.skyDataErrors = new Set();
         
         this.init();
     }
@@ -14,7 +25,35 @@ class SkyMapController {
     init() {
         console.log('⭐ Initializing Sky Map Controller...');
         this.setupSkyMap();
+        this.setupLayerToggles();
+        this.setupPointingControls();
+        this.locateObserver();
         this.loadAstronomicalData();
+        this.startRealTimeUpdates();
+    }
+    
+    locateObserver() {
+        // Until a location is known the server falls back to the phone's GPS or its site defaults
+        if (!navigator.geolocation) return;
+        
+        navigator.geolocation.getCurrentPosition(
+            (position) => {
+                this.updateLocation(position.coords.latitude, position.coords.longitude);
+            },
+            (error) => {
+                console.log('Browser location unavailable:', error.message);
+            }
+        );
+    }
+    
+    startRealTimeUpdates() {
+        // The sky turns about a quarter of a degree per minute
+        setInterval(() => {
+            if (this.followRealTime) {
+                this.currentTime = new Date();
+                this.loadAstronomicalData();
+            }
+        }, this.refreshInterval);
     }
     
     setupSkyMap() {
@@ -25,6 +64,35 @@ class SkyMapController {
         }
     }
     
+    setupLayerToggles() {
+        Object.keys(this.layers).forEach(layer => {
+            const toggle = document.getElementById(`sky-layer-${layer}`);
+            if (!toggle) return;
+            
+            toggle.checked = this.layers[layer];
+            toggle.addEventListener('change', () => {
+                this.layers[layer] = toggle.checked;
+                this.updateSkyMap();
+            });
+        });
+    }
+    
+    setupPointingControls() {
+        const calibrateBtn = document.getElementById('sky-calibrate-btn');
+        if (calibrateBtn) {
+            calibrateBtn.addEventListener('click', () => {
+                this.calibratePointing();
+            });
+        }
+        
+        const resetBtn = document.getElementById('sky-calibration-reset-btn');
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                this.resetCalibration();
+            });
+        }
+    }
+    
     createSkyMapCanvas(container) {
         // Create canvas for sky map visualization
         const canvas = document.createElement('canvas');
@@ -39,6 +107,8 @@ class SkyMapController {
         // Initialize canvas context
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
+        this.center = { x: canvas.width / 2, y: canvas.height / 2 };
+        this.horizonRadius = canvas.width / 2 - 20;
         
         // Add click event for object selection
         canvas.addEventListener('click', (e) => {
@@ -53,39 +123,77 @@ class SkyMapController {
         this.fetchPlanets();
     }
     
+    buildObserverQuery() {
+        const params = new URLSearchParams({ time: this.currentTime.toISOString() });
+        if (this.currentLocation) {
+            params.set('lat', this.currentLocation.latitude);
+            params.set('lon', this.currentLocation.longitude);
+        }
+        return params.toString();
+    }
+    
     async fetchConstellations() {
-        try {
-            const response = await fetch('/api/sky/constellations');
-            const constellations = await response.json();
+        const constellations = await this.fetchSkyData(`/api/sky/constellations?${this.buildObserverQuery()}`, 'constellations');
+        if (constellations) {
             this.constellations = constellations;
             this.updateSkyMap();
-        } catch (error) {
-            console.error('Error fetching constellations:', error);
         }
     }
     
     async fetchStars() {
-        try {
-            const response = await fetch('/api/stars');
-            const stars = await response.json();
+        const stars = await this.fetchSkyData(`/api/stars?${this.buildObserverQuery()}&maxMag=${this.magnitudeLimit}`, 'stars');
+        if (stars) {
             this.stars = stars;
             this.updateSkyMap();
-        } catch (error) {
-            console.error('Error fetching stars:', error);
         }
     }
     
     async fetchPlanets() {
-        try {
-            const response = await fetch('/api/planets');
-            const planets = await response.json();
+        const planets = await this.fetchSkyData(`/api/planets?${this.buildObserverQuery()}`, 'planets');
+        if (planets) {
             this.planets = planets;
             this.updateSkyMap();
+        }
+    }
+    
+    // The list from a sky data endpoint, or null so the map keeps what it last drew. The
+    // refresh repeats every minute, so a failure is only announced once until a load succeeds.
+    async fetchSkyData(url, label) {
+        try {
+            const response = await fetch(url);
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.message || data.error || `Server answered ${response.status}`);
+            }
+            if (!Array.isArray(data)) {
+                throw new Error('Unexpected response from the server');
+            }
+            
+            this.skyDataErrors.delete(label);
+            return data;
         } catch (error) {
-            console.error('Error fetching planets:', error);
+            console.error(`Error fetching ${label}:`, error);
+            if (!this.skyDataErrors.has(label)) {
+                this.skyDataErrors.add(label);
+                this.showNotification(`Could not load ${label} for the sky map: ${error.message}`, 'error');
+            }
+            return null;
         }
     }
     
+    // Stereographic projection of the visible hemisphere: zenith at the centre,
+    // horizon on the outer circle, north up and east to the left as seen looking up
+    project(altitude, azimuth) {
+        const zenithDistance = (90 - altitude) * Math.PI / 180;
+        const radius = this.horizonRadius * Math.tan(zenithDistance / 2);
+        const az = azimuth * Math.PI / 180;
+        
+        return {
+            x: this.center.x - radius * Math.sin(az),
+            y: this.center.y - radius * Math.cos(az)
+        };
+    }
+    
     updateSkyMap() {
         if (!this.ctx) return;
         
@@ -94,46 +202,190 @@ class SkyMapController {
         
         // Draw sky background
         this.drawSkyBackground();
+        this.drawGrid();
         
         // Draw astronomical objects
         this.drawConstellations();
         this.drawStars();
         this.drawPlanets();
         
-        // Draw selected object highlight
+        // Draw selected object highlight, following it across data refreshes
         if (this.selectedObject) {
-            this.drawObjectHighlight(this.selectedObject);
+            const current = this.findObjectById(this.selectedObject.id);
+            if (current && current.type === 'constellation') {
+                this.selectedObject = current;
+                this.drawConstellationHighlight(current);
+            } else if (current && current.visible) {
+                this.selectedObject = current;
+                this.drawObjectHighlight(current);
+            }
+        }
+        
+        if (this.layers.pointing) {
+            this.drawPointing();
+        }
+        
+        if (window.guideController) {
+            window.guideController.update();
         }
     }
     
     drawSkyBackground() {
-        // Create gradient for night sky
-        const gradient = this.ctx.createRadialGradient(200, 200, 0, 200, 200, 200);
+        const { x, y } = this.center;
+        
+        this.ctx.fillStyle = '#05050f';
+        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        
+        // Create gradient for night sky, brightening towards the horizon
+        const gradient = this.ctx.createRadialGradient(x, y, 0, x, y, this.horizonRadius);
         gradient.addColorStop(0, '#0a0a2a');
         gradient.addColorStop(0.5, '#1a1a3a');
         gradient.addColorStop(1, '#2a2a4a');
         
         this.ctx.fillStyle = gradient;
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, this.horizonRadius, 0, 2 * Math.PI);
+        this.ctx.fill();
+    }
+    
+    drawGrid() {
+        const { x, y } = this.center;
+        
+        // Altitude circles every 30 degrees
+        this.ctx.strokeStyle = 'rgba(120, 140, 200, 0.25)';
+        this.ctx.lineWidth = 1;
+        [30, 60].forEach(altitude => {
+            const radius = this.horizonRadius * Math.tan((90 - altitude) * Math.PI / 360);
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, radius, 0, 2 * Math.PI);
+            this.ctx.stroke();
+        });
+        
+        // Azimuth lines every 45 degrees
+        for (let azimuth = 0; azimuth < 360; azimuth += 45) {
+            const edge = this.project(0, azimuth);
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, y);
+            this.ctx.lineTo(edge.x, edge.y);
+            this.ctx.stroke();
+        }
+        
+        // Horizon circle
+        this.ctx.strokeStyle = '#4a5a8a';
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, this.horizonRadius, 0, 2 * Math.PI);
+        this.ctx.stroke();
+        
+        // Cardinal directions just outside the horizon
+        this.ctx.fillStyle = '#ffd700';
+        this.ctx.font = 'bold 12px Roboto, sans-serif';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        [['N', 0], ['E', 90], ['S', 180], ['W', 270]].forEach(([label, azimuth]) => {
+            const az = azimuth * Math.PI / 180;
+            const radius = this.horizonRadius + 10;
+            this.ctx.fillText(label, x - radius * Math.sin(az), y - radius * Math.cos(az));
+        });
     }
     
     drawConstellations() {
         if (!this.constellations) return;
         
-        this.ctx.strokeStyle = '#444';
-        this.ctx.lineWidth = 1;
+        // Figures and boundaries may dip below the horizon, so keep them inside the sky disc
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.arc(this.center.x, this.center.y, this.horizonRadius, 0, 2 * Math.PI);
+        this.ctx.clip();
         
-        this.constellations.forEach(constellation => {
-            if (constellation.visible) {
-                // Draw constellation lines (simplified)
-                this.ctx.beginPath();
-                this.ctx.moveTo(100, 100);
-                this.ctx.lineTo(150, 120);
-                this.ctx.stroke();
-            }
+        if (this.layers.boundaries) {
+            this.ctx.strokeStyle = 'rgba(120, 140, 200, 0.35)';
+            this.ctx.lineWidth = 1;
+            this.ctx.setLineDash([3, 3]);
+            this.constellations.forEach(constellation => this.drawBoundaries(constellation));
+            this.ctx.setLineDash([]);
+        }
+        
+        if (this.layers.lines) {
+            this.ctx.strokeStyle = 'rgba(110, 160, 255, 0.45)';
+            this.ctx.lineWidth = 1;
+            this.constellations.forEach(constellation => this.drawFigure(constellation));
+        }
+        
+        this.ctx.restore();
+        
+        if (this.layers.names) {
+            this.ctx.fillStyle = 'rgba(150, 160, 200, 0.6)';
+            this.ctx.font = '10px Roboto, sans-serif';
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            
+            this.constellations.forEach(constellation => {
+                if (constellation.visible) {
+                    // Label each constellation at its projected centre
+                    const position = this.project(constellation.altitude, constellation.azimuth);
+                    this.ctx.fillText(constellation.name, position.x, position.y);
+                }
+            });
+        }
+    }
+    
+    drawFigure(constellation) {
+        if (!constellation.lines) return;
+        
+        this.ctx.beginPath();
+        constellation.lines.forEach(({ from, to }) => {
+            if (from.altitude < 0 && to.altitude < 0) return;
+            
+            const start = this.project(from.altitude, from.azimuth);
+            const end = this.project(to.altitude, to.azimuth);
+            this.ctx.moveTo(start.x, start.y);
+            this.ctx.lineTo(end.x, end.y);
+        });
+        this.ctx.stroke();
+    }
+    
+    drawBoundaries(constellation) {
+        this.getBoundaryOutlines(constellation).forEach(outline => {
+            this.ctx.beginPath();
+            outline.forEach(({ x, y }, index) => {
+                if (index === 0) {
+                    this.ctx.moveTo(x, y);
+                } else {
+                    this.ctx.lineTo(x, y);
+                }
+            });
+            this.ctx.closePath();
+            this.ctx.stroke();
         });
     }
     
+    // Boundary rings projected to canvas pixels, skipping any ring that is wholly below the horizon
+    getBoundaryOutlines(constellation) {
+        if (!constellation.boundaries) return [];
+        
+        return constellation.boundaries
+            .filter(ring => ring.some(([altitude]) => altitude > 0))
+            .map(ring => ring.map(([altitude, azimuth]) => this.project(altitude, azimuth)));
+    }
+    
+    drawConstellationHighlight(constellation) {
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.arc(this.center.x, this.center.y, this.horizonRadius, 0, 2 * Math.PI);
+        this.ctx.clip();
+        
+        this.ctx.strokeStyle = 'rgba(0, 255, 0, 0.5)';
+        this.ctx.lineWidth = 1.5;
+        this.drawBoundaries(constellation);
+        
+        this.ctx.strokeStyle = '#00ff00';
+        this.ctx.lineWidth = 2;
+        this.drawFigure(constellation);
+        
+        this.ctx.restore();
+    }
+    
     drawStars() {
         if (!this.stars) return;
         
@@ -145,20 +397,48 @@ class SkyMapController {
     }
     
     drawStar(star) {
-        const x = Math.random() * this.canvas.width;
-        const y = Math.random() * this.canvas.height;
-        const size = Math.max(1, (2.5 - star.magnitude) * 2);
+        const { x, y } = this.project(star.altitude, star.azimuth);
+        
+        // Each magnitude step is ~2.5x in brightness; scale the disc so the faintest stars stay visible
+        const size = Math.max(0.6, 0.6 + (this.magnitudeLimit - star.magnitude) * 0.6);
         
-        this.ctx.fillStyle = '#fff';
+        this.ctx.globalAlpha = Math.min(1, 0.45 + (this.magnitudeLimit - star.magnitude) * 0.2);
+        this.ctx.fillStyle = this.starColor(star.bv);
         this.ctx.beginPath();
         this.ctx.arc(x, y, size, 0, 2 * Math.PI);
         this.ctx.fill();
+        this.ctx.globalAlpha = 1;
         
         // Store star position for click detection
         star.x = x;
         star.y = y;
     }
     
+    // B-V colour index to a display tint: hot blue-white stars near -0.3, cool red giants near +2
+    starColor(bv) {
+        if (typeof bv !== 'number') return '#ffffff';
+        
+        const stops = [
+            [-0.4, [155, 178, 255]],
+            [0.0, [202, 215, 255]],
+            [0.4, [248, 247, 255]],
+            [0.8, [255, 236, 210]],
+            [1.2, [255, 214, 165]],
+            [1.6, [255, 190, 120]],
+            [2.0, [255, 160, 80]]
+        ];
+        
+        const value = Math.max(stops[0][0], Math.min(stops[stops.length - 1][0], bv));
+        let index = 1;
+        while (index < stops.length - 1 && stops[index][0] < value) index++;
+        
+        const [fromBv, from] = stops[index - 1];
+        const [toBv, to] = stops[index];
+        const t = (value - fromBv) / (toBv - fromBv);
+        const rgb = from.map((channel, i) => Math.round(channel + (to[i] - channel) * t));
+        return `rgb(${rgb.join(',')})`;
+    }
+    
     drawPlanets() {
         if (!this.planets) return;
         
@@ -170,11 +450,10 @@ class SkyMapController {
     }
     
     drawPlanet(planet) {
-        const x = Math.random() * this.canvas.width;
-        const y = Math.random() * this.canvas.height;
-        const size = Math.max(3, (2.5 - planet.magnitude) * 3);
+        const { x, y } = this.project(planet.altitude, planet.azimuth);
+        const size = Math.min(10, Math.max(3, (2.5 - planet.magnitude) * 3));
         
-        this.ctx.fillStyle = '#ffd700';
+        this.ctx.fillStyle = planet.type === 'moon' ? '#e8e8f0' : planet.type === 'sun' ? '#fff5c0' : '#ffd700';
         this.ctx.beginPath();
         this.ctx.arc(x, y, size, 0, 2 * Math.PI);
         this.ctx.fill();
@@ -195,10 +474,132 @@ class SkyMapController {
         this.ctx.stroke();
     }
     
+    // The camera's field of view as an outline, with a reticle where its centre points.
+    // Both are clipped to the horizon circle, since the map only shows the sky above it.
+    drawPointing() {
+        if (!this.pointing) return;
+        
+        const stale = Date.now() - Date.parse(this.pointing.timestamp) > SKY_POINTING_STALE_MS;
+        const color = stale ? '#888888' : '#ff4444';
+        const ctx = this.ctx;
+        
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(this.center.x, this.center.y, this.horizonRadius, 0, 2 * Math.PI);
+        ctx.clip();
+        
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        this.pointing.fieldOfView.outline.forEach((point, index) => {
+            // Keep points below the horizon finite; the projection runs off to infinity at the nadir
+            const { x, y } = this.project(Math.max(-60, point.altitude), point.azimuth);
+            if (index === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.closePath();
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        const { x, y } = this.project(Math.max(-60, this.pointing.altitude), this.pointing.azimuth);
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(x, y, 8, 0, 2 * Math.PI);
+        [[0, -1], [1, 0], [0, 1], [-1, 0]].forEach(([dx, dy]) => {
+            ctx.moveTo(x + dx * 4, y + dy * 4);
+            ctx.lineTo(x + dx * 14, y + dy * 14);
+        });
+        ctx.stroke();
+        ctx.restore();
+    }
+    
+    // Called with the pointing the server attaches to sensor_update
+    updatePointing(pointing, deviceId) {
+        this.pointing = pointing;
+        this.pointingDeviceId = deviceId;
+        this.updatePointingReadout();
+        this.updateSkyMap();
+    }
+    
+    updatePointingReadout() {
+        const panel = document.getElementById('sky-pointing');
+        const readout = document.getElementById('sky-pointing-readout');
+        if (!panel || !readout || !this.pointing) return;
+        
+        const pointing = this.pointing;
+        panel.hidden = false;
+        panel.dataset.stale = String(Date.now() - Date.parse(pointing.timestamp) > SKY_POINTING_STALE_MS);
+        
+        const raHours = pointing.ra / 15;
+        const ra = `${Math.floor(raHours)}h ${String(Math.floor((raHours % 1) * 60)).padStart(2, '0')}m`;
+        const dec = `${pointing.dec >= 0 ? '+' : '−'}${Math.abs(pointing.dec).toFixed(1)}°`;
+        const calibration = pointing.calibrated
+            ? `calibrated on ${pointing.calibration.targetName}`
+            : `declination ${pointing.declination.toFixed(1)}° (${pointing.declinationSource}), not calibrated`;
+        readout.textContent = `Camera: alt ${pointing.altitude.toFixed(1)}° az ${pointing.azimuth.toFixed(1)}° · RA ${ra} Dec ${dec} · ${calibration}`;
+        
+        const resetBtn = document.getElementById('sky-calibration-reset-btn');
+        if (resetBtn) {
+            resetBtn.hidden = !pointing.calibrated;
+        }
+    }
+    
+    async calibratePointing() {
+        const target = this.selectedObject;
+        if (!target || target.type === 'constellation') {
+            this.showNotification('Select a bright star or planet on the map, point the phone at it, then calibrate', 'info');
+            return;
+        }
+        
+        try {
+            const response = await fetch('/api/pointing/calibrate', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ objectId: target.id, deviceId: this.pointingDeviceId })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.message || result.error);
+            }
+            
+            const { calibration } = result.pointing;
+            this.updatePointing(result.pointing, result.deviceId);
+            this.showNotification(`Calibrated on ${target.name} (alt ${calibration.altitude}°, az ${calibration.azimuth}°)`, 'success');
+        } catch (error) {
+            console.error('Failed to calibrate pointing:', error);
+            this.showNotification(`Calibration failed: ${error.message}`, 'error');
+        }
+    }
+    
+    async resetCalibration() {
+        try {
+            const query = this.pointingDeviceId ? `?deviceId=${encodeURIComponent(this.pointingDeviceId)}` : '';
+            const response = await fetch(`/api/pointing/calibrate${query}`, { method: 'DELETE' });
+            const result = await response.json();
+            if (result.pointing) {
+                this.updatePointing(result.pointing, result.deviceId);
+            }
+            this.showNotification('Pointing calibration cleared', 'info');
+        } catch (error) {
+            console.error('Failed to reset calibration:', error);
+        }
+    }
+    
+    showNotification(message, type) {
+        if (window.drahmsVisionApp) {
+            window.drahmsVisionApp.showNotification(message, type);
+        }
+    }
+    
     handleMapClick(event) {
+        // The canvas is scaled by CSS, so map the click back to canvas pixels
         const rect = this.canvas.getBoundingClientRect();
-        const x = event.clientX - rect.left;
-        const y = event.clientY - rect.top;
+        const x = (event.clientX - rect.left) * this.canvas.width / rect.width;
+        const y = (event.clientY - rect.top) * this.canvas.height / rect.height;
         
         // Check if click is near any object
         const clickedObject = this.findObjectAtPosition(x, y);
@@ -210,13 +611,18 @@ class SkyMapController {
         }
     }
     
+    findObjectById(id) {
+        const objects = [...(this.stars || []), ...(this.planets || []), ...(this.constellations || [])];
+        return objects.find(object => object.id === id) || null;
+    }
+    
     findObjectAtPosition(x, y) {
         const threshold = 10;
         
         // Check stars
         if (this.stars) {
             for (const star of this.stars) {
-                if (star.x && star.y) {
+                if (star.visible && star.x !== undefined) {
                     const distance = Math.sqrt((x - star.x) ** 2 + (y - star.y) ** 2);
                     if (distance < threshold) {
                         return star;
@@ -228,7 +634,7 @@ class SkyMapController {
         // Check planets
         if (this.planets) {
             for (const planet of this.planets) {
-                if (planet.x && planet.y) {
+                if (planet.visible && planet.x !== undefined) {
                     const distance = Math.sqrt((x - planet.x) ** 2 + (y - planet.y) ** 2);
                     if (distance < threshold) {
                         return planet;
@@ -237,21 +643,55 @@ class SkyMapController {
             }
         }
         
+        // Otherwise the click selects the constellation whose boundary contains it
+        const fromCenter = Math.sqrt((x - this.center.x) ** 2 + (y - this.center.y) ** 2);
+        if (this.constellations && fromCenter <= this.horizonRadius) {
+            return this.constellations.find(constellation =>
+                this.getBoundaryOutlines(constellation).some(outline => this.isInsideOutline(x, y, outline))
+            ) || null;
+        }
+        
         return null;
     }
     
+    isInsideOutline(x, y, outline) {
+        let inside = false;
+        for (let i = 0, j = outline.length - 1; i < outline.length; j = i++) {
+            const a = outline[i];
+            const b = outline[j];
+            if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+    
     showObjectInfo(object) {
         console.log('Selected object:', object);
         
         // Create info popup
         const info = document.createElement('div');
         info.className = 'object-info';
-        info.innerHTML = `
-            <h3>${object.name}</h3>
-            <p>Type: ${object.type || 'Unknown'}</p>
-            <p>Magnitude: ${object.magnitude || 'N/A'}</p>
-            <p>Visible: ${object.visible ? 'Yes' : 'No'}</p>
-        `;
+        if (object.type === 'constellation') {
+            info.innerHTML = this.describeConstellation(object);
+        } else {
+            info.innerHTML = `
+                <h3>${object.name}</h3>
+                <p>Type: ${object.type || 'Unknown'}</p>
+                ${object.type === 'star' ? `<p>${[object.bayer, object.flamsteed && `${object.flamsteed} ${object.constellation}`].filter(Boolean).join(' · ') || object.constellation}</p>` : ''}
+                <p>Magnitude: ${object.magnitude !== undefined ? object.magnitude.toFixed(2) : 'N/A'}</p>
+                <p>Altitude: ${object.altitude.toFixed(1)}° &nbsp; Azimuth: ${object.azimuth.toFixed(1)}°</p>
+                <p>Rises: ${this.formatEventTime(object.rise, object.alwaysUp)} &nbsp; Sets: ${this.formatEventTime(object.set, object.alwaysUp)}</p>
+                <p>Visible: ${object.visible ? 'Yes' : 'No'}</p>
+                <button class="btn-secondary object-info-guide"><i class="fas fa-location-arrow"></i> Guide me</button>
+            `;
+            info.querySelector('.object-info-guide').addEventListener('click', () => {
+                info.remove();
+                if (window.guideController) {
+                    window.guideController.start(object);
+                }
+            });
+        }
         
         // Remove existing info
         const existingInfo = document.querySelector('.object-info');
@@ -262,20 +702,52 @@ class SkyMapController {
         // Add new info
         document.body.appendChild(info);
         
-        // Remove after 5 seconds
-        setTimeout(() => {
-            info.remove();
-        }, 5000);
+        // Remove after 5 seconds, unless the pointer is over it
+        let removeTimer = setTimeout(() => info.remove(), 5000);
+        info.addEventListener('mouseenter', () => clearTimeout(removeTimer));
+        info.addEventListener('mouseleave', () => {
+            removeTimer = setTimeout(() => info.remove(), 2000);
+        });
+    }
+    
+    describeConstellation(constellation) {
+        const figureStars = new Map();
+        (constellation.lines || []).forEach(({ from, to }) => {
+            figureStars.set(from.id, from.name);
+            figureStars.set(to.id, to.name);
+        });
+        const brightest = (this.stars || [])
+            .filter(star => star.constellation === constellation.abbreviation)
+            .slice(0, 3)
+            .map(star => `${star.name} (${star.magnitude.toFixed(1)})`);
+        
+        return `
+            <h3>${constellation.name}</h3>
+            <p>Type: constellation &nbsp; ${constellation.abbreviation} · ${constellation.genitive}</p>
+            <p>Centre altitude: ${constellation.altitude.toFixed(1)}° &nbsp; Azimuth: ${constellation.azimuth.toFixed(1)}°</p>
+            <p>Rises: ${this.formatEventTime(constellation.rise, constellation.alwaysUp)} &nbsp; Sets: ${this.formatEventTime(constellation.set, constellation.alwaysUp)}</p>
+            <p>Figure stars: ${figureStars.size}</p>
+            ${brightest.length ? `<p>Brightest: ${brightest.join(', ')}</p>` : ''}
+        `;
+    }
+    
+    formatEventTime(time, alwaysUp) {
+        if (time) {
+            return new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        }
+        return alwaysUp ? 'Always up' : 'Never';
     }
     
     updateLocation(latitude, longitude) {
         this.currentLocation = { latitude, longitude };
-        this.updateSkyMap();
+        this.loadAstronomicalData();
     }
     
     updateTime(time) {
-        this.currentTime = time;
-        this.updateSkyMap();
+        // An explicit time freezes the chart; pass null to follow the clock again
+        this.followRealTime = !time;
+        this.currentTime = time ? new Date(time) : new Date();
+        this.loadAstronomicalData();
     }
 }
 
@@ -126,6 +126,26 @@ class UIController {
     }
     
     handleKeyboardShortcuts(e) {
+        // Keys pressed in a form field or editable text keep their browser behaviour, native undo included
+        if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable]:not([contenteditable="false"])')) {
+            return;
+        }
+        
+        // Edit history
+        if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z' || e.key === 'y' || e.key === 'Y')) {
+            const editor = window.imageEditorController;
+            if (!editor || !editor.isActive()) return;
+            
+            e.preventDefault();
+            const redo = e.key === 'y' || e.key === 'Y' || e.shiftKey;
+            if (redo) {
+                editor.redo();
+            } else {
+                editor.undo();
+            }
+            return;
+        }
+        
         // Camera controls
         if (e.key === ' ') {
             e.preventDefault();
@@ -150,6 +170,21 @@ class UIController {
             }
         }
         
+        // Feed overlays
+        if (e.key === 'g' || e.key === 'G') {
+            e.preventDefault();
+            if (window.feedHistogramController) {
+                window.feedHistogramController.toggleHistogram();
+            }
+        }
+        
+        if (e.key === 'z' || e.key === 'Z') {
+            e.preventDefault();
+            if (window.feedHistogramController) {
+                window.feedHistogramController.toggleZebra();
+            }
+        }
+        
         // Help
         if (e.key === 'h' || e.key === 'H') {
             e.preventDefault();
@@ -257,7 +292,10 @@ class UIController {
                         <li><strong>Spacebar:</strong> Capture image</li>
                         <li><strong>R:</strong> Toggle recording</li>
                         <li><strong>S:</strong> Settings</li>
+                        <li><strong>G:</strong> Toggle histogram</li>
+                        <li><strong>Z:</strong> Toggle zebra (clipping) overlay</li>
                         <li><strong>H:</strong> Help</li>
+                        <li><strong>Ctrl+Z / Ctrl+Y:</strong> Undo / redo edits</li>
                         <li><strong>F11:</strong> Toggle fullscreen</li>
                     </ul>
                     
@@ -0,0 +1,518 @@
+// Drahms Vision - Astronomy Engine
+// Offline ephemeris: sidereal time, precession, horizon coordinates, rise/set times,
+// and approximate Sun, Moon and planet positions from orbital elements.
+// All angles are in degrees unless a name says otherwise.
+
+const DEG = Math.PI / 180;
+const J2000 = 2451545.0;
+const SIDEREAL_RATE = 360.98564736629; // degrees of sidereal rotation per solar day
+const OBLIQUITY_J2000 = 23.43928;
+
+// Standard altitudes of the object's centre at rise/set, including refraction
+const HORIZON_ALTITUDE = {
+    star: -0.5667,
+    planet: -0.5667,
+    sun: -0.8333,
+    moon: 0.125
+};
+
+// Keplerian elements and rates per Julian century (JPL approximate positions, 1800-2050)
+// [a (AU), e, I, L, longitude of perihelion, longitude of ascending node]
+const PLANET_ELEMENTS = {
+    mercury: {
+        name: 'Mercury',
+        elements: [0.38709927, 0.20563593, 7.00497902, 252.25032350, 77.45779628, 48.33076593],
+        rates: [0.00000037, 0.00001906, -0.00594749, 149472.67411175, 0.16047689, -0.12534081],
+        absoluteMagnitude: -0.42
+    },
+    venus: {
+        name: 'Venus',
+        elements: [0.72333566, 0.00677672, 3.39467605, 181.97909950, 131.60246718, 76.67984255],
+        rates: [0.00000390, -0.00004107, -0.00078890, 58517.81538729, 0.00268329, -0.27769418],
+        absoluteMagnitude: -4.40
+    },
+    earth: {
+        name: 'Earth',
+        elements: [1.00000261, 0.01671123, -0.00001531, 100.46457166, 102.93768193, 0.0],
+        rates: [0.00000562, -0.00004392, -0.01294668, 35999.37244981, 0.32327364, 0.0]
+    },
+    mars: {
+        name: 'Mars',
+        elements: [1.52371034, 0.09339410, 1.84969142, -4.55343205, -23.94362959, 49.55953891],
+        rates: [0.00001847, 0.00007882, -0.00813131, 19140.30268499, 0.44441088, -0.29257343],
+        absoluteMagnitude: -1.52
+    },
+    jupiter: {
+        name: 'Jupiter',
+        elements: [5.20288700, 0.04838624, 1.30439695, 34.39644051, 14.72847983, 100.47390909],
+        rates: [-0.00011607, -0.00013253, -0.00183714, 3034.74612775, 0.21252668, 0.20469106],
+        absoluteMagnitude: -9.40
+    },
+    saturn: {
+        name: 'Saturn',
+        elements: [9.53667594, 0.05386179, 2.48599187, 49.95424423, 92.59887831, 113.66242448],
+        rates: [-0.00125060, -0.00050991, 0.00193609, 1222.49362201, -0.41897216, -0.28867794],
+        absoluteMagnitude: -8.88
+    },
+    uranus: {
+        name: 'Uranus',
+        elements: [19.18916464, 0.04725744, 0.77263783, 313.23810451, 170.95427630, 74.01692503],
+        rates: [-0.00196176, -0.00004397, -0.00242939, 428.48202785, 0.40805281, 0.04240589],
+        absoluteMagnitude: -7.19
+    },
+    neptune: {
+        name: 'Neptune',
+        elements: [30.06992276, 0.00859048, 1.77004347, -55.12002969, 44.96476227, 131.78422574],
+        rates: [0.00026291, 0.00005105, 0.00035372, 218.45945325, -0.32241464, -0.00508664],
+        absoluteMagnitude: -6.87
+    }
+};
+
+const PLANET_IDS = ['mercury', 'venus', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune'];
+
+function normalizeDegrees(angle) {
+    const result = angle % 360;
+    return result < 0 ? result + 360 : result;
+}
+
+function toJulianDate(date) {
+    return date.getTime() / 86400000 + 2440587.5;
+}
+
+function fromJulianDate(jd) {
+    return new Date((jd - 2440587.5) * 86400000);
+}
+
+function greenwichMeanSiderealTime(jd) {
+    const t = (jd - J2000) / 36525;
+    return normalizeDegrees(
+        280.46061837 + SIDEREAL_RATE * (jd - J2000) + 0.000387933 * t * t - (t * t * t) / 38710000
+    );
+}
+
+function localSiderealTime(jd, longitude) {
+    return normalizeDegrees(greenwichMeanSiderealTime(jd) + longitude);
+}
+
+// IAU 1976 precession angles from J2000 to the given date
+function precessionAngles(jd) {
+    const t = (jd - J2000) / 36525;
+    return {
+        zeta: (2306.2181 * t + 0.30188 * t * t + 0.017998 * t * t * t) / 3600,
+        z: (2306.2181 * t + 1.09468 * t * t + 0.018203 * t * t * t) / 3600,
+        theta: (2004.3109 * t - 0.42665 * t * t - 0.041833 * t * t * t) / 3600
+    };
+}
+
+function rotateEquatorial(ra, dec, zeta, z, theta) {
+    const a = Math.cos(dec * DEG) * Math.sin((ra + zeta) * DEG);
+    const b = Math.cos(theta * DEG) * Math.cos(dec * DEG) * Math.cos((ra + zeta) * DEG)
+        - Math.sin(theta * DEG) * Math.sin(dec * DEG);
+    const c = Math.sin(theta * DEG) * Math.cos(dec * DEG) * Math.cos((ra + zeta) * DEG)
+        + Math.cos(theta * DEG) * Math.sin(dec * DEG);
+
+    return {
+        ra: normalizeDegrees(Math.atan2(a, b) / DEG + z),
+        dec: Math.asin(Math.max(-1, Math.min(1, c))) / DEG
+    };
+}
+
+// Rigorous precession of J2000 equatorial coordinates to the equinox of date
+function precess(ra, dec, jd) {
+    const { zeta, z, theta } = precessionAngles(jd);
+    return rotateEquatorial(ra, dec, zeta, z, theta);
+}
+
+// Coordinates of date (as returned for the Sun, Moon and planets) back to J2000
+function precessToJ2000(ra, dec, jd) {
+    const { zeta, z, theta } = precessionAngles(jd);
+    return rotateEquatorial(ra, dec, -z, -zeta, -theta);
+}
+
+function eclipticToEquatorial(longitude, latitude, obliquity = OBLIQUITY_J2000) {
+    const sinEps = Math.sin(obliquity * DEG);
+    const cosEps = Math.cos(obliquity * DEG);
+    const sinLon = Math.sin(longitude * DEG);
+
+    const ra = Math.atan2(
+        sinLon * cosEps - Math.tan(latitude * DEG) * sinEps,
+        Math.cos(longitude * DEG)
+    );
+    const dec = Math.asin(
+        Math.sin(latitude * DEG) * cosEps + Math.cos(latitude * DEG) * sinEps * sinLon
+    );
+
+    return { ra: normalizeDegrees(ra / DEG), dec: dec / DEG };
+}
+
+// Atmospheric refraction in degrees for a geometric altitude (Saemundsson)
+function refraction(altitude) {
+    if (altitude < -1) return 0;
+    return 1.02 / Math.tan((altitude + 10.3 / (altitude + 5.11)) * DEG) / 60;
+}
+
+// Azimuth is measured from north through east
+function equatorialToHorizontal(ra, dec, latitude, lst) {
+    const hourAngle = normalizeDegrees(lst - ra) * DEG;
+    const phi = latitude * DEG;
+    const delta = dec * DEG;
+
+    const sinAlt = Math.sin(delta) * Math.sin(phi) + Math.cos(delta) * Math.cos(phi) * Math.cos(hourAngle);
+    const altitude = Math.asin(Math.max(-1, Math.min(1, sinAlt)));
+
+    const azimuth = Math.atan2(
+        -Math.sin(hourAngle) * Math.cos(delta),
+        Math.sin(delta) * Math.cos(phi) - Math.cos(delta) * Math.sin(phi) * Math.cos(hourAngle)
+    );
+
+    return {
+        altitude: altitude / DEG,
+        azimuth: normalizeDegrees(azimuth / DEG)
+    };
+}
+
+function horizontalToEquatorial(altitude, azimuth, latitude, lst) {
+    const alt = altitude * DEG;
+    const az = azimuth * DEG;
+    const phi = latitude * DEG;
+
+    const sinDec = Math.sin(alt) * Math.sin(phi) + Math.cos(alt) * Math.cos(phi) * Math.cos(az);
+    const dec = Math.asin(Math.max(-1, Math.min(1, sinDec)));
+    const hourAngle = Math.atan2(
+        -Math.sin(az) * Math.cos(alt),
+        Math.sin(alt) * Math.cos(phi) - Math.cos(alt) * Math.sin(phi) * Math.cos(az)
+    );
+
+    return {
+        ra: normalizeDegrees(lst - hourAngle / DEG),
+        dec: dec / DEG
+    };
+}
+
+function angularSeparation(ra1, dec1, ra2, dec2) {
+    const cosSep = Math.sin(dec1 * DEG) * Math.sin(dec2 * DEG)
+        + Math.cos(dec1 * DEG) * Math.cos(dec2 * DEG) * Math.cos((ra1 - ra2) * DEG);
+    return Math.acos(Math.max(-1, Math.min(1, cosSep))) / DEG;
+}
+
+function sunPosition(jd) {
+    const n = jd - J2000;
+    const meanLongitude = normalizeDegrees(280.460 + 0.9856474 * n);
+    const meanAnomaly = normalizeDegrees(357.528 + 0.9856003 * n) * DEG;
+    const longitude = meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.020 * Math.sin(2 * meanAnomaly);
+    const obliquity = 23.439 - 0.0000004 * n;
+
+    return {
+        ...eclipticToEquatorial(longitude, 0, obliquity),
+        eclipticLongitude: normalizeDegrees(longitude),
+        distance: 1.00014 - 0.01671 * Math.cos(meanAnomaly) - 0.00014 * Math.cos(2 * meanAnomaly)
+    };
+}
+
+// Truncated lunar theory, good to a few arcminutes
+function moonPosition(jd) {
+    const d = jd - J2000;
+    const meanLongitude = 218.316 + 13.176396 * d;
+    const meanAnomaly = (134.963 + 13.064993 * d) * DEG;
+    const sunAnomaly = (357.529 + 0.98560028 * d) * DEG;
+    const elongation = (297.850 + 12.190749 * d) * DEG;
+    const argument = (93.272 + 13.229350 * d) * DEG;
+
+    const longitude = meanLongitude
+        + 6.289 * Math.sin(meanAnomaly)
+        + 1.274 * Math.sin(2 * elongation - meanAnomaly)
+        + 0.658 * Math.sin(2 * elongation)
+        + 0.214 * Math.sin(2 * meanAnomaly)
+        - 0.186 * Math.sin(sunAnomaly)
+        - 0.114 * Math.sin(2 * argument);
+    const latitude = 5.128 * Math.sin(argument)
+        + 0.281 * Math.sin(meanAnomaly + argument)
+        + 0.278 * Math.sin(meanAnomaly - argument)
+        + 0.173 * Math.sin(2 * elongation - argument);
+    const distanceKm = 385001
+        - 20905 * Math.cos(meanAnomaly)
+        - 3699 * Math.cos(2 * elongation - meanAnomaly)
+        - 2956 * Math.cos(2 * elongation);
+
+    const sun = sunPosition(jd);
+    const phaseAngle = 180 - angularSeparation(
+        normalizeDegrees(longitude), latitude, sun.eclipticLongitude, 0
+    );
+
+    return {
+        ...eclipticToEquatorial(normalizeDegrees(longitude), latitude, 23.439 - 0.0000004 * d),
+        distanceKm: distanceKm,
+        phaseAngle: phaseAngle,
+        illumination: (1 + Math.cos(phaseAngle * DEG)) / 2,
+        // Waxing while the Moon is less than 180 degrees east of the Sun
+        waxing: normalizeDegrees(longitude - sun.eclipticLongitude) < 180
+    };
+}
+
+function solveKepler(meanAnomaly, eccentricity) {
+    const m = meanAnomaly * DEG;
+    let e = m + eccentricity * Math.sin(m);
+    for (let i = 0; i < 10; i++) {
+        const delta = (e - eccentricity * Math.sin(e) - m) / (1 - eccentricity * Math.cos(e));
+        e -= delta;
+        if (Math.abs(delta) < 1e-9) break;
+    }
+    return e;
+}
+
+// Heliocentric ecliptic J2000 position in AU
+function heliocentricPosition(planetId, jd) {
+    const planet = PLANET_ELEMENTS[planetId];
+    const t = (jd - J2000) / 36525;
+    const [a, e, inclination, meanLongitude, perihelion, node] = planet.elements
+        .map((value, i) => value + planet.rates[i] * t);
+
+    const argumentOfPerihelion = (perihelion - node) * DEG;
+    const eccentricAnomaly = solveKepler(normalizeDegrees(meanLongitude - perihelion), e);
+
+    const xOrbit = a * (Math.cos(eccentricAnomaly) - e);
+    const yOrbit = a * Math.sqrt(1 - e * e) * Math.sin(eccentricAnomaly);
+
+    const cosW = Math.cos(argumentOfPerihelion);
+    const sinW = Math.sin(argumentOfPerihelion);
+    const cosN = Math.cos(node * DEG);
+    const sinN = Math.sin(node * DEG);
+    const cosI = Math.cos(inclination * DEG);
+    const sinI = Math.sin(inclination * DEG);
+
+    return {
+        x: (cosW * cosN - sinW * sinN * cosI) * xOrbit + (-sinW * cosN - cosW * sinN * cosI) * yOrbit,
+        y: (cosW * sinN + sinW * cosN * cosI) * xOrbit + (-sinW * sinN + cosW * cosN * cosI) * yOrbit,
+        z: (sinW * sinI) * xOrbit + (cosW * sinI) * yOrbit
+    };
+}
+
+function planetPosition(planetId, jd) {
+    const planet = heliocentricPosition(planetId, jd);
+    const earth = heliocentricPosition('earth', jd);
+
+    const x = planet.x - earth.x;
+    const y = planet.y - earth.y;
+    const z = planet.z - earth.z;
+
+    const distance = Math.sqrt(x * x + y * y + z * z);
+    const sunDistance = Math.sqrt(planet.x ** 2 + planet.y ** 2 + planet.z ** 2);
+    const earthSunDistance = Math.sqrt(earth.x ** 2 + earth.y ** 2 + earth.z ** 2);
+
+    const longitude = normalizeDegrees(Math.atan2(y, x) / DEG);
+    const latitude = Math.asin(z / distance) / DEG;
+    const equatorial = eclipticToEquatorial(longitude, latitude);
+
+    const phaseAngle = Math.acos(Math.max(-1, Math.min(1,
+        (sunDistance ** 2 + distance ** 2 - earthSunDistance ** 2) / (2 * sunDistance * distance)
+    ))) / DEG;
+
+    return {
+        ...precess(equatorial.ra, equatorial.dec, jd),
+        distance: distance,
+        sunDistance: sunDistance,
+        phaseAngle: phaseAngle,
+        magnitude: planetMagnitude(planetId, sunDistance, distance, phaseAngle)
+    };
+}
+
+function planetMagnitude(planetId, sunDistance, distance, phaseAngle) {
+    const base = PLANET_ELEMENTS[planetId].absoluteMagnitude + 5 * Math.log10(sunDistance * distance);
+    const i = phaseAngle;
+
+    switch (planetId) {
+        case 'mercury':
+            return base + 0.0380 * i - 0.000273 * i * i + 0.000002 * i * i * i;
+        case 'venus':
+            return base + 0.0009 * i + 0.000239 * i * i - 0.00000065 * i * i * i;
+        case 'mars':
+            return base + 0.016 * i;
+        case 'jupiter':
+            return base + 0.005 * i;
+        default:
+            return base;
+    }
+}
+
+// Finds the rise, transit and set nearest to `date`. `getPosition(jd)` returns { ra, dec }
+// of date, so moving bodies are handled by re-evaluating at each event.
+function riseTransitSet(getPosition, latitude, longitude, date, horizonAltitude) {
+    const jd = toJulianDate(date);
+
+    const transitNear = (jdGuess) => {
+        let transit = jdGuess;
+        for (let i = 0; i < 3; i++) {
+            const { ra } = getPosition(transit);
+            let hourAngle = normalizeDegrees(localSiderealTime(transit, longitude) - ra);
+            if (hourAngle > 180) hourAngle -= 360;
+            transit -= hourAngle / SIDEREAL_RATE;
+        }
+        return transit;
+    };
+
+    const transit = transitNear(jd);
+    const { dec } = getPosition(transit);
+    const cosH0 = (Math.sin(horizonAltitude * DEG) - Math.sin(latitude * DEG) * Math.sin(dec * DEG))
+        / (Math.cos(latitude * DEG) * Math.cos(dec * DEG));
+
+    if (cosH0 < -1) {
+        return { rise: null, transit: fromJulianDate(transit), set: null, alwaysUp: true, neverUp: false };
+    }
+    if (cosH0 > 1) {
+        return { rise: null, transit: fromJulianDate(transit), set: null, alwaysUp: false, neverUp: true };
+    }
+
+    const refineEvent = (sign) => {
+        let event = transit + sign * (Math.acos(cosH0) / DEG) / SIDEREAL_RATE;
+        for (let i = 0; i < 3; i++) {
+            const position = getPosition(event);
+            const cosH = (Math.sin(horizonAltitude * DEG) - Math.sin(latitude * DEG) * Math.sin(position.dec * DEG))
+                / (Math.cos(latitude * DEG) * Math.cos(position.dec * DEG));
+            if (Math.abs(cosH) > 1) break;
+
+            let hourAngle = normalizeDegrees(localSiderealTime(event, longitude) - position.ra);
+            if (hourAngle > 180) hourAngle -= 360;
+            event += (sign * Math.acos(cosH) / DEG - hourAngle) / SIDEREAL_RATE;
+        }
+        return fromJulianDate(event);
+    };
+
+    return {
+        rise: refineEvent(-1),
+        transit: fromJulianDate(transit),
+        set: refineEvent(1),
+        alwaysUp: false,
+        neverUp: false
+    };
+}
+
+function describeObserved(position, observer, lst, horizonAltitude, getPosition) {
+    const horizontal = equatorialToHorizontal(position.ra, position.dec, observer.latitude, lst);
+    const apparentAltitude = horizontal.altitude + refraction(horizontal.altitude);
+    const events = riseTransitSet(getPosition, observer.latitude, observer.longitude, observer.date, horizonAltitude);
+
+    return {
+        ra: position.ra,
+        dec: position.dec,
+        altitude: apparentAltitude,
+        azimuth: horizontal.azimuth,
+        rise: events.rise ? events.rise.toISOString() : null,
+        transit: events.transit.toISOString(),
+        set: events.set ? events.set.toISOString() : null,
+        alwaysUp: events.alwaysUp,
+        neverUp: events.neverUp,
+        visible: apparentAltitude > 0
+    };
+}
+
+// Apparent altitude and azimuth only, for drawing many points (figure lines, boundaries)
+function horizontalPosition(ra, dec, observer) {
+    const jd = toJulianDate(observer.date);
+    const position = precess(ra, dec, jd);
+    const horizontal = equatorialToHorizontal(position.ra, position.dec, observer.latitude,
+        localSiderealTime(jd, observer.longitude));
+
+    return {
+        altitude: horizontal.altitude + refraction(horizontal.altitude),
+        azimuth: horizontal.azimuth
+    };
+}
+
+// Fixed objects given in J2000 coordinates (stars, constellation centres)
+function observeFixed(ra, dec, observer) {
+    const jd = toJulianDate(observer.date);
+    const position = precess(ra, dec, jd);
+    const lst = localSiderealTime(jd, observer.longitude);
+
+    return describeObserved(position, observer, lst, HORIZON_ALTITUDE.star, () => position);
+}
+
+function observeSun(observer) {
+    const jd = toJulianDate(observer.date);
+    const position = sunPosition(jd);
+    const lst = localSiderealTime(jd, observer.longitude);
+
+    return {
+        id: 'sun',
+        name: 'Sun',
+        type: 'sun',
+        magnitude: -26.74,
+        distance: position.distance,
+        ...describeObserved(position, observer, lst, HORIZON_ALTITUDE.sun, sunPosition)
+    };
+}
+
+function observeMoon(observer) {
+    const jd = toJulianDate(observer.date);
+    const position = moonPosition(jd);
+    const lst = localSiderealTime(jd, observer.longitude);
+    const observed = describeObserved(position, observer, lst, HORIZON_ALTITUDE.moon, moonPosition);
+
+    // Topocentric parallax lowers the Moon by up to a degree near the horizon
+    const parallax = Math.asin(6378.14 / position.distanceKm) / DEG;
+    observed.altitude -= parallax * Math.cos(observed.altitude * DEG);
+    observed.visible = observed.altitude > 0;
+
+    return {
+        id: 'moon',
+        name: 'Moon',
+        type: 'moon',
+        magnitude: -12.73 + 0.026 * position.phaseAngle + 4e-9 * position.phaseAngle ** 4,
+        distanceKm: position.distanceKm,
+        illumination: position.illumination,
+        waxing: position.waxing,
+        ...observed
+    };
+}
+
+function observePlanet(planetId, observer) {
+    const jd = toJulianDate(observer.date);
+    const position = planetPosition(planetId, jd);
+    const lst = localSiderealTime(jd, observer.longitude);
+
+    return {
+        id: planetId,
+        name: PLANET_ELEMENTS[planetId].name,
+        type: 'planet',
+        magnitude: position.magnitude,
+        distance: position.distance,
+        phaseAngle: position.phaseAngle,
+        ...describeObserved(position, observer, lst, HORIZON_ALTITUDE.planet,
+            (eventJd) => planetPosition(planetId, eventJd))
+    };
+}
+
+function observeSolarSystem(observer) {
+    return [
+        observeSun(observer),
+        observeMoon(observer),
+        ...PLANET_IDS.map(planetId => observePlanet(planetId, observer))
+    ];
+}
+
+module.exports = {
+    DEG,
+    PLANET_IDS,
+    normalizeDegrees,
+    toJulianDate,
+    fromJulianDate,
+    greenwichMeanSiderealTime,
+    localSiderealTime,
+    precess,
+    precessToJ2000,
+    eclipticToEquatorial,
+    equatorialToHorizontal,
+    horizontalToEquatorial,
+    angularSeparation,
+    refraction,
+    sunPosition,
+    moonPosition,
+    planetPosition,
+    riseTransitSet,
+    horizontalPosition,
+    observeFixed,
+    observeSun,
+    observeMoon,
+    observePlanet,
+    observeSolarSystem
+};
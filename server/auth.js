@@ -0,0 +1,218 @@
+// Drahms Vision - Authentication
+// Pairing codes and access tokens. The server shows a short code per role; a phone or browser
+// that sends one back gets a token with that code's role, which the Socket.IO handshake and the
+// REST API then require. Only a hash of each token is stored, so the token file on its own
+// grants nothing.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const TOKEN_COOKIE = 'drahms_token';
+const TOKEN_ROLES = {
+    viewer: ['read'],
+    controller: ['read', 'control'],
+    device: ['read', 'device']
+};
+
+const PAIRING_CODE_LENGTH = 6;
+const PAIRING_CODE_TTL_MS = 10 * 60 * 1000;
+// Wrong codes one address may send per window. Each guess is still a one in a million chance
+// per code; the limit keeps a single client from trying more than a handful of them.
+const MAX_PAIRING_FAILURES = 5;
+const PAIRING_FAILURE_WINDOW_MS = 10 * 60 * 1000;
+const MAX_NAME_LENGTH = 64;
+// lastUsedAt is only written back this often; verifying a token happens on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+class AuthError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'AuthError';
+        this.code = code;
+    }
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Token from an Authorization: Bearer header or the pairing cookie
+function readRequestToken(headers) {
+    const authorization = headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+        return authorization.slice(7).trim();
+    }
+
+    const cookies = headers.cookie || '';
+    for (const part of cookies.split(';')) {
+        const [name, ...value] = part.trim().split('=');
+        if (name === TOKEN_COOKIE) return decodeURIComponent(value.join('='));
+    }
+    return null;
+}
+
+class AuthManager {
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.required = options.required !== false;
+        this.onCodeChanged = options.onCodeChanged || (() => {});
+        this.tokens = new Map();
+        // Role -> { code, expiresAt }; the role of a token is set by which code was entered
+        this.pairing = new Map();
+        // Remote address -> { count, resetAt } of wrong codes
+        this.failures = new Map();
+        this.writing = Promise.resolve();
+    }
+
+    async init() {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        try {
+            const raw = await fs.promises.readFile(this.filePath, 'utf8');
+            JSON.parse(raw).forEach(record => this.tokens.set(record.id, record));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Skipping unreadable token file ${this.filePath}:`, error.message);
+            }
+        }
+
+        const active = this.list().filter(record => !record.revokedAt).length;
+        console.log(`🔐 Loaded ${active} paired token(s)${this.required ? '' : ', authentication disabled'}`);
+    }
+
+    // The current code for a role, replaced once it has expired
+    pairingCode(role) {
+        if (!TOKEN_ROLES[role]) {
+            throw new RangeError(`role must be one of ${Object.keys(TOKEN_ROLES).join(', ')}`);
+        }
+
+        const current = this.pairing.get(role);
+        if (!current || Date.now() >= current.expiresAt) {
+            this.rotatePairingCode(role);
+        }
+        const { code, expiresAt } = this.pairing.get(role);
+        return { role, code, expiresAt: new Date(expiresAt).toISOString() };
+    }
+
+    // The current code of every role, for the console and controllers
+    pairingCodes() {
+        return Object.keys(TOKEN_ROLES).map(role => this.pairingCode(role));
+    }
+
+    rotatePairingCode(role) {
+        const code = String(crypto.randomInt(0, 10 ** PAIRING_CODE_LENGTH)).padStart(PAIRING_CODE_LENGTH, '0');
+        this.pairing.set(role, { code, expiresAt: Date.now() + PAIRING_CODE_TTL_MS });
+        this.onCodeChanged(this.pairingCode(role));
+    }
+
+    // Each code pairs one client as its role and is replaced once used. roles limits which
+    // codes are accepted (the phone's socket only takes the device code). Wrong codes count
+    // against the sender's address, which is refused for a while after too many.
+    async pair(code, { name, address = 'unknown', roles = Object.keys(TOKEN_ROLES) } = {}) {
+        const now = Date.now();
+        const failures = this.failures.get(address);
+        if (failures && now >= failures.resetAt) {
+            this.failures.delete(address);
+        } else if (failures && failures.count >= MAX_PAIRING_FAILURES) {
+            const minutes = Math.ceil((failures.resetAt - now) / 60000);
+            throw new AuthError(`Too many wrong pairing codes, try again in ${minutes} minute(s)`, 'RATE_LIMITED');
+        }
+
+        const submitted = String(code || '').replace(/\D/g, '');
+        const role = submitted.length === PAIRING_CODE_LENGTH
+            ? roles.find(candidate => crypto.timingSafeEqual(Buffer.from(submitted), Buffer.from(this.pairingCode(candidate).code)))
+            : undefined;
+        if (!role) {
+            this.failures.forEach((entry, key) => {
+                if (now >= entry.resetAt) this.failures.delete(key);
+            });
+            const entry = this.failures.get(address) || { count: 0, resetAt: now + PAIRING_FAILURE_WINDOW_MS };
+            entry.count++;
+            this.failures.set(address, entry);
+            throw new AuthError('Pairing code is wrong or has expired', 'INVALID_CODE');
+        }
+
+        const trimmed = typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '';
+        const token = 'dvt_' + crypto.randomBytes(32).toString('base64url');
+        const record = {
+            id: 'tok_' + crypto.randomBytes(6).toString('hex'),
+            name: trimmed || `${role} ${new Date().toISOString().slice(0, 10)}`,
+            role,
+            hash: hashToken(token),
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null,
+            revokedAt: null
+        };
+
+        this.tokens.set(record.id, record);
+        await this.persist();
+        console.log(`🔐 Paired "${record.name}" as ${role}`);
+        this.rotatePairingCode(role);
+        return { token, record: this.describe(record) };
+    }
+
+    // The token's record, or null when the token is unknown or revoked
+    verify(token) {
+        if (!token) return null;
+
+        const hash = hashToken(token);
+        const record = Array.from(this.tokens.values()).find(entry => entry.hash === hash);
+        if (!record || record.revokedAt) return null;
+
+        const now = Date.now();
+        if (!record.lastUsedAt || now - Date.parse(record.lastUsedAt) > LAST_USED_RESOLUTION_MS) {
+            record.lastUsedAt = new Date(now).toISOString();
+            this.persist().catch(error => console.error('Failed to save token use:', error.message));
+        }
+        return this.describe(record);
+    }
+
+    list() {
+        return Array.from(this.tokens.values())
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(record => this.describe(record));
+    }
+
+    async revoke(id) {
+        const record = this.tokens.get(id);
+        if (!record) {
+            throw new AuthError(`Token ${id} not found`, 'NOT_FOUND');
+        }
+
+        if (!record.revokedAt) {
+            record.revokedAt = new Date().toISOString();
+            await this.persist();
+            console.log(`🔐 Revoked "${record.name}"`);
+        }
+        return this.describe(record);
+    }
+
+    // Whether a token grants the permission; everything is allowed while authentication is disabled
+    can(record, permission) {
+        if (!this.required) return true;
+        return Boolean(record) && record.permissions.includes(permission);
+    }
+
+    describe(record) {
+        return {
+            id: record.id,
+            name: record.name,
+            role: record.role,
+            permissions: TOKEN_ROLES[record.role],
+            createdAt: record.createdAt,
+            lastUsedAt: record.lastUsedAt,
+            revokedAt: record.revokedAt
+        };
+    }
+
+    persist() {
+        const records = Array.from(this.tokens.values());
+        this.writing = this.writing
+            .catch(() => {})
+            .then(() => fs.promises.writeFile(this.filePath, JSON.stringify(records, null, 2), { mode: 0o600 }));
+        return this.writing;
+    }
+}
+
+module.exports = { AuthManager, AuthError, TOKEN_COOKIE, TOKEN_ROLES, readRequestToken };
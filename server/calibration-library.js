@@ -0,0 +1,344 @@
+// Drahms Vision - Calibration Library
+// Builds master bias, dark and flat frames from tagged capture series and applies the
+// matching masters to light frames before they are measured or stacked
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const imageIo = require('./image-io');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// Camera settings a master must share with the frames it calibrates. Flats record the
+// optics (vignetting, dust), so they only follow the lens.
+const MASTER_KEYS = {
+    bias: ['iso', 'lens'],
+    dark: ['iso', 'exposure', 'lens'],
+    flat: ['lens']
+};
+const CALIBRATION_TYPES = Object.keys(MASTER_KEYS);
+
+const MIN_MASTER_FRAMES = 3;
+const MAX_MASTER_FRAMES = 64;     // 64 8-bit frames still sum inside 16 bits
+const FIXED_POINT = 256;          // masters keep 8 fractional bits of the frame mean
+const PEDESTAL = 8;               // added after subtraction so noise below the dark is not clipped
+const MIN_FLAT_LEVEL = 0.1;       // flat pixels this far below the mean are dust or a dead pixel
+const BUILD_DELAY_MS = 15000;     // quiet period after the last frame of a series
+const CACHED_MASTERS = 3;
+
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+class CalibrationLibrary {
+    constructor(galleryStore, storageDir, options = {}) {
+        this.galleryStore = galleryStore;
+        this.storageDir = storageDir;
+        this.onUpdate = options.onUpdate || (() => {});
+        this.masters = new Map();
+        this.cache = new Map();
+        this.pendingBuilds = new Map();
+    }
+
+    async init() {
+        await fs.promises.mkdir(this.storageDir, { recursive: true });
+
+        const files = await fs.promises.readdir(this.storageDir);
+        for (const file of files) {
+            if (!file.endsWith('.json')) continue;
+
+            try {
+                const raw = await fs.promises.readFile(path.join(this.storageDir, file), 'utf8');
+                const master = JSON.parse(raw);
+                this.masters.set(master.id, master);
+            } catch (error) {
+                console.error(`Skipping unreadable calibration master ${file}:`, error.message);
+            }
+        }
+
+        console.log(`🌑 Calibration library loaded ${this.masters.size} master(s)`);
+    }
+
+    // The part of a frame's camera settings that selects a master of the given type
+    keyFor(frameType, settings = {}) {
+        const values = {
+            iso: settings.iso ?? null,
+            exposure: settings.exposure ?? null,
+            lens: settings.lens || 'main'
+        };
+        const key = {};
+        MASTER_KEYS[frameType].forEach(field => {
+            key[field] = values[field];
+        });
+        return key;
+    }
+
+    masterId(frameType, key) {
+        const hash = crypto.createHash('sha1').update(JSON.stringify(key)).digest('hex').slice(0, 10);
+        return `${frameType}_${hash}`;
+    }
+
+    // Calibration captures of one type and key, newest first
+    seriesFrames(frameType, key) {
+        const wanted = JSON.stringify(key);
+        return this.galleryStore.filter(record =>
+            record.type === 'capture' &&
+            record.frameType === frameType &&
+            JSON.stringify(this.keyFor(frameType, record.cameraSettings)) === wanted
+        );
+    }
+
+    // Every distinct calibration series in the gallery
+    listSeries() {
+        const series = new Map();
+        this.galleryStore.filter(record => record.type === 'capture' && CALIBRATION_TYPES.includes(record.frameType))
+            .forEach(record => {
+                const key = this.keyFor(record.frameType, record.cameraSettings);
+                const id = this.masterId(record.frameType, key);
+                if (!series.has(id)) {
+                    series.set(id, { masterId: id, frameType: record.frameType, key, frames: 0, latest: record.timestamp });
+                }
+                series.get(id).frames++;
+            });
+
+        return Array.from(series.values()).map(entry => {
+            const master = this.masters.get(entry.masterId);
+            return {
+                ...entry,
+                built: Boolean(master),
+                upToDate: Boolean(master) && master.latestSource >= entry.latest
+            };
+        });
+    }
+
+    list() {
+        return {
+            masters: Array.from(this.masters.values())
+                .sort((a, b) => a.frameType.localeCompare(b.frameType) || b.createdAt.localeCompare(a.createdAt)),
+            series: this.listSeries()
+        };
+    }
+
+    get(id) {
+        return this.masters.get(id) || null;
+    }
+
+    // Rebuilds the master for a calibration capture once its series has gone quiet
+    scheduleBuild(record) {
+        const key = this.keyFor(record.frameType, record.cameraSettings);
+        const id = this.masterId(record.frameType, key);
+        clearTimeout(this.pendingBuilds.get(id));
+
+        this.pendingBuilds.set(id, setTimeout(async () => {
+            this.pendingBuilds.delete(id);
+            try {
+                const master = await this.buildMaster(record.frameType, key);
+                this.onUpdate({ action: 'built', master });
+            } catch (error) {
+                console.error(`Failed to build ${record.frameType} master:`, error.message);
+                this.onUpdate({ action: 'failed', frameType: record.frameType, key, error: error.message });
+            }
+        }, BUILD_DELAY_MS));
+    }
+
+    // Rebuilds every series (or those of one frame type); a series that cannot be built is
+    // reported rather than failing the rest
+    async rebuild(frameType) {
+        const built = [];
+        const failed = [];
+        for (const series of this.listSeries()) {
+            if (frameType && series.frameType !== frameType) continue;
+            try {
+                built.push(await this.buildMaster(series.frameType, series.key));
+            } catch (error) {
+                failed.push({ frameType: series.frameType, key: series.key, error: error.message });
+            }
+        }
+        if (built.length) this.onUpdate({ action: 'rebuilt', masters: built });
+        return { built, failed };
+    }
+
+    // Mean of the newest frames in a series, held as 8.8 fixed point per RGB channel.
+    // Flats have the matching bias removed and keep their per-channel means for normalising.
+    async buildMaster(frameType, key) {
+        const records = this.seriesFrames(frameType, key).slice(0, MAX_MASTER_FRAMES);
+        if (records.length < MIN_MASTER_FRAMES) {
+            throw new Error(`A ${frameType} master needs at least ${MIN_MASTER_FRAMES} frames, found ${records.length}`);
+        }
+
+        let width = 0;
+        let height = 0;
+        let sums = null;
+        const sourceIds = [];
+        const skipped = [];
+
+        for (const record of records) {
+            let image;
+            try {
+                image = imageIo.decodeImage(await this.galleryStore.readFile(record));
+            } catch (error) {
+                skipped.push({ id: record.id, reason: `Could not read image: ${error.message}` });
+                continue;
+            }
+
+            // The newest readable frame sets the size of the master
+            if (!sums) {
+                width = image.width;
+                height = image.height;
+                sums = new Uint16Array(width * height * 3);
+            }
+            if (image.width !== width || image.height !== height) {
+                skipped.push({ id: record.id, reason: `Image size ${image.width}x${image.height} differs from ${width}x${height}` });
+                continue;
+            }
+
+            const { data } = image;
+            for (let pixel = 0, out = 0; pixel < data.length; pixel += 4, out += 3) {
+                sums[out] += data[pixel];
+                sums[out + 1] += data[pixel + 1];
+                sums[out + 2] += data[pixel + 2];
+            }
+            sourceIds.push(record.id);
+            await nextTick();
+        }
+
+        if (sourceIds.length < MIN_MASTER_FRAMES) {
+            throw new Error(`Only ${sourceIds.length} usable ${frameType} frame(s); at least ${MIN_MASTER_FRAMES} are needed`);
+        }
+
+        const master = sums;
+        for (let i = 0; i < master.length; i++) {
+            master[i] = Math.round(sums[i] * FIXED_POINT / sourceIds.length);
+        }
+
+        let biasId = null;
+        let channelMeans = null;
+        if (frameType === 'flat') {
+            // Flats are not keyed by ISO, so any bias master for the same lens will do
+            const bias = Array.from(this.masters.values()).find(candidate =>
+                candidate.frameType === 'bias' && candidate.key.lens === key.lens &&
+                candidate.width === width && candidate.height === height);
+            if (bias) {
+                const biasData = await this.loadData(bias);
+                for (let i = 0; i < master.length; i++) {
+                    master[i] = Math.max(0, master[i] - biasData[i]);
+                }
+                biasId = bias.id;
+            }
+
+            const totals = [0, 0, 0];
+            for (let i = 0; i < master.length; i++) {
+                totals[i % 3] += master[i];
+            }
+            channelMeans = totals.map(total => total / (master.length / 3) / FIXED_POINT);
+        }
+
+        const id = this.masterId(frameType, key);
+        const record = {
+            id,
+            frameType,
+            key,
+            width,
+            height,
+            frameCount: sourceIds.length,
+            sourceIds,
+            skipped,
+            latestSource: records.find(source => source.id === sourceIds[0]).timestamp,
+            biasId,
+            channelMeans,
+            filename: `${id}.u16.gz`,
+            createdAt: new Date().toISOString()
+        };
+
+        const bytes = Buffer.from(master.buffer, master.byteOffset, master.byteLength);
+        await fs.promises.writeFile(path.join(this.storageDir, record.filename), await gzip(bytes));
+        await fs.promises.writeFile(path.join(this.storageDir, `${id}.json`), JSON.stringify(record, null, 2));
+        this.masters.set(id, record);
+        this.cache.delete(id);
+
+        console.log(`🌑 Built ${frameType} master ${id} from ${sourceIds.length} frame(s)`);
+        return record;
+    }
+
+    async delete(id) {
+        const master = this.masters.get(id);
+        if (!master) return false;
+
+        this.masters.delete(id);
+        this.cache.delete(id);
+        await fs.promises.rm(path.join(this.storageDir, master.filename), { force: true });
+        await fs.promises.rm(path.join(this.storageDir, `${id}.json`), { force: true });
+
+        return true;
+    }
+
+    findMaster(frameType, key, width, height) {
+        const master = this.masters.get(this.masterId(frameType, key));
+        return master && master.width === width && master.height === height ? master : null;
+    }
+
+    async loadData(master) {
+        if (this.cache.has(master.id)) return this.cache.get(master.id);
+
+        const bytes = await gunzip(await fs.promises.readFile(path.join(this.storageDir, master.filename)));
+        const data = bytes.byteOffset % 2
+            ? new Uint16Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length))
+            : new Uint16Array(bytes.buffer, bytes.byteOffset, bytes.length / 2);
+
+        this.cache.set(master.id, data);
+        if (this.cache.size > CACHED_MASTERS) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        return data;
+    }
+
+    // Calibrates a decoded light frame in place: (light - dark or bias) / normalised flat.
+    // Resolves to { image, applied } where applied names the masters used, or is null when
+    // the record is not a light capture or no master matches its settings.
+    async calibrate(record, image) {
+        if (!record || record.type !== 'capture' || (record.frameType || 'light') !== 'light') {
+            return { image, applied: null };
+        }
+
+        const settings = record.cameraSettings || {};
+        const find = frameType => this.findMaster(frameType, this.keyFor(frameType, settings), image.width, image.height);
+        const dark = find('dark');
+        const offset = dark || find('bias');
+        const flat = find('flat');
+        if (!offset && !flat) return { image, applied: null };
+
+        const offsetData = offset ? await this.loadData(offset) : null;
+        const flatData = flat ? await this.loadData(flat) : null;
+        const pedestal = offset ? PEDESTAL : 0;
+        const { data } = image;
+        // Full-depth frames stay floats rather than being rounded back to 8 bits
+        const floating = data instanceof Float32Array;
+
+        for (let pixel = 0, index = 0; pixel < data.length; pixel += 4, index += 3) {
+            for (let channel = 0; channel < 3; channel++) {
+                let value = data[pixel + channel];
+                if (offsetData) {
+                    value -= offsetData[index + channel] / FIXED_POINT;
+                }
+                if (flatData) {
+                    const mean = flat.channelMeans[channel];
+                    value *= mean / Math.max(flatData[index + channel] / FIXED_POINT, mean * MIN_FLAT_LEVEL, 1e-3);
+                }
+                value = Math.min(255, Math.max(0, value + pedestal));
+                data[pixel + channel] = floating ? value : Math.round(value);
+            }
+        }
+
+        const applied = {};
+        if (offset) applied[offset.frameType] = offset.id;
+        if (flat) applied.flat = flat.id;
+        return { image, applied };
+    }
+}
+
+module.exports = {
+    CalibrationLibrary,
+    CALIBRATION_TYPES,
+    MASTER_KEYS
+};
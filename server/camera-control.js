@@ -0,0 +1,283 @@
+// Drahms Vision - Camera Control
+// Relays web interface commands to the Android device and tracks the authoritative camera state
+
+const { ROOMS, ROLES } = require('./device-registry');
+
+const COMMAND_TIMEOUT_MS = 8000;
+
+const CAMERA_SETTINGS = ['zoom', 'focus', 'iso', 'exposure', 'whiteBalance'];
+const CAMERA_MODES = ['auto', 'night', 'manual', 'astronomy'];
+// Ranges offered by the web interface; exposure is in seconds, with 0 leaving it to the camera
+const SETTING_RANGES = {
+    zoom: { min: 1, max: 10, step: 0.1 },
+    focus: { min: 0, max: 100, step: 1 },
+    iso: { min: 100, max: 3200, step: 100 },
+    exposure: { min: 0, max: 30, step: 0.001 }
+};
+// The white balance presets Android's camera offers
+const WHITE_BALANCE_MODES = ['auto', 'daylight', 'cloudy', 'shade', 'twilight', 'fluorescent', 'incandescent'];
+// What the next frames are: sky (light) frames, or dark, flat and bias calibration series
+const FRAME_TYPES = ['light', 'dark', 'flat', 'bias'];
+// Containers the server can write a recording into
+const RECORDING_FORMATS = ['avi', 'ser'];
+
+// Why a value cannot be used for a camera setting, or null when it can
+function settingProblem(setting, value) {
+    if (setting === 'whiteBalance') {
+        return WHITE_BALANCE_MODES.includes(value) ? null : `whiteBalance must be one of ${WHITE_BALANCE_MODES.join(', ')}`;
+    }
+
+    const range = SETTING_RANGES[setting];
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number) || number < range.min || number > range.max) {
+        return `${setting} must be between ${range.min} and ${range.max}`;
+    }
+    return null;
+}
+
+class CommandError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'CommandError';
+        this.code = code;
+    }
+}
+
+function createDefaultState(deviceId = null) {
+    return {
+        deviceConnected: false,
+        deviceId: deviceId,
+        mode: 'auto',
+        isStreaming: false,
+        isRecording: false,
+        recordingFormat: 'avi',
+        frameType: 'light',
+        settings: {
+            zoom: 1.0,
+            focus: 50,
+            iso: 400,
+            exposure: 0,
+            whiteBalance: 'auto'
+        },
+        lastCommand: null,
+        updatedAt: new Date().toISOString()
+    };
+}
+
+class CameraControl {
+    constructor(io, registry, options = {}) {
+        this.io = io;
+        this.registry = registry;
+        this.timeout = options.timeout || COMMAND_TIMEOUT_MS;
+        this.states = new Map();
+        this.activeDeviceId = null;
+    }
+
+    deviceConnected(device) {
+        if (!this.states.has(device.id)) {
+            this.states.set(device.id, createDefaultState(device.id));
+        }
+
+        // The most recently connected phone becomes the default command target
+        this.activeDeviceId = device.id;
+        this.updateState(device.id, { deviceConnected: true });
+        console.log(`📱 Camera device connected: ${device.name} (${device.id})`);
+    }
+
+    deviceDisconnected(device) {
+        this.updateState(device.id, { deviceConnected: false, isStreaming: false });
+
+        if (this.activeDeviceId === device.id) {
+            const fallback = this.registry.connected()[0];
+            this.activeDeviceId = fallback ? fallback.id : device.id;
+            this.broadcastState();
+        }
+        console.log(`📱 Camera device disconnected: ${device.name} (${device.id})`);
+    }
+
+    getActiveDevice() {
+        return this.activeDeviceId ? this.registry.get(this.activeDeviceId) : null;
+    }
+
+    getState(deviceId = this.activeDeviceId) {
+        return this.states.get(deviceId) || createDefaultState(deviceId);
+    }
+
+    updateState(deviceId, changes) {
+        const current = this.getState(deviceId);
+        const state = {
+            ...current,
+            ...changes,
+            settings: { ...current.settings, ...(changes.settings || {}) },
+            updatedAt: new Date().toISOString()
+        };
+        this.states.set(deviceId, state);
+
+        if (deviceId === this.activeDeviceId) {
+            this.broadcastState();
+        }
+        return state;
+    }
+
+    broadcastState() {
+        this.io.to(ROOMS[ROLES.VIEWER]).emit('camera_state', this.getState());
+    }
+
+    // Status pushed by the phone itself always wins over what we assumed
+    applyDeviceStatus(deviceId, status = {}) {
+        const changes = {};
+        ['mode', 'isStreaming', 'isRecording'].forEach(key => {
+            if (status[key] !== undefined) changes[key] = status[key];
+        });
+        if (status.settings) changes.settings = status.settings;
+        this.updateState(deviceId, changes);
+    }
+
+    validate(command, payload) {
+        switch (command) {
+            case 'camera_setting':
+                if (!CAMERA_SETTINGS.includes(payload.setting)) {
+                    throw new CommandError(`Unknown camera setting: ${payload.setting}`, 'INVALID_COMMAND');
+                }
+                if (payload.value === undefined || payload.value === null) {
+                    throw new CommandError(`Missing value for ${payload.setting}`, 'INVALID_COMMAND');
+                }
+                this.validateSetting(payload.setting, payload.value);
+                break;
+            case 'set_camera_mode':
+                if (!CAMERA_MODES.includes(payload.mode)) {
+                    throw new CommandError(`Unknown camera mode: ${payload.mode}`, 'INVALID_COMMAND');
+                }
+                // A profile sends its settings along with the mode
+                Object.entries(payload.settings || {}).forEach(([setting, value]) => {
+                    if (!CAMERA_SETTINGS.includes(setting)) {
+                        throw new CommandError(`Unknown camera setting: ${setting}`, 'INVALID_COMMAND');
+                    }
+                    this.validateSetting(setting, value);
+                });
+                break;
+            case 'capture_image':
+                if (payload.frameType !== undefined && !FRAME_TYPES.includes(payload.frameType)) {
+                    throw new CommandError(`Unknown frame type: ${payload.frameType}`, 'INVALID_COMMAND');
+                }
+                break;
+            case 'start_recording':
+                if (payload.format !== undefined && !RECORDING_FORMATS.includes(payload.format)) {
+                    throw new CommandError(`Unknown recording format: ${payload.format}`, 'INVALID_COMMAND');
+                }
+                break;
+        }
+    }
+
+    // Values outside what the web interface offers never reach the phone
+    validateSetting(setting, value) {
+        const problem = settingProblem(setting, value);
+        if (problem) {
+            throw new CommandError(problem, 'INVALID_COMMAND');
+        }
+    }
+
+    resolveTarget(deviceId) {
+        const device = this.registry.get(deviceId || this.activeDeviceId);
+        if (!device) {
+            throw new CommandError(
+                deviceId ? `Unknown camera device: ${deviceId}` : 'No camera device connected',
+                'NO_DEVICE'
+            );
+        }
+        if (!device.connected) {
+            throw new CommandError(`Camera device ${device.name} is not connected`, 'NO_DEVICE');
+        }
+        return device;
+    }
+
+    async sendCommand(command, payload = {}) {
+        const { deviceId, ...commandPayload } = payload;
+        const device = this.resolveTarget(deviceId);
+
+        // The toggle is resolved here so the phone only ever sees explicit start/stop commands
+        if (command === 'toggle_recording') {
+            command = this.getState(device.id).isRecording ? 'stop_recording' : 'start_recording';
+        }
+
+        this.validate(command, commandPayload);
+
+        const response = await this.emitToDevice(device, command, commandPayload);
+        this.applyCommand(device.id, command, commandPayload, response);
+
+        return { command, deviceId: device.id, response };
+    }
+
+    emitToDevice(device, command, payload) {
+        return new Promise((resolve, reject) => {
+            const socket = this.io.sockets.sockets.get(device.socketId);
+            if (!socket) {
+                reject(new CommandError(`Camera device ${device.name} is not connected`, 'NO_DEVICE'));
+                return;
+            }
+
+            socket.timeout(this.timeout).emit(command, payload, (err, response) => {
+                if (err) {
+                    reject(new CommandError(`Camera did not respond to ${command} within ${this.timeout / 1000}s`, 'TIMEOUT'));
+                    return;
+                }
+                if (response && response.success === false) {
+                    reject(new CommandError(response.error || `Camera rejected ${command}`, 'DEVICE_ERROR'));
+                    return;
+                }
+                resolve(response || {});
+            });
+        });
+    }
+
+    applyCommand(deviceId, command, payload, response) {
+        const changes = {
+            lastCommand: { command, payload, timestamp: new Date().toISOString() }
+        };
+
+        switch (command) {
+            case 'camera_setting':
+                changes.settings = { [payload.setting]: payload.value };
+                break;
+            case 'set_camera_mode':
+                changes.mode = payload.mode;
+                if (payload.settings) changes.settings = payload.settings;
+                break;
+            case 'capture_image':
+                // Frames that arrive after this capture are tagged with its frame type
+                changes.frameType = payload.frameType || 'light';
+                break;
+            case 'start_recording':
+                changes.isRecording = true;
+                changes.recordingFormat = payload.format || 'avi';
+                break;
+            case 'stop_recording':
+                changes.isRecording = false;
+                break;
+            case 'start_camera_stream':
+                changes.isStreaming = true;
+                break;
+            case 'stop_camera_stream':
+                changes.isStreaming = false;
+                break;
+        }
+
+        if (response.settings) {
+            changes.settings = { ...(changes.settings || {}), ...response.settings };
+        }
+
+        this.updateState(deviceId, changes);
+    }
+}
+
+module.exports = {
+    CameraControl,
+    CommandError,
+    settingProblem,
+    CAMERA_SETTINGS,
+    CAMERA_MODES,
+    SETTING_RANGES,
+    WHITE_BALANCE_MODES,
+    FRAME_TYPES,
+    RECORDING_FORMATS
+};
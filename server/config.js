@@ -0,0 +1,200 @@
+// Drahms Vision - Configuration
+// Server settings from an optional JSON config file, overridden by environment variables.
+// Every value is checked before the server starts; all problems are reported together so a
+// bad setup is fixed in one go rather than one restart at a time.
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const CONFIG_FILE_NAME = 'drahms.config.json';
+// Files the sky catalog cannot start without; the others are optional
+const REQUIRED_CATALOG_FILES = ['bright-stars.json', 'constellations.json'];
+
+const DEFAULTS = {
+    port: 3003,
+    storageDir: './captures',
+    catalogDir: './server/data',
+    site: { latitude: 0, longitude: 0 },
+    corsOrigins: [],
+    authDisabled: false,
+    commandTimeoutMs: 8000,
+    maxImageBytes: 25 * 1024 * 1024
+};
+
+// Config file keys and the environment variables that override them
+const ENV_VARIABLES = {
+    port: 'PORT',
+    storageDir: 'STORAGE_DIR',
+    catalogDir: 'CATALOG_DIR',
+    'site.latitude': 'SITE_LATITUDE',
+    'site.longitude': 'SITE_LONGITUDE',
+    corsOrigins: 'CORS_ORIGINS',
+    authDisabled: 'AUTH_DISABLED',
+    commandTimeoutMs: 'COMMAND_TIMEOUT_MS',
+    maxImageBytes: 'MAX_IMAGE_BYTES'
+};
+
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+function readConfigFile(filePath, explicit, problems) {
+    let raw;
+    try {
+        raw = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        // The default file is optional; one named in CONFIG_FILE has to be there
+        if (error.code !== 'ENOENT' || explicit) {
+            problems.push(`${filePath}: ${error.message}`);
+        }
+        return {};
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(raw);
+    } catch (error) {
+        problems.push(`${filePath} is not valid JSON: ${error.message}`);
+        return {};
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        problems.push(`${filePath} must contain a JSON object`);
+        return {};
+    }
+
+    // Catches misspelt keys, which would otherwise be silently ignored
+    const known = new Set(Object.keys(ENV_VARIABLES).map(key => key.split('.')[0]));
+    Object.keys(parsed).filter(key => !known.has(key)).forEach(key => {
+        problems.push(`${path.basename(filePath)}: unknown setting "${key}" (expected one of ${Array.from(known).join(', ')})`);
+    });
+    if (parsed.site !== undefined && (typeof parsed.site !== 'object' || parsed.site === null)) {
+        problems.push(`${path.basename(filePath)}: "site" must be an object with latitude and longitude`);
+    }
+    return parsed;
+}
+
+function readKey(object, key) {
+    return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), object);
+}
+
+// The value and a label naming where it came from, for error messages
+function pick(key, file, filePath, env) {
+    const variable = ENV_VARIABLES[key];
+    if (env[variable] !== undefined && env[variable] !== '') {
+        return { value: env[variable], source: variable, fromEnv: true };
+    }
+    const value = readKey(file, key);
+    if (value !== undefined) {
+        return { value, source: `"${key}" in ${filePath}`, fromEnv: false };
+    }
+    return { value: readKey(DEFAULTS, key), source: key, fromEnv: false };
+}
+
+function parseNumber({ value, source }, { min, max, integer }, problems) {
+    const number = typeof value === 'number' ? value : Number(String(value).trim());
+    if (String(value).trim() === '' || !Number.isFinite(number) || (integer && !Number.isInteger(number))) {
+        problems.push(`${source} must be ${integer ? 'a whole number' : 'a number'}, got "${value}"`);
+        return null;
+    }
+    if (number < min || number > max) {
+        problems.push(`${source} must be between ${min} and ${max}, got ${number}`);
+        return null;
+    }
+    return number;
+}
+
+function parseBoolean({ value, source }, problems) {
+    if (typeof value === 'boolean') return value;
+    const text = String(value).trim().toLowerCase();
+    if (['true', '1', 'yes'].includes(text)) return true;
+    if (['false', '0', 'no'].includes(text)) return false;
+    problems.push(`${source} must be true or false, got "${value}"`);
+    return null;
+}
+
+function parseOrigins({ value, source, fromEnv }, problems) {
+    const origins = fromEnv ? String(value).split(',') : value;
+    if (!Array.isArray(origins)) {
+        problems.push(`${source} must be a list of origins`);
+        return [];
+    }
+
+    return origins.map(origin => String(origin).trim()).filter(Boolean).filter(origin => {
+        let url;
+        try {
+            url = new URL(origin);
+        } catch (error) {
+            url = null;
+        }
+        // An origin is scheme, host and port only, exactly as browsers send it
+        if (!url || !['http:', 'https:'].includes(url.protocol) || url.origin !== origin) {
+            problems.push(`${source}: "${origin}" is not an origin such as http://192.168.1.20:8080`);
+            return false;
+        }
+        return true;
+    });
+}
+
+function parseDirectory({ value, source }, problems) {
+    if (typeof value !== 'string' || !value.trim()) {
+        problems.push(`${source} must be a folder path`);
+        return null;
+    }
+
+    const resolved = path.resolve(ROOT_DIR, value.trim());
+    try {
+        if (!fs.statSync(resolved).isDirectory()) {
+            problems.push(`${source}: ${resolved} exists but is not a folder`);
+            return null;
+        }
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            problems.push(`${source}: cannot use ${resolved}: ${error.message}`);
+            return null;
+        }
+    }
+    return resolved;
+}
+
+// env defaults to process.env; CONFIG_FILE names another file than drahms.config.json.
+// Relative paths, in the file or the environment, are taken from the project folder.
+function loadConfig(env = process.env) {
+    const problems = [];
+    const explicit = Boolean(env.CONFIG_FILE);
+    const filePath = path.resolve(ROOT_DIR, env.CONFIG_FILE || CONFIG_FILE_NAME);
+    const file = readConfigFile(filePath, explicit, problems);
+    const setting = key => pick(key, file, path.basename(filePath), env);
+
+    const config = {
+        configFile: fs.existsSync(filePath) ? filePath : null,
+        port: parseNumber(setting('port'), { min: 1, max: 65535, integer: true }, problems),
+        storageDir: parseDirectory(setting('storageDir'), problems),
+        catalogDir: parseDirectory(setting('catalogDir'), problems),
+        site: {
+            latitude: parseNumber(setting('site.latitude'), { min: -90, max: 90 }, problems),
+            longitude: parseNumber(setting('site.longitude'), { min: -180, max: 180 }, problems)
+        },
+        corsOrigins: parseOrigins(setting('corsOrigins'), problems),
+        authDisabled: parseBoolean(setting('authDisabled'), problems),
+        commandTimeoutMs: parseNumber(setting('commandTimeoutMs'), { min: 1000, max: 120000, integer: true }, problems),
+        maxImageBytes: parseNumber(setting('maxImageBytes'), { min: 1024 * 1024, max: 256 * 1024 * 1024, integer: true }, problems)
+    };
+
+    if (config.catalogDir) {
+        REQUIRED_CATALOG_FILES.filter(name => !fs.existsSync(path.join(config.catalogDir, name))).forEach(name => {
+            problems.push(`${setting('catalogDir').source}: ${config.catalogDir} has no ${name}`);
+        });
+    }
+
+    if (problems.length) {
+        throw new ConfigError(problems);
+    }
+    return config;
+}
+
+module.exports = { loadConfig, ConfigError, CONFIG_FILE_NAME, DEFAULTS, ENV_VARIABLES };
@@ -0,0 +1,124 @@
+// Drahms Vision - Device Registry
+// Tracks socket roles and the camera devices that have connected to the server
+
+const ROLES = {
+    DEVICE: 'device',
+    VIEWER: 'viewer'
+};
+
+// Socket.IO rooms, one per role
+const ROOMS = {
+    [ROLES.DEVICE]: 'devices',
+    [ROLES.VIEWER]: 'viewers'
+};
+
+const DEVICE_ROLE_ALIASES = ['device', 'camera', 'phone'];
+
+// Handshake values come from `auth` (preferred) or the query string for older clients
+function readHandshake(handshake) {
+    return { ...(handshake.query || {}), ...(handshake.auth || {}) };
+}
+
+function resolveRole(handshake) {
+    const role = String(readHandshake(handshake).role || '').toLowerCase();
+    return DEVICE_ROLE_ALIASES.includes(role) ? ROLES.DEVICE : ROLES.VIEWER;
+}
+
+function parseCapabilities(capabilities) {
+    if (Array.isArray(capabilities)) return capabilities;
+    if (!capabilities) return [];
+    return String(capabilities).split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+class DeviceRegistry {
+    constructor() {
+        this.devices = new Map();
+        this.socketToDevice = new Map();
+    }
+
+    register(socket, info = {}) {
+        const handshake = readHandshake(socket.handshake);
+        const details = { ...handshake, ...info };
+
+        // Phones that send a stable deviceId keep their registry entry across reconnects
+        const id = details.deviceId || socket.id;
+        const existing = this.devices.get(id);
+        const now = new Date().toISOString();
+
+        // Registering again under another deviceId leaves the socket's old entry behind
+        const previous = this.getBySocket(socket.id);
+        if (previous && previous.id !== id && previous.socketId === socket.id) {
+            previous.connected = false;
+            previous.lastSeen = now;
+        }
+
+        const device = {
+            id: id,
+            socketId: socket.id,
+            name: details.name || (existing && existing.name) || 'Camera device',
+            model: details.model || (existing && existing.model) || 'Unknown',
+            capabilities: details.capabilities !== undefined
+                ? parseCapabilities(details.capabilities)
+                : (existing ? existing.capabilities : []),
+            address: socket.handshake.address,
+            connected: true,
+            connectedAt: existing && existing.connected ? existing.connectedAt : now,
+            lastSeen: now,
+            sensorData: existing ? existing.sensorData : null
+        };
+
+        this.devices.set(id, device);
+        this.socketToDevice.set(socket.id, id);
+
+        return device;
+    }
+
+    get(id) {
+        return this.devices.get(id) || null;
+    }
+
+    getBySocket(socketId) {
+        const id = this.socketToDevice.get(socketId);
+        return id ? this.devices.get(id) : null;
+    }
+
+    touch(socketId) {
+        const device = this.getBySocket(socketId);
+        if (device) {
+            device.lastSeen = new Date().toISOString();
+        }
+        return device;
+    }
+
+    markDisconnected(socketId) {
+        const device = this.getBySocket(socketId);
+        this.socketToDevice.delete(socketId);
+
+        // A newer socket may already have taken over this device id
+        if (device && device.socketId === socketId) {
+            device.connected = false;
+            device.lastSeen = new Date().toISOString();
+        }
+        return device;
+    }
+
+    connected() {
+        return this.list().filter(device => device.connected);
+    }
+
+    list() {
+        return Array.from(this.devices.values());
+    }
+
+    // Public view without the cached sensor payload
+    describe(device) {
+        const { sensorData, ...summary } = device;
+        return {
+            ...summary,
+            role: ROLES.DEVICE,
+            hasSensorData: Boolean(sensorData)
+        };
+    }
+}
+
+module.exports = { DeviceRegistry, ROLES, ROOMS, resolveRole };
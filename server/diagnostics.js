@@ -0,0 +1,96 @@
+// Drahms Vision - Diagnostics
+// Live connection and frame statistics behind /api/status: socket round-trip times from the
+// Socket.IO heartbeat, and per-device frame timing
+
+const fs = require('fs');
+
+// Frames counted for the frame rate are those received in this window
+const FRAME_RATE_WINDOW_MS = 10000;
+
+class Diagnostics {
+    constructor() {
+        this.connections = new Map();
+        this.frames = new Map();
+    }
+
+    // Times the engine's ping/pong heartbeat, so any client gets a round-trip figure without
+    // having to answer an extra event
+    trackConnection(socket, role) {
+        const connection = {
+            socketId: socket.id,
+            role,
+            address: socket.handshake.address,
+            transport: socket.conn.transport.name,
+            connectedAt: new Date().toISOString(),
+            latencyMs: null,
+            latencySampledAt: null
+        };
+        this.connections.set(socket.id, connection);
+
+        let pingSentAt = null;
+        socket.conn.on('packetCreate', (packet) => {
+            if (packet.type === 'ping') pingSentAt = Date.now();
+        });
+        socket.conn.on('packet', (packet) => {
+            if (packet.type !== 'pong' || pingSentAt === null) return;
+            connection.latencyMs = Date.now() - pingSentAt;
+            connection.latencySampledAt = new Date().toISOString();
+            pingSentAt = null;
+        });
+        socket.conn.on('upgrade', (transport) => {
+            connection.transport = transport.name;
+        });
+        socket.on('disconnect', () => {
+            this.connections.delete(socket.id);
+        });
+    }
+
+    recordFrame(deviceId, bytes) {
+        const now = Date.now();
+        const stats = this.frames.get(deviceId) || { total: 0, times: [], lastFrameAt: null, lastFrameBytes: 0 };
+        stats.total++;
+        stats.times.push(now);
+        stats.lastFrameAt = now;
+        stats.lastFrameBytes = bytes;
+        while (stats.times.length && now - stats.times[0] > FRAME_RATE_WINDOW_MS) stats.times.shift();
+        this.frames.set(deviceId, stats);
+    }
+
+    frameStats(deviceId) {
+        const stats = this.frames.get(deviceId);
+        if (!stats) {
+            return { totalFrames: 0, lastFrameAt: null, framesPerSecond: 0, lastFrameBytes: null };
+        }
+
+        const now = Date.now();
+        const recent = stats.times.filter(time => now - time <= FRAME_RATE_WINDOW_MS);
+        return {
+            totalFrames: stats.total,
+            lastFrameAt: new Date(stats.lastFrameAt).toISOString(),
+            framesPerSecond: Math.round(recent.length / (FRAME_RATE_WINDOW_MS / 1000) * 10) / 10,
+            lastFrameBytes: stats.lastFrameBytes
+        };
+    }
+
+    connection(socketId) {
+        return this.connections.get(socketId) || null;
+    }
+
+    listConnections() {
+        return Array.from(this.connections.values());
+    }
+
+    // Free and total space on the volume holding dir; null where the platform cannot tell
+    async diskSpace(dir) {
+        if (!fs.promises.statfs) return null;
+        try {
+            const stats = await fs.promises.statfs(dir);
+            return { freeBytes: stats.bavail * stats.bsize, totalBytes: stats.blocks * stats.bsize };
+        } catch (error) {
+            console.error(`Could not read free space for ${dir}:`, error.message);
+            return null;
+        }
+    }
+}
+
+module.exports = Diagnostics;
@@ -0,0 +1,431 @@
+// Drahms Vision - FITS
+// Writes gallery frames as FITS (16-bit unsigned or 32-bit float, one channel or an RGB cube)
+// with observation and WCS headers, and reads FITS images back into 8-bit RGBA for the gallery
+
+const BLOCK_SIZE = 2880;
+const CARD_SIZE = 80;
+
+const EXPORT_BITPIX = [16, -32];
+const EXPORT_CHANNELS = ['rgb', 'red', 'green', 'blue', 'luminance'];
+const LUMA = [0.2126, 0.7152, 0.0722];
+
+// IMAGETYP values for each frame type, and the other spellings capture programs use
+const IMAGE_TYPES = {
+    light: 'Light Frame',
+    dark: 'Dark Frame',
+    flat: 'Flat Field',
+    bias: 'Bias Frame'
+};
+const IMAGE_TYPE_ALIASES = {
+    light: 'light', 'light frame': 'light', object: 'light',
+    dark: 'dark', 'dark frame': 'dark',
+    flat: 'flat', 'flat field': 'flat', 'flat frame': 'flat',
+    bias: 'bias', 'bias frame': 'bias', offset: 'bias', zero: 'bias'
+};
+
+function formatValue(value) {
+    if (typeof value === 'boolean') return (value ? 'T' : 'F').padStart(20);
+    if (typeof value === 'number') {
+        if (Number.isInteger(value)) return String(value).padStart(20);
+        let text = value.toPrecision(12).replace(/\.?0+(e|$)/, '$1').toUpperCase();
+        if (!/[.E]/.test(text)) text += '.';
+        return text.padStart(20);
+    }
+    // Header text is printable ASCII, and a quoted value has to fit on its card
+    let raw = String(value).replace(/[^\x20-\x7e]/g, '?');
+    while (raw.replace(/'/g, "''").length > 68) raw = raw.slice(0, -1);
+    return `'${raw.replace(/'/g, "''").padEnd(8)}'`;
+}
+
+function card(keyword, value, comment) {
+    let text = keyword.padEnd(8);
+    if (value !== undefined) {
+        text += '= ' + formatValue(value);
+        if (comment) text += ` / ${comment}`;
+    } else if (comment) {
+        text += comment;
+    }
+    return text.slice(0, CARD_SIZE).padEnd(CARD_SIZE);
+}
+
+function padBlock(buffer, fill) {
+    const remainder = buffer.length % BLOCK_SIZE;
+    if (remainder === 0) return buffer;
+    return Buffer.concat([buffer, Buffer.alloc(BLOCK_SIZE - remainder, fill)]);
+}
+
+// Gnomonic WCS from a plate solution (0-based pixels, y down) as FITS keywords. FITS pixels
+// are 1-based and rows are stored bottom-up, so the y axis flips.
+function wcsCards(wcs, height) {
+    const { crpix, crval, cd } = wcs;
+    return [
+        card('WCSAXES', 2, 'Celestial axes'),
+        card('CTYPE1', 'RA---TAN', 'Gnomonic projection'),
+        card('CTYPE2', 'DEC--TAN', 'Gnomonic projection'),
+        card('EQUINOX', 2000.0, 'Equinox of coordinates'),
+        card('RADESYS', 'ICRS'),
+        card('CRVAL1', crval[0], '[deg] RA of reference pixel'),
+        card('CRVAL2', crval[1], '[deg] Dec of reference pixel'),
+        card('CRPIX1', crpix[0] + 1, 'Reference pixel x'),
+        card('CRPIX2', height - crpix[1], 'Reference pixel y'),
+        card('CUNIT1', 'deg'),
+        card('CUNIT2', 'deg'),
+        card('CD1_1', cd[0][0]),
+        card('CD1_2', -cd[0][1]),
+        card('CD2_1', cd[1][0]),
+        card('CD2_2', -cd[1][1])
+    ];
+}
+
+// Sexagesimal 'HH MM SS.ss' / '+DD MM SS.s', as OBJCTRA and OBJCTDEC are usually written
+function sexagesimal(degrees, hours) {
+    const value = hours ? degrees / 15 : Math.abs(degrees);
+    const decimals = hours ? 2 : 1;
+    const total = Math.round(value * 3600 * 10 ** decimals) / 10 ** decimals;
+    const whole = Math.floor(total / 3600);
+    const minutes = Math.floor((total - whole * 3600) / 60);
+    const seconds = (total - whole * 3600 - minutes * 60).toFixed(decimals).padStart(3 + decimals, '0');
+    const text = `${String(whole).padStart(2, '0')} ${String(minutes).padStart(2, '0')} ${seconds}`;
+    return hours ? text : `${degrees < 0 ? '-' : '+'}${text}`;
+}
+
+// Observation keywords; every field is optional and left out when unknown
+function observationCards(observation) {
+    const cards = [];
+    const add = (keyword, value, comment) => {
+        if (value !== undefined && value !== null && value !== '' && !Number.isNaN(value)) {
+            cards.push(card(keyword, value, comment));
+        }
+    };
+
+    add('DATE-OBS', observation.observedAt && new Date(observation.observedAt).toISOString().replace('Z', ''), 'UTC start of exposure');
+    add('EXPTIME', observation.exposure, '[s] Exposure time');
+    add('ISOSPEED', observation.iso, 'ISO sensitivity');
+    add('GAIN', observation.gain, 'Sensor gain');
+    add('INSTRUME', observation.camera, 'Camera');
+    add('TELESCOP', observation.lens, 'Lens');
+    add('FOCALLEN', observation.focalLength, '[mm] Focal length');
+    add('IMAGETYP', IMAGE_TYPES[observation.frameType], 'Frame type');
+    add('NCOMBINE', observation.combined, 'Frames stacked');
+    if (observation.site) {
+        add('SITELAT', observation.site.latitude, '[deg] Observer latitude');
+        add('SITELONG', observation.site.longitude, '[deg] Observer longitude, east positive');
+    }
+    if (observation.center) {
+        add('OBJCTRA', sexagesimal(observation.center.ra, true), 'Solved field centre RA');
+        add('OBJCTDEC', sexagesimal(observation.center.dec, false), 'Solved field centre Dec');
+    }
+    return cards;
+}
+
+// image is { width, height, data } RGBA, as bytes or as 0-255 floats decoded at full depth.
+// options: bitpix (16 or -32), channel ('rgb' for a 3-plane cube, or one of red/green/blue/
+// luminance), observation (see observationCards), wcs (plate solution WCS for this image, or
+// null) and history (processing notes).
+function writeFits(image, options = {}) {
+    const bitpix = options.bitpix || 16;
+    const channel = options.channel || 'rgb';
+    if (!EXPORT_BITPIX.includes(bitpix)) {
+        throw new RangeError(`bitpix must be one of ${EXPORT_BITPIX.join(', ')}`);
+    }
+    if (!EXPORT_CHANNELS.includes(channel)) {
+        throw new RangeError(`channel must be one of ${EXPORT_CHANNELS.join(', ')}`);
+    }
+
+    const { width, height, data } = image;
+    const planes = channel === 'rgb' ? 3 : 1;
+
+    const cards = [
+        card('SIMPLE', true, 'Conforms to FITS standard'),
+        card('BITPIX', bitpix, bitpix === 16 ? '16-bit unsigned via BZERO' : 'IEEE single precision'),
+        card('NAXIS', planes === 3 ? 3 : 2),
+        card('NAXIS1', width, 'Image width'),
+        card('NAXIS2', height, 'Image height')
+    ];
+    if (planes === 3) cards.push(card('NAXIS3', 3, 'Red, green and blue planes'));
+    if (bitpix === 16) {
+        cards.push(card('BZERO', 32768), card('BSCALE', 1));
+    } else {
+        cards.push(card('DATAMIN', 0.0), card('DATAMAX', 1.0));
+    }
+    cards.push(card('ROWORDER', 'BOTTOM-UP', 'First row is the bottom of the frame'));
+    if (channel !== 'rgb') cards.push(card('CHANNEL', channel.toUpperCase(), 'Colour channel'));
+    cards.push(...observationCards(options.observation || {}));
+    if (options.wcs) cards.push(...wcsCards(options.wcs, height));
+    (options.history || []).forEach(note => cards.push(card('HISTORY', undefined, ` ${note}`)));
+    cards.push(card('ORIGIN', 'Drahms Vision'));
+    cards.push(card('DATE', new Date().toISOString().slice(0, 19), 'File creation date'));
+    cards.push(card('END'));
+
+    const header = padBlock(Buffer.from(cards.join(''), 'ascii'), 0x20);
+    const bytesPerValue = Math.abs(bitpix) / 8;
+    const body = Buffer.alloc(width * height * planes * bytesPerValue);
+
+    let offset = 0;
+    for (let plane = 0; plane < planes; plane++) {
+        for (let row = height - 1; row >= 0; row--) {
+            for (let x = 0; x < width; x++) {
+                const index = (row * width + x) * 4;
+                let value;
+                if (channel === 'luminance') {
+                    value = LUMA[0] * data[index] + LUMA[1] * data[index + 1] + LUMA[2] * data[index + 2];
+                } else {
+                    const channelIndex = channel === 'rgb' ? plane : EXPORT_CHANNELS.indexOf(channel) - 1;
+                    value = data[index + channelIndex];
+                }
+
+                if (bitpix === 16) {
+                    body.writeInt16BE(Math.round(value * 257) - 32768, offset);
+                } else {
+                    body.writeFloatBE(value / 255, offset);
+                }
+                offset += bytesPerValue;
+            }
+        }
+    }
+
+    return Buffer.concat([header, padBlock(body, 0)]);
+}
+
+function parseValue(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith("'")) {
+        const match = /^'((?:[^']|'')*)'/.exec(trimmed);
+        return match ? match[1].replace(/''/g, "'").trimEnd() : trimmed;
+    }
+
+    const value = trimmed.split('/')[0].trim();
+    if (value === 'T') return true;
+    if (value === 'F') return false;
+    const number = Number(value.replace(/D/i, 'E'));
+    return value !== '' && Number.isFinite(number) ? number : value;
+}
+
+// Reads one header starting at offset; returns the keywords and where the data starts
+function readHeader(buffer, offset) {
+    const header = {};
+    for (let position = offset; position + CARD_SIZE <= buffer.length; position += CARD_SIZE) {
+        const text = buffer.toString('ascii', position, position + CARD_SIZE);
+        const keyword = text.slice(0, 8).trim();
+        if (keyword === 'END') {
+            const end = position + CARD_SIZE;
+            return { header, dataOffset: Math.ceil(end / BLOCK_SIZE) * BLOCK_SIZE };
+        }
+        if (text.slice(8, 10) === '= ' && !(keyword in header)) {
+            header[keyword] = parseValue(text.slice(10));
+        }
+    }
+    throw new TypeError('FITS header has no END card');
+}
+
+function dataSize(header) {
+    const axes = header.NAXIS || 0;
+    if (axes === 0) return 0;
+    let count = 1;
+    for (let axis = 1; axis <= axes; axis++) count *= header[`NAXIS${axis}`] || 0;
+    return count * Math.abs(header.BITPIX) / 8;
+}
+
+// The first HDU holding a 2D image or a cube of 1 or 3 planes: the primary array, or an IMAGE
+// extension when the primary HDU is empty (as many capture programs write)
+function findImage(buffer) {
+    let offset = 0;
+    while (offset < buffer.length) {
+        const { header, dataOffset } = readHeader(buffer, offset);
+        const isImage = offset === 0 ? header.SIMPLE === true : header.XTENSION === 'IMAGE';
+        if (isImage && (header.NAXIS === 2 || header.NAXIS === 3)) {
+            return { header, dataOffset };
+        }
+        offset = dataOffset + Math.ceil(dataSize(header) / BLOCK_SIZE) * BLOCK_SIZE;
+    }
+    throw new TypeError('No image found in FITS file (compressed images are not supported)');
+}
+
+function readValues(buffer, header, dataOffset, count) {
+    const bitpix = header.BITPIX;
+    const readers = {
+        8: (offset) => buffer.readUInt8(offset),
+        16: (offset) => buffer.readInt16BE(offset),
+        32: (offset) => buffer.readInt32BE(offset),
+        '-32': (offset) => buffer.readFloatBE(offset),
+        '-64': (offset) => buffer.readDoubleBE(offset)
+    };
+    const read = readers[bitpix];
+    if (!read) {
+        throw new TypeError(`Unsupported BITPIX ${bitpix}`);
+    }
+
+    const bytes = Math.abs(bitpix) / 8;
+    if (dataOffset + count * bytes > buffer.length) {
+        throw new TypeError('FITS file is truncated');
+    }
+
+    const scale = header.BSCALE ?? 1;
+    const zero = header.BZERO ?? 0;
+    const blank = bitpix > 0 ? header.BLANK : undefined;
+    const values = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+        const raw = read(dataOffset + i * bytes);
+        values[i] = raw === blank ? NaN : raw * scale + zero;
+    }
+    return values;
+}
+
+// FITS dates are UTC, usually without a zone suffix; returns an ISO string or null
+function parseDate(value) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+    const text = value.trim();
+    const date = new Date(/T/.test(text) && !/(Z|[+-]\d\d:?\d\d)$/i.test(text) ? `${text}Z` : text);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Nearest-neighbour debayer of a one-shot-colour frame: each 2x2 cell of the pattern gives
+// its red, mean green and blue to all four of its pixels
+function debayer(plane, width, height, pattern, xOffset = 0, yOffset = 0) {
+    const layout = pattern.toUpperCase();
+    const planes = [new Float32Array(width * height), new Float32Array(width * height), new Float32Array(width * height)];
+
+    for (let y = 0; y < height; y++) {
+        const cellY = y - ((y + yOffset) % 2);
+        for (let x = 0; x < width; x++) {
+            const cellX = x - ((x + xOffset) % 2);
+            const sums = [0, 0, 0];
+            const counts = [0, 0, 0];
+            for (let dy = 0; dy < 2; dy++) {
+                for (let dx = 0; dx < 2; dx++) {
+                    const sx = Math.min(width - 1, Math.max(0, cellX + dx));
+                    const sy = Math.min(height - 1, Math.max(0, cellY + dy));
+                    const colour = 'RGB'.indexOf(layout[((sy + yOffset) % 2) * 2 + ((sx + xOffset) % 2)]);
+                    if (colour < 0) continue;
+                    sums[colour] += plane[sy * width + sx];
+                    counts[colour]++;
+                }
+            }
+            const index = y * width + x;
+            for (let colour = 0; colour < 3; colour++) {
+                planes[colour][index] = counts[colour] ? sums[colour] / counts[colour] : 0;
+            }
+        }
+    }
+    return planes;
+}
+
+// Gnomonic FITS WCS in the plate solver's form (0-based pixels, y down), or null
+function readWcs(header, height) {
+    const ctype1 = String(header.CTYPE1 || '');
+    const ctype2 = String(header.CTYPE2 || '');
+    if (!ctype1.startsWith('RA---TAN') || !ctype2.startsWith('DEC--TAN')) return null;
+    if (![header.CRVAL1, header.CRVAL2, header.CRPIX1, header.CRPIX2].every(Number.isFinite)) return null;
+
+    let cd;
+    if (Number.isFinite(header.CD1_1)) {
+        cd = [[header.CD1_1, header.CD1_2 || 0], [header.CD2_1 || 0, header.CD2_2 || 0]];
+    } else if (Number.isFinite(header.CDELT1) && Number.isFinite(header.CDELT2)) {
+        if (Number.isFinite(header.PC1_1)) {
+            cd = [
+                [header.CDELT1 * header.PC1_1, header.CDELT1 * (header.PC1_2 || 0)],
+                [header.CDELT2 * (header.PC2_1 || 0), header.CDELT2 * (header.PC2_2 ?? 1)]
+            ];
+        } else {
+            const rotation = (header.CROTA2 || 0) * Math.PI / 180;
+            cd = [
+                [header.CDELT1 * Math.cos(rotation), -header.CDELT2 * Math.sin(rotation)],
+                [header.CDELT1 * Math.sin(rotation), header.CDELT2 * Math.cos(rotation)]
+            ];
+        }
+    } else {
+        return null;
+    }
+
+    return {
+        projection: 'TAN',
+        crpix: [header.CRPIX1 - 1, height - header.CRPIX2],
+        crval: [header.CRVAL1, header.CRVAL2],
+        cd: [[cd[0][0], -cd[0][1]], [cd[1][0], -cd[1][1]]]
+    };
+}
+
+// Decodes a FITS image to { image, header, observation, wcs, range }. The gallery keeps 8-bit
+// frames, so values are scaled linearly from the data's minimum and maximum (shared by all
+// channels to keep the colour balance); range records what 0 and 255 stand for.
+function readFits(buffer) {
+    if (buffer.length < BLOCK_SIZE || buffer.toString('ascii', 0, 9) !== 'SIMPLE  =') {
+        throw new TypeError('Not a FITS file');
+    }
+
+    const { header, dataOffset } = findImage(buffer);
+    const width = header.NAXIS1;
+    const height = header.NAXIS2;
+    const depth = header.NAXIS === 3 ? header.NAXIS3 : 1;
+    if (!(width > 0 && height > 0) || (depth !== 1 && depth !== 3)) {
+        throw new TypeError(`Unsupported image shape ${width}x${height}x${depth}`);
+    }
+
+    const values = readValues(buffer, header, dataOffset, width * height * depth);
+    const planeSize = width * height;
+    let planes = [];
+    for (let plane = 0; plane < depth; plane++) {
+        planes.push(values.subarray(plane * planeSize, (plane + 1) * planeSize));
+    }
+    if (depth === 1 && typeof header.BAYERPAT === 'string' && /^[RGB]{4}$/i.test(header.BAYERPAT.trim())) {
+        planes = debayer(planes[0], width, height, header.BAYERPAT.trim(), header.XBAYROFF || 0, header.YBAYROFF || 0);
+    }
+
+    let min = Infinity;
+    let max = -Infinity;
+    planes.forEach(plane => {
+        for (let i = 0; i < plane.length; i++) {
+            if (plane[i] < min) min = plane[i];
+            if (plane[i] > max) max = plane[i];
+        }
+    });
+    if (!Number.isFinite(min)) {
+        throw new TypeError('FITS image has no valid pixels');
+    }
+    const scale = max > min ? 255 / (max - min) : 0;
+
+    // Rows are stored bottom-up unless the file says otherwise
+    const bottomUp = String(header.ROWORDER || 'BOTTOM-UP').toUpperCase() !== 'TOP-DOWN';
+    const data = new Uint8Array(planeSize * 4);
+    for (let y = 0; y < height; y++) {
+        const sourceRow = bottomUp ? height - 1 - y : y;
+        for (let x = 0; x < width; x++) {
+            const source = sourceRow * width + x;
+            const index = (y * width + x) * 4;
+            for (let channel = 0; channel < 3; channel++) {
+                const value = planes[planes.length === 3 ? channel : 0][source];
+                data[index + channel] = Number.isNaN(value) ? 0 : Math.round((value - min) * scale);
+            }
+            data[index + 3] = 255;
+        }
+    }
+
+    const frameType = IMAGE_TYPE_ALIASES[String(header.IMAGETYP || header.FRAME || '').trim().toLowerCase()] || 'light';
+    const observedAt = parseDate(header['DATE-OBS']);
+
+    return {
+        image: { width, height, data },
+        header,
+        observation: {
+            observedAt,
+            exposure: header.EXPTIME ?? header.EXPOSURE ?? null,
+            iso: header.ISOSPEED ?? null,
+            gain: header.GAIN ?? null,
+            camera: header.INSTRUME || null,
+            lens: header.TELESCOP || null,
+            frameType,
+            site: Number.isFinite(header.SITELAT) && Number.isFinite(header.SITELONG)
+                ? { latitude: header.SITELAT, longitude: header.SITELONG }
+                : null
+        },
+        wcs: readWcs(header, height),
+        range: { min, max }
+    };
+}
+
+module.exports = {
+    EXPORT_BITPIX,
+    EXPORT_CHANNELS,
+    writeFits,
+    readFits
+};
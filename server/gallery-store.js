@@ -0,0 +1,173 @@
+// Drahms Vision - Gallery Store
+// Persists captured frames to disk alongside a JSON metadata record per capture
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIME_EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'video/x-msvideo': '.avi',
+    'application/x-ser': '.ser'
+};
+const RECORD_PREFIX = 'img_';
+
+class GalleryStore {
+    constructor(storageDir) {
+        this.storageDir = storageDir;
+        this.records = new Map();
+    }
+
+    async init() {
+        await fs.promises.mkdir(this.storageDir, { recursive: true });
+
+        // Only capture records; other JSON files (settings, other stores) may share the folder
+        const files = await fs.promises.readdir(this.storageDir);
+        for (const file of files) {
+            if (!file.startsWith(RECORD_PREFIX) || !file.endsWith('.json')) continue;
+
+            try {
+                const raw = await fs.promises.readFile(path.join(this.storageDir, file), 'utf8');
+                const record = JSON.parse(raw);
+                if (!record || typeof record.id !== 'string' || typeof record.timestamp !== 'string') {
+                    console.error(`Skipping capture record ${file}: it has no id or timestamp`);
+                    continue;
+                }
+                this.records.set(record.id, record);
+            } catch (error) {
+                console.error(`Skipping unreadable capture record ${file}:`, error.message);
+            }
+        }
+
+        console.log(`🖼️ Gallery loaded ${this.records.size} capture(s) from ${this.storageDir}`);
+    }
+
+    generateId() {
+        return RECORD_PREFIX + Date.now() + '_' + crypto.randomBytes(3).toString('hex');
+    }
+
+    async save(buffer, metadata = {}) {
+        const record = this.createRecord(metadata, buffer.length);
+
+        await fs.promises.writeFile(this.getFilePath(record), buffer);
+        await this.writeRecord(record);
+        this.records.set(record.id, record);
+
+        return record;
+    }
+
+    // Moves a file written elsewhere (a finished recording) into the gallery
+    async saveFile(sourcePath, metadata = {}) {
+        const { size } = await fs.promises.stat(sourcePath);
+        const record = this.createRecord(metadata, size);
+
+        await fs.promises.rename(sourcePath, this.getFilePath(record));
+        await this.writeRecord(record);
+        this.records.set(record.id, record);
+
+        return record;
+    }
+
+    createRecord(metadata, size) {
+        const id = this.generateId();
+        const mimeType = metadata.mimeType || 'image/jpeg';
+
+        return {
+            type: 'capture',
+            ...metadata,
+            id: id,
+            filename: id + (MIME_EXTENSIONS[mimeType] || '.bin'),
+            mimeType: mimeType,
+            size: size,
+            timestamp: metadata.timestamp || new Date().toISOString()
+        };
+    }
+
+    async writeRecord(record) {
+        const recordPath = path.join(this.storageDir, record.id + '.json');
+        await fs.promises.writeFile(recordPath, JSON.stringify(record, null, 2));
+    }
+
+    get(id) {
+        return this.records.get(id) || null;
+    }
+
+    getFilePath(record) {
+        return path.join(this.storageDir, record.filename);
+    }
+
+    async readFile(record) {
+        return fs.promises.readFile(this.getFilePath(record));
+    }
+
+    list({ page = 1, pageSize = 20, type, frameType } = {}) {
+        let records = Array.from(this.records.values());
+        if (type) {
+            records = records.filter(record => record.type === type);
+        }
+        if (frameType) {
+            records = records.filter(record => (record.frameType || 'light') === frameType);
+        }
+
+        // Newest first, so the first page always holds the latest captures
+        records.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+        const start = (page - 1) * pageSize;
+        return {
+            items: records.slice(start, start + pageSize),
+            page: page,
+            pageSize: pageSize,
+            total: records.length,
+            totalPages: Math.max(1, Math.ceil(records.length / pageSize))
+        };
+    }
+
+    // Number of stored items and the bytes their files take up
+    usage() {
+        let bytes = 0;
+        this.records.forEach(record => {
+            bytes += record.size || 0;
+        });
+        return { items: this.records.size, bytes };
+    }
+
+    // Every record matching a predicate, newest first
+    filter(predicate) {
+        return Array.from(this.records.values())
+            .filter(predicate)
+            .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    }
+
+    async update(id, changes) {
+        const record = this.records.get(id);
+        if (!record) return null;
+
+        Object.assign(record, changes, { id: record.id, filename: record.filename });
+        await this.writeRecord(record);
+
+        return record;
+    }
+
+    async delete(id) {
+        const record = this.records.get(id);
+        if (!record) return false;
+
+        this.records.delete(id);
+        await fs.promises.rm(this.getFilePath(record), { force: true });
+        await fs.promises.rm(path.join(this.storageDir, id + '.json'), { force: true });
+
+        return true;
+    }
+
+    // Public view of a record with the URLs the web interface uses
+    describe(record) {
+        return {
+            ...record,
+            imageUrl: `/api/gallery/${record.id}/image`,
+            downloadUrl: `/api/gallery/${record.id}/download`
+        };
+    }
+}
+
+module.exports = GalleryStore;
@@ -0,0 +1,183 @@
+// Drahms Vision - Image Analysis
+// Per-frame quality metrics: every detected star measured for position, brightness, size and shape,
+// plus frame-level statistics that focusing, stacking and sky-quality tools build on
+
+const imageIo = require('./image-io');
+const { median, estimateBackground, detectStars } = require('./star-detector');
+
+const ANALYSIS_SIZE = 2400;      // longer frames are binned down before measuring
+const SATURATION_LEVEL = 250;    // 8-bit luminance at which a star core is clipped
+const SIGMA_TO_FWHM = 2 * Math.sqrt(2 * Math.LN2);
+const MAX_APERTURE = 30;
+const PROFILE_MIN_SNR = 10;      // fainter stars' shapes are dominated by noise
+
+function round(value, places) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+// Aperture photometry plus adaptive (Gaussian-weighted) second moments around a detection.
+// The weight is iterated to match the star, which keeps background noise from inflating the
+// size and shape, and the weighted moments are then corrected back to the star's own.
+// FWHM assumes a Gaussian profile; HFR is the flux-weighted mean distance from the centroid.
+// SNR uses a gain of one, so it is in ADU terms rather than photon counts.
+function measureStar(plane, background, star) {
+    const { width, height, data } = plane;
+    const radius = Math.min(MAX_APERTURE, Math.max(5, Math.ceil(3 * Math.sqrt(star.pixels / Math.PI)) + 2));
+    const x0 = Math.round(star.x);
+    const y0 = Math.round(star.y);
+    if (x0 - radius < 0 || y0 - radius < 0 || x0 + radius >= width || y0 + radius >= height) return null;
+
+    const samples = [];
+    for (let y = y0 - radius; y <= y0 + radius; y++) {
+        for (let x = x0 - radius; x <= x0 + radius; x++) {
+            if ((x - star.x) ** 2 + (y - star.y) ** 2 > radius * radius) continue;
+            const index = y * width + x;
+            samples.push({ x, y, value: data[index] - background.map[index] });
+        }
+    }
+
+    const flux = samples.reduce((sum, sample) => sum + sample.value, 0);
+    if (flux <= 0) return null;
+
+    let cx = star.x;
+    let cy = star.y;
+    let weightVariance = 2.25;
+    let moments = null;
+    for (let iteration = 0; iteration < 12; iteration++) {
+        let total = 0, sumX = 0, sumY = 0, sumXX = 0, sumYY = 0, sumXY = 0;
+        samples.forEach(sample => {
+            const dx = sample.x - cx;
+            const dy = sample.y - cy;
+            const weighted = sample.value * Math.exp(-(dx * dx + dy * dy) / (2 * weightVariance));
+            total += weighted;
+            sumX += weighted * dx;
+            sumY += weighted * dy;
+            sumXX += weighted * dx * dx;
+            sumYY += weighted * dy * dy;
+            sumXY += weighted * dx * dy;
+        });
+        if (total <= 0) return null;
+
+        const shiftX = sumX / total;
+        const shiftY = sumY / total;
+        moments = {
+            xx: sumXX / total - shiftX * shiftX,
+            yy: sumYY / total - shiftY * shiftY,
+            xy: sumXY / total - shiftX * shiftY
+        };
+        cx += shiftX;
+        cy += shiftY;
+
+        // A Gaussian weight matched to a Gaussian star halves its variance
+        const next = Math.min((radius / 2) ** 2, Math.max(0.25, moments.xx + moments.yy));
+        const converged = Math.abs(next - weightVariance) < 1e-3 && Math.hypot(shiftX, shiftY) < 1e-3;
+        weightVariance = next;
+        if (converged) break;
+    }
+
+    const spread = Math.sqrt(((moments.xx - moments.yy) / 2) ** 2 + moments.xy ** 2);
+    const unweight = value => {
+        const clamped = Math.min(Math.max(value, 0), 0.95 * weightVariance);
+        return clamped * weightVariance / (weightVariance - clamped);
+    };
+    const major = unweight((moments.xx + moments.yy) / 2 + spread);
+    const minor = unweight((moments.xx + moments.yy) / 2 - spread);
+
+    let distance = 0;
+    samples.forEach(sample => {
+        distance += sample.value * Math.hypot(sample.x - cx, sample.y - cy);
+    });
+
+    return {
+        x: cx,
+        y: cy,
+        flux,
+        peak: star.peak,
+        fwhm: SIGMA_TO_FWHM * Math.sqrt((major + minor) / 2),
+        hfr: Math.max(0, distance / flux),
+        eccentricity: major > 0 ? Math.sqrt(1 - minor / major) : 0,
+        snr: flux / Math.sqrt(flux + samples.length * background.noise * background.noise),
+        saturated: star.peak >= SATURATION_LEVEL
+    };
+}
+
+// Measures a luminance plane. Positions and sizes come back in the plane's pixels.
+function analyzePlane(plane, options = {}) {
+    const background = estimateBackground(plane);
+    const detection = detectStars(plane, { ...options, background });
+    const stars = detection.stars
+        .map(star => measureStar(plane, background, star))
+        .filter(Boolean);
+
+    // Saturated cores flatten the profile and faint stars are mostly noise, so the size and
+    // shape figures come from well-exposed stars when there are enough of them
+    const unsaturated = stars.filter(star => !star.saturated);
+    const wellExposed = unsaturated.filter(star => star.snr >= PROFILE_MIN_SNR);
+    const profileStars = [wellExposed, unsaturated, stars].find(candidates => candidates.length >= 3) || stars;
+    const medianOf = key => profileStars.length ? median(profileStars.map(star => star[key])) : null;
+
+    return {
+        stars,
+        stats: {
+            starCount: stars.length,
+            saturatedStars: stars.length - unsaturated.length,
+            medianFwhm: medianOf('fwhm'),
+            medianHfr: medianOf('hfr'),
+            medianEccentricity: medianOf('eccentricity'),
+            medianSnr: stars.length ? median(stars.map(star => star.snr)) : null,
+            background: background.level,
+            noise: background.noise
+        }
+    };
+}
+
+// Full pipeline for an encoded JPEG/PNG frame. Star positions, flux, FWHM and HFR are reported
+// in full-resolution pixels; background and noise are per pixel after binning by `binning`.
+function analyzeImage(buffer, options = {}) {
+    return analyzeDecodedImage(imageIo.decodeImage(buffer), options);
+}
+
+// Same, for a frame that is already decoded to RGBA
+function analyzeDecodedImage(image, options = {}) {
+    const started = Date.now();
+    const plane = imageIo.toLuminance(image, options.maxDimension || ANALYSIS_SIZE);
+    const { stars, stats } = analyzePlane(plane, options);
+    const scale = plane.scale;
+    const toFullResolution = value => value === null ? null : round(value * scale, 2);
+
+    return {
+        width: image.width,
+        height: image.height,
+        binning: scale,
+        stats: {
+            starCount: stats.starCount,
+            saturatedStars: stats.saturatedStars,
+            medianFwhm: toFullResolution(stats.medianFwhm),
+            medianHfr: toFullResolution(stats.medianHfr),
+            medianEccentricity: stats.medianEccentricity === null ? null : round(stats.medianEccentricity, 3),
+            medianSnr: stats.medianSnr === null ? null : round(stats.medianSnr, 1),
+            background: round(stats.background, 2),
+            noise: round(stats.noise, 2)
+        },
+        stars: stars.map(star => ({
+            x: round((star.x + 0.5) * scale - 0.5, 2),
+            y: round((star.y + 0.5) * scale - 0.5, 2),
+            flux: round(star.flux * scale * scale, 1),
+            peak: round(star.peak, 1),
+            fwhm: round(star.fwhm * scale, 2),
+            hfr: round(star.hfr * scale, 2),
+            eccentricity: round(star.eccentricity, 3),
+            snr: round(star.snr, 1),
+            saturated: star.saturated
+        })),
+        durationMs: Date.now() - started
+    };
+}
+
+module.exports = {
+    measureStar,
+    analyzePlane,
+    analyzeImage,
+    analyzeDecodedImage
+};
@@ -0,0 +1,295 @@
+// Drahms Vision - Image Enhancer
+// Pixel processing behind /api/image/enhance: background gradient removal, black-point clipping,
+// auto (screen transfer) and arcsinh stretches on a float RGB copy, then levels, gamma, curve,
+// brightness, contrast, saturation and unsharp-mask sharpening through the same image-ops
+// module the editor previews with. The source image is never modified.
+
+const { median, estimateBackground } = require('./star-detector');
+const ImageOps = require('../js/image-ops');
+
+const STRETCH_MODES = ['none', 'auto', 'asinh'];
+
+// Ranges match the editor controls
+const FILTER_RANGES = {
+    brightness: [-100, 100],
+    contrast: [-100, 100],
+    saturation: [-100, 100],
+    sharpness: [0, 100],
+    gamma: [0.1, 5],
+    levelsBlack: [0, 254],
+    levelsWhite: [1, 255],
+    blackPoint: [0, 254],
+    asinhStrength: [1, 1000]
+};
+
+const MAX_CURVE_POINTS = 16;
+
+const DEFAULT_FILTERS = {
+    brightness: 0,
+    contrast: 0,
+    saturation: 0,
+    sharpness: 0,
+    gamma: 1,
+    levelsBlack: 0,
+    levelsWhite: 255,
+    curve: [],
+    blackPoint: 0,
+    stretch: 'none',
+    asinhStrength: 15,
+    removeGradient: false
+};
+
+// Every filter can be a recipe step, plus 'reset', which returns all of them to their defaults
+const RECIPE_OPERATIONS = [...Object.keys(DEFAULT_FILTERS), 'reset'];
+
+const AUTO_STRETCH_BACKGROUND = 0.25;  // where the sky background lands after an auto stretch
+const AUTO_STRETCH_SHADOWS = -2.8;     // black point in background sigmas below the median
+const STRETCH_SAMPLES = 1000000;
+
+const LUMA = [0.2126, 0.7152, 0.0722];
+
+// A curve is a list of [input, output] points in 0-255 with strictly rising inputs
+function normalizeCurve(curve) {
+    if (!Array.isArray(curve) || curve.length > MAX_CURVE_POINTS) {
+        throw new RangeError(`curve must be an array of at most ${MAX_CURVE_POINTS} points`);
+    }
+
+    return curve.map((point, index) => {
+        const [x, y] = Array.isArray(point) ? point.map(Number) : [];
+        const previous = index > 0 ? Number(curve[index - 1][0]) : -1;
+        if (![x, y].every(value => Number.isFinite(value) && value >= 0 && value <= 255) || x <= previous) {
+            throw new RangeError('curve points must be [input, output] pairs in 0-255 with rising inputs');
+        }
+        return [x, y];
+    });
+}
+
+// Fills in defaults and checks ranges; throws RangeError on anything out of bounds
+function normalizeFilters(filters = {}) {
+    const normalized = { ...DEFAULT_FILTERS };
+
+    Object.keys(FILTER_RANGES).forEach(name => {
+        if (filters[name] === undefined || filters[name] === null) return;
+        const value = Number(filters[name]);
+        const [min, max] = FILTER_RANGES[name];
+        if (!Number.isFinite(value) || value < min || value > max) {
+            throw new RangeError(`${name} must be a number between ${min} and ${max}`);
+        }
+        normalized[name] = value;
+    });
+
+    if (normalized.levelsBlack >= normalized.levelsWhite) {
+        throw new RangeError('levelsBlack must be below levelsWhite');
+    }
+    if (filters.curve !== undefined && filters.curve !== null) {
+        normalized.curve = normalizeCurve(filters.curve);
+    }
+
+    if (filters.stretch !== undefined && filters.stretch !== null) {
+        if (!STRETCH_MODES.includes(filters.stretch)) {
+            throw new RangeError(`stretch must be one of ${STRETCH_MODES.join(', ')}`);
+        }
+        normalized.stretch = filters.stretch;
+    }
+    if (filters.removeGradient !== undefined) {
+        normalized.removeGradient = Boolean(filters.removeGradient);
+    }
+
+    return normalized;
+}
+
+// A recipe is an ordered list of { operation, value } edits, each setting one filter; later
+// steps override earlier ones. Throws RangeError on unknown operations or bad values.
+function filtersFromSteps(steps) {
+    if (!Array.isArray(steps)) {
+        throw new RangeError('A recipe needs a steps array');
+    }
+
+    let filters = {};
+    steps.forEach((step, index) => {
+        if (!step || !RECIPE_OPERATIONS.includes(step.operation)) {
+            throw new RangeError(`Step ${index + 1} has an unknown operation: ${step && step.operation}`);
+        }
+        if (step.operation === 'reset') {
+            filters = {};
+        } else {
+            filters[step.operation] = step.value;
+        }
+    });
+    return normalizeFilters(filters);
+}
+
+function isIdentity(filters) {
+    return Object.keys(DEFAULT_FILTERS).every(name => {
+        if (name === 'asinhStrength') return true;
+        if (name === 'curve') return filters.curve.length === 0;
+        return filters[name] === DEFAULT_FILTERS[name];
+    });
+}
+
+// The part of the filters the shared image-ops pipeline handles
+function adjustmentsOf(filters) {
+    const adjustments = {};
+    Object.keys(ImageOps.DEFAULT_ADJUSTMENTS).forEach(name => {
+        adjustments[name] = filters[name];
+    });
+    return adjustments;
+}
+
+function toFloatRgb(image) {
+    const { width, height, data } = image;
+    const rgb = new Float32Array(width * height * 3);
+    for (let pixel = 0, out = 0; pixel < data.length; pixel += 4, out += 3) {
+        rgb[out] = data[pixel];
+        rgb[out + 1] = data[pixel + 1];
+        rgb[out + 2] = data[pixel + 2];
+    }
+    return rgb;
+}
+
+function toRgba(rgb, width, height) {
+    const data = new Uint8Array(width * height * 4);
+    for (let pixel = 0, index = 0; index < rgb.length; pixel += 4, index += 3) {
+        data[pixel] = Math.min(255, Math.max(0, Math.round(rgb[index])));
+        data[pixel + 1] = Math.min(255, Math.max(0, Math.round(rgb[index + 1])));
+        data[pixel + 2] = Math.min(255, Math.max(0, Math.round(rgb[index + 2])));
+        data[pixel + 3] = 255;
+    }
+    return { width, height, data };
+}
+
+// Subtracts each channel's smooth background (light pollution, moonlight, vignetting left
+// after flats) and restores its median level, so the sky ends up even rather than black
+function removeGradient(rgb, width, height) {
+    const plane = { width, height, data: new Float32Array(width * height) };
+    for (let channel = 0; channel < 3; channel++) {
+        for (let i = 0; i < plane.data.length; i++) {
+            plane.data[i] = rgb[i * 3 + channel];
+        }
+        const background = estimateBackground(plane);
+        for (let i = 0; i < plane.data.length; i++) {
+            rgb[i * 3 + channel] += background.level - background.map[i];
+        }
+    }
+}
+
+function clipBlackPoint(rgb, blackPoint) {
+    const scale = 255 / (255 - blackPoint);
+    for (let i = 0; i < rgb.length; i++) {
+        rgb[i] = Math.max(0, (rgb[i] - blackPoint) * scale);
+    }
+}
+
+// Midtones transfer function: maps `midtones` to 0.5, keeping 0 and 1 fixed
+function midtonesTransfer(x, midtones) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    return ((midtones - 1) * x) / ((2 * midtones - 1) * x - midtones);
+}
+
+function sampleLuminance(rgb) {
+    const pixels = rgb.length / 3;
+    const step = Math.max(1, Math.floor(pixels / STRETCH_SAMPLES));
+    const samples = [];
+    for (let pixel = 0; pixel < pixels; pixel += step) {
+        const index = pixel * 3;
+        samples.push((LUMA[0] * rgb[index] + LUMA[1] * rgb[index + 1] + LUMA[2] * rgb[index + 2]) / 255);
+    }
+    return samples;
+}
+
+// Screen-transfer style auto stretch: black point a few sigmas under the background, and a
+// midtones curve that lifts the background to AUTO_STRETCH_BACKGROUND. All three channels
+// share the curve so star colours survive.
+function autoStretch(rgb) {
+    const samples = sampleLuminance(rgb);
+    const level = median(samples);
+    const sigma = 1.4826 * median(samples.map(value => Math.abs(value - level)));
+    const shadows = Math.min(Math.max(0, level + AUTO_STRETCH_SHADOWS * sigma), 0.99);
+    const midtones = midtonesTransfer((level - shadows) / (1 - shadows), AUTO_STRETCH_BACKGROUND);
+
+    for (let i = 0; i < rgb.length; i++) {
+        rgb[i] = 255 * midtonesTransfer((rgb[i] / 255 - shadows) / (1 - shadows), midtones);
+    }
+    return { shadows, midtones };
+}
+
+// Arcsinh stretch on luminance, with each channel scaled by the same factor: faint detail is
+// lifted steeply while bright cores compress instead of clipping to white
+function asinhStretch(rgb, strength) {
+    const norm = Math.asinh(strength);
+    for (let i = 0; i < rgb.length; i += 3) {
+        const luminance = (LUMA[0] * rgb[i] + LUMA[1] * rgb[i + 1] + LUMA[2] * rgb[i + 2]) / 255;
+        if (luminance <= 0) continue;
+        const factor = Math.asinh(strength * luminance) / (norm * luminance);
+        rgb[i] *= factor;
+        rgb[i + 1] *= factor;
+        rgb[i + 2] *= factor;
+    }
+}
+
+// Applies normalised filters to a decoded RGBA image and returns a new RGBA image plus
+// what each step did
+function enhanceImage(image, filters) {
+    const { width, height } = image;
+    const rgb = toFloatRgb(image);
+    const steps = [];
+
+    if (filters.removeGradient) {
+        removeGradient(rgb, width, height);
+        steps.push({ operation: 'removeGradient' });
+    }
+    if (filters.blackPoint > 0) {
+        clipBlackPoint(rgb, filters.blackPoint);
+        steps.push({ operation: 'blackPoint', level: filters.blackPoint });
+    }
+    if (filters.stretch === 'auto') {
+        const curve = autoStretch(rgb);
+        steps.push({
+            operation: 'autoStretch',
+            shadows: Math.round(curve.shadows * 1e4) / 1e4,
+            midtones: Math.round(curve.midtones * 1e4) / 1e4
+        });
+    } else if (filters.stretch === 'asinh') {
+        asinhStretch(rgb, filters.asinhStrength);
+        steps.push({ operation: 'asinhStretch', strength: filters.asinhStrength });
+    }
+
+    const output = toRgba(rgb, width, height);
+    const adjustments = adjustmentsOf(filters);
+    if (!ImageOps.isNeutral(adjustments)) {
+        ImageOps.applyAdjustments(output, adjustments);
+        if (filters.levelsBlack > 0 || filters.levelsWhite < 255 || filters.gamma !== 1 || filters.curve.length) {
+            steps.push({
+                operation: 'levels',
+                black: filters.levelsBlack,
+                white: filters.levelsWhite,
+                gamma: filters.gamma,
+                curvePoints: filters.curve.length
+            });
+        }
+        if (filters.brightness || filters.contrast || filters.saturation) {
+            steps.push({
+                operation: 'tones',
+                brightness: filters.brightness,
+                contrast: filters.contrast,
+                saturation: filters.saturation
+            });
+        }
+        if (filters.sharpness > 0) {
+            steps.push({ operation: 'sharpen', amount: filters.sharpness });
+        }
+    }
+
+    return { image: output, steps };
+}
+
+module.exports = {
+    STRETCH_MODES,
+    DEFAULT_FILTERS,
+    RECIPE_OPERATIONS,
+    normalizeFilters,
+    filtersFromSteps,
+    isIdentity,
+    enhanceImage
+};
@@ -0,0 +1,115 @@
+// Drahms Vision - Image I/O
+// Decodes captured JPEG/PNG frames into raw pixels for analysis, and encodes them back
+
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+// IHDR is always the first chunk, so the bit depth sits at a fixed offset
+const PNG_BIT_DEPTH_OFFSET = 24;
+
+// Phone frames can be 50MP; keep the decoder from refusing them
+const MAX_DECODE_MEGAPIXELS = 200;
+const MAX_DECODE_MEMORY_MB = 2048;
+
+function detectMimeType(buffer) {
+    if (buffer.length >= 4 && buffer.subarray(0, 4).equals(PNG_SIGNATURE)) return 'image/png';
+    if (buffer.length >= 2 && buffer[0] === 0xff && buffer[1] === 0xd8) return 'image/jpeg';
+    return null;
+}
+
+// Returns { width, height, data } with data as RGBA bytes. A 16-bit PNG (a stack) is scaled
+// down to bytes unless options.fullDepth is set; it then keeps its precision as floats on the
+// same 0-255 scale, which encodeImage and the FITS writer take as well.
+function decodeImage(buffer, options = {}) {
+    const mimeType = detectMimeType(buffer);
+
+    if (mimeType === 'image/png') {
+        const fullDepth = Boolean(options.fullDepth) && buffer[PNG_BIT_DEPTH_OFFSET] === 16;
+        const png = PNG.sync.read(buffer, { skipRescale: fullDepth });
+        const data = fullDepth ? Float32Array.from(png.data, value => value / 257) : png.data;
+        return { width: png.width, height: png.height, data };
+    }
+    if (mimeType === 'image/jpeg') {
+        const image = jpeg.decode(buffer, {
+            useTArray: true,
+            formatAsRGBA: true,
+            maxResolutionInMP: MAX_DECODE_MEGAPIXELS,
+            maxMemoryUsageInMB: MAX_DECODE_MEMORY_MB
+        });
+        return { width: image.width, height: image.height, data: image.data };
+    }
+
+    throw new TypeError('Unsupported image format (expected JPEG or PNG)');
+}
+
+// Float pixels (0-255 scale, as a stack is integrated) are kept at 16 bits per channel in a
+// PNG and rounded to bytes for a JPEG; reading the PNG back scales it to 8 bits again
+function encodeImage(image, mimeType = 'image/jpeg', quality = 92) {
+    if (image.data instanceof Float32Array) {
+        if (mimeType === 'image/png') {
+            const png = new PNG({ width: image.width, height: image.height, bitDepth: 16 });
+            png.data = Buffer.from(quantize(image.data, 65535).buffer);
+            return PNG.sync.write(png, { bitDepth: 16 });
+        }
+        image = { width: image.width, height: image.height, data: quantize(image.data, 255) };
+    }
+
+    if (mimeType === 'image/png') {
+        const png = new PNG({ width: image.width, height: image.height });
+        png.data = Buffer.from(image.data.buffer, image.data.byteOffset, image.data.byteLength);
+        return PNG.sync.write(png);
+    }
+    return jpeg.encode(image, quality).data;
+}
+
+// 0-255 floats to whole numbers in 0-max
+function quantize(data, max) {
+    const output = max > 255 ? new Uint16Array(data.length) : new Uint8Array(data.length);
+    const scale = max / 255;
+    for (let i = 0; i < data.length; i++) {
+        const value = Math.round(data[i] * scale);
+        output[i] = value <= 0 ? 0 : value >= max ? max : value;
+    }
+    return output;
+}
+
+// Luminance plane, box-downsampled so the longest side is at most maxDimension.
+// scale is original pixels per output pixel, for mapping positions back.
+function toLuminance(image, maxDimension = Infinity) {
+    const scale = Math.max(1, Math.ceil(Math.max(image.width, image.height) / maxDimension));
+    const width = Math.floor(image.width / scale);
+    const height = Math.floor(image.height / scale);
+    const data = new Float32Array(width * height);
+    const samples = scale * scale;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            for (let dy = 0; dy < scale; dy++) {
+                let offset = ((y * scale + dy) * image.width + x * scale) * 4;
+                for (let dx = 0; dx < scale; dx++, offset += 4) {
+                    sum += 0.2126 * image.data[offset] + 0.7152 * image.data[offset + 1] + 0.0722 * image.data[offset + 2];
+                }
+            }
+            data[y * width + x] = sum / samples;
+        }
+    }
+
+    return { width, height, data, scale };
+}
+
+// Accepts a data URL or bare base64 string, as sent by the web interface
+function parseDataUrl(text) {
+    const match = /^data:([^;,]+)?(;base64)?,(.*)$/s.exec(text);
+    const buffer = Buffer.from(match ? match[3] : text, 'base64');
+    return { buffer, mimeType: detectMimeType(buffer) || (match && match[1]) || 'image/jpeg' };
+}
+
+module.exports = {
+    detectMimeType,
+    decodeImage,
+    encodeImage,
+    toLuminance,
+    parseDataUrl
+};
@@ -0,0 +1,427 @@
+// Drahms Vision - Image Stacker
+// Registers captures on their stars (translation plus rotation) against a reference frame and
+// integrates them into one image by average, median or kappa-sigma clipped mean
+
+const imageIo = require('./image-io');
+const imageAnalysis = require('./image-analysis');
+const { median } = require('./star-detector');
+
+const STACK_METHODS = ['average', 'median', 'kappa-sigma'];
+const DEFAULT_KAPPA = 2.5;
+const KAPPA_ITERATIONS = 3;
+const MAX_STACK_FRAMES = 32;
+// Every aligned frame is held until integration, at 6 bytes a pixel: 150 MP is about 900 MB,
+// a dozen 12 MP phone frames
+const MAX_STACK_PIXELS = 150e6;
+// Aligned values are kept as 8.8 fixed point, finer than 8 bits without the size of floats;
+// pixels a frame does not cover after rotating and shifting hold UNCOVERED
+const FIXED_POINT = 256;
+const UNCOVERED = 0xffff;
+
+const ALIGN_STARS = 25;           // brightest stars used to find the transform
+const MIN_PAIR_DISTANCE = 10;     // pixels; shorter star pairs give a poor rotation angle
+const PAIR_TOLERANCE = 2;         // pixels
+const MIN_ALIGN_MATCHES = 6;
+const MAX_ALIGN_RMS = 2;          // pixels
+const MATCH_RADII = [6, 4, 3];    // pixels, tightening as the transform is refined
+const FWHM_REJECT_FACTOR = 1.5;   // frames this much softer than the set's median are left out
+const ROWS_PER_SLICE = 32;
+
+// Lets progress events and other requests through between heavy steps
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+function round(value, places) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+// Least-squares rotation and translation taking `from` points onto `to` points:
+// to = R(rotation) * from + (dx, dy)
+function fitRigid(pairs) {
+    const n = pairs.length;
+    let fromX = 0, fromY = 0, toX = 0, toY = 0;
+    pairs.forEach(pair => {
+        fromX += pair.from.x / n;
+        fromY += pair.from.y / n;
+        toX += pair.to.x / n;
+        toY += pair.to.y / n;
+    });
+
+    let dot = 0, cross = 0;
+    pairs.forEach(pair => {
+        const ax = pair.from.x - fromX;
+        const ay = pair.from.y - fromY;
+        const bx = pair.to.x - toX;
+        const by = pair.to.y - toY;
+        dot += ax * bx + ay * by;
+        cross += ax * by - ay * bx;
+    });
+
+    const rotation = Math.atan2(cross, dot);
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    return {
+        rotation,
+        dx: toX - (cos * fromX - sin * fromY),
+        dy: toY - (sin * fromX + cos * fromY)
+    };
+}
+
+function applyRigid(transform, point) {
+    const cos = Math.cos(transform.rotation);
+    const sin = Math.sin(transform.rotation);
+    return {
+        x: cos * point.x - sin * point.y + transform.dx,
+        y: sin * point.x + cos * point.y + transform.dy
+    };
+}
+
+function starPairs(stars) {
+    const pairs = [];
+    for (let i = 0; i < stars.length; i++) {
+        for (let j = i + 1; j < stars.length; j++) {
+            const dx = stars[j].x - stars[i].x;
+            const dy = stars[j].y - stars[i].y;
+            const distance = Math.hypot(dx, dy);
+            if (distance >= MIN_PAIR_DISTANCE) pairs.push({ i, j, distance, angle: Math.atan2(dy, dx) });
+        }
+    }
+    return pairs.sort((a, b) => a.distance - b.distance);
+}
+
+// Star pairs of equal length in both frames vote for a rotation and shift; the winning vote is
+// then refined on every star that lands near a reference star
+function alignStars(referenceStars, stars) {
+    const reference = referenceStars.slice(0, ALIGN_STARS);
+    const current = stars.slice(0, ALIGN_STARS);
+    const referencePairs = starPairs(reference);
+    const votes = new Map();
+
+    starPairs(current).forEach(pair => {
+        let low = 0;
+        let high = referencePairs.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (referencePairs[middle].distance < pair.distance - PAIR_TOLERANCE) low = middle + 1;
+            else high = middle;
+        }
+
+        for (let k = low; k < referencePairs.length && referencePairs[k].distance <= pair.distance + PAIR_TOLERANCE; k++) {
+            const match = referencePairs[k];
+            // Either end of the pair may correspond to either end of the reference pair
+            [[match.i, match.j, 0], [match.j, match.i, Math.PI]].forEach(([first, , flip]) => {
+                const rotation = Math.atan2(Math.sin(match.angle + flip - pair.angle), Math.cos(match.angle + flip - pair.angle));
+                const transform = { rotation, dx: 0, dy: 0 };
+                const rotated = applyRigid(transform, current[pair.i]);
+                transform.dx = reference[first].x - rotated.x;
+                transform.dy = reference[first].y - rotated.y;
+
+                const key = [
+                    Math.round(rotation / (Math.PI / 180)),
+                    Math.round(transform.dx / 4),
+                    Math.round(transform.dy / 4)
+                ].join(',');
+                const vote = votes.get(key);
+                if (vote) vote.count++;
+                else votes.set(key, { count: 1, transform });
+            });
+        }
+    });
+
+    const best = Array.from(votes.values()).sort((a, b) => b.count - a.count)[0];
+    if (!best) return null;
+
+    let transform = best.transform;
+    let matches = [];
+    for (const radius of MATCH_RADII) {
+        matches = matchStars(referenceStars, stars, transform, radius);
+        if (matches.length < MIN_ALIGN_MATCHES) return { matches: matches.length };
+        transform = fitRigid(matches);
+    }
+
+    matches = matchStars(referenceStars, stars, transform, MATCH_RADII[MATCH_RADII.length - 1]);
+    const rms = Math.sqrt(matches.reduce((sum, pair) => {
+        const mapped = applyRigid(transform, pair.from);
+        return sum + (mapped.x - pair.to.x) ** 2 + (mapped.y - pair.to.y) ** 2;
+    }, 0) / Math.max(1, matches.length));
+
+    return { transform, matches: matches.length, rms };
+}
+
+// Nearest reference star for each transformed star, each reference star used once
+function matchStars(referenceStars, stars, transform, radius) {
+    const used = new Set();
+    const pairs = [];
+    stars.forEach(star => {
+        const mapped = applyRigid(transform, star);
+        let best = null;
+        let bestDistance = radius;
+        referenceStars.forEach((candidate, index) => {
+            if (used.has(index)) return;
+            const distance = Math.hypot(candidate.x - mapped.x, candidate.y - mapped.y);
+            if (distance <= bestDistance) {
+                best = index;
+                bestDistance = distance;
+            }
+        });
+        if (best !== null) {
+            used.add(best);
+            pairs.push({ from: star, to: referenceStars[best] });
+        }
+    });
+    return pairs;
+}
+
+// Resamples a decoded RGBA frame into the reference frame's pixel grid (bilinear). Values keep
+// their fraction: rounding each frame to 8 bits would throw away the precision that averaging
+// many frames gains.
+function warpFrame(image, transform) {
+    const { width, height, data } = image;
+    const rgb = new Uint16Array(width * height * 3).fill(UNCOVERED);
+
+    // Inverse transform: reference pixel -> source pixel
+    const cos = Math.cos(-transform.rotation);
+    const sin = Math.sin(-transform.rotation);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const px = x - transform.dx;
+            const py = y - transform.dy;
+            const sx = cos * px - sin * py;
+            const sy = sin * px + cos * py;
+            if (sx < 0 || sy < 0 || sx > width - 1 || sy > height - 1) continue;
+
+            const x0 = Math.min(width - 2, Math.floor(sx));
+            const y0 = Math.min(height - 2, Math.floor(sy));
+            const fx = sx - x0;
+            const fy = sy - y0;
+            const i00 = (y0 * width + x0) * 4;
+            const i10 = i00 + 4;
+            const i01 = i00 + width * 4;
+            const i11 = i01 + 4;
+            const out = (y * width + x) * 3;
+
+            for (let channel = 0; channel < 3; channel++) {
+                const top = data[i00 + channel] * (1 - fx) + data[i10 + channel] * fx;
+                const bottom = data[i01 + channel] * (1 - fx) + data[i11 + channel] * fx;
+                rgb[out + channel] = Math.round((top * (1 - fy) + bottom * fy) * FIXED_POINT);
+            }
+        }
+    }
+
+    return rgb;
+}
+
+function combine(values, count, method, kappa) {
+    if (method === 'median') {
+        const sorted = values.subarray(0, count).sort();
+        const middle = count >> 1;
+        return count % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    let low = -Infinity;
+    let high = Infinity;
+    let mean = 0;
+    const iterations = method === 'kappa-sigma' ? KAPPA_ITERATIONS : 1;
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        let sum = 0, sumSquares = 0, kept = 0;
+        for (let i = 0; i < count; i++) {
+            const value = values[i];
+            if (value < low || value > high) continue;
+            sum += value;
+            sumSquares += value * value;
+            kept++;
+        }
+        if (kept === 0) break;
+        mean = sum / kept;
+        const sigma = Math.sqrt(Math.max(0, sumSquares / kept - mean * mean));
+        if (sigma === 0) break;
+        low = mean - kappa * sigma;
+        high = mean + kappa * sigma;
+    }
+    return mean;
+}
+
+// RGBA as floats on the 0-255 scale; imageIo.encodeImage quantizes it when the stack is saved
+async function integrate(frames, width, height, method, kappa, onProgress) {
+    const output = new Float32Array(width * height * 4);
+    const values = new Float32Array(frames.length);
+
+    for (let startRow = 0; startRow < height; startRow += ROWS_PER_SLICE) {
+        const endRow = Math.min(height, startRow + ROWS_PER_SLICE);
+        for (let pixel = startRow * width; pixel < endRow * width; pixel++) {
+            for (let channel = 0; channel < 3; channel++) {
+                let count = 0;
+                frames.forEach(frame => {
+                    const value = frame[pixel * 3 + channel];
+                    if (value !== UNCOVERED) values[count++] = value / FIXED_POINT;
+                });
+                output[pixel * 4 + channel] = count ? combine(values, count, method, kappa) : 0;
+            }
+            output[pixel * 4 + 3] = 255;
+        }
+
+        onProgress({ stage: 'integrating', current: endRow, total: height, message: `Integrating rows ${endRow}/${height}` });
+        await nextTick();
+    }
+
+    return { width, height, data: output };
+}
+
+// An Error carrying the per-frame report, so callers can show why frames were left out
+function stackError(message, report) {
+    const error = new Error(message);
+    error.report = report;
+    return error;
+}
+
+// frames: [{ id, load, analysis }] where load() resolves to the encoded image, read only while
+// it is measured and again when it is aligned, and analysis (optional) is a stored frame analysis.
+// options: method, kappa, referenceId, and calibrate(frame, image) resolving to the decoded
+// frame with darks and flats applied. onProgress receives { stage, current, total, message }.
+// Resolves to { image, report }, image holding float pixel values; frames that cannot be used
+// are listed in report.frames with a reason instead of failing the whole stack. When too few
+// frames are left, or they would not fit in MAX_STACK_PIXELS, the rejection carries the report
+// as error.report.
+async function stackCaptures(frames, options = {}, onProgress = () => {}) {
+    const started = Date.now();
+    const method = options.method || 'average';
+    const kappa = options.kappa || DEFAULT_KAPPA;
+    if (!STACK_METHODS.includes(method)) {
+        throw new RangeError(`method must be one of ${STACK_METHODS.join(', ')}`);
+    }
+    if (frames.length < 2 || frames.length > MAX_STACK_FRAMES) {
+        throw new RangeError(`Stacking needs between 2 and ${MAX_STACK_FRAMES} frames`);
+    }
+
+    const calibrated = async (frame, image) => options.calibrate ? options.calibrate(frame, image) : image;
+
+    const buildReport = reference => ({
+        method,
+        kappa: method === 'kappa-sigma' ? kappa : undefined,
+        referenceId: reference ? reference.id : null,
+        width: reference ? reference.width : null,
+        height: reference ? reference.height : null,
+        stacked: entries.filter(entry => entry.status === 'stacked').length,
+        rejected: entries.filter(entry => entry.status === 'rejected').length,
+        frames: entries.map(({ stars, width, height, ...entry }) => entry),
+        durationMs: Date.now() - started
+    });
+
+    // Measure every frame so the sharpest can anchor the stack and soft ones can be dropped
+    const entries = [];
+    for (const [index, frame] of frames.entries()) {
+        onProgress({ stage: 'analyzing', current: index + 1, total: frames.length, message: `Measuring stars in ${frame.id}` });
+        const entry = { id: frame.id, status: 'pending' };
+        try {
+            const image = await calibrated(frame, imageIo.decodeImage(await frame.load()));
+            const analysis = frame.analysis && frame.analysis.stars && frame.analysis.width === image.width
+                ? frame.analysis
+                : imageAnalysis.analyzeDecodedImage(image);
+            Object.assign(entry, {
+                width: image.width,
+                height: image.height,
+                stars: analysis.stars,
+                starCount: analysis.stats.starCount,
+                fwhm: analysis.stats.medianFwhm
+            });
+        } catch (error) {
+            Object.assign(entry, { status: 'rejected', reason: `Could not read image: ${error.message}` });
+        }
+        entries.push(entry);
+        await nextTick();
+    }
+
+    const readable = entries.filter(entry => entry.status === 'pending');
+    readable.filter(entry => entry.starCount < MIN_ALIGN_MATCHES).forEach(entry => {
+        Object.assign(entry, { status: 'rejected', reason: `Only ${entry.starCount} star(s) detected` });
+    });
+
+    let candidates = readable.filter(entry => entry.status === 'pending');
+    const measured = candidates.filter(entry => entry.fwhm);
+    const typicalFwhm = measured.length ? median(measured.map(entry => entry.fwhm)) : null;
+    candidates.forEach(entry => {
+        if (typicalFwhm && entry.fwhm > typicalFwhm * FWHM_REJECT_FACTOR && entry.id !== options.referenceId) {
+            Object.assign(entry, {
+                status: 'rejected',
+                reason: `Stars are soft (FWHM ${entry.fwhm} px against a median of ${round(typicalFwhm, 2)} px)`
+            });
+        }
+    });
+    candidates = candidates.filter(entry => entry.status === 'pending');
+
+    // The sharpest of the frames that show most of the stars; a frame of another field or one
+    // under cloud can be sharp while holding only a handful
+    const mostStars = Math.max(0, ...candidates.map(entry => entry.starCount));
+    const reference = options.referenceId
+        ? candidates.find(entry => entry.id === options.referenceId)
+        : candidates
+            .filter(entry => entry.starCount >= mostStars / 2)
+            .sort((a, b) => (a.fwhm || Infinity) - (b.fwhm || Infinity) || b.starCount - a.starCount)[0];
+    if (!reference) {
+        throw stackError(options.referenceId
+            ? `Reference frame ${options.referenceId} is not usable`
+            : 'None of the frames has enough stars to stack', buildReport());
+    }
+
+    // Checked before any frame is resampled, so an oversized stack fails before it fills memory
+    const sameSize = candidates.filter(entry => entry.width === reference.width && entry.height === reference.height);
+    const framePixels = reference.width * reference.height;
+    if (sameSize.length * framePixels > MAX_STACK_PIXELS) {
+        throw stackError(`${sameSize.length} frames of ${reference.width}x${reference.height} are more than one stack can hold; `
+            + `select at most ${Math.max(1, Math.floor(MAX_STACK_PIXELS / framePixels))}`, buildReport(reference));
+    }
+
+    // Align and resample each usable frame onto the reference
+    const aligned = [];
+    for (const [index, entry] of candidates.entries()) {
+        onProgress({ stage: 'aligning', current: index + 1, total: candidates.length, message: `Aligning ${entry.id}` });
+
+        if (entry.width !== reference.width || entry.height !== reference.height) {
+            Object.assign(entry, {
+                status: 'rejected',
+                reason: `Image size ${entry.width}x${entry.height} differs from the reference ${reference.width}x${reference.height}`
+            });
+            continue;
+        }
+
+        const alignment = entry === reference
+            ? { transform: { rotation: 0, dx: 0, dy: 0 }, matches: entry.starCount, rms: 0 }
+            : alignStars(reference.stars, entry.stars);
+        if (!alignment || !alignment.transform || alignment.rms > MAX_ALIGN_RMS) {
+            Object.assign(entry, {
+                status: 'rejected',
+                reason: `Could not align to the reference (${alignment ? alignment.matches : 0} star(s) matched)`
+            });
+            continue;
+        }
+
+        const frame = frames.find(item => item.id === entry.id);
+        const image = await calibrated(frame, imageIo.decodeImage(await frame.load()));
+        aligned.push(warpFrame(image, alignment.transform));
+        Object.assign(entry, {
+            status: 'stacked',
+            matchedStars: alignment.matches,
+            rms: round(alignment.rms, 2),
+            rotation: round(alignment.transform.rotation * 180 / Math.PI, 3),
+            shiftX: round(alignment.transform.dx, 2),
+            shiftY: round(alignment.transform.dy, 2)
+        });
+        await nextTick();
+    }
+
+    if (aligned.length < 2) {
+        throw stackError(`Only ${aligned.length} frame(s) could be aligned; at least 2 are needed`, buildReport(reference));
+    }
+
+    const image = await integrate(aligned, reference.width, reference.height, method, kappa, onProgress);
+    return { image, report: buildReport(reference) };
+}
+
+module.exports = {
+    STACK_METHODS,
+    MAX_STACK_FRAMES,
+    MAX_STACK_PIXELS,
+    alignStars,
+    stackCaptures
+};
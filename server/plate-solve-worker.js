@@ -0,0 +1,87 @@
+// Drahms Vision - Plate Solve Worker
+// Runs the plate solver on a worker thread: building the catalog index takes a few seconds and
+// each solve one or two more, which on the main thread would stall every socket, the live feed
+// included. The worker builds the index once when it starts and then solves one frame at a time.
+
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+if (!isMainThread) {
+    const SkyCatalog = require('./sky-catalog');
+    const PlateSolver = require('./plate-solver');
+
+    const catalog = new SkyCatalog(workerData.catalogDir);
+    catalog.load();
+    const solver = new PlateSolver(catalog);
+    solver.buildIndex();
+    parentPort.postMessage({ type: 'ready' });
+
+    // Frames sent while the index was being built wait in the port's queue until now
+    parentPort.on('message', ({ id, buffer, options }) => {
+        try {
+            const frame = Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+            parentPort.postMessage({ type: 'result', id, solution: solver.solveImage(frame, options) });
+        } catch (error) {
+            parentPort.postMessage({ type: 'result', id, error: error.message });
+        }
+    });
+}
+
+class PlateSolveWorker {
+    constructor(catalogDir) {
+        this.catalogDir = catalogDir;
+        this.worker = null;
+        this.ready = false;
+        this.jobs = new Map();
+        this.nextJobId = 0;
+    }
+
+    // Starts the worker, which builds its index in the background
+    start() {
+        this.ready = false;
+        this.worker = new Worker(__filename, { workerData: { catalogDir: this.catalogDir } });
+
+        this.worker.on('message', message => {
+            if (message.type === 'ready') {
+                this.ready = true;
+                return;
+            }
+
+            const job = this.jobs.get(message.id);
+            if (!job) return;
+            this.jobs.delete(message.id);
+            if (message.error) {
+                job.reject(new Error(message.error));
+            } else {
+                job.resolve(message.solution);
+            }
+        });
+        this.worker.on('error', error => {
+            console.error('Plate solve worker failed:', error.message);
+        });
+        // A crashed worker fails what it was given; the next solve starts a new one
+        this.worker.on('exit', code => {
+            this.worker = null;
+            this.ready = false;
+            this.jobs.forEach(job => job.reject(new Error(`Plate solver stopped (exit code ${code})`)));
+            this.jobs.clear();
+        });
+    }
+
+    // Same options and result as PlateSolver.solveImage, as a promise
+    solveImage(buffer, options = {}) {
+        if (!this.worker) this.start();
+
+        const id = ++this.nextJobId;
+        return new Promise((resolve, reject) => {
+            this.jobs.set(id, { resolve, reject });
+            this.worker.postMessage({ id, buffer, options });
+        });
+    }
+
+    // Solves waiting for the worker, the one running included
+    pending() {
+        return this.jobs.size;
+    }
+}
+
+module.exports = PlateSolveWorker;
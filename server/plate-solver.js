@@ -0,0 +1,651 @@
+// Drahms Vision - Plate Solver
+// Blind astrometry against the bundled catalog: triangles of detected stars are matched by
+// shape to an index of catalog triangles, each match votes for a field centre, scale and
+// rotation, and the best-supported hypotheses are verified and refined as a tangent-plane fit.
+//
+// Image pixels are 0-based with the origin at the top-left and y pointing down. Sky tangent
+// coordinates (xi east, eta north) then map onto (x, y) by a rotation and scale with no
+// reflection, so image and catalog triangles must have the same handedness.
+
+const astronomy = require('./astronomy');
+const imageIo = require('./image-io');
+const { detectStars } = require('./star-detector');
+
+const { DEG } = astronomy;
+const ARCSEC_PER_RADIAN = 206264.806;
+
+// Catalog triangles are built at several depths so both wide and narrow fields find
+// patterns among stars of comparable brightness
+const INDEX_LEVELS = [3.0, 3.75, 4.5, 5.25, 6.0, 6.5];
+const INDEX_NEIGHBOURS = 6;
+const RATIO_BIN = 0.02;
+const RATIO_TOLERANCE = 0.03;
+const MIN_SHAPE_RATIO = 0.1; // needle-thin triangles have unstable shape and handedness
+
+const ANALYSIS_SIZE = 1200;
+const PATTERN_STARS = 30;
+const PATTERN_NEIGHBOURS = 6;
+const VERIFY_STARS = 60;
+const MAX_CANDIDATES = 15;
+const MIN_MATCHES = 6;
+const MIN_MATCH_FRACTION = 0.25;   // of the stars that could have matched
+const CONFIDENT_MATCH_FRACTION = 0.5;
+const FIELD_LIMITS = { min: 1, max: 150 }; // plausible diagonal field of view, degrees
+const MATCH_TOLERANCES = [0.02, 0.01, 0.006, 0.004]; // fractions of the image diagonal
+
+const OBJECT_LIMIT = 40;
+
+function unitVector(ra, dec) {
+    const cosDec = Math.cos(dec * DEG);
+    return [cosDec * Math.cos(ra * DEG), cosDec * Math.sin(ra * DEG), Math.sin(dec * DEG)];
+}
+
+function vectorToRaDec([x, y, z]) {
+    const length = Math.hypot(x, y, z);
+    return {
+        ra: astronomy.normalizeDegrees(Math.atan2(y, x) / DEG),
+        dec: Math.asin(z / length) / DEG
+    };
+}
+
+// Gnomonic projection about (ra0, dec0); radians on the tangent plane, null behind it
+function project(ra, dec, ra0, dec0) {
+    const deltaRa = (ra - ra0) * DEG;
+    const cosC = Math.sin(dec0 * DEG) * Math.sin(dec * DEG) +
+        Math.cos(dec0 * DEG) * Math.cos(dec * DEG) * Math.cos(deltaRa);
+    if (cosC <= 0.05) return null;
+
+    return {
+        xi: Math.cos(dec * DEG) * Math.sin(deltaRa) / cosC,
+        eta: (Math.cos(dec0 * DEG) * Math.sin(dec * DEG) -
+            Math.sin(dec0 * DEG) * Math.cos(dec * DEG) * Math.cos(deltaRa)) / cosC
+    };
+}
+
+function deproject(xi, eta, ra0, dec0) {
+    const rho = Math.hypot(xi, eta);
+    if (rho === 0) return { ra: ra0, dec: dec0 };
+
+    const c = Math.atan(rho);
+    const dec = Math.asin(Math.cos(c) * Math.sin(dec0 * DEG) + eta * Math.sin(c) * Math.cos(dec0 * DEG) / rho);
+    const ra = ra0 * DEG + Math.atan2(xi * Math.sin(c),
+        rho * Math.cos(dec0 * DEG) * Math.cos(c) - eta * Math.sin(dec0 * DEG) * Math.sin(c));
+
+    return { ra: astronomy.normalizeDegrees(ra / DEG), dec: dec / DEG };
+}
+
+// Vertices ordered by the length of the opposite side (longest first), the two side ratios
+// that describe the shape, and its handedness
+function triangleShape(points) {
+    const sides = [0, 1, 2].map(index => {
+        const a = points[(index + 1) % 3];
+        const b = points[(index + 2) % 3];
+        return Math.hypot(a[0] - b[0], a[1] - b[1]);
+    });
+    const order = [0, 1, 2].sort((a, b) => sides[b] - sides[a]);
+    const longest = sides[order[0]];
+    if (longest === 0) return null;
+
+    const ratio1 = sides[order[1]] / longest;
+    const ratio2 = sides[order[2]] / longest;
+    if (ratio2 < MIN_SHAPE_RATIO) return null;
+
+    const [p0, p1, p2] = order.map(index => points[index]);
+    const cross = (p1[0] - p0[0]) * (p2[1] - p0[1]) - (p1[1] - p0[1]) * (p2[0] - p0[0]);
+
+    return { order, ratio1, ratio2, handedness: cross > 0 ? 1 : 0 };
+}
+
+function shapeKey(bin1, bin2, handedness) {
+    return (bin1 * 64 + bin2) * 2 + handedness;
+}
+
+// Least-squares similarity image = a * sky + b, treating both planes as complex numbers
+function fitSimilarity(pairs) {
+    const n = pairs.length;
+    let meanSx = 0, meanSy = 0, meanIx = 0, meanIy = 0;
+    pairs.forEach(pair => {
+        meanSx += pair.sx / n;
+        meanSy += pair.sy / n;
+        meanIx += pair.ix / n;
+        meanIy += pair.iy / n;
+    });
+
+    let numRe = 0, numIm = 0, denominator = 0;
+    pairs.forEach(pair => {
+        const sx = pair.sx - meanSx;
+        const sy = pair.sy - meanSy;
+        const ix = pair.ix - meanIx;
+        const iy = pair.iy - meanIy;
+        numRe += ix * sx + iy * sy;
+        numIm += iy * sx - ix * sy;
+        denominator += sx * sx + sy * sy;
+    });
+    if (denominator === 0) return null;
+
+    const ar = numRe / denominator;
+    const ai = numIm / denominator;
+    return {
+        ar,
+        ai,
+        br: meanIx - (ar * meanSx - ai * meanSy),
+        bi: meanIy - (ai * meanSx + ar * meanSy)
+    };
+}
+
+function skyToImage(transform, xi, eta) {
+    return {
+        x: transform.ar * xi - transform.ai * eta + transform.br,
+        y: transform.ai * xi + transform.ar * eta + transform.bi
+    };
+}
+
+function imageToSky(transform, x, y) {
+    const dx = x - transform.br;
+    const dy = y - transform.bi;
+    const norm = transform.ar * transform.ar + transform.ai * transform.ai;
+    return {
+        xi: (dx * transform.ar + dy * transform.ai) / norm,
+        eta: (dy * transform.ar - dx * transform.ai) / norm
+    };
+}
+
+function round(value, places) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+class PlateSolver {
+    constructor(catalog) {
+        this.catalog = catalog;
+        this.index = null;
+    }
+
+    // Built on first use unless built up front, as the solve worker does when it starts; takes a
+    // second or two for the full catalog
+    buildIndex() {
+        const started = Date.now();
+        const stars = this.catalog.stars;
+        const vectors = stars.map(star => unitVector(star.ra, star.dec));
+        const seen = new Set();
+        const triangles = [];
+        const bins = new Map();
+
+        const addTriangle = (ids) => {
+            const centre = vectorToRaDec([0, 1, 2].map(axis =>
+                ids.reduce((sum, id) => sum + vectors[id][axis], 0)));
+            const points = ids.map(id => {
+                const { xi, eta } = project(stars[id].ra, stars[id].dec, centre.ra, centre.dec);
+                return [xi, eta];
+            });
+            const shape = triangleShape(points);
+            if (!shape) return;
+
+            const key = shapeKey(Math.floor(shape.ratio1 / RATIO_BIN), Math.floor(shape.ratio2 / RATIO_BIN), shape.handedness);
+            if (!bins.has(key)) bins.set(key, []);
+            bins.get(key).push(triangles.length);
+            triangles.push({
+                stars: shape.order.map(index => ids[index]),
+                points: shape.order.map(index => points[index]),
+                centre,
+                ratio1: shape.ratio1,
+                ratio2: shape.ratio2
+            });
+        };
+
+        INDEX_LEVELS.forEach(level => {
+            let count = 0;
+            while (count < stars.length && stars[count].magnitude <= level) count++;
+
+            for (let i = 0; i < count; i++) {
+                const [x, y, z] = vectors[i];
+                const nearest = [];
+                for (let j = 0; j < count; j++) {
+                    if (j === i) continue;
+                    const dot = x * vectors[j][0] + y * vectors[j][1] + z * vectors[j][2];
+                    if (nearest.length < INDEX_NEIGHBOURS || dot > nearest[nearest.length - 1].dot) {
+                        nearest.push({ id: j, dot });
+                        nearest.sort((a, b) => b.dot - a.dot);
+                        if (nearest.length > INDEX_NEIGHBOURS) nearest.pop();
+                    }
+                }
+
+                for (let a = 0; a < nearest.length; a++) {
+                    for (let b = a + 1; b < nearest.length; b++) {
+                        const ids = [i, nearest[a].id, nearest[b].id].sort((p, q) => p - q);
+                        const key = (ids[0] * stars.length + ids[1]) * stars.length + ids[2];
+                        if (seen.has(key)) continue;
+                        seen.add(key);
+                        addTriangle(ids);
+                    }
+                }
+            }
+        });
+
+        this.index = { vectors, triangles, bins };
+        console.log(`🧭 Plate solver index built: ${triangles.length} triangles in ${Date.now() - started} ms`);
+        return this.index;
+    }
+
+    // Full pipeline for an encoded JPEG/PNG frame.
+    // Options: hint { ra, dec, radius, fieldOfView } (degrees), date (for the Sun, Moon and planets)
+    solveImage(buffer, options = {}) {
+        const image = imageIo.decodeImage(buffer);
+        const plane = imageIo.toLuminance(image, ANALYSIS_SIZE);
+        const detection = detectStars(plane);
+
+        // Back to full-resolution pixel coordinates
+        const stars = detection.stars.map(star => ({
+            ...star,
+            x: (star.x + 0.5) * plane.scale - 0.5,
+            y: (star.y + 0.5) * plane.scale - 0.5
+        }));
+
+        const solution = this.solveStars(stars, image.width, image.height, {
+            ...options,
+            minTolerance: 1.5 * plane.scale
+        });
+        if (solution.solved) {
+            solution.objects = this.objectsInField(solution, options.date || new Date());
+        }
+        return solution;
+    }
+
+    solveStars(stars, width, height, options = {}) {
+        const base = {
+            imageSize: { width, height },
+            detectedStars: stars.length
+        };
+        if (stars.length < MIN_MATCHES) {
+            return { ...base, solved: false, message: `Only ${stars.length} star(s) detected; at least ${MIN_MATCHES} are needed` };
+        }
+        if (!this.index) this.buildIndex();
+
+        // Try the normal orientation first, then a mirror image (diagonals, selfie cameras)
+        // unless the first solution is already convincing
+        let best = null;
+        for (const mirrored of [false, true]) {
+            const positions = stars.map(star => ({ ...star, x: mirrored ? width - 1 - star.x : star.x }));
+            const result = this.solveOrientation(positions, width, height, options);
+            if (result && (!best || result.fraction > best.result.fraction)) {
+                best = { result, mirrored };
+            }
+            if (best && best.result.fraction >= CONFIDENT_MATCH_FRACTION) break;
+        }
+
+        if (best) {
+            return { ...base, solved: true, ...this.describeSolution(best.result, width, height, best.mirrored) };
+        }
+        return { ...base, solved: false, message: 'No catalog star pattern matched the detected stars' };
+    }
+
+    solveOrientation(stars, width, height, options) {
+        const candidates = this.voteForFields(stars.slice(0, PATTERN_STARS), width, height, options.hint || {});
+        let best = null;
+
+        for (const candidate of candidates) {
+            const result = this.verify(candidate, stars.slice(0, VERIFY_STARS), width, height, options);
+            if (result && (!best || result.fraction > best.fraction)) {
+                best = result;
+            }
+        }
+        return best;
+    }
+
+    // Every pairing of an image triangle with a catalog triangle of the same shape implies a
+    // field centre, scale and rotation; correct pairings agree, chance ones scatter
+    voteForFields(stars, width, height, hint) {
+        const { triangles, bins } = this.index;
+        const centreX = (width - 1) / 2;
+        const centreY = (height - 1) / 2;
+        const votes = new Map();
+        const seen = new Set();
+
+        stars.forEach((star, i) => {
+            const nearest = stars
+                .map((other, j) => ({ j, distance: Math.hypot(other.x - star.x, other.y - star.y) }))
+                .filter(entry => entry.j !== i)
+                .sort((a, b) => a.distance - b.distance)
+                .slice(0, PATTERN_NEIGHBOURS);
+
+            for (let a = 0; a < nearest.length; a++) {
+                for (let b = a + 1; b < nearest.length; b++) {
+                    const ids = [i, nearest[a].j, nearest[b].j].sort((p, q) => p - q);
+                    const key = ids.join(',');
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+
+                    const points = ids.map(id => [stars[id].x, stars[id].y]);
+                    const shape = triangleShape(points);
+                    if (!shape) continue;
+                    const ordered = shape.order.map(index => points[index]);
+                    const offCentre = Math.hypot(
+                        (ordered[0][0] + ordered[1][0] + ordered[2][0]) / 3 - centreX,
+                        (ordered[0][1] + ordered[1][1] + ordered[2][1]) / 3 - centreY);
+
+                    const bin1 = Math.floor(shape.ratio1 / RATIO_BIN);
+                    const bin2 = Math.floor(shape.ratio2 / RATIO_BIN);
+                    for (let d1 = -1; d1 <= 1; d1++) {
+                        for (let d2 = -1; d2 <= 1; d2++) {
+                            const matches = bins.get(shapeKey(bin1 + d1, bin2 + d2, shape.handedness));
+                            if (!matches) continue;
+
+                            matches.forEach(triangleIndex => {
+                                const triangle = triangles[triangleIndex];
+                                if (Math.abs(triangle.ratio1 - shape.ratio1) > RATIO_TOLERANCE ||
+                                    Math.abs(triangle.ratio2 - shape.ratio2) > RATIO_TOLERANCE) return;
+
+                                const hypothesis = this.hypothesise(triangle, ordered, width, height, hint);
+                                if (!hypothesis) return;
+
+                                const voteKey = [
+                                    Math.floor((hypothesis.dec + 90) / 2),
+                                    Math.floor(hypothesis.ra * Math.cos(hypothesis.dec * DEG) / 2),
+                                    Math.floor(Math.log(hypothesis.scale) / 0.15),
+                                    Math.floor((hypothesis.rotation + 180) / 10)
+                                ].join(',');
+                                const vote = votes.get(voteKey);
+                                if (!vote) {
+                                    votes.set(voteKey, { count: 1, offCentre, hypothesis });
+                                } else {
+                                    vote.count++;
+                                    // Triangles near the middle of the frame suffer least from projection
+                                    if (offCentre < vote.offCentre) {
+                                        vote.offCentre = offCentre;
+                                        vote.hypothesis = hypothesis;
+                                    }
+                                }
+                            });
+                        }
+                    }
+                }
+            }
+        });
+
+        return Array.from(votes.values())
+            .filter(vote => vote.count >= 2)
+            .sort((a, b) => b.count - a.count)
+            .slice(0, MAX_CANDIDATES)
+            .map(vote => vote.hypothesis);
+    }
+
+    hypothesise(triangle, imagePoints, width, height, hint) {
+        const transform = fitSimilarity(triangle.points.map((point, index) => ({
+            sx: point[0],
+            sy: point[1],
+            ix: imagePoints[index][0],
+            iy: imagePoints[index][1]
+        })));
+        if (!transform) return null;
+
+        const scale = Math.hypot(transform.ar, transform.ai); // pixels per radian
+        const diagonal = 2 * Math.atan(Math.hypot(width, height) / 2 / scale) / DEG;
+        if (diagonal < FIELD_LIMITS.min || diagonal > FIELD_LIMITS.max) return null;
+        if (hint.fieldOfView) {
+            const fieldWidth = 2 * Math.atan(width / 2 / scale) / DEG;
+            if (Math.abs(Math.log(fieldWidth / hint.fieldOfView)) > 0.4) return null;
+        }
+
+        const { xi, eta } = imageToSky(transform, (width - 1) / 2, (height - 1) / 2);
+        const centre = deproject(xi, eta, triangle.centre.ra, triangle.centre.dec);
+        if (hint.ra !== undefined && hint.dec !== undefined &&
+            astronomy.angularSeparation(centre.ra, centre.dec, hint.ra, hint.dec) > (hint.radius || 30)) {
+            return null;
+        }
+
+        // Scale and rotation relative to north at the field centre rather than at the triangle,
+        // which differ a lot near the celestial poles
+        const centred = fitSimilarity(triangle.stars.map((id, index) => {
+            const star = this.catalog.stars[id];
+            const position = project(star.ra, star.dec, centre.ra, centre.dec);
+            return position && { sx: position.xi, sy: position.eta, ix: imagePoints[index][0], iy: imagePoints[index][1] };
+        }).filter(Boolean));
+        if (!centred) return null;
+
+        return {
+            ra: centre.ra,
+            dec: centre.dec,
+            scale: Math.hypot(centred.ar, centred.ai),
+            rotation: Math.atan2(centred.ai, centred.ar) / DEG
+        };
+    }
+
+    // Project the catalog through a hypothesis, pair catalog stars with detections, and refit
+    // with a tightening tolerance; the tangent point follows the field centre each round
+    verify(hypothesis, stars, width, height, options) {
+        const diagonal = Math.hypot(width, height);
+        const centreX = (width - 1) / 2;
+        const centreY = (height - 1) / 2;
+        const rotation = hypothesis.rotation * DEG;
+        let centre = { ra: hypothesis.ra, dec: hypothesis.dec };
+        let transform = {
+            ar: hypothesis.scale * Math.cos(rotation),
+            ai: hypothesis.scale * Math.sin(rotation),
+            br: centreX,
+            bi: centreY
+        };
+        let matches = [];
+        let tolerance = 0;
+        let projectedCount = 0;
+
+        for (const fraction of MATCH_TOLERANCES) {
+            tolerance = Math.max(fraction * diagonal, options.minTolerance || 0);
+            const projected = this.projectCatalog(centre, transform, width, height, stars.length * 2);
+            projectedCount = projected.length;
+            matches = this.matchStars(projected, stars, tolerance);
+            if (matches.length < MIN_MATCHES) return null;
+
+            const fitted = fitSimilarity(matches.map(match => ({
+                sx: match.xi,
+                sy: match.eta,
+                ix: match.detection.x,
+                iy: match.detection.y
+            })));
+            if (!fitted) return null;
+
+            // Re-centre the tangent plane on the image centre for the next round
+            const offset = imageToSky(fitted, centreX, centreY);
+            const newCentre = deproject(offset.xi, offset.eta, centre.ra, centre.dec);
+            const recentred = matches.map(match => {
+                const star = this.catalog.stars[match.starIndex];
+                const position = project(star.ra, star.dec, newCentre.ra, newCentre.dec);
+                return { sx: position.xi, sy: position.eta, ix: match.detection.x, iy: match.detection.y };
+            });
+            transform = fitSimilarity(recentred);
+            centre = newCentre;
+        }
+
+        // Final pairing at the tightest tolerance, judged against the matches chance would give
+        const projected = this.projectCatalog(centre, transform, width, height, stars.length * 2);
+        matches = this.matchStars(projected, stars, tolerance);
+        projectedCount = projected.length;
+        const expected = projectedCount * stars.length * Math.PI * tolerance * tolerance / (width * height);
+        const fraction = matches.length / Math.min(projectedCount, stars.length);
+        if (matches.length < Math.max(MIN_MATCHES, expected + 5 * Math.sqrt(expected) + 3) ||
+            fraction < MIN_MATCH_FRACTION) return null;
+
+        const residuals = matches.map(match => {
+            const position = skyToImage(transform, match.xi, match.eta);
+            return (position.x - match.detection.x) ** 2 + (position.y - match.detection.y) ** 2;
+        });
+        const rmsPixels = Math.sqrt(residuals.reduce((sum, value) => sum + value, 0) / residuals.length);
+
+        return { centre, transform, matches, fraction, rmsPixels };
+    }
+
+    // Brightest catalog stars that land inside the frame, with their tangent-plane positions
+    projectCatalog(centre, transform, width, height, limit) {
+        const { vectors } = this.index;
+        const stars = this.catalog.stars;
+        const scale = Math.hypot(transform.ar, transform.ai);
+        const radius = Math.atan(Math.hypot(width, height) / 2 / scale) + 0.02;
+        const minDot = Math.cos(Math.min(radius, Math.PI / 2));
+        const [cx, cy, cz] = unitVector(centre.ra, centre.dec);
+        const projected = [];
+
+        // The catalog is sorted by magnitude, so the first hits are the brightest
+        for (let i = 0; i < stars.length && projected.length < limit; i++) {
+            const vector = vectors[i];
+            if (vector[0] * cx + vector[1] * cy + vector[2] * cz < minDot) continue;
+
+            const position = project(stars[i].ra, stars[i].dec, centre.ra, centre.dec);
+            if (!position) continue;
+            const { x, y } = skyToImage(transform, position.xi, position.eta);
+            if (x < 0 || y < 0 || x > width - 1 || y > height - 1) continue;
+
+            projected.push({ starIndex: i, xi: position.xi, eta: position.eta, x, y });
+        }
+        return projected;
+    }
+
+    // Closest pairs first, each catalog star and detection used at most once
+    matchStars(projected, stars, tolerance) {
+        const pairs = [];
+        projected.forEach(entry => {
+            stars.forEach((detection, detectionIndex) => {
+                const distance = Math.hypot(entry.x - detection.x, entry.y - detection.y);
+                if (distance <= tolerance) pairs.push({ entry, detection, detectionIndex, distance });
+            });
+        });
+        pairs.sort((a, b) => a.distance - b.distance);
+
+        const usedStars = new Set();
+        const usedDetections = new Set();
+        const matches = [];
+        pairs.forEach(pair => {
+            if (usedStars.has(pair.entry.starIndex) || usedDetections.has(pair.detectionIndex)) return;
+            usedStars.add(pair.entry.starIndex);
+            usedDetections.add(pair.detectionIndex);
+            matches.push({ ...pair.entry, detection: pair.detection });
+        });
+        return matches;
+    }
+
+    describeSolution(result, width, height, mirrored) {
+        const { centre, transform, matches } = result;
+        const scale = Math.hypot(transform.ar, transform.ai);
+
+        // Inverse of the similarity: tangent-plane radians per pixel
+        const norm = scale * scale;
+        const p = transform.ar / norm;
+        const q = -transform.ai / norm;
+        const flip = mirrored ? -1 : 1;
+
+        // Image "up" on the sky, as a position angle east of north
+        const up = imageToSky({ ...transform, br: 0, bi: 0 }, 0, -1);
+        const rotation = astronomy.normalizeDegrees(Math.atan2(up.xi, up.eta) / DEG);
+
+        const fieldAngle = pixels => 2 * Math.atan(pixels / 2 / scale) / DEG;
+
+        return {
+            center: { ra: round(centre.ra, 5), dec: round(centre.dec, 5) },
+            pixelScale: round(ARCSEC_PER_RADIAN / scale, 3),
+            rotation: round(rotation, 2),
+            fieldOfView: {
+                width: round(fieldAngle(width), 3),
+                height: round(fieldAngle(height), 3),
+                diagonal: round(fieldAngle(Math.hypot(width, height)), 3)
+            },
+            mirrored,
+            matchedStars: matches.length,
+            rms: round(result.rmsPixels / scale * ARCSEC_PER_RADIAN, 1),
+            // Gnomonic WCS for 0-based pixels with y down:
+            // [xi, eta] (degrees) = cd x [x - crpix[0], y - crpix[1]]
+            wcs: {
+                projection: 'TAN',
+                crpix: [round(mirrored ? width - 1 - transform.br : transform.br, 3), round(transform.bi, 3)],
+                crval: [round(centre.ra, 6), round(centre.dec, 6)],
+                cd: [
+                    [flip * p / DEG, -q / DEG],
+                    [flip * q / DEG, p / DEG]
+                ]
+            }
+        };
+    }
+
+    // Pixel position of a J2000 position in a described solution, or null outside the frame
+    pixelPosition(solution, ra, dec) {
+        const { crpix, crval, cd } = solution.wcs;
+        const position = project(ra, dec, crval[0], crval[1]);
+        if (!position) return null;
+
+        const xi = position.xi / DEG;
+        const eta = position.eta / DEG;
+        const determinant = cd[0][0] * cd[1][1] - cd[0][1] * cd[1][0];
+        const x = crpix[0] + (cd[1][1] * xi - cd[0][1] * eta) / determinant;
+        const y = crpix[1] + (cd[0][0] * eta - cd[1][0] * xi) / determinant;
+
+        const { width, height } = solution.imageSize;
+        if (x < 0 || y < 0 || x > width - 1 || y > height - 1) return null;
+        return { x: round(x, 1), y: round(y, 1) };
+    }
+
+    // Named stars, deep-sky objects and solar system bodies inside a solved frame
+    objectsInField(solution, date) {
+        const inField = (object) => {
+            const position = this.pixelPosition(solution, object.ra, object.dec);
+            return position ? { ...object, ...position } : null;
+        };
+        const brightestFirst = (a, b) => (a.magnitude ?? 99) - (b.magnitude ?? 99);
+
+        const stars = this.catalog.stars
+            .filter(star => star.properName || star.bayer || star.flamsteed)
+            .map(star => inField({
+                id: star.id,
+                name: star.name,
+                type: 'star',
+                designation: star.bayer || (star.flamsteed ? `${star.flamsteed} ${star.constellation}` : null),
+                constellation: star.constellation,
+                magnitude: star.magnitude,
+                ra: star.ra,
+                dec: star.dec
+            }))
+            .filter(Boolean)
+            .slice(0, OBJECT_LIMIT);
+
+        const deepSky = this.catalog.deepSky
+            .map(object => inField({
+                id: object.id,
+                name: object.name,
+                type: object.type,
+                designation: object.designation,
+                magnitude: object.magnitude,
+                size: object.size,
+                ra: object.ra,
+                dec: object.dec
+            }))
+            .filter(Boolean)
+            .sort(brightestFirst)
+            .slice(0, OBJECT_LIMIT);
+
+        // Ephemeris positions are of date; the solution is in J2000
+        const jd = astronomy.toJulianDate(date);
+        const bodies = [
+            { id: 'sun', name: 'Sun', type: 'sun', ...astronomy.sunPosition(jd), magnitude: -26.74 },
+            { id: 'moon', name: 'Moon', type: 'moon', ...astronomy.moonPosition(jd), magnitude: null },
+            ...astronomy.PLANET_IDS.map(planetId => ({
+                id: planetId,
+                name: planetId.charAt(0).toUpperCase() + planetId.slice(1),
+                type: 'planet',
+                ...astronomy.planetPosition(planetId, jd)
+            }))
+        ];
+        const solarSystem = bodies
+            .map(body => {
+                const position = astronomy.precessToJ2000(body.ra, body.dec, jd);
+                return inField({
+                    id: body.id,
+                    name: body.name,
+                    type: body.type,
+                    magnitude: body.magnitude === null ? null : round(body.magnitude, 1),
+                    ra: round(position.ra, 4),
+                    dec: round(position.dec, 4)
+                });
+            })
+            .filter(Boolean);
+
+        return { stars, deepSky, solarSystem };
+    }
+}
+
+module.exports = PlateSolver;
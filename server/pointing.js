@@ -0,0 +1,320 @@
+// Drahms Vision - Pointing
+// Turns the phone's orientation sensors into where its back camera is looking: altitude and
+// azimuth (true north, corrected for magnetic declination), RA/Dec, and the outline of the
+// camera's field of view. Readings are smoothed per device and can be calibrated on a star.
+
+const astronomy = require('./astronomy');
+
+const { DEG } = astronomy;
+
+// IGRF-13 main field at epoch 2020 (nT), Schmidt semi-normalized, truncated at degree 5.
+// That is good to a degree or two of declination over most of the world; phones that send
+// their own declination (Android's GeomagneticField) take precedence, and a star
+// calibration removes whatever error is left.
+// Each row is [n, m, g, h]
+const IGRF_COEFFICIENTS = [
+    [1, 0, -29404.8, 0], [1, 1, -1450.9, 4652.5],
+    [2, 0, -2499.6, 0], [2, 1, 2982.0, -2991.6], [2, 2, 1677.0, -734.6],
+    [3, 0, 1363.2, 0], [3, 1, -2381.2, -82.1], [3, 2, 1236.2, 241.9], [3, 3, 525.7, -543.4],
+    [4, 0, 903.0, 0], [4, 1, 809.5, 281.9], [4, 2, 86.3, -158.4], [4, 3, -309.4, 199.7], [4, 4, 48.0, -349.7],
+    [5, 0, -234.3, 0], [5, 1, 363.2, 47.7], [5, 2, 187.8, 208.3], [5, 3, -140.7, -121.2], [5, 4, -151.2, 32.3],
+    [5, 5, 13.5, 98.9]
+];
+
+// Field of view in degrees along the phone's short (x) and long (y) axes at 1x zoom,
+// for a typical main camera when the phone does not report its own
+const DEFAULT_FIELD_OF_VIEW = { width: 50, height: 65 };
+
+// Exponential smoothing time constant; readings further apart than the reset gap start over
+const SMOOTHING_TIME_MS = 400;
+const SMOOTHING_RESET_MS = 5000;
+// Points along each edge of the field-of-view outline, so it bends with the sky projection
+const OUTLINE_POINTS_PER_EDGE = 4;
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function factorial(n) {
+    let result = 1;
+    for (let i = 2; i <= n; i++) result *= i;
+    return result;
+}
+
+// Schmidt semi-normalized associated Legendre function P(n, m) of cos(theta)
+function schmidtLegendre(n, m, theta) {
+    const x = Math.cos(theta);
+    const s = Math.sin(theta);
+
+    let pmm = 1;
+    for (let i = 1; i <= m; i++) pmm *= (2 * i - 1) * s;
+
+    let value = pmm;
+    if (n > m) {
+        let previous = pmm;
+        value = x * (2 * m + 1) * pmm;
+        for (let degree = m + 2; degree <= n; degree++) {
+            const next = ((2 * degree - 1) * x * value - (degree + m - 1) * previous) / (degree - m);
+            previous = value;
+            value = next;
+        }
+    }
+
+    return m === 0 ? value : value * Math.sqrt(2 * factorial(n - m) / factorial(n + m));
+}
+
+// Magnetic declination (degrees, east positive) at a site, from the spherical harmonic model
+// evaluated at the surface; geodetic latitude is close enough to geocentric for this purpose
+function magneticDeclination(latitude, longitude) {
+    const theta = (90 - Math.max(-89.9, Math.min(89.9, latitude))) * DEG;
+    const lambda = longitude * DEG;
+    const step = 1e-6;
+
+    let north = 0;
+    let east = 0;
+    IGRF_COEFFICIENTS.forEach(([n, m, g, h]) => {
+        const cosTerm = Math.cos(m * lambda);
+        const sinTerm = Math.sin(m * lambda);
+        const derivative = (schmidtLegendre(n, m, theta + step) - schmidtLegendre(n, m, theta - step)) / (2 * step);
+
+        north += (g * cosTerm + h * sinTerm) * derivative;
+        east += m * (g * sinTerm - h * cosTerm) * schmidtLegendre(n, m, theta) / Math.sin(theta);
+    });
+
+    return Math.atan2(east, north) / DEG;
+}
+
+function readVector(value) {
+    if (!value) return null;
+    const vector = Array.isArray(value) ? value : [value.x, value.y, value.z, value.w];
+    const components = vector.slice(0, 4).filter(component => component !== undefined && component !== null);
+    if (components.length < 3 || !components.every(Number.isFinite)) return null;
+    return components;
+}
+
+function normalize(vector) {
+    const length = Math.hypot(...vector);
+    return length > 0 ? vector.map(component => component / length) : null;
+}
+
+function cross(a, b) {
+    return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+// Rotation from phone axes (x right, y up the screen, z out of the screen) to the world
+// frame (x east, y magnetic north, z up), as rows. Uses Android's rotation vector when
+// present, otherwise gravity (or the accelerometer) with the magnetometer.
+function orientationMatrix(sensorData) {
+    const rotation = readVector(sensorData.rotationVector);
+    if (rotation) {
+        const [x, y, z] = rotation;
+        const w = rotation.length > 3 ? rotation[3] : Math.sqrt(Math.max(0, 1 - x * x - y * y - z * z));
+        return {
+            source: 'rotationVector',
+            matrix: [
+                [1 - 2 * y * y - 2 * z * z, 2 * x * y - 2 * z * w, 2 * x * z + 2 * y * w],
+                [2 * x * y + 2 * z * w, 1 - 2 * x * x - 2 * z * z, 2 * y * z - 2 * x * w],
+                [2 * x * z - 2 * y * w, 2 * y * z + 2 * x * w, 1 - 2 * x * x - 2 * y * y]
+            ]
+        };
+    }
+
+    const gravity = readVector(sensorData.gravity) || readVector(sensorData.accelerometer);
+    const magnetic = readVector(sensorData.magnetometer || sensorData.magneticField);
+    if (!gravity || !magnetic) return null;
+
+    // Same construction as SensorManager.getRotationMatrix: east is field x gravity
+    const up = normalize(gravity.slice(0, 3));
+    const east = normalize(cross(magnetic.slice(0, 3), up));
+    if (!up || !east) return null;
+
+    return { source: 'accelerometer', matrix: [east, cross(up, east), up] };
+}
+
+// Turns a world vector from magnetic to true north by the declination
+function rotateAzimuth(vector, degrees) {
+    const cos = Math.cos(degrees * DEG);
+    const sin = Math.sin(degrees * DEG);
+    return [vector[0] * cos + vector[1] * sin, vector[1] * cos - vector[0] * sin, vector[2]];
+}
+
+function toHorizontal(vector) {
+    return {
+        altitude: Math.asin(Math.max(-1, Math.min(1, vector[2]))) / DEG,
+        azimuth: astronomy.normalizeDegrees(Math.atan2(vector[0], vector[1]) / DEG)
+    };
+}
+
+function blend(previous, next, weight) {
+    return normalize(previous.map((component, index) => component + (next[index] - component) * weight)) || next;
+}
+
+class PointingTracker {
+    constructor() {
+        this.devices = new Map();
+    }
+
+    state(deviceId) {
+        if (!this.devices.has(deviceId)) {
+            this.devices.set(deviceId, { vectors: null, details: null, updatedAt: 0, calibration: null, pointing: null });
+        }
+        return this.devices.get(deviceId);
+    }
+
+    get(deviceId) {
+        const state = this.devices.get(deviceId);
+        return state ? state.pointing : null;
+    }
+
+    // observer is {latitude, longitude, date}; options.zoom narrows the field of view.
+    // Returns null when the reading has no orientation data.
+    update(deviceId, sensorData, observer, options = {}) {
+        const orientation = orientationMatrix(sensorData || {});
+        if (!orientation) return null;
+
+        const hasDeviceDeclination = Number.isFinite(sensorData.declination);
+        const declination = hasDeviceDeclination
+            ? sensorData.declination
+            : magneticDeclination(observer.latitude, observer.longitude);
+
+        // The back camera looks along -z; the screen's up and right edges give its roll
+        const { matrix } = orientation;
+        const raw = {
+            forward: rotateAzimuth([-matrix[0][2], -matrix[1][2], -matrix[2][2]], declination),
+            up: rotateAzimuth([matrix[0][1], matrix[1][1], matrix[2][1]], declination)
+        };
+
+        const state = this.state(deviceId);
+        const now = observer.date.getTime();
+        const elapsed = now - state.updatedAt;
+        if (!state.vectors || elapsed > SMOOTHING_RESET_MS || elapsed < 0) {
+            state.vectors = raw;
+        } else {
+            const weight = 1 - Math.exp(-elapsed / SMOOTHING_TIME_MS);
+            state.vectors = {
+                forward: blend(state.vectors.forward, raw.forward, weight),
+                up: blend(state.vectors.up, raw.up, weight)
+            };
+        }
+        state.updatedAt = now;
+
+        state.details = {
+            source: orientation.source,
+            declination,
+            declinationSource: hasDeviceDeclination ? 'device' : 'model',
+            fieldOfView: this.fieldOfView(sensorData.fieldOfView, options.zoom)
+        };
+        state.pointing = this.describe(state, observer);
+        return state.pointing;
+    }
+
+    fieldOfView(reported, zoom) {
+        const base = reported && Number.isFinite(reported.width) && Number.isFinite(reported.height)
+            ? reported
+            : DEFAULT_FIELD_OF_VIEW;
+        const factor = Number.isFinite(zoom) && zoom > 0 ? zoom : 1;
+        return { width: base.width / factor, height: base.height / factor };
+    }
+
+    describe(state, observer) {
+        const { forward, up } = state.vectors;
+        const details = state.details;
+        const right = normalize(cross(forward, up)) || [1, 0, 0];
+        const trueUp = cross(right, forward);
+        const offset = state.calibration || { altitude: 0, azimuth: 0 };
+
+        const corrected = vector => {
+            const horizontal = toHorizontal(vector);
+            return {
+                altitude: Math.max(-90, Math.min(90, horizontal.altitude + offset.altitude)),
+                azimuth: astronomy.normalizeDegrees(horizontal.azimuth + offset.azimuth)
+            };
+        };
+
+        const center = corrected(forward);
+        const uncalibrated = toHorizontal(forward);
+
+        // Roll: how far the screen is turned from upright, positive when its right edge rises
+        const roll = Math.atan2(right[2], trueUp[2]) / DEG;
+
+        // RA/Dec (J2000) from the geometric altitude, since the phone sees the refracted sky
+        const jd = astronomy.toJulianDate(observer.date);
+        const lst = astronomy.localSiderealTime(jd, observer.longitude);
+        const geometricAltitude = center.altitude - astronomy.refraction(center.altitude);
+        const ofDate = astronomy.horizontalToEquatorial(geometricAltitude, center.azimuth, observer.latitude, lst);
+        const equatorial = astronomy.precessToJ2000(ofDate.ra, ofDate.dec, jd);
+
+        const halfWidth = Math.tan(details.fieldOfView.width / 2 * DEG);
+        const halfHeight = Math.tan(details.fieldOfView.height / 2 * DEG);
+        const corners = [[-1, 1], [1, 1], [1, -1], [-1, -1]];
+        const outline = [];
+        corners.forEach(([x, y], index) => {
+            const [nextX, nextY] = corners[(index + 1) % corners.length];
+            for (let step = 0; step < OUTLINE_POINTS_PER_EDGE; step++) {
+                const fraction = step / OUTLINE_POINTS_PER_EDGE;
+                const sx = (x + (nextX - x) * fraction) * halfWidth;
+                const sy = (y + (nextY - y) * fraction) * halfHeight;
+                const point = corrected(normalize(forward.map((component, axis) =>
+                    component + sx * right[axis] + sy * trueUp[axis])));
+                outline.push({ altitude: round(point.altitude), azimuth: round(point.azimuth) });
+            }
+        });
+
+        return {
+            altitude: round(center.altitude),
+            azimuth: round(center.azimuth),
+            ra: round(equatorial.ra),
+            dec: round(equatorial.dec),
+            roll: round(roll),
+            magneticAzimuth: round(astronomy.normalizeDegrees(uncalibrated.azimuth - details.declination)),
+            declination: round(details.declination),
+            declinationSource: details.declinationSource,
+            source: details.source,
+            calibrated: Boolean(state.calibration),
+            calibration: state.calibration,
+            fieldOfView: {
+                width: round(details.fieldOfView.width),
+                height: round(details.fieldOfView.height),
+                outline
+            },
+            timestamp: observer.date.toISOString()
+        };
+    }
+
+    // Lines the current (smoothed) reading up with a known object's apparent altitude and
+    // azimuth; the offset is applied to every later reading from this device
+    calibrate(deviceId, target, observer) {
+        const state = this.devices.get(deviceId);
+        if (!state || !state.vectors) return null;
+
+        const measured = toHorizontal(state.vectors.forward);
+        let azimuthOffset = astronomy.normalizeDegrees(target.azimuth - measured.azimuth);
+        if (azimuthOffset > 180) azimuthOffset -= 360;
+
+        state.calibration = {
+            altitude: round(target.altitude - measured.altitude),
+            azimuth: round(azimuthOffset),
+            targetId: target.id,
+            targetName: target.name,
+            calibratedAt: observer.date.toISOString()
+        };
+        state.pointing = this.describe(state, observer);
+        return state.pointing;
+    }
+
+    clearCalibration(deviceId, observer) {
+        const state = this.devices.get(deviceId);
+        if (!state || !state.vectors) return null;
+
+        state.calibration = null;
+        state.pointing = this.describe(state, observer);
+        return state.pointing;
+    }
+}
+
+module.exports = {
+    PointingTracker,
+    DEFAULT_FIELD_OF_VIEW,
+    magneticDeclination,
+    orientationMatrix
+};
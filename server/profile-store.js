@@ -0,0 +1,198 @@
+// Drahms Vision - Profile Store
+// Named camera profiles (a camera mode plus every camera setting) kept in one JSON file and
+// shared by every browser, and which profile each sidebar mode button applies
+
+const fs = require('fs');
+const path = require('path');
+const { CAMERA_SETTINGS, CAMERA_MODES, SETTING_RANGES, WHITE_BALANCE_MODES } = require('./camera-control');
+
+const MAX_NAME_LENGTH = 64;
+const MAX_PROFILES = 100;
+// Sidebar buttons a profile can be bound to
+const PROFILE_BUTTONS = ['auto', 'night', 'manual'];
+const EXPORT_FORMAT = 'drahms-vision-profiles';
+
+// Used until the first profile is saved; they are the presets the camera module used to hardcode
+const DEFAULT_PROFILES = [
+    { name: 'Auto', mode: 'auto', settings: { zoom: 1, focus: 50, iso: 400, exposure: 0, whiteBalance: 'auto' } },
+    { name: 'Night', mode: 'night', settings: { zoom: 1, focus: 50, iso: 3200, exposure: 0, whiteBalance: 'auto' } },
+    { name: 'Astronomy', mode: 'astronomy', settings: { zoom: 1, focus: 50, iso: 1600, exposure: 0, whiteBalance: 'auto' } }
+];
+const DEFAULT_BINDINGS = { auto: 'Auto', night: 'Night', manual: null };
+
+function normalizeName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+        throw new RangeError(`Profile names must be 1 to ${MAX_NAME_LENGTH} characters`);
+    }
+    return trimmed;
+}
+
+// Checks a profile body; every camera setting is required so applying a profile is repeatable
+function normalizeProfile(profile, label = 'profile') {
+    if (!profile || typeof profile !== 'object') {
+        throw new RangeError(`${label} must be an object`);
+    }
+    if (!CAMERA_MODES.includes(profile.mode)) {
+        throw new RangeError(`${label}.mode must be one of ${CAMERA_MODES.join(', ')}`);
+    }
+
+    const source = profile.settings || {};
+    const unknown = Object.keys(source).filter(setting => !CAMERA_SETTINGS.includes(setting));
+    if (unknown.length) {
+        throw new RangeError(`${label}.settings.${unknown[0]} is not a camera setting`);
+    }
+
+    const settings = {};
+    Object.entries(SETTING_RANGES).forEach(([setting, range]) => {
+        const value = Number(source[setting]);
+        if (source[setting] === undefined || source[setting] === '' || !Number.isFinite(value)
+            || value < range.min || value > range.max) {
+            throw new RangeError(`${label}.settings.${setting} must be between ${range.min} and ${range.max}`);
+        }
+        settings[setting] = value;
+    });
+    if (!WHITE_BALANCE_MODES.includes(source.whiteBalance)) {
+        throw new RangeError(`${label}.settings.whiteBalance must be one of ${WHITE_BALANCE_MODES.join(', ')}`);
+    }
+    settings.whiteBalance = source.whiteBalance;
+
+    return { mode: profile.mode, settings };
+}
+
+class ProfileStore {
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.onUpdate = options.onUpdate || (() => {});
+        this.profiles = new Map();
+        this.bindings = { ...DEFAULT_BINDINGS };
+    }
+
+    async init() {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        try {
+            const raw = await fs.promises.readFile(this.filePath, 'utf8');
+            const data = JSON.parse(raw);
+            data.profiles.forEach(profile => this.profiles.set(profile.name, profile));
+            this.bindings = { ...DEFAULT_BINDINGS, ...data.bindings };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Skipping unreadable profile file ${this.filePath}:`, error.message);
+            }
+            DEFAULT_PROFILES.forEach(profile => this.store(profile.name, profile.mode, { ...profile.settings }));
+        }
+
+        console.log(`🎛️ Loaded ${this.profiles.size} camera profile(s)`);
+    }
+
+    list() {
+        return Array.from(this.profiles.values()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    get(name) {
+        return this.profiles.get(name) || null;
+    }
+
+    // Creates or replaces a profile
+    async save(name, profile) {
+        const trimmed = normalizeName(name);
+        const { mode, settings } = normalizeProfile(profile);
+        if (!this.profiles.has(trimmed) && this.profiles.size >= MAX_PROFILES) {
+            throw new RangeError(`At most ${MAX_PROFILES} profiles can be saved`);
+        }
+
+        const saved = this.store(trimmed, mode, settings);
+        await this.persist();
+        this.onUpdate({ action: 'saved', name: trimmed });
+        return saved;
+    }
+
+    async delete(name) {
+        if (!this.profiles.delete(name)) return false;
+
+        PROFILE_BUTTONS.forEach(button => {
+            if (this.bindings[button] === name) this.bindings[button] = null;
+        });
+        await this.persist();
+        this.onUpdate({ action: 'deleted', name });
+        return true;
+    }
+
+    // profileName null leaves the button without a profile
+    async bind(button, profileName) {
+        if (!PROFILE_BUTTONS.includes(button)) {
+            throw new RangeError(`button must be one of ${PROFILE_BUTTONS.join(', ')}`);
+        }
+        if (profileName !== null && !this.profiles.has(profileName)) {
+            throw new RangeError(`There is no profile named "${profileName}"`);
+        }
+
+        this.bindings[button] = profileName;
+        await this.persist();
+        this.onUpdate({ action: 'bound', button, name: profileName });
+        return { ...this.bindings };
+    }
+
+    export() {
+        return {
+            format: EXPORT_FORMAT,
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            profiles: this.list().map(profile => ({ name: profile.name, mode: profile.mode, settings: profile.settings })),
+            bindings: { ...this.bindings }
+        };
+    }
+
+    // Takes an export file; profiles with the same name are replaced. Nothing is written unless
+    // the whole file is valid. Bindings are only taken when their profile is known.
+    async import(data) {
+        if (!data || typeof data !== 'object' || (data.format !== undefined && data.format !== EXPORT_FORMAT)) {
+            throw new RangeError(`Not a ${EXPORT_FORMAT} file`);
+        }
+        if (!Array.isArray(data.profiles) || data.profiles.length === 0) {
+            throw new RangeError('The file contains no profiles');
+        }
+
+        const incoming = data.profiles.map((profile, index) => ({
+            name: normalizeName(profile && profile.name),
+            ...normalizeProfile(profile, `profiles[${index}]`)
+        }));
+        const names = new Set([...this.profiles.keys(), ...incoming.map(profile => profile.name)]);
+        if (names.size > MAX_PROFILES) {
+            throw new RangeError(`Importing would exceed ${MAX_PROFILES} profiles`);
+        }
+
+        incoming.forEach(profile => this.store(profile.name, profile.mode, profile.settings));
+        const bindings = data.bindings || {};
+        PROFILE_BUTTONS.forEach(button => {
+            if (bindings[button] && this.profiles.has(bindings[button])) {
+                this.bindings[button] = bindings[button];
+            }
+        });
+
+        await this.persist();
+        this.onUpdate({ action: 'imported', count: incoming.length });
+        return incoming.map(profile => profile.name);
+    }
+
+    store(name, mode, settings) {
+        const existing = this.profiles.get(name);
+        const now = new Date().toISOString();
+        const profile = {
+            name,
+            mode,
+            settings,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+        this.profiles.set(name, profile);
+        return profile;
+    }
+
+    async persist() {
+        await fs.promises.writeFile(this.filePath, JSON.stringify({ profiles: this.list(), bindings: this.bindings }, null, 2));
+    }
+}
+
+module.exports = { ProfileStore, PROFILE_BUTTONS };
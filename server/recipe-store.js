@@ -0,0 +1,73 @@
+// Drahms Vision - Recipe Store
+// Named editing recipes (ordered enhancement steps) kept in one JSON file, so a night's
+// frames can all be processed the same way
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_NAME_LENGTH = 64;
+
+class RecipeStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.recipes = new Map();
+    }
+
+    async init() {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        try {
+            const raw = await fs.promises.readFile(this.filePath, 'utf8');
+            JSON.parse(raw).forEach(recipe => this.recipes.set(recipe.name, recipe));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Skipping unreadable recipe file ${this.filePath}:`, error.message);
+            }
+        }
+
+        console.log(`🧾 Loaded ${this.recipes.size} editing recipe(s)`);
+    }
+
+    list() {
+        return Array.from(this.recipes.values()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    get(name) {
+        return this.recipes.get(name) || null;
+    }
+
+    // Creates or replaces a recipe; steps are expected to be validated by the caller
+    async save(name, steps) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+            throw new RangeError(`Recipe names must be 1 to ${MAX_NAME_LENGTH} characters`);
+        }
+
+        const existing = this.recipes.get(trimmed);
+        const now = new Date().toISOString();
+        const recipe = {
+            name: trimmed,
+            steps: steps.map(step => step.operation === 'reset'
+                ? { operation: 'reset' }
+                : { operation: step.operation, value: step.value }),
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+
+        this.recipes.set(trimmed, recipe);
+        await this.persist();
+        return recipe;
+    }
+
+    async delete(name) {
+        if (!this.recipes.delete(name)) return false;
+        await this.persist();
+        return true;
+    }
+
+    async persist() {
+        await fs.promises.writeFile(this.filePath, JSON.stringify(this.list(), null, 2));
+    }
+}
+
+module.exports = RecipeStore;
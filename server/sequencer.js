@@ -0,0 +1,422 @@
+// Drahms Vision - Capture Sequencer
+// Runs capture plans such as "30 lights at ISO 1600 every 10 s, then 10 darks" on the phone.
+// The plan lives on the server, so a sequence keeps going when browsers disconnect; viewers
+// follow it through the events passed to options.emit.
+
+const { CommandError, settingProblem, CAMERA_SETTINGS, FRAME_TYPES } = require('./camera-control');
+
+const MAX_STEPS = 20;
+const MAX_FRAMES_PER_STEP = 1000;
+const MAX_INTERVAL_SECONDS = 3600;
+const MAX_NAME_LENGTH = 64;
+const MAX_SEQUENCES = 20;
+
+// How long a frame may take to arrive after the capture command, on top of its exposure
+const FRAME_TIMEOUT_MS = 60000;
+// Per-frame overhead assumed for the ETA until real frames have been timed
+const DEFAULT_FRAME_OVERHEAD_S = 3;
+// A sequence pauses itself after this many failed attempts in a row
+const MAX_CONSECUTIVE_FAILURES = 3;
+// Pause between attempts after a failure, so a phone that briefly drops can reconnect
+const RETRY_DELAY_MS = 5000;
+
+const ACTIVE_STATUSES = ['running', 'paused'];
+
+class SequenceError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'SequenceError';
+        this.code = code;
+    }
+}
+
+function normalizeStep(step, index) {
+    const label = `steps[${index}]`;
+    if (!step || typeof step !== 'object') {
+        throw new RangeError(`${label} must be an object`);
+    }
+
+    const frameType = step.frameType || 'light';
+    if (!FRAME_TYPES.includes(frameType)) {
+        throw new RangeError(`${label}.frameType must be one of ${FRAME_TYPES.join(', ')}`);
+    }
+
+    const count = Number(step.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_FRAMES_PER_STEP) {
+        throw new RangeError(`${label}.count must be a whole number between 1 and ${MAX_FRAMES_PER_STEP}`);
+    }
+
+    const interval = step.interval === undefined ? 0 : Number(step.interval);
+    if (!Number.isFinite(interval) || interval < 0 || interval > MAX_INTERVAL_SECONDS) {
+        throw new RangeError(`${label}.interval must be between 0 and ${MAX_INTERVAL_SECONDS} seconds`);
+    }
+
+    const settings = {};
+    Object.entries(step.settings || {}).forEach(([setting, value]) => {
+        if (!CAMERA_SETTINGS.includes(setting)) {
+            throw new RangeError(`${label}.settings.${setting} is not a camera setting`);
+        }
+        if (value === undefined || value === null || value === '') return;
+        // Checked now rather than failing every frame once the sequence runs
+        const problem = settingProblem(setting, value);
+        if (problem) {
+            throw new RangeError(`${label}.settings.${problem}`);
+        }
+        settings[setting] = setting === 'whiteBalance' ? value : Number(value);
+    });
+
+    return { frameType, count, interval, settings };
+}
+
+// Validates a POST /api/sequences body; throws RangeError with a readable message
+function normalizePlan(plan) {
+    if (!plan || typeof plan !== 'object') {
+        throw new RangeError('The sequence plan must be an object');
+    }
+
+    const steps = Array.isArray(plan.steps) ? plan.steps : [];
+    if (steps.length === 0 || steps.length > MAX_STEPS) {
+        throw new RangeError(`steps must list between 1 and ${MAX_STEPS} steps`);
+    }
+
+    const name = typeof plan.name === 'string' ? plan.name.trim() : '';
+    if (name.length > MAX_NAME_LENGTH) {
+        throw new RangeError(`name must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+    if (plan.deviceId !== undefined && typeof plan.deviceId !== 'string') {
+        throw new RangeError('deviceId must be a string');
+    }
+
+    return {
+        name: name || null,
+        deviceId: plan.deviceId || null,
+        steps: steps.map(normalizeStep)
+    };
+}
+
+function exposureSeconds(step) {
+    const exposure = Number(step.settings.exposure);
+    return exposure > 0 ? exposure : 0;
+}
+
+class Sequencer {
+    constructor(cameraControl, options = {}) {
+        this.cameraControl = cameraControl;
+        this.emit = options.emit || (() => {});
+        this.sequences = new Map();
+        // Wakes the run loop early from an interval wait or a pause (per sequence id)
+        this.wakers = new Map();
+        // The frame the running sequence is waiting for: { sequenceId, deviceId, step, frame, resolve, reject, timer }
+        this.pendingFrame = null;
+    }
+
+    list() {
+        return Array.from(this.sequences.values()).reverse().map(sequence => this.describe(sequence));
+    }
+
+    get(id) {
+        const sequence = this.sequences.get(id);
+        return sequence ? this.describe(sequence) : null;
+    }
+
+    active() {
+        return Array.from(this.sequences.values()).find(sequence => ACTIVE_STATUSES.includes(sequence.status)) || null;
+    }
+
+    // Creates a sequence from a validated plan and starts it; one sequence runs at a time
+    start(plan) {
+        const running = this.active();
+        if (running) {
+            throw new SequenceError(`Sequence ${running.id} is still ${running.status}`, 'BUSY');
+        }
+
+        const now = new Date().toISOString();
+        const sequence = {
+            id: 'seq_' + Date.now(),
+            name: plan.name,
+            deviceId: plan.deviceId,
+            steps: plan.steps,
+            status: 'running',
+            statusReason: null,
+            stepIndex: 0,
+            frameIndex: 0,
+            completed: 0,
+            total: plan.steps.reduce((sum, step) => sum + step.count, 0),
+            failures: 0,
+            frames: [],
+            createdAt: now,
+            startedAt: now,
+            finishedAt: null
+        };
+        this.sequences.set(sequence.id, sequence);
+
+        // Forget the oldest finished sequences
+        for (const [id, old] of this.sequences) {
+            if (this.sequences.size <= MAX_SEQUENCES) break;
+            if (!ACTIVE_STATUSES.includes(old.status)) this.sequences.delete(id);
+        }
+
+        console.log(`🎬 Starting sequence ${sequence.id}: ${sequence.total} frame(s) in ${sequence.steps.length} step(s)`);
+        this.run(sequence);
+        return this.describe(sequence);
+    }
+
+    pause(id) {
+        const sequence = this.require(id);
+        if (sequence.status !== 'running') {
+            throw new SequenceError(`Sequence ${id} is ${sequence.status}, not running`, 'INVALID_STATE');
+        }
+        this.setStatus(sequence, 'paused', 'Paused by user');
+        return this.describe(sequence);
+    }
+
+    resume(id) {
+        const sequence = this.require(id);
+        if (sequence.status !== 'paused') {
+            throw new SequenceError(`Sequence ${id} is ${sequence.status}, not paused`, 'INVALID_STATE');
+        }
+        sequence.failures = 0;
+        this.setStatus(sequence, 'running', null);
+        return this.describe(sequence);
+    }
+
+    abort(id) {
+        const sequence = this.require(id);
+        if (!ACTIVE_STATUSES.includes(sequence.status)) {
+            throw new SequenceError(`Sequence ${id} is already ${sequence.status}`, 'INVALID_STATE');
+        }
+        if (this.pendingFrame && this.pendingFrame.sequenceId === id) {
+            this.pendingFrame.reject(new SequenceError('Sequence aborted', 'ABORTED'));
+        }
+        this.finish(sequence, 'aborted', 'Aborted by user');
+        return this.describe(sequence);
+    }
+
+    require(id) {
+        const sequence = this.sequences.get(id);
+        if (!sequence) {
+            throw new SequenceError(`Unknown sequence: ${id}`, 'NOT_FOUND');
+        }
+        return sequence;
+    }
+
+    // Tag for a frame arriving from deviceId while a sequence waits on it, stored with the capture
+    currentFrame(deviceId) {
+        const pending = this.pendingFrame;
+        if (!pending || (pending.deviceId && pending.deviceId !== deviceId)) return null;
+        return { id: pending.sequenceId, step: pending.step + 1, frame: pending.frame + 1 };
+    }
+
+    // Called for every stored capture; resolves the frame the running sequence waits on
+    handleCapture(deviceId, record) {
+        const pending = this.pendingFrame;
+        if (!pending || (pending.deviceId && pending.deviceId !== deviceId)) return false;
+        pending.resolve(record);
+        return true;
+    }
+
+    async run(sequence) {
+        try {
+            while (sequence.stepIndex < sequence.steps.length) {
+                const step = sequence.steps[sequence.stepIndex];
+                let settingsApplied = false;
+
+                while (sequence.frameIndex < step.count) {
+                    await this.waitWhilePaused(sequence);
+                    if (sequence.status !== 'running') return;
+
+                    const startedAt = Date.now();
+                    const result = await this.attemptFrame(sequence, step, settingsApplied);
+                    if (sequence.status === 'aborted') return;
+
+                    if (result.success) {
+                        settingsApplied = true;
+                        sequence.failures = 0;
+                        sequence.frameIndex++;
+                        sequence.completed++;
+                    } else {
+                        // Settings are sent again in case the phone reconnected and lost them
+                        settingsApplied = false;
+                        sequence.failures++;
+                    }
+                    sequence.frames.push(result);
+                    this.emit('sequence_progress', { ...this.describe(sequence), result });
+
+                    if (!result.success && sequence.failures >= MAX_CONSECUTIVE_FAILURES) {
+                        this.setStatus(sequence, 'paused', `${sequence.failures} frames failed in a row: ${result.error}`);
+                        continue;
+                    }
+
+                    if (!result.success) {
+                        await this.sleep(sequence, RETRY_DELAY_MS);
+                    } else if (sequence.completed < sequence.total) {
+                        await this.sleep(sequence, step.interval * 1000 - (Date.now() - startedAt));
+                    }
+                }
+
+                sequence.stepIndex++;
+                sequence.frameIndex = 0;
+            }
+
+            this.finish(sequence, 'complete', null);
+        } catch (error) {
+            console.error(`Sequence ${sequence.id} failed:`, error);
+            this.finish(sequence, 'failed', error.message);
+        }
+    }
+
+    async attemptFrame(sequence, step, settingsApplied) {
+        const result = {
+            step: sequence.stepIndex + 1,
+            frame: sequence.frameIndex + 1,
+            frameType: step.frameType,
+            success: false,
+            startedAt: new Date().toISOString()
+        };
+
+        try {
+            if (!settingsApplied) {
+                for (const [setting, value] of Object.entries(step.settings)) {
+                    await this.cameraControl.sendCommand('camera_setting', {
+                        deviceId: sequence.deviceId || undefined,
+                        setting,
+                        value
+                    });
+                }
+            }
+
+            const record = await this.captureFrame(sequence, step);
+            result.success = true;
+            result.captureId = record.id;
+        } catch (error) {
+            if (error.code !== 'ABORTED') {
+                console.error(`Sequence ${sequence.id} frame ${result.step}.${result.frame} failed:`, error.message);
+            }
+            result.error = error.message;
+            result.code = error.code || 'INTERNAL_ERROR';
+        }
+
+        result.durationMs = Date.now() - Date.parse(result.startedAt);
+        return result;
+    }
+
+    // Sends capture_image and waits for the phone's image_data to be stored
+    captureFrame(sequence, step) {
+        return new Promise((resolve, reject) => {
+            const timeoutMs = exposureSeconds(step) * 1000 + FRAME_TIMEOUT_MS;
+            const pending = {
+                sequenceId: sequence.id,
+                deviceId: sequence.deviceId,
+                step: sequence.stepIndex,
+                frame: sequence.frameIndex,
+                resolve: (record) => settle(() => resolve(record)),
+                reject: (error) => settle(() => reject(error)),
+                timer: setTimeout(() => {
+                    pending.reject(new CommandError(`No frame arrived within ${timeoutMs / 1000}s`, 'TIMEOUT'));
+                }, timeoutMs)
+            };
+            const settle = (callback) => {
+                clearTimeout(pending.timer);
+                if (this.pendingFrame === pending) this.pendingFrame = null;
+                callback();
+            };
+            this.pendingFrame = pending;
+
+            // The frame can arrive before the command's ack, so the wait is armed first
+            this.cameraControl.sendCommand('capture_image', {
+                deviceId: sequence.deviceId || undefined,
+                frameType: step.frameType
+            }).then(({ deviceId }) => {
+                if (!pending.deviceId) pending.deviceId = deviceId;
+            }).catch(pending.reject);
+        });
+    }
+
+    waitWhilePaused(sequence) {
+        if (sequence.status !== 'paused') return Promise.resolve();
+        return new Promise(resolve => this.wakers.set(sequence.id, resolve))
+            .then(() => this.waitWhilePaused(sequence));
+    }
+
+    // Interval wait that ends early on pause, resume or abort
+    sleep(sequence, ms) {
+        if (ms <= 0) return Promise.resolve();
+        return new Promise(resolve => {
+            const timer = setTimeout(wake, ms);
+            function wake() {
+                clearTimeout(timer);
+                resolve();
+            }
+            this.wakers.set(sequence.id, wake);
+        });
+    }
+
+    wake(sequence) {
+        const wake = this.wakers.get(sequence.id);
+        this.wakers.delete(sequence.id);
+        if (wake) wake();
+    }
+
+    setStatus(sequence, status, reason) {
+        sequence.status = status;
+        sequence.statusReason = reason;
+        console.log(`🎬 Sequence ${sequence.id} ${status}${reason ? `: ${reason}` : ''}`);
+        this.emit('sequence_updated', this.describe(sequence));
+        this.wake(sequence);
+    }
+
+    finish(sequence, status, reason) {
+        if (!ACTIVE_STATUSES.includes(sequence.status)) return;
+        sequence.finishedAt = new Date().toISOString();
+        this.setStatus(sequence, status, reason);
+        this.emit('sequence_complete', this.describe(sequence));
+    }
+
+    // Seconds left, from each remaining frame's exposure or interval plus the overhead
+    // measured on this sequence's frames so far
+    estimateRemaining(sequence) {
+        const timed = sequence.frames.filter(result => result.success);
+        const overhead = timed.length
+            ? timed.reduce((sum, result) => sum + Math.max(0, result.durationMs / 1000 - exposureSeconds(sequence.steps[result.step - 1])), 0) / timed.length
+            : DEFAULT_FRAME_OVERHEAD_S;
+
+        let seconds = 0;
+        sequence.steps.forEach((step, index) => {
+            const remaining = index < sequence.stepIndex ? 0
+                : index === sequence.stepIndex ? step.count - sequence.frameIndex
+                    : step.count;
+            if (remaining <= 0) return;
+            const frame = exposureSeconds(step) + overhead;
+            seconds += remaining * frame + (remaining - 1) * Math.max(0, step.interval - frame);
+        });
+        return Math.round(seconds);
+    }
+
+    describe(sequence) {
+        const active = ACTIVE_STATUSES.includes(sequence.status);
+        const remainingSeconds = active ? this.estimateRemaining(sequence) : 0;
+        return {
+            id: sequence.id,
+            name: sequence.name,
+            deviceId: sequence.deviceId,
+            status: sequence.status,
+            statusReason: sequence.statusReason,
+            steps: sequence.steps,
+            currentStep: Math.min(sequence.stepIndex + 1, sequence.steps.length),
+            currentFrame: sequence.frameIndex + 1,
+            completed: sequence.completed,
+            total: sequence.total,
+            percent: Math.round(sequence.completed / sequence.total * 100),
+            failed: sequence.frames.filter(result => !result.success).length,
+            remainingSeconds,
+            eta: active ? new Date(Date.now() + remainingSeconds * 1000).toISOString() : null,
+            lastResult: sequence.frames[sequence.frames.length - 1] || null,
+            captureIds: sequence.frames.filter(result => result.success).map(result => result.captureId),
+            createdAt: sequence.createdAt,
+            startedAt: sequence.startedAt,
+            finishedAt: sequence.finishedAt
+        };
+    }
+}
+
+module.exports = { Sequencer, SequenceError, normalizePlan };
@@ -0,0 +1,279 @@
+// Drahms Vision - Session Store
+// Observing sessions: one night's captures, sequences, plate solves and notes grouped under
+// a site, kept in one JSON file and exported as JSON or CSV for observation logs
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_NAME_LENGTH = 64;
+const MAX_NOTE_LENGTH = 4000;
+// Objects named on an identification entry; a wide field can hold hundreds of stars
+const MAX_IDENTIFIED_OBJECTS = 20;
+
+const CSV_COLUMNS = [
+    'session_id', 'session_name', 'site_latitude', 'site_longitude', 'timestamp', 'type',
+    'object', 'capture_id', 'frame_type', 'iso', 'exposure_s', 'details'
+];
+
+function csvField(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class SessionError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'SessionError';
+        this.code = code;
+    }
+}
+
+class SessionStore {
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.onUpdate = options.onUpdate || (() => {});
+        this.sessions = new Map();
+        this.writing = Promise.resolve();
+    }
+
+    async init() {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        try {
+            const raw = await fs.promises.readFile(this.filePath, 'utf8');
+            JSON.parse(raw).forEach(session => this.sessions.set(session.id, session));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Skipping unreadable session file ${this.filePath}:`, error.message);
+            }
+        }
+
+        const active = this.active();
+        console.log(`📓 Loaded ${this.sessions.size} observing session(s)${active ? `, "${active.name}" still active` : ''}`);
+    }
+
+    list() {
+        return Array.from(this.sessions.values())
+            .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+            .map(session => this.describe(session));
+    }
+
+    get(id) {
+        if (id === 'active') return this.active();
+        return this.sessions.get(id) || null;
+    }
+
+    active() {
+        return Array.from(this.sessions.values()).find(session => session.status === 'active') || null;
+    }
+
+    // site is {latitude, longitude, source}; only one session can be active at a time
+    async start({ name, site, device }) {
+        const active = this.active();
+        if (active) {
+            throw new SessionError(`Session "${active.name}" is still active`, 'ACTIVE');
+        }
+
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (trimmed.length > MAX_NAME_LENGTH) {
+            throw new RangeError(`Session names must be at most ${MAX_NAME_LENGTH} characters`);
+        }
+
+        const startedAt = new Date();
+        const session = {
+            id: 'ses_' + startedAt.getTime(),
+            name: trimmed || `Session ${startedAt.toISOString().slice(0, 10)}`,
+            status: 'active',
+            startedAt: startedAt.toISOString(),
+            endedAt: null,
+            site,
+            deviceId: device ? device.id : null,
+            deviceName: device ? device.name : null,
+            entries: []
+        };
+
+        this.sessions.set(session.id, session);
+        await this.persist();
+        console.log(`📓 Started session "${session.name}" at ${site.latitude}, ${site.longitude} (${site.source})`);
+        this.onUpdate({ action: 'started', session: this.describe(session) });
+        return session;
+    }
+
+    async end(id) {
+        const session = this.get(id);
+        if (!session) {
+            throw new SessionError(`Session ${id} not found`, 'NOT_FOUND');
+        }
+        if (session.status !== 'active') {
+            throw new SessionError(`Session "${session.name}" has already ended`, 'ENDED');
+        }
+
+        session.status = 'ended';
+        session.endedAt = new Date().toISOString();
+        await this.persist();
+        console.log(`📓 Ended session "${session.name}" with ${session.entries.length} entries`);
+        this.onUpdate({ action: 'ended', session: this.describe(session) });
+        return session;
+    }
+
+    // A session started before the phone had a GPS fix takes the first real location it sends
+    async adoptSite(location) {
+        const session = this.active();
+        if (!session || session.site.source !== 'default') return;
+
+        session.site = { latitude: location.latitude, longitude: location.longitude, source: 'device' };
+        await this.persist();
+        this.onUpdate({ action: 'updated', session: this.describe(session) });
+    }
+
+    // Notes can be added to any session, including after it has ended
+    async addNote(id, text) {
+        const session = this.get(id);
+        if (!session) {
+            throw new SessionError(`Session ${id} not found`, 'NOT_FOUND');
+        }
+
+        const trimmed = typeof text === 'string' ? text.trim() : '';
+        if (!trimmed || trimmed.length > MAX_NOTE_LENGTH) {
+            throw new RangeError(`Notes must be 1 to ${MAX_NOTE_LENGTH} characters`);
+        }
+        return this.addEntry(session, 'note', { text: trimmed });
+    }
+
+    // The entries below attach to the active session and resolve to null when there is none
+
+    async addCapture(record) {
+        const session = this.active();
+        if (!session || !record) return null;
+
+        const settings = record.cameraSettings || {};
+        const pointing = record.sensorSnapshot && record.sensorSnapshot.pointing;
+        return this.addEntry(session, 'capture', {
+            captureId: record.id,
+            captureType: record.type,
+            frameType: record.frameType || 'light',
+            cameraSettings: settings,
+            pointing: pointing
+                ? { altitude: pointing.altitude, azimuth: pointing.azimuth, ra: pointing.ra, dec: pointing.dec }
+                : null,
+            video: record.video ? { format: record.video.format, frameCount: record.video.frameCount, durationSeconds: record.video.durationSeconds } : undefined
+        }, record.timestamp);
+    }
+
+    async addSequence(sequence) {
+        const session = this.active();
+        if (!session) return null;
+
+        return this.addEntry(session, 'sequence', {
+            sequenceId: sequence.id,
+            name: sequence.name,
+            status: sequence.status,
+            completed: sequence.completed,
+            failed: sequence.failed,
+            total: sequence.total,
+            startedAt: sequence.startedAt,
+            finishedAt: sequence.finishedAt
+        });
+    }
+
+    async addIdentification(captureId, solution) {
+        const session = this.active();
+        if (!session) return null;
+
+        const objects = solution.objects || {};
+        const names = [...(objects.solarSystem || []), ...(objects.deepSky || []), ...(objects.stars || [])]
+            .map(object => object.name)
+            .filter(Boolean)
+            .slice(0, MAX_IDENTIFIED_OBJECTS);
+
+        return this.addEntry(session, 'identification', {
+            captureId,
+            solved: solution.solved,
+            center: solution.center || null,
+            fieldOfView: solution.fieldOfView || null,
+            objects: names,
+            message: solution.message
+        });
+    }
+
+    async addEntry(session, type, data, timestamp) {
+        const entry = {
+            id: `${session.id}_${session.entries.length + 1}`,
+            type,
+            timestamp: timestamp || new Date().toISOString(),
+            ...data
+        };
+
+        session.entries.push(entry);
+        await this.persist();
+        this.onUpdate({ action: 'entry', session: this.describe(session), entry });
+        return entry;
+    }
+
+    // Summary without the entries, for lists and events
+    describe(session) {
+        const counts = {};
+        session.entries.forEach(entry => {
+            counts[entry.type] = (counts[entry.type] || 0) + 1;
+        });
+
+        return {
+            id: session.id,
+            name: session.name,
+            status: session.status,
+            startedAt: session.startedAt,
+            endedAt: session.endedAt,
+            site: session.site,
+            deviceId: session.deviceId,
+            deviceName: session.deviceName,
+            entryCount: session.entries.length,
+            counts
+        };
+    }
+
+    // One row per entry, with the session and site repeated so rows can be merged across nights
+    toCsv(session) {
+        const rows = session.entries.map(entry => {
+            const settings = entry.cameraSettings || {};
+            let object = '';
+            let details = '';
+
+            if (entry.type === 'capture') {
+                details = [
+                    entry.captureType !== 'capture' ? entry.captureType : '',
+                    entry.pointing ? `alt ${entry.pointing.altitude} az ${entry.pointing.azimuth}` : '',
+                    entry.video ? `${entry.video.frameCount} frames, ${entry.video.durationSeconds}s ${entry.video.format}` : ''
+                ].filter(Boolean).join('; ');
+            } else if (entry.type === 'sequence') {
+                object = entry.name;
+                details = `${entry.status}: ${entry.completed}/${entry.total} frames${entry.failed ? `, ${entry.failed} failed` : ''}`;
+            } else if (entry.type === 'identification') {
+                object = entry.objects.join('; ');
+                details = entry.solved
+                    ? `RA ${entry.center.ra} Dec ${entry.center.dec}`
+                    : `not solved: ${entry.message || ''}`;
+            } else if (entry.type === 'note') {
+                details = entry.text;
+            }
+
+            return [
+                session.id, session.name, session.site.latitude, session.site.longitude, entry.timestamp, entry.type,
+                object, entry.captureId, entry.frameType, settings.iso, settings.exposure, details
+            ].map(csvField).join(',');
+        });
+
+        return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+    }
+
+    // Writes are chained so two quick entries never interleave in the file
+    persist() {
+        const sessions = Array.from(this.sessions.values());
+        this.writing = this.writing
+            .catch(() => {})
+            .then(() => fs.promises.writeFile(this.filePath, JSON.stringify(sessions, null, 2)));
+        return this.writing;
+    }
+}
+
+module.exports = { SessionStore, SessionError };
@@ -0,0 +1,171 @@
+// Drahms Vision - Sky Catalog
+// Bundled offline star, constellation and deep-sky data, observed from a given site and time
+
+const fs = require('fs');
+const path = require('path');
+const astronomy = require('./astronomy');
+
+const DATA_DIR = path.join(__dirname, 'data');
+
+// Bayer letters spelled out, so searches can use either "α Lyr" or "alpha lyr"
+const GREEK_LETTER_NAMES = {
+    α: 'alpha', β: 'beta', γ: 'gamma', δ: 'delta', ε: 'epsilon', ζ: 'zeta', η: 'eta', θ: 'theta',
+    ι: 'iota', κ: 'kappa', λ: 'lambda', μ: 'mu', ν: 'nu', ξ: 'xi', ο: 'omicron', π: 'pi',
+    ρ: 'rho', σ: 'sigma', τ: 'tau', υ: 'upsilon', φ: 'phi', χ: 'chi', ψ: 'psi', ω: 'omega'
+};
+
+// Lowercase, accent-free text so "Alnilam", "ALNILAM" and "α ori" / "alpha ori" all match
+function normalizeSearch(text) {
+    return String(text)
+        .replace(/[\u03b1-\u03c9]/g, symbol => GREEK_LETTER_NAMES[symbol] || symbol)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function slugify(text) {
+    return normalizeSearch(text).replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+// Boundary edges run along lines of constant RA or Dec, so interpolate them in those
+// coordinates before projecting; a straight chord between corners would cut across the sky
+function densifyRing(ring, stepDegrees = 1) {
+    const points = [];
+    ring.forEach(([ra, dec], index) => {
+        const [nextRa, nextDec] = ring[(index + 1) % ring.length];
+        let deltaRa = nextRa - ra;
+        if (deltaRa > 180) deltaRa -= 360;
+        if (deltaRa < -180) deltaRa += 360;
+
+        const steps = Math.max(1, Math.ceil(Math.max(Math.abs(deltaRa), Math.abs(nextDec - dec)) / stepDegrees));
+        for (let step = 0; step < steps; step++) {
+            points.push([ra + deltaRa * step / steps, dec + (nextDec - dec) * step / steps]);
+        }
+    });
+    return points;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+class SkyCatalog {
+    constructor(dataDir = DATA_DIR) {
+        this.dataDir = dataDir;
+        this.stars = [];
+        this.constellations = [];
+        this.deepSky = [];
+    }
+
+    load() {
+        this.stars = this.readJson('bright-stars.json');
+        this.constellations = this.readJson('constellations.json');
+        this.boundaries = this.readOptionalJson('constellation-boundaries.json') || {};
+        this.deepSky = this.readOptionalJson('deep-sky.json') || [];
+        this.starsById = new Map(this.stars.map(star => [star.id, star]));
+
+        this.stars.forEach(star => {
+            star.searchText = normalizeSearch([star.name, star.properName, star.bayer,
+                star.flamsteed && `${star.flamsteed} ${star.constellation}`].filter(Boolean).join(' | '));
+        });
+
+        console.log(`✨ Sky catalog loaded: ${this.stars.length} stars, ${this.constellations.length} constellations, ${this.deepSky.length} deep-sky objects`);
+    }
+
+    readJson(filename) {
+        return JSON.parse(fs.readFileSync(path.join(this.dataDir, filename), 'utf8'));
+    }
+
+    readOptionalJson(filename) {
+        try {
+            return this.readJson(filename);
+        } catch (error) {
+            console.log(`Optional sky data ${filename} not loaded: ${error.message}`);
+            return null;
+        }
+    }
+
+    findConstellation(query) {
+        const wanted = normalizeSearch(query);
+        return this.constellations.find(constellation =>
+            constellation.abbreviation.toLowerCase() === wanted ||
+            constellation.id === slugify(query) ||
+            normalizeSearch(constellation.name) === wanted
+        ) || null;
+    }
+
+    // Filters: maxMagnitude, constellation (abbreviation or name), search (names and designations),
+    // cone { ra, dec, radius } in degrees J2000, limit
+    queryStars(filters = {}) {
+        let stars = this.stars;
+
+        if (filters.maxMagnitude !== undefined) {
+            stars = stars.filter(star => star.magnitude <= filters.maxMagnitude);
+        }
+        if (filters.constellation) {
+            const constellation = this.findConstellation(filters.constellation);
+            if (!constellation) {
+                throw new RangeError(`Unknown constellation: ${filters.constellation}`);
+            }
+            stars = stars.filter(star => star.constellation === constellation.abbreviation);
+        }
+        if (filters.search) {
+            const wanted = normalizeSearch(filters.search);
+            stars = stars.filter(star => star.searchText.includes(wanted));
+        }
+        if (filters.cone) {
+            const { ra, dec, radius } = filters.cone;
+            stars = stars.filter(star => astronomy.angularSeparation(star.ra, star.dec, ra, dec) <= radius);
+        }
+        if (filters.limit !== undefined) {
+            stars = stars.slice(0, filters.limit);
+        }
+
+        return stars;
+    }
+
+    observeStars(observer, filters = {}) {
+        return this.queryStars(filters).map(({ searchText, ...star }) => ({
+            ...star,
+            type: 'star',
+            ...astronomy.observeFixed(star.ra, star.dec, observer)
+        }));
+    }
+
+    // Options: lines (stick figures as observed star pairs), boundaries (IAU outlines as [altitude, azimuth] rings)
+    observeConstellations(observer, { lines = true, boundaries = true } = {}) {
+        return this.constellations.map(({ lines: figure, ...constellation }) => {
+            const observed = {
+                ...constellation,
+                type: 'constellation',
+                ...astronomy.observeFixed(constellation.ra, constellation.dec, observer)
+            };
+
+            if (lines) {
+                observed.lines = figure.map(([from, to]) => ({
+                    from: this.observeFigureStar(from, observer),
+                    to: this.observeFigureStar(to, observer)
+                }));
+            }
+            if (boundaries) {
+                observed.boundaries = (this.boundaries[constellation.abbreviation] || []).map(ring =>
+                    densifyRing(ring).map(([ra, dec]) => {
+                        const { altitude, azimuth } = astronomy.horizontalPosition(ra, dec, observer);
+                        return [round(altitude), round(azimuth)];
+                    })
+                );
+            }
+            return observed;
+        });
+    }
+
+    observeFigureStar(id, observer) {
+        const star = this.starsById.get(id);
+        const { altitude, azimuth } = astronomy.horizontalPosition(star.ra, star.dec, observer);
+        return { id: id, name: star.name, altitude: round(altitude), azimuth: round(azimuth) };
+    }
+}
+
+module.exports = SkyCatalog;
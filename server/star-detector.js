@@ -0,0 +1,170 @@
+// Drahms Vision - Star Detector
+// Finds point sources in a luminance plane: background and noise are estimated per tile,
+// then connected pixels above the detection threshold are measured as stars
+
+const DEFAULT_OPTIONS = {
+    threshold: 5,        // detection level in background sigmas
+    minPixels: 2,        // single bright pixels are hot pixels, not stars
+    maxElongation: 3,    // major/minor axis ratio beyond which a blob is a trail or a streak
+    maxStars: 500
+};
+
+const MIN_NOISE = 1; // one 8-bit level; crushed-black JPEG backgrounds report zero noise
+
+function median(values) {
+    const sorted = Float32Array.from(values).sort();
+    const middle = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Background level and noise per tile (median and scaled MAD), with a 3x3 median over the
+// tile grid so a bright star or the Moon filling one tile does not punch a hole in the map
+function estimateBackground(plane) {
+    const { width, height, data } = plane;
+    const tileSize = Math.max(16, Math.ceil(Math.max(width, height) / 32));
+    const columns = Math.ceil(width / tileSize);
+    const rows = Math.ceil(height / tileSize);
+    const levels = new Float32Array(columns * rows);
+    const sigmas = new Float32Array(columns * rows);
+
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const values = [];
+            for (let y = row * tileSize; y < Math.min(height, (row + 1) * tileSize); y++) {
+                for (let x = column * tileSize; x < Math.min(width, (column + 1) * tileSize); x++) {
+                    values.push(data[y * width + x]);
+                }
+            }
+            const level = median(values);
+            levels[row * columns + column] = level;
+            sigmas[row * columns + column] = 1.4826 * median(values.map(value => Math.abs(value - level)));
+        }
+    }
+
+    const smoothed = new Float32Array(levels.length);
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const neighbours = [];
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const r = row + dy;
+                    const c = column + dx;
+                    if (r >= 0 && r < rows && c >= 0 && c < columns) neighbours.push(levels[r * columns + c]);
+                }
+            }
+            smoothed[row * columns + column] = median(neighbours);
+        }
+    }
+
+    // Bilinear interpolation between tile centres
+    const map = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const gy = Math.min(rows - 1, Math.max(0, (y + 0.5) / tileSize - 0.5));
+        const r0 = Math.floor(gy);
+        const r1 = Math.min(rows - 1, r0 + 1);
+        const fy = gy - r0;
+        for (let x = 0; x < width; x++) {
+            const gx = Math.min(columns - 1, Math.max(0, (x + 0.5) / tileSize - 0.5));
+            const c0 = Math.floor(gx);
+            const c1 = Math.min(columns - 1, c0 + 1);
+            const fx = gx - c0;
+            const top = smoothed[r0 * columns + c0] * (1 - fx) + smoothed[r0 * columns + c1] * fx;
+            const bottom = smoothed[r1 * columns + c0] * (1 - fx) + smoothed[r1 * columns + c1] * fx;
+            map[y * width + x] = top * (1 - fy) + bottom * fy;
+        }
+    }
+
+    return {
+        map,
+        level: median(levels),
+        noise: Math.max(MIN_NOISE, median(sigmas))
+    };
+}
+
+// Returns stars sorted brightest first as { x, y, flux, peak, pixels, elongation },
+// with x/y the flux-weighted centroid in plane pixels (0-based, origin top-left).
+// Pass options.background to reuse an estimateBackground() result.
+function detectStars(plane, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const { width, height, data } = plane;
+    const background = settings.background || estimateBackground(plane);
+    const threshold = settings.threshold * background.noise;
+    const maxPixels = Math.max(50, Math.round(width * height / 2000));
+
+    const visited = new Uint8Array(width * height);
+    const stack = new Int32Array(width * height);
+    const stars = [];
+
+    for (let start = 0; start < data.length; start++) {
+        if (visited[start] || data[start] - background.map[start] <= threshold) continue;
+
+        let size = 0;
+        let top = 0;
+        stack[top++] = start;
+        visited[start] = 1;
+
+        let flux = 0, sumX = 0, sumY = 0, sumXX = 0, sumYY = 0, sumXY = 0, peak = 0;
+        let touchesEdge = false;
+
+        while (top > 0) {
+            const index = stack[--top];
+            const x = index % width;
+            const y = (index - x) / width;
+            const value = data[index] - background.map[index];
+
+            size++;
+            flux += value;
+            sumX += value * x;
+            sumY += value * y;
+            sumXX += value * x * x;
+            sumYY += value * y * y;
+            sumXY += value * x * y;
+            peak = Math.max(peak, data[index]);
+            if (x === 0 || y === 0 || x === width - 1 || y === height - 1) touchesEdge = true;
+
+            for (let dy = -1; dy <= 1; dy++) {
+                const ny = y + dy;
+                if (ny < 0 || ny >= height) continue;
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = x + dx;
+                    if (nx < 0 || nx >= width) continue;
+                    const neighbour = ny * width + nx;
+                    if (!visited[neighbour] && data[neighbour] - background.map[neighbour] > threshold) {
+                        visited[neighbour] = 1;
+                        stack[top++] = neighbour;
+                    }
+                }
+            }
+        }
+
+        if (size < settings.minPixels || size > maxPixels || touchesEdge || flux <= 0) continue;
+
+        const cx = sumX / flux;
+        const cy = sumY / flux;
+        const varX = sumXX / flux - cx * cx;
+        const varY = sumYY / flux - cy * cy;
+        const covariance = sumXY / flux - cx * cy;
+        const spread = Math.sqrt(((varX - varY) / 2) ** 2 + covariance ** 2);
+        const major = (varX + varY) / 2 + spread;
+        const minor = Math.max(1e-6, (varX + varY) / 2 - spread);
+        const elongation = Math.sqrt(major / minor);
+
+        if (size >= 5 && elongation > settings.maxElongation) continue;
+
+        stars.push({ x: cx, y: cy, flux, peak, pixels: size, elongation });
+    }
+
+    stars.sort((a, b) => b.flux - a.flux);
+
+    return {
+        stars: stars.slice(0, settings.maxStars),
+        background: background.level,
+        noise: background.noise
+    };
+}
+
+module.exports = {
+    median,
+    estimateBackground,
+    detectStars
+};
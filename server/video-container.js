@@ -0,0 +1,386 @@
+// Drahms Vision - Video Containers
+// Streams recorded frames into MJPEG AVI or SER files, one frame at a time so a recording
+// never has to fit in memory, and reads single frames back out as stills
+
+const fs = require('fs');
+const imageIo = require('./image-io');
+
+const VIDEO_FORMATS = {
+    avi: { extension: '.avi', mimeType: 'video/x-msvideo' },
+    ser: { extension: '.ser', mimeType: 'application/x-ser' }
+};
+
+// RIFF, hdrl LIST, avih, strl LIST, strh and strf, then the movi LIST header
+const AVI_HEADER_SIZE = 224;
+const AVI_MOVI_OFFSET = 220;      // where 'movi' sits; idx1 offsets count from here
+const AVIF_HASINDEX = 0x10;
+const AVIIF_KEYFRAME = 0x10;
+// Non-standard chunk after idx1 holding each frame's capture time (float64 ms since the
+// epoch); players skip chunks they do not know
+const AVI_TIMESTAMP_CHUNK = 'dvts';
+
+const SER_HEADER_SIZE = 178;
+const SER_COLOR_MONO = 0;
+const SER_COLOR_RGB = 100;
+// SER timestamps are .NET ticks: 100 ns units since 0001-01-01 UTC
+const TICKS_PER_MS = 10000n;
+const EPOCH_OFFSET_MS = 62135596800000n;
+
+function fourcc(buffer, offset, text) {
+    buffer.write(text, offset, 4, 'latin1');
+}
+
+// Width and height from a JPEG's start-of-frame marker, without decoding it
+function jpegDimensions(buffer) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) {
+            offset++;
+            continue;
+        }
+        const marker = buffer[offset + 1];
+        if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+            return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    throw new TypeError('JPEG has no frame header');
+}
+
+function toTicks(timestamp) {
+    return (BigInt(Math.round(timestamp)) + EPOCH_OFFSET_MS) * TICKS_PER_MS;
+}
+
+function fromTicks(ticks) {
+    return Number(ticks / TICKS_PER_MS - EPOCH_OFFSET_MS);
+}
+
+class AviWriter {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.handle = null;
+        this.position = AVI_HEADER_SIZE;
+        this.index = [];
+        this.timestamps = [];
+        this.width = 0;
+        this.height = 0;
+        this.maxFrameSize = 0;
+    }
+
+    async open() {
+        this.handle = await fs.promises.open(this.filePath, 'w');
+        await this.handle.write(Buffer.alloc(AVI_HEADER_SIZE), 0, AVI_HEADER_SIZE, 0);
+    }
+
+    get bytesWritten() {
+        return this.position;
+    }
+
+    // Frames are stored as JPEG; PNG frames are re-encoded
+    async writeFrame(buffer, timestamp) {
+        const jpeg = imageIo.detectMimeType(buffer) === 'image/jpeg'
+            ? buffer
+            : Buffer.from(imageIo.encodeImage(imageIo.decodeImage(buffer), 'image/jpeg'));
+        const { width, height } = jpegDimensions(jpeg);
+        if (this.index.length === 0) {
+            this.width = width;
+            this.height = height;
+        } else if (width !== this.width || height !== this.height) {
+            throw new RangeError(`Frame is ${width}x${height}, the recording is ${this.width}x${this.height}`);
+        }
+
+        const header = Buffer.alloc(8);
+        fourcc(header, 0, '00dc');
+        header.writeUInt32LE(jpeg.length, 4);
+        const padding = Buffer.alloc(jpeg.length % 2);
+        const chunk = Buffer.concat([header, jpeg, padding]);
+
+        await this.handle.write(chunk, 0, chunk.length, this.position);
+        this.index.push({ offset: this.position - AVI_MOVI_OFFSET, size: jpeg.length });
+        this.timestamps.push(timestamp);
+        this.maxFrameSize = Math.max(this.maxFrameSize, jpeg.length);
+        this.position += chunk.length;
+    }
+
+    async close(fps) {
+        const frameCount = this.index.length;
+
+        const idx1 = Buffer.alloc(8 + frameCount * 16);
+        fourcc(idx1, 0, 'idx1');
+        idx1.writeUInt32LE(frameCount * 16, 4);
+        this.index.forEach((entry, i) => {
+            const offset = 8 + i * 16;
+            fourcc(idx1, offset, '00dc');
+            idx1.writeUInt32LE(AVIIF_KEYFRAME, offset + 4);
+            idx1.writeUInt32LE(entry.offset, offset + 8);
+            idx1.writeUInt32LE(entry.size, offset + 12);
+        });
+
+        const times = Buffer.alloc(8 + frameCount * 8);
+        fourcc(times, 0, AVI_TIMESTAMP_CHUNK);
+        times.writeUInt32LE(frameCount * 8, 4);
+        this.timestamps.forEach((timestamp, i) => times.writeDoubleLE(timestamp, 8 + i * 8));
+
+        const trailer = Buffer.concat([idx1, times]);
+        await this.handle.write(trailer, 0, trailer.length, this.position);
+        const fileSize = this.position + trailer.length;
+
+        const header = this.buildHeader(frameCount, fps, fileSize);
+        await this.handle.write(header, 0, header.length, 0);
+        await this.handle.close();
+        this.handle = null;
+        return fileSize;
+    }
+
+    buildHeader(frameCount, fps, fileSize) {
+        const header = Buffer.alloc(AVI_HEADER_SIZE);
+        // AVI frame rates are a rational; 1000 ticks per second keeps three decimals
+        const rate = Math.max(1, Math.round((fps || 1) * 1000));
+        const microSecPerFrame = Math.round(1e9 / rate);
+
+        fourcc(header, 0, 'RIFF');
+        header.writeUInt32LE(fileSize - 8, 4);
+        fourcc(header, 8, 'AVI ');
+
+        fourcc(header, 12, 'LIST');
+        header.writeUInt32LE(192, 16);
+        fourcc(header, 20, 'hdrl');
+
+        fourcc(header, 24, 'avih');
+        header.writeUInt32LE(56, 28);
+        header.writeUInt32LE(microSecPerFrame, 32);
+        header.writeUInt32LE(Math.round(this.maxFrameSize * rate / 1000), 36);
+        header.writeUInt32LE(0, 40);
+        header.writeUInt32LE(AVIF_HASINDEX, 44);
+        header.writeUInt32LE(frameCount, 48);
+        header.writeUInt32LE(0, 52);
+        header.writeUInt32LE(1, 56);
+        header.writeUInt32LE(this.maxFrameSize, 60);
+        header.writeUInt32LE(this.width, 64);
+        header.writeUInt32LE(this.height, 68);
+
+        fourcc(header, 88, 'LIST');
+        header.writeUInt32LE(116, 92);
+        fourcc(header, 96, 'strl');
+
+        fourcc(header, 100, 'strh');
+        header.writeUInt32LE(56, 104);
+        fourcc(header, 108, 'vids');
+        fourcc(header, 112, 'MJPG');
+        header.writeUInt32LE(1000, 128);          // dwScale
+        header.writeUInt32LE(rate, 132);          // dwRate
+        header.writeUInt32LE(frameCount, 140);    // dwLength
+        header.writeUInt32LE(this.maxFrameSize, 144);
+        header.writeInt32LE(-1, 148);             // dwQuality
+        header.writeUInt16LE(this.width, 160);
+        header.writeUInt16LE(this.height, 162);
+
+        fourcc(header, 164, 'strf');
+        header.writeUInt32LE(40, 168);
+        header.writeUInt32LE(40, 172);
+        header.writeInt32LE(this.width, 176);
+        header.writeInt32LE(this.height, 180);
+        header.writeUInt16LE(1, 184);
+        header.writeUInt16LE(24, 186);
+        fourcc(header, 188, 'MJPG');
+        header.writeUInt32LE(this.width * this.height * 3, 192);
+
+        fourcc(header, 212, 'LIST');
+        header.writeUInt32LE(this.position - AVI_MOVI_OFFSET, 216);
+        fourcc(header, 220, 'movi');
+        return header;
+    }
+
+    async abort() {
+        if (this.handle) await this.handle.close();
+        this.handle = null;
+    }
+}
+
+// SER keeps frames uncompressed, as planetary stacking software expects; colour frames are
+// stored as 8-bit RGB and the capture times go in the trailer
+class SerWriter {
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.handle = null;
+        this.position = SER_HEADER_SIZE;
+        this.timestamps = [];
+        this.width = 0;
+        this.height = 0;
+        this.observer = options.observer || '';
+        this.instrument = options.instrument || '';
+        this.telescope = options.telescope || '';
+    }
+
+    async open() {
+        this.handle = await fs.promises.open(this.filePath, 'w');
+        await this.handle.write(Buffer.alloc(SER_HEADER_SIZE), 0, SER_HEADER_SIZE, 0);
+    }
+
+    get bytesWritten() {
+        return this.position;
+    }
+
+    async writeFrame(buffer, timestamp) {
+        const image = imageIo.decodeImage(buffer);
+        if (this.timestamps.length === 0) {
+            this.width = image.width;
+            this.height = image.height;
+        } else if (image.width !== this.width || image.height !== this.height) {
+            throw new RangeError(`Frame is ${image.width}x${image.height}, the recording is ${this.width}x${this.height}`);
+        }
+
+        const pixels = image.width * image.height;
+        const rgb = Buffer.alloc(pixels * 3);
+        for (let i = 0; i < pixels; i++) {
+            rgb[i * 3] = image.data[i * 4];
+            rgb[i * 3 + 1] = image.data[i * 4 + 1];
+            rgb[i * 3 + 2] = image.data[i * 4 + 2];
+        }
+
+        await this.handle.write(rgb, 0, rgb.length, this.position);
+        this.timestamps.push(timestamp);
+        this.position += rgb.length;
+    }
+
+    async close() {
+        const frameCount = this.timestamps.length;
+        const trailer = Buffer.alloc(frameCount * 8);
+        this.timestamps.forEach((timestamp, i) => trailer.writeBigUInt64LE(toTicks(timestamp), i * 8));
+        await this.handle.write(trailer, 0, trailer.length, this.position);
+
+        const header = Buffer.alloc(SER_HEADER_SIZE);
+        header.write('LUCAM-RECORDER', 0, 14, 'latin1');
+        header.writeInt32LE(0, 14);                       // LuID
+        header.writeInt32LE(SER_COLOR_RGB, 18);
+        header.writeInt32LE(0, 22);                       // little-endian pixel data (the usual reading of this flag)
+        header.writeInt32LE(this.width, 26);
+        header.writeInt32LE(this.height, 30);
+        header.writeInt32LE(8, 34);                       // bits per plane
+        header.writeInt32LE(frameCount, 38);
+        header.write(this.observer.slice(0, 40), 42, 40, 'latin1');
+        header.write(this.instrument.slice(0, 40), 82, 40, 'latin1');
+        header.write(this.telescope.slice(0, 40), 122, 40, 'latin1');
+        const start = frameCount ? this.timestamps[0] : Date.now();
+        const local = start - new Date(start).getTimezoneOffset() * 60000;
+        header.writeBigUInt64LE(toTicks(local), 162);
+        header.writeBigUInt64LE(toTicks(start), 170);
+
+        await this.handle.write(header, 0, header.length, 0);
+        await this.handle.close();
+        this.handle = null;
+        return this.position + trailer.length;
+    }
+
+    async abort() {
+        if (this.handle) await this.handle.close();
+        this.handle = null;
+    }
+}
+
+function createWriter(format, filePath, options) {
+    if (format === 'avi') return new AviWriter(filePath);
+    if (format === 'ser') return new SerWriter(filePath, options);
+    throw new RangeError(`Unknown video format: ${format}`);
+}
+
+async function readAt(handle, position, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+}
+
+// Walks the top-level chunks for the movi list, the index and the timestamps
+async function readAviFrame(handle, index) {
+    const { size: fileSize } = await handle.stat();
+    let moviStart = null;
+    let idx1 = null;
+    let times = null;
+
+    for (let offset = 12; offset + 8 <= fileSize;) {
+        const header = await readAt(handle, offset, 12);
+        const id = header.toString('latin1', 0, 4);
+        const size = header.readUInt32LE(4);
+        if (id === 'LIST' && header.toString('latin1', 8, 12) === 'movi') {
+            moviStart = offset + 8;
+        } else if (id === 'idx1') {
+            idx1 = await readAt(handle, offset + 8, size);
+        } else if (id === AVI_TIMESTAMP_CHUNK) {
+            times = await readAt(handle, offset + 8, size);
+        }
+        offset += 8 + size + (size % 2);
+    }
+    if (moviStart === null || !idx1) {
+        throw new TypeError('AVI file has no frame index');
+    }
+
+    const frameCount = idx1.length / 16;
+    if (index >= frameCount) {
+        throw new RangeError(`The recording has ${frameCount} frame(s)`);
+    }
+    const chunkOffset = idx1.readUInt32LE(index * 16 + 8);
+    const chunkSize = idx1.readUInt32LE(index * 16 + 12);
+    return {
+        frameCount,
+        mimeType: 'image/jpeg',
+        buffer: await readAt(handle, moviStart + chunkOffset + 8, chunkSize),
+        timestamp: times && times.length >= (index + 1) * 8 ? times.readDoubleLE(index * 8) : null
+    };
+}
+
+async function readSerFrame(handle, index) {
+    const header = await readAt(handle, 0, SER_HEADER_SIZE);
+    if (header.toString('latin1', 0, 14) !== 'LUCAM-RECORDER') {
+        throw new TypeError('Not a SER file');
+    }
+    const colorId = header.readInt32LE(18);
+    const width = header.readInt32LE(26);
+    const height = header.readInt32LE(30);
+    const depth = header.readInt32LE(34);
+    const frameCount = header.readInt32LE(38);
+    if (depth > 8 || (colorId !== SER_COLOR_MONO && colorId !== SER_COLOR_RGB)) {
+        throw new TypeError('Only 8-bit mono and RGB SER files can be read');
+    }
+    if (index >= frameCount) {
+        throw new RangeError(`The recording has ${frameCount} frame(s)`);
+    }
+
+    const planes = colorId === SER_COLOR_RGB ? 3 : 1;
+    const frameSize = width * height * planes;
+    const pixels = await readAt(handle, SER_HEADER_SIZE + index * frameSize, frameSize);
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 0; i < width * height; i++) {
+        data[i * 4] = pixels[i * planes];
+        data[i * 4 + 1] = pixels[i * planes + (planes === 3 ? 1 : 0)];
+        data[i * 4 + 2] = pixels[i * planes + (planes === 3 ? 2 : 0)];
+        data[i * 4 + 3] = 255;
+    }
+
+    const ticks = await readAt(handle, SER_HEADER_SIZE + frameCount * frameSize + index * 8, 8);
+    return {
+        frameCount,
+        mimeType: 'image/png',
+        buffer: imageIo.encodeImage({ width, height, data }, 'image/png'),
+        timestamp: ticks.length === 8 ? fromTicks(ticks.readBigUInt64LE(0)) : null
+    };
+}
+
+// One frame of a recording as { frameCount, mimeType, buffer, timestamp }: AVI frames come
+// back as their stored JPEG, SER frames as PNG
+async function readVideoFrame(filePath, format, index) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        return format === 'ser' ? await readSerFrame(handle, index) : await readAviFrame(handle, index);
+    } finally {
+        await handle.close();
+    }
+}
+
+module.exports = {
+    VIDEO_FORMATS,
+    AviWriter,
+    SerWriter,
+    createWriter,
+    readVideoFrame,
+    jpegDimensions
+};
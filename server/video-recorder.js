@@ -0,0 +1,218 @@
+// Drahms Vision - Video Recorder
+// Records the phone's frame stream while the camera is recording: frames are written to an
+// AVI or SER file as they arrive, and the finished file becomes a gallery recording
+
+const fs = require('fs');
+const path = require('path');
+const { VIDEO_FORMATS, createWriter } = require('./video-container');
+
+// Frames waiting to be written; anything past this is dropped so a slow disk (or SER
+// decoding) cannot pile frames up in memory
+const MAX_QUEUED_FRAMES = 30;
+// RIFF sizes are 32-bit, so recordings are closed well before 4 GB
+const MAX_RECORDING_BYTES = 3.5 * 1024 * 1024 * 1024;
+const PROGRESS_INTERVAL_MS = 1000;
+const PART_EXTENSION = '.part';
+
+class VideoRecorder {
+    constructor(galleryStore, workDir, options = {}) {
+        this.galleryStore = galleryStore;
+        this.workDir = workDir;
+        this.onUpdate = options.onUpdate || (() => {});
+        this.sessions = new Map();
+    }
+
+    async init() {
+        await fs.promises.mkdir(this.workDir, { recursive: true });
+
+        // Recordings cut short by a server restart have no index or header, so they are dropped
+        const files = await fs.promises.readdir(this.workDir);
+        for (const file of files.filter(name => name.endsWith(PART_EXTENSION))) {
+            console.warn(`🎞️ Discarding unfinished recording ${file}`);
+            await fs.promises.rm(path.join(this.workDir, file), { force: true });
+        }
+    }
+
+    isRecording(deviceId) {
+        return this.sessions.has(deviceId);
+    }
+
+    list() {
+        return Array.from(this.sessions.values()).map(session => this.describe(session));
+    }
+
+    // camera is the state from cameraControl when recording started; its settings and the
+    // phone's sensors are kept with the recording
+    async start(device, options = {}) {
+        if (this.sessions.has(device.id)) {
+            return this.describe(this.sessions.get(device.id));
+        }
+
+        const format = options.format || 'avi';
+        if (!VIDEO_FORMATS[format]) {
+            throw new RangeError(`format must be one of ${Object.keys(VIDEO_FORMATS).join(', ')}`);
+        }
+
+        const id = 'rec_' + Date.now();
+        const filePath = path.join(this.workDir, id + VIDEO_FORMATS[format].extension + PART_EXTENSION);
+        const camera = options.camera || {};
+        const writer = createWriter(format, filePath, {
+            instrument: device.name,
+            telescope: camera.settings && camera.settings.lens
+        });
+
+        const session = {
+            id,
+            deviceId: device.id,
+            deviceName: device.name,
+            format,
+            filePath,
+            writer,
+            cameraSettings: { mode: camera.mode, ...(camera.settings || {}) },
+            sensorSnapshot: device.sensorData,
+            startedAt: new Date().toISOString(),
+            frames: 0,
+            dropped: 0,
+            queued: 0,
+            firstTimestamp: null,
+            lastTimestamp: null,
+            lastFrameNumber: null,
+            lastProgressAt: 0,
+            writing: writer.open(),
+            stopping: null
+        };
+        this.sessions.set(device.id, session);
+        await session.writing;
+
+        console.log(`🎞️ Recording ${format.toUpperCase()} from ${device.name} (${id})`);
+        this.onUpdate({ action: 'started', ...this.describe(session) });
+        return this.describe(session);
+    }
+
+    // Queues one image_data frame; frame.timestamp is when the phone captured it (ms) and
+    // frame.frameNumber, when the phone sends one, reveals frames lost before they got here
+    addFrame(deviceId, frame) {
+        const session = this.sessions.get(deviceId);
+        if (!session || session.stopping) return false;
+
+        if (Number.isInteger(frame.frameNumber)) {
+            if (session.lastFrameNumber !== null && frame.frameNumber > session.lastFrameNumber + 1) {
+                session.dropped += frame.frameNumber - session.lastFrameNumber - 1;
+            }
+            session.lastFrameNumber = frame.frameNumber;
+        }
+
+        if (session.queued >= MAX_QUEUED_FRAMES) {
+            session.dropped++;
+            return true;
+        }
+
+        // Timestamps only move forward, even if the phone's clock jitters
+        const timestamp = Math.max(frame.timestamp || Date.now(), session.lastTimestamp || 0);
+        session.queued++;
+        session.writing = session.writing
+            .then(() => session.writer.writeFrame(frame.buffer, timestamp))
+            .then(() => {
+                session.frames++;
+                if (session.firstTimestamp === null) session.firstTimestamp = timestamp;
+                session.lastTimestamp = timestamp;
+                this.reportProgress(session);
+            })
+            .catch(error => {
+                session.dropped++;
+                console.error(`Dropped frame from recording ${session.id}:`, error.message);
+            })
+            .finally(() => {
+                session.queued--;
+                if (session.writer.bytesWritten > MAX_RECORDING_BYTES && !session.stopping) {
+                    this.stop(deviceId, 'size-limit');
+                }
+            });
+        return true;
+    }
+
+    reportProgress(session) {
+        const now = Date.now();
+        if (now - session.lastProgressAt < PROGRESS_INTERVAL_MS) return;
+        session.lastProgressAt = now;
+        this.onUpdate({ action: 'progress', ...this.describe(session) });
+    }
+
+    // Finishes the file and adds it to the gallery. reason is 'stopped', 'disconnected' or
+    // 'size-limit'. Resolves to the gallery record, or null when no frame was recorded.
+    stop(deviceId, reason = 'stopped') {
+        const session = this.sessions.get(deviceId);
+        if (!session) return Promise.resolve(null);
+        if (!session.stopping) {
+            session.stopping = this.finish(session, reason);
+        }
+        return session.stopping;
+    }
+
+    async finish(session, reason) {
+        try {
+            await session.writing;
+            const summary = this.summarize(session);
+
+            if (session.frames === 0) {
+                await session.writer.abort();
+                await fs.promises.rm(session.filePath, { force: true });
+                console.log(`🎞️ Recording ${session.id} ended with no frames`);
+                this.onUpdate({ action: 'discarded', ...this.describe(session), reason });
+                return null;
+            }
+
+            await session.writer.close(summary.fps);
+            const record = await this.galleryStore.saveFile(session.filePath, {
+                type: 'recording',
+                mimeType: VIDEO_FORMATS[session.format].mimeType,
+                cameraSettings: session.cameraSettings,
+                sensorSnapshot: session.sensorSnapshot,
+                deviceId: session.deviceId,
+                deviceName: session.deviceName,
+                timestamp: session.startedAt,
+                video: { ...summary, endReason: reason }
+            });
+
+            console.log(`🎞️ Saved recording ${record.id}: ${summary.frameCount} frames, ${summary.durationSeconds}s, ${summary.fps} fps, ${summary.droppedFrames} dropped`);
+            this.onUpdate({ action: 'finished', ...this.describe(session), reason, capture: this.galleryStore.describe(record) });
+            return record;
+        } catch (error) {
+            console.error(`Failed to finish recording ${session.id}:`, error);
+            await session.writer.abort().catch(() => {});
+            this.onUpdate({ action: 'failed', ...this.describe(session), reason, error: error.message });
+            throw error;
+        } finally {
+            this.sessions.delete(session.deviceId);
+        }
+    }
+
+    summarize(session) {
+        const elapsedMs = session.frames > 1 ? session.lastTimestamp - session.firstTimestamp : 0;
+        const fps = elapsedMs > 0 ? (session.frames - 1) / (elapsedMs / 1000) : 0;
+        return {
+            format: session.format,
+            frameCount: session.frames,
+            droppedFrames: session.dropped,
+            width: session.writer.width,
+            height: session.writer.height,
+            fps: Math.round(fps * 100) / 100,
+            // Each frame stands for one frame period, so a single frame still has a length
+            durationSeconds: Math.round((elapsedMs / 1000 + (fps > 0 ? 1 / fps : 0)) * 100) / 100,
+            startedAt: session.startedAt,
+            firstFrameAt: session.firstTimestamp && new Date(session.firstTimestamp).toISOString(),
+            lastFrameAt: session.lastTimestamp && new Date(session.lastTimestamp).toISOString()
+        };
+    }
+
+    describe(session) {
+        return {
+            recordingId: session.id,
+            deviceId: session.deviceId,
+            ...this.summarize(session),
+            bytes: session.writer.bytesWritten
+        };
+    }
+}
+
+module.exports = VideoRecorder;
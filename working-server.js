@@ -4,27 +4,229 @@ const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
 const cors = require('cors');
+const GalleryStore = require('./server/gallery-store');
+const {
+    CameraControl,
+    FRAME_TYPES,
+    CAMERA_MODES,
+    SETTING_RANGES,
+    WHITE_BALANCE_MODES
+} = require('./server/camera-control');
+const { DeviceRegistry, ROLES, ROOMS, resolveRole } = require('./server/device-registry');
+const SkyCatalog = require('./server/sky-catalog');
+const PlateSolveWorker = require('./server/plate-solve-worker');
+const astronomy = require('./server/astronomy');
+const imageIo = require('./server/image-io');
+const imageAnalysis = require('./server/image-analysis');
+const imageStacker = require('./server/image-stacker');
+const imageEnhancer = require('./server/image-enhancer');
+const { CalibrationLibrary, CALIBRATION_TYPES } = require('./server/calibration-library');
+const RecipeStore = require('./server/recipe-store');
+const { ProfileStore, PROFILE_BUTTONS } = require('./server/profile-store');
+const fits = require('./server/fits');
+const { Sequencer, SequenceError, normalizePlan } = require('./server/sequencer');
+const VideoRecorder = require('./server/video-recorder');
+const { readVideoFrame } = require('./server/video-container');
+const { PointingTracker } = require('./server/pointing');
+const { SessionStore, SessionError } = require('./server/session-store');
+const Diagnostics = require('./server/diagnostics');
+const { AuthManager, AuthError, TOKEN_COOKIE, readRequestToken } = require('./server/auth');
+const { loadConfig, ConfigError } = require('./server/config');
+const { version } = require('./package.json');
+
+// Settings from drahms.config.json and the environment; the server does not start on bad values
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
 
 const app = express();
 const server = http.createServer(app);
-const io = socketIo(server, {
-    cors: {
-        origin: "*",
-        methods: ["GET", "POST"]
-    }
-});
+
+// Browsers may only call the API from the page the server itself serves, plus any origins
+// listed in corsOrigins. The phone app is not a browser and is not affected.
+const corsOptions = {
+    origin: config.corsOrigins.length ? config.corsOrigins : false,
+    methods: ['GET', 'HEAD', 'POST', 'PUT', 'DELETE'],
+    credentials: true
+};
+// Socket.IO drops a connection whose message is over maxHttpBufferSize. The socket allows twice
+// the image limit so that a frame which is merely too big is refused with image_error instead.
+const io = socketIo(server, { cors: corsOptions, maxHttpBufferSize: config.maxImageBytes * 2 });
 
 // Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.static(path.join(__dirname)));
+app.use(cors(corsOptions));
+app.use(express.json({ limit: '25mb' })); // frames can be posted as data URLs
 
-// Serve static files
+// Serve static files. Only the page's own folders: the project root also holds the capture
+// store and its token file.
 app.use('/styles', express.static(path.join(__dirname, 'styles')));
 app.use('/js', express.static(path.join(__dirname, 'js')));
 app.use('/public', express.static(path.join(__dirname, 'public')));
 
-const port = process.env.PORT || 3003; // Changed to 3003 to match app
+const port = config.port;
+
+// Capture storage
+const storageDir = config.storageDir;
+const galleryStore = new GalleryStore(storageDir);
+
+// Master darks, flats and bias built from tagged capture series
+const calibrationLibrary = new CalibrationLibrary(galleryStore, path.join(storageDir, 'calibration'), {
+    onUpdate: (event) => io.to(ROOMS[ROLES.VIEWER]).emit('calibration_updated', event)
+});
+
+// Saved editing recipes
+const recipeStore = new RecipeStore(path.join(storageDir, 'recipes.json'));
+
+// Named camera profiles and the sidebar mode buttons they are bound to, shared by all browsers
+const profileStore = new ProfileStore(path.join(storageDir, 'profiles.json'), {
+    onUpdate: (event) => io.to(ROOMS[ROLES.VIEWER]).emit('profiles_updated', event)
+});
+
+// Socket round-trip times and per-device frame timing for /api/status
+const diagnostics = new Diagnostics();
+
+// Pairing codes and access tokens for the phone and browsers. authDisabled (AUTH_DISABLED=true)
+// switches the checks off for development on a trusted machine.
+const authManager = new AuthManager(path.join(storageDir, 'tokens.json'), {
+    required: !config.authDisabled,
+    onCodeChanged: ({ role, code, expiresAt }) => {
+        console.log(`🔐 ${role} pairing code: ${code} (valid until ${new Date(expiresAt).toLocaleTimeString()})`);
+    }
+});
+
+// Connected phones, and the command relay with its authoritative camera state
+const deviceRegistry = new DeviceRegistry();
+const cameraControl = new CameraControl(io, deviceRegistry, { timeout: config.commandTimeoutMs });
+
+// Observing sessions; captures, sequences and plate solves attach to the active one
+const sessionStore = new SessionStore(path.join(storageDir, 'sessions.json'), {
+    onUpdate: (event) => io.to(ROOMS[ROLES.VIEWER]).emit('session_updated', event)
+});
+
+// Frame streams written to AVI/SER while the camera records. A recording that hits the size
+// limit is closed here, so the phone is told to stop as well.
+const videoRecorder = new VideoRecorder(galleryStore, path.join(storageDir, 'recordings'), {
+    onUpdate: (event) => {
+        io.to(ROOMS[ROLES.VIEWER]).emit('recording_updated', event);
+        if (event.action === 'finished') {
+            logSessionEntry(sessionStore.addCapture(galleryStore.get(event.capture.id)));
+        }
+        if (event.action === 'finished' && event.reason === 'size-limit') {
+            cameraControl.sendCommand('stop_recording', { deviceId: event.deviceId }).catch(() => {});
+        }
+    }
+});
+
+// Capture plans run on the server, so they carry on while no browser is connected
+const sequencer = new Sequencer(cameraControl, {
+    emit: (event, data) => {
+        io.to(ROOMS[ROLES.VIEWER]).emit(event, data);
+        if (event === 'sequence_complete') {
+            logSessionEntry(sessionStore.addSequence(data));
+        }
+    }
+});
+
+// Session entries are a side record; failing to write one never fails the capture itself
+function logSessionEntry(pending) {
+    pending.catch(error => console.error('Failed to add session entry:', error.message));
+}
+
+// Where each phone's camera is looking, from its orientation sensors
+const pointingTracker = new PointingTracker();
+
+// Offline star and constellation data for the ephemeris endpoints and the plate solver
+const skyCatalog = new SkyCatalog(config.catalogDir);
+skyCatalog.load();
+// Solves run on a worker thread that builds its own catalog index at startup
+const plateSolver = new PlateSolveWorker(config.catalogDir);
+
+// Stars kept on a capture record by the automatic frame analysis
+const RECORD_ANALYSIS_STARS = 100;
+
+// Stacking runs one job at a time in the background; finished jobs are kept for polling
+const stackJobs = new Map();
+const MAX_STACK_JOBS = 20;
+
+const CONTROL_COMMANDS = [
+    'camera_setting',
+    'capture_image',
+    'start_recording',
+    'stop_recording',
+    'toggle_recording',
+    'set_camera_mode',
+    'start_camera_stream',
+    'stop_camera_stream'
+];
+
+// Token checks for the REST API. Reading needs any paired token; everything else changes
+// state and needs a controller token. Pairing itself, the page's sign-in check and the
+// server's public settings stay open.
+const PUBLIC_API_PATHS = ['/auth/pair', '/auth/session', '/config'];
+
+app.use('/api', (req, res, next) => {
+    if (!authManager.required || PUBLIC_API_PATHS.includes(req.path)) {
+        return next();
+    }
+    
+    const record = authManager.verify(readRequestToken(req.headers));
+    if (!record) {
+        return res.status(401).json({
+            error: 'Authentication required',
+            message: 'Pair this client using the code shown by the server'
+        });
+    }
+    
+    const permission = ['GET', 'HEAD'].includes(req.method) || req.path === '/auth/logout' ? 'read' : 'control';
+    if (!authManager.can(record, permission)) {
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: `"${record.name}" is paired as ${record.role} and cannot change anything`
+        });
+    }
+    
+    req.auth = record;
+    next();
+});
+
+// Socket.IO handshake: the token comes in the auth payload or the page's cookie. A phone may
+// instead send the pairing code and is given its token in a 'paired' event once connected.
+io.use(async (socket, next) => {
+    if (!authManager.required) return next();
+    
+    const handshake = socket.handshake;
+    const role = resolveRole(handshake);
+    let record = authManager.verify((handshake.auth && handshake.auth.token) || readRequestToken(handshake.headers));
+    
+    if (!record && role === ROLES.DEVICE && handshake.auth && handshake.auth.pairingCode) {
+        try {
+            const paired = await authManager.pair(handshake.auth.pairingCode, {
+                name: handshake.auth.name,
+                address: handshake.address,
+                roles: ['device']
+            });
+            record = paired.record;
+            socket.data.issuedToken = paired.token;
+        } catch (error) {
+            return next(new Error(error.message));
+        }
+    }
+    
+    if (!record) {
+        return next(new Error('Unauthorized'));
+    }
+    if (role === ROLES.DEVICE && !authManager.can(record, 'device')) {
+        return next(new Error(`"${record.name}" is not paired as a camera device`));
+    }
+    
+    socket.data.auth = record;
+    next();
+});
 
 // Main route
 app.get('/', (req, res) => {
@@ -36,21 +238,77 @@ app.get('/favicon.ico', (req, res) => {
 });
 
 // API Status
-app.get('/api/status', (req, res) => {
+// What is actually connected and running, for troubleshooting in the field. The offline
+// plate solver is the only identification provider wired into this server; the cloud keys
+// from the README are reported as configured or not, and as unused.
+app.get('/api/status', async (req, res) => {
+    const gallery = galleryStore.usage();
+    const disk = await diagnostics.diskSpace(storageDir);
+    const activeSequence = sequencer.active();
+    const activeSession = sessionStore.active();
+    const memory = process.memoryUsage();
+    
     res.json({
         status: 'running',
         name: 'Drahms Vision Astronomy Camera System',
-        version: '1.0.0',
+        version,
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
-        apis: {
-            googleVision: {
+        process: {
+            node: process.version,
+            pid: process.pid,
+            memory: { rssBytes: memory.rss, heapUsedBytes: memory.heapUsed }
+        },
+        activeDeviceId: cameraControl.activeDeviceId,
+        devices: deviceRegistry.list().map(device => {
+            const connection = device.connected ? diagnostics.connection(device.socketId) : null;
+            return {
+                id: device.id,
+                name: device.name,
+                model: device.model,
+                role: ROLES.DEVICE,
+                connected: device.connected,
+                connectedAt: device.connectedAt,
+                lastSeen: device.lastSeen,
+                latencyMs: connection ? connection.latencyMs : null,
+                transport: connection ? connection.transport : null,
+                frames: diagnostics.frameStats(device.id),
+                sensorDataAt: device.sensorData ? device.sensorData.timestamp : null,
+                recording: videoRecorder.isRecording(device.id)
+            };
+        }),
+        connections: diagnostics.listConnections(),
+        storage: {
+            path: storageDir,
+            galleryItems: gallery.items,
+            usedBytes: gallery.bytes,
+            freeBytes: disk ? disk.freeBytes : null,
+            totalBytes: disk ? disk.totalBytes : null
+        },
+        activity: {
+            sequence: activeSequence ? sequencer.get(activeSequence.id) : null,
+            recordings: videoRecorder.list(),
+            stackJobs: Array.from(stackJobs.values())
+                .filter(job => job.status === 'running')
+                .map(job => ({ id: job.id, frames: job.captureIds.length, progress: job.progress, startedAt: job.startedAt })),
+            session: activeSession ? sessionStore.describe(activeSession) : null
+        },
+        identification: {
+            plateSolver: {
                 configured: true,
-                rateLimit: { remaining: 1000, limit: 1000, resetTime: new Date(Date.now() + 3600000).toISOString() }
+                available: skyCatalog.stars.length > 0 && plateSolver.ready,
+                detail: `Offline plate solving against ${skyCatalog.stars.length} catalog stars`
+                    + (plateSolver.ready ? `, ${plateSolver.pending()} solve(s) in progress` : ', index still being built')
+            },
+            googleVision: {
+                configured: Boolean(process.env.GOOGLE_VISION_API_KEY),
+                available: false,
+                detail: 'Not used by any endpoint'
             },
             eBird: {
-                configured: true,
-                rateLimit: { remaining: 1000, limit: 1000, resetTime: new Date(Date.now() + 3600000).toISOString() }
+                configured: Boolean(process.env.EBIRD_API_KEY),
+                available: false,
+                detail: 'Not used by any endpoint'
             }
         }
     });
@@ -65,6 +323,138 @@ app.get('/api/test', (req, res) => {
     });
 });
 
+// Runtime settings for the web interface; file paths and keys stay on the server
+// Open to unpaired clients, which need it before signing in, so only settings that say
+// nothing about the observer; the site is left out until the client is paired
+app.get('/api/config', (req, res) => {
+    const record = authManager.required ? authManager.verify(readRequestToken(req.headers)) : null;
+    const paired = !authManager.required || Boolean(record);
+    
+    res.json({
+        version,
+        site: paired ? defaultSite() : null,
+        commandTimeoutMs: config.commandTimeoutMs,
+        maxImageBytes: config.maxImageBytes,
+        auth: {
+            required: authManager.required,
+            role: record ? record.role : null
+        }
+    });
+});
+
+// Pairing and tokens
+const TOKEN_COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+
+// GET routes that only controllers may read, such as the pairing code itself
+function requireController(req, res, next) {
+    if (authManager.can(req.auth, 'control')) return next();
+    res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only controller tokens can manage pairing'
+    });
+}
+
+// Lets the page decide whether to show the pairing form before it connects
+app.get('/api/auth/session', (req, res) => {
+    const record = authManager.verify(readRequestToken(req.headers));
+    res.json({
+        required: authManager.required,
+        authenticated: Boolean(record) || !authManager.required,
+        token: record
+    });
+});
+
+app.post('/api/auth/pair', async (req, res) => {
+    const body = req.body || {};
+    
+    try {
+        // The code entered decides the role; a controller hands out the viewer code to watchers
+        const { token, record } = await authManager.pair(body.code, {
+            name: body.name,
+            address: req.ip,
+            roles: ['viewer', 'controller']
+        });
+        
+        // Browsers keep the token in a cookie so image and download links work unchanged
+        res.cookie(TOKEN_COOKIE, token, {
+            httpOnly: true,
+            sameSite: 'strict',
+            maxAge: TOKEN_COOKIE_MAX_AGE_MS
+        });
+        res.status(201).json({ success: true, token, record });
+    } catch (error) {
+        if (error instanceof AuthError && error.code === 'RATE_LIMITED') {
+            return res.status(429).json({
+                error: 'Too many attempts',
+                message: error.message
+            });
+        }
+        if (error instanceof AuthError) {
+            return res.status(401).json({
+                error: 'Invalid pairing code',
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            error: 'Failed to pair',
+            message: error.message
+        });
+    }
+});
+
+// Signing out revokes the token, so a copied cookie stops working too
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        if (req.auth) {
+            await authManager.revoke(req.auth.id);
+            disconnectToken(req.auth.id);
+        }
+        res.clearCookie(TOKEN_COOKIE);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({
+            error: 'Failed to sign out',
+            message: error.message
+        });
+    }
+});
+
+app.get('/api/auth/pairing-code', requireController, (req, res) => {
+    res.json({ codes: authManager.pairingCodes() });
+});
+
+app.get('/api/auth/tokens', requireController, (req, res) => {
+    res.json({ tokens: authManager.list(), currentTokenId: req.auth ? req.auth.id : null });
+});
+
+app.delete('/api/auth/tokens/:id', requireController, async (req, res) => {
+    try {
+        const record = await authManager.revoke(req.params.id);
+        const disconnected = disconnectToken(record.id);
+        res.json({ success: true, token: record, disconnected });
+    } catch (error) {
+        if (error.code === 'NOT_FOUND') {
+            return res.status(404).json({ error: 'Token not found' });
+        }
+        res.status(500).json({
+            error: 'Failed to revoke token',
+            message: error.message
+        });
+    }
+});
+
+// Sockets opened with a revoked token are closed straight away rather than at their next reconnect
+function disconnectToken(tokenId) {
+    let count = 0;
+    io.sockets.sockets.forEach((socket) => {
+        if (socket.data.auth && socket.data.auth.id === tokenId) {
+            socket.disconnect(true);
+            count++;
+        }
+    });
+    return count;
+}
+
 // Camera endpoints
 app.post('/api/camera/initialize', (req, res) => {
     res.json({
@@ -94,32 +484,230 @@ app.post('/api/camera/capture', (req, res) => {
 });
 
 // Sky mapping endpoints
+// Observer location comes from the query string, then the phone's GPS, then the site defaults
+function readSensorLocation(sensorData) {
+    if (!sensorData) return null;
+    const location = sensorData.location || sensorData;
+    if (typeof location.latitude !== 'number' || typeof location.longitude !== 'number') return null;
+    return { latitude: location.latitude, longitude: location.longitude };
+}
+
+function defaultSite() {
+    return { ...config.site };
+}
+
+// A phone's own position, for working out what its camera is pointed at right now
+function deviceObserver(device) {
+    return { ...(readSensorLocation(device.sensorData) || defaultSite()), date: new Date() };
+}
+
+function resolveObserver(query) {
+    const latitude = query.lat ?? query.latitude;
+    const longitude = query.lon ?? query.lng ?? query.longitude;
+    const time = query.time ?? query.date;
+    
+    let site = null;
+    let source = 'query';
+    if (latitude !== undefined && longitude !== undefined) {
+        site = { latitude: parseFloat(latitude), longitude: parseFloat(longitude) };
+    } else {
+        const device = cameraControl.getActiveDevice();
+        site = readSensorLocation(device && device.sensorData);
+        source = 'device';
+    }
+    if (!site) {
+        site = defaultSite();
+        source = 'default';
+    }
+    
+    if (!Number.isFinite(site.latitude) || site.latitude < -90 || site.latitude > 90) {
+        throw new RangeError('lat must be a number between -90 and 90');
+    }
+    if (!Number.isFinite(site.longitude) || site.longitude < -180 || site.longitude > 180) {
+        throw new RangeError('lon must be a number between -180 and 180');
+    }
+    
+    const date = time === undefined ? new Date() : new Date(isNaN(time) ? time : Number(time));
+    if (isNaN(date.getTime())) {
+        throw new RangeError('time must be an ISO date or a millisecond timestamp');
+    }
+    
+    return { ...site, date, source };
+}
+
+function sendObserved(req, res, observe) {
+    let observer;
+    try {
+        observer = resolveObserver(req.query);
+    } catch (error) {
+        return res.status(400).json({
+            error: 'Invalid observer location',
+            message: error.message
+        });
+    }
+    
+    res.set('X-Observer', `${observer.latitude},${observer.longitude};${observer.date.toISOString()};${observer.source}`);
+    res.json(observe(observer));
+}
+
+// Figure lines and boundaries are included unless turned off with lines=false / boundaries=false
 app.get('/api/sky/constellations', (req, res) => {
-    res.json([
-        { id: 'ursa_major', name: 'Ursa Major', visible: true },
-        { id: 'ursa_minor', name: 'Ursa Minor', visible: true },
-        { id: 'orion', name: 'Orion', visible: false }
-    ]);
+    const options = {
+        lines: req.query.lines !== 'false',
+        boundaries: req.query.boundaries !== 'false'
+    };
+    sendObserved(req, res, observer => skyCatalog.observeConstellations(observer, options));
 });
 
+// Star filters: maxMag, constellation, q (name search), ra/dec/radius cone in degrees, limit
+function parseStarFilters(query) {
+    const filters = {};
+    const readNumber = (name, value) => {
+        const number = parseFloat(value);
+        if (!Number.isFinite(number)) {
+            throw new RangeError(`${name} must be a number`);
+        }
+        return number;
+    };
+    
+    const maxMagnitude = query.maxMag ?? query.magnitude;
+    if (maxMagnitude !== undefined) filters.maxMagnitude = readNumber('maxMag', maxMagnitude);
+    if (query.constellation) filters.constellation = String(query.constellation);
+    if (query.q ?? query.name) filters.search = String(query.q ?? query.name);
+    if (query.limit !== undefined) filters.limit = Math.max(0, Math.floor(readNumber('limit', query.limit)));
+    
+    if (query.ra !== undefined || query.dec !== undefined || query.radius !== undefined) {
+        if (query.ra === undefined || query.dec === undefined || query.radius === undefined) {
+            throw new RangeError('A cone search needs ra, dec and radius');
+        }
+        const cone = {
+            ra: readNumber('ra', query.ra),
+            dec: readNumber('dec', query.dec),
+            radius: readNumber('radius', query.radius)
+        };
+        if (cone.dec < -90 || cone.dec > 90 || cone.radius <= 0 || cone.radius > 180) {
+            throw new RangeError('dec must be between -90 and 90 and radius between 0 and 180 degrees');
+        }
+        filters.cone = cone;
+    }
+    
+    // Validate the constellation up front so a typo is a 400 rather than an empty list
+    if (filters.constellation && !skyCatalog.findConstellation(filters.constellation)) {
+        throw new RangeError(`Unknown constellation: ${filters.constellation}`);
+    }
+    
+    return filters;
+}
+
 app.get('/api/stars', (req, res) => {
-    res.json([
-        { id: 'polaris', name: 'Polaris', magnitude: 1.97, visible: true },
-        { id: 'sirius', name: 'Sirius', magnitude: -1.46, visible: false }
-    ]);
+    let filters;
+    try {
+        filters = parseStarFilters(req.query);
+    } catch (error) {
+        return res.status(400).json({
+            error: 'Invalid star filter',
+            message: error.message
+        });
+    }
+    
+    sendObserved(req, res, observer => skyCatalog.observeStars(observer, filters));
 });
 
 app.get('/api/planets', (req, res) => {
-    res.json([
-        { id: 'mars', name: 'Mars', visible: true, magnitude: -0.5 },
-        { id: 'venus', name: 'Venus', visible: false, magnitude: -4.0 }
-    ]);
+    sendObserved(req, res, observer => astronomy.observeSolarSystem(observer));
+});
+
+// Camera pointing from the phone's orientation sensors
+function findCalibrationTarget(objectId, observer) {
+    if (objectId === 'sun' || objectId === 'moon' || astronomy.PLANET_IDS.includes(objectId)) {
+        return astronomy.observeSolarSystem(observer).find(body => body.id === objectId);
+    }
+    
+    const star = skyCatalog.starsById.get(objectId);
+    if (!star) return null;
+    return { id: star.id, name: star.name, ...astronomy.horizontalPosition(star.ra, star.dec, observer) };
+}
+
+app.get('/api/pointing', (req, res) => {
+    const deviceId = req.query.deviceId || cameraControl.activeDeviceId;
+    const pointing = deviceId && pointingTracker.get(deviceId);
+    if (!pointing) {
+        return res.status(404).json({
+            error: 'Pointing not available',
+            message: 'The camera has not sent any orientation readings yet'
+        });
+    }
+    
+    res.json({ deviceId, pointing });
+});
+
+// Point the phone at a bright star (or planet) and post its id; the difference between where
+// the sensors say the camera points and where the object is becomes the device's offset
+app.post('/api/pointing/calibrate', (req, res) => {
+    const { objectId } = req.body || {};
+    const deviceId = (req.body && req.body.deviceId) || cameraControl.activeDeviceId;
+    const device = deviceId && deviceRegistry.get(deviceId);
+    if (!device || !pointingTracker.get(device.id)) {
+        return res.status(409).json({
+            error: 'Pointing not available',
+            message: 'The camera has not sent any orientation readings yet'
+        });
+    }
+    
+    const observer = deviceObserver(device);
+    const target = objectId ? findCalibrationTarget(String(objectId), observer) : null;
+    if (!target) {
+        return res.status(400).json({
+            error: 'Invalid calibration target',
+            message: objectId ? `Unknown object: ${objectId}` : 'objectId is required'
+        });
+    }
+    if (target.altitude < 5) {
+        return res.status(400).json({
+            error: 'Invalid calibration target',
+            message: `${target.name} is too low (${target.altitude.toFixed(1)}°) to calibrate on`
+        });
+    }
+    
+    const pointing = pointingTracker.calibrate(device.id, target, observer);
+    console.log(`🧭 Calibrated pointing for ${device.name} on ${target.name}: alt ${pointing.calibration.altitude}°, az ${pointing.calibration.azimuth}°`);
+    io.to(ROOMS[ROLES.VIEWER]).emit('sensor_update', { ...device.sensorData, pointing, deviceId: device.id });
+    res.json({ success: true, deviceId: device.id, pointing });
+});
+
+app.delete('/api/pointing/calibrate', (req, res) => {
+    const deviceId = req.query.deviceId || cameraControl.activeDeviceId;
+    const device = deviceId && deviceRegistry.get(deviceId);
+    const pointing = device ? pointingTracker.clearCalibration(device.id, deviceObserver(device)) : null;
+    if (pointing) {
+        io.to(ROOMS[ROLES.VIEWER]).emit('sensor_update', { ...device.sensorData, pointing, deviceId: device.id });
+    }
+    res.json({ success: true, deviceId: deviceId || null, pointing });
+});
+
+// Device registry
+app.get('/api/devices', (req, res) => {
+    res.json({
+        activeDeviceId: cameraControl.activeDeviceId,
+        devices: deviceRegistry.list().map(device => ({
+            ...deviceRegistry.describe(device),
+            state: cameraControl.getState(device.id)
+        })),
+        viewers: io.sockets.adapter.rooms.get(ROOMS[ROLES.VIEWER])?.size || 0
+    });
 });
 
-// Gallery endpoint
+// Gallery endpoints
 app.get('/api/gallery', async (req, res) => {
     try {
-        res.json([]);
+        const page = Math.max(1, parseInt(req.query.page) || 1);
+        const pageSize = Math.min(100, Math.max(1, parseInt(req.query.pageSize) || 20));
+        const result = galleryStore.list({ page, pageSize, type: req.query.type, frameType: req.query.frameType });
+        
+        res.json({
+            ...result,
+            items: result.items.map(record => galleryStore.describe(record))
+        });
     } catch (error) {
         console.error('Gallery error:', error);
         res.status(500).json({
@@ -129,81 +717,1527 @@ app.get('/api/gallery', async (req, res) => {
     }
 });
 
-// Object identification endpoints
-app.post('/api/identify', (req, res) => {
-    res.json({
-        success: true,
-        results: [
-            {
-                label: 'Celestial Object',
-                confidence: 0.95,
-                type: 'star'
-            }
-        ],
-        timestamp: new Date().toISOString()
-    });
+app.get('/api/gallery/:id', (req, res) => {
+    const record = galleryStore.get(req.params.id);
+    if (!record) {
+        return res.status(404).json({ error: 'Capture not found' });
+    }
+    res.json(galleryStore.describe(record));
 });
 
-// Image processing endpoints
-app.post('/api/image/enhance', (req, res) => {
-    res.json({
-        success: true,
-        enhanced: true,
-        message: 'Image enhanced successfully'
-    });
+app.get('/api/gallery/:id/image', (req, res) => {
+    const record = galleryStore.get(req.params.id);
+    if (!record) {
+        return res.status(404).json({ error: 'Capture not found' });
+    }
+    // A recording's preview image is its first frame
+    if (record.type === 'recording') {
+        return res.redirect(`/api/gallery/${record.id}/frames/0`);
+    }
+    res.type(record.mimeType).sendFile(galleryStore.getFilePath(record));
 });
 
-// Socket.io connection handling
-io.on('connection', (socket) => {
-    console.log('Client connected:', socket.id);
+app.get('/api/gallery/:id/download', (req, res) => {
+    const record = galleryStore.get(req.params.id);
+    if (!record) {
+        return res.status(404).json({ error: 'Capture not found' });
+    }
+    res.download(galleryStore.getFilePath(record), `drahms-vision-${record.filename}`);
+});
+
+// The capture a derived frame was made from: an enhancement's source, or a stack's reference
+function originCapture(record) {
+    let current = record;
+    for (let depth = 0; current && current.type !== 'capture' && depth < 10; depth++) {
+        const sourceId = current.type === 'stack' ? current.stack && current.stack.referenceId : current.sourceId;
+        current = sourceId ? galleryStore.get(sourceId) : null;
+    }
+    return current || record;
+}
+
+// WCS for a frame of the given size from the first plate solution (or imported WCS) along its
+// derivation chain; stacks are aligned to their reference, so the reference's solution applies
+function findWcs(record, width, height) {
+    let current = record;
+    for (let depth = 0; current && depth < 10; depth++) {
+        const solution = current.plateSolution;
+        if (solution && solution.solved && solution.imageSize.width === width && solution.imageSize.height === height) {
+            return { wcs: solution.wcs, center: solution.center };
+        }
+        if (current.importedFrom && current.importedFrom.wcs) {
+            return { wcs: current.importedFrom.wcs, center: null };
+        }
+        const sourceId = current.type === 'stack' ? current.stack && current.stack.referenceId : current.sourceId;
+        current = sourceId ? galleryStore.get(sourceId) : null;
+    }
+    return null;
+}
+
+// Exposure in seconds, when the camera reported one
+function exposureSeconds(settings) {
+    const exposure = settings.exposureTime ?? settings.exposure;
+    return typeof exposure === 'number' && exposure > 0 ? exposure : null;
+}
+
+// FITS export: ?bitpix=16 (unsigned) or -32 (float, 0-1), ?channel=rgb (3-plane cube) or
+// red/green/blue/luminance, and ?calibrated=true to apply matching masters to light frames
+app.get('/api/gallery/:id/fits', async (req, res) => {
+    const record = galleryStore.get(req.params.id);
+    if (!record) {
+        return res.status(404).json({ error: 'Capture not found' });
+    }
     
-    socket.on('disconnect', () => {
-        console.log('Client disconnected:', socket.id);
-    });
+    if (record.type === 'recording') {
+        return res.status(400).json({
+            error: 'Invalid FITS export',
+            message: 'Recordings cannot be exported as FITS; extract a frame first'
+        });
+    }
     
-    socket.on('image_data', (data) => {
-        console.log('Received image data from client');
+    const bitpix = req.query.bitpix === undefined ? 16 : parseInt(req.query.bitpix);
+    const channel = req.query.channel || 'rgb';
+    if (!fits.EXPORT_BITPIX.includes(bitpix) || !fits.EXPORT_CHANNELS.includes(channel)) {
+        return res.status(400).json({
+            error: 'Invalid FITS export',
+            message: `bitpix must be one of ${fits.EXPORT_BITPIX.join(', ')} and channel one of ${fits.EXPORT_CHANNELS.join(', ')}`
+        });
+    }
+    
+    try {
+        // Stacks are 16-bit PNGs; BITPIX 16 and -32 both keep that precision
+        let image = imageIo.decodeImage(await galleryStore.readFile(record), { fullDepth: true });
+        let calibration = null;
+        if (req.query.calibrated === 'true') {
+            ({ image, applied: calibration } = await calibrationLibrary.calibrate(record, image));
+        }
         
-        // Convert the image data to base64 for web display
-        const base64Image = Buffer.from(data).toString('base64');
-        const imageUrl = `data:image/jpeg;base64,${base64Image}`;
+        const origin = originCapture(record);
+        const settings = record.cameraSettings || origin.cameraSettings || {};
+        const exposure = exposureSeconds(settings);
+        const combined = record.type === 'stack' ? record.stack.stacked : null;
+        const solved = findWcs(record, image.width, image.height);
         
-        // Broadcast the image to all connected web clients
-        io.emit('camera_feed', {
-            type: 'image',
-            data: imageUrl,
-            timestamp: new Date().toISOString()
+        const history = [];
+        if (calibration) {
+            history.push(`Calibrated with ${Object.values(calibration).join(', ')}`);
+        }
+        if (record.type === 'stack') {
+            history.push(`${record.stack.method} stack of ${record.stack.stacked} frames`);
+        }
+        if (record.type === 'enhanced') {
+            history.push(`Enhanced: ${record.enhancement.steps.map(step => step.operation).join(', ') || 'no changes'}`);
+        }
+        
+        const buffer = fits.writeFits(image, {
+            bitpix,
+            channel,
+            observation: {
+                observedAt: origin.observedAt || origin.timestamp,
+                exposure: exposure && combined ? exposure * combined : exposure,
+                iso: settings.iso,
+                gain: settings.gain,
+                camera: record.deviceName || origin.deviceName,
+                lens: settings.lens || 'main',
+                focalLength: settings.focalLength,
+                frameType: origin.frameType || 'light',
+                combined,
+                site: readSensorLocation(origin.sensorSnapshot),
+                center: solved && solved.center
+            },
+            wcs: solved && solved.wcs,
+            history
         });
         
-        // Also emit a capture event for the web interface
-        io.emit('capture_complete', {
-            success: true,
-            imageId: 'img_' + Date.now(),
-            imageUrl: imageUrl,
-            timestamp: new Date().toISOString()
+        res.attachment(`drahms-vision-${record.id}${channel === 'rgb' ? '' : `-${channel}`}.fits`);
+        res.type('application/fits').send(buffer);
+    } catch (error) {
+        console.error('FITS export error:', error);
+        res.status(500).json({
+            error: 'Failed to export FITS',
+            message: error.message
         });
-    });
+    }
+});
+
+// FITS import: the file is the request body, with its name in ?filename=. The gallery keeps
+// 8-bit frames, so the data is scaled from its own minimum and maximum.
+app.post('/api/gallery/import', express.raw({
+    type: ['application/fits', 'image/fits', 'application/octet-stream'],
+    limit: '512mb'
+}), async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({
+            error: 'Invalid FITS file',
+            message: 'Send the file as the request body with Content-Type application/fits'
+        });
+    }
     
-    socket.on('sensor_data', (data) => {
-        console.log('Received sensor data:', data);
+    let parsed;
+    try {
+        parsed = fits.readFits(req.body);
+    } catch (error) {
+        return res.status(400).json({
+            error: 'Invalid FITS file',
+            message: error.message
+        });
+    }
+    
+    try {
+        const { image, observation, wcs, range, header } = parsed;
+        const filename = typeof req.query.filename === 'string' ? req.query.filename : null;
+        const record = await galleryStore.save(imageIo.encodeImage(image, 'image/png'), {
+            type: 'capture',
+            mimeType: 'image/png',
+            frameType: observation.frameType,
+            observedAt: observation.observedAt,
+            cameraSettings: {
+                iso: observation.iso,
+                exposure: observation.exposure,
+                gain: observation.gain,
+                lens: observation.lens || undefined
+            },
+            sensorSnapshot: observation.site ? { location: observation.site } : undefined,
+            deviceName: observation.camera,
+            importedFrom: {
+                format: 'fits',
+                filename,
+                bitpix: header.BITPIX,
+                range,
+                wcs
+            }
+        });
+        console.log(`📥 Imported FITS ${filename || 'upload'} as ${record.id} (${image.width}x${image.height}, ${observation.frameType})`);
         
-        // Broadcast sensor data to all connected web clients
-        io.emit('sensor_update', {
-            ...data,
-            timestamp: new Date().toISOString()
+        io.to(ROOMS[ROLES.VIEWER]).emit('gallery_updated', { action: 'created', id: record.id });
+        if (CALIBRATION_TYPES.includes(record.frameType)) {
+            calibrationLibrary.scheduleBuild(record);
+        } else {
+            analyzeCapture(record, null);
+        }
+        
+        res.json({
+            success: true,
+            captureId: record.id,
+            capture: galleryStore.describe(record),
+            wcs: Boolean(wcs)
         });
-    });
+    } catch (error) {
+        console.error('FITS import error:', error);
+        res.status(500).json({
+            error: 'Failed to import FITS',
+            message: error.message
+        });
+    }
 });
 
-server.listen(port, async () => {
-    console.log('🔭 Drahms Vision - Astronomy Camera System');
-    console.log('==========================================');
-    console.log(`✅ Server running on port ${port}`);
-    console.log(`🌐 Web interface: http://localhost:${port}`);
-    console.log(`📡 API status: http://localhost:${port}/api/status`);
-    console.log(`🧪 Test endpoint: http://localhost:${port}/api/test`);
-    console.log('==========================================');
-    console.log('Press Ctrl+C to stop the server');
+// Recording frames
+// A single frame of a recording as a still (JPEG for AVI, PNG for SER); frames count from 0
+async function readRecordingFrame(req, res) {
+    const record = galleryStore.get(req.params.id);
+    if (!record || record.type !== 'recording') {
+        res.status(404).json({ error: 'Recording not found' });
+        return null;
+    }
+    
+    const index = Number(req.params.index);
+    if (!Number.isInteger(index) || index < 0 || index >= record.video.frameCount) {
+        res.status(400).json({
+            error: 'Invalid frame request',
+            message: `index must be between 0 and ${record.video.frameCount - 1}`
+        });
+        return null;
+    }
+    
+    const frame = await readVideoFrame(galleryStore.getFilePath(record), record.video.format, index);
+    return { record, index, frame };
+}
+
+app.get('/api/gallery/:id/frames/:index', async (req, res) => {
+    try {
+        const result = await readRecordingFrame(req, res);
+        if (!result) return;
+        
+        const { frame } = result;
+        if (frame.timestamp !== null) {
+            res.set('X-Frame-Timestamp', new Date(frame.timestamp).toISOString());
+        }
+        res.type(frame.mimeType).send(frame.buffer);
+    } catch (error) {
+        console.error('Recording frame error:', error);
+        res.status(500).json({
+            error: 'Failed to read recording frame',
+            message: error.message
+        });
+    }
+});
+
+// Saves one frame of a recording as a gallery capture, which is then analyzed like any other
+app.post('/api/gallery/:id/frames/:index/extract', async (req, res) => {
+    try {
+        const result = await readRecordingFrame(req, res);
+        if (!result) return;
+        
+        const { record: recording, index, frame } = result;
+        const observedAt = frame.timestamp !== null ? new Date(frame.timestamp).toISOString() : undefined;
+        const record = await galleryStore.save(frame.buffer, {
+            mimeType: frame.mimeType,
+            frameType: 'light',
+            sourceId: recording.id,
+            observedAt,
+            cameraSettings: recording.cameraSettings,
+            sensorSnapshot: recording.sensorSnapshot,
+            deviceId: recording.deviceId,
+            deviceName: recording.deviceName,
+            extractedFrom: { recordingId: recording.id, index, timestamp: observedAt || null }
+        });
+        console.log(`🎞️ Extracted frame ${index} of ${recording.id} as ${record.id}`);
+        
+        io.to(ROOMS[ROLES.VIEWER]).emit('gallery_updated', { action: 'created', id: record.id });
+        analyzeCapture(record, recording.deviceId);
+        
+        res.json({
+            success: true,
+            captureId: record.id,
+            capture: galleryStore.describe(record)
+        });
+    } catch (error) {
+        console.error('Frame extraction error:', error);
+        res.status(500).json({
+            error: 'Failed to extract frame',
+            message: error.message
+        });
+    }
+});
+
+// Recordings in progress, with their frame counts, frame rate and dropped frames so far
+app.get('/api/recordings', (req, res) => {
+    res.json({ recordings: videoRecorder.list() });
+});
+
+app.delete('/api/gallery/:id', async (req, res) => {
+    try {
+        const deleted = await galleryStore.delete(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Capture not found' });
+        }
+        io.to(ROOMS[ROLES.VIEWER]).emit('gallery_updated', { action: 'deleted', id: req.params.id });
+        res.json({ success: true, id: req.params.id });
+    } catch (error) {
+        console.error('Gallery delete error:', error);
+        res.status(500).json({
+            error: 'Failed to delete capture',
+            message: error.message
+        });
+    }
+});
+
+// Object identification endpoints
+// Optional hints narrow the blind search: ra/dec/radius and fieldOfView (frame width), in degrees
+function parseSolveHint(body) {
+    const hint = {};
+    const readNumber = (name, value) => {
+        const number = parseFloat(value);
+        if (!Number.isFinite(number)) {
+            throw new RangeError(`${name} must be a number`);
+        }
+        return number;
+    };
+    
+    if (body.ra !== undefined || body.dec !== undefined) {
+        if (body.ra === undefined || body.dec === undefined) {
+            throw new RangeError('A position hint needs both ra and dec');
+        }
+        hint.ra = readNumber('ra', body.ra);
+        hint.dec = readNumber('dec', body.dec);
+        if (hint.dec < -90 || hint.dec > 90) {
+            throw new RangeError('dec must be between -90 and 90');
+        }
+        if (body.radius !== undefined) hint.radius = readNumber('radius', body.radius);
+    }
+    const fieldOfView = body.fieldOfView ?? body.fov;
+    if (fieldOfView !== undefined) {
+        hint.fieldOfView = readNumber('fieldOfView', fieldOfView);
+        if (hint.fieldOfView <= 0 || hint.fieldOfView > 180) {
+            throw new RangeError('fieldOfView must be between 0 and 180 degrees');
+        }
+    }
+    
+    return hint;
+}
+
+// Resolves a body naming a stored capture ({ captureId }) or carrying a frame ({ image } as a
+// data URL or base64, with an optional capture time) to the frame bytes. Answers 400/404
+// itself and returns null when neither is usable.
+async function readRequestImage(req, res) {
+    const body = req.body || {};
+    let record = null;
+    let buffer;
+    let date;
+    
+    if (body.captureId) {
+        record = galleryStore.get(body.captureId);
+        if (!record) {
+            res.status(404).json({ error: 'Capture not found' });
+            return null;
+        }
+        buffer = await galleryStore.readFile(record);
+        date = new Date(record.timestamp);
+    } else if (typeof body.image === 'string') {
+        buffer = imageIo.parseDataUrl(body.image).buffer;
+        date = body.time ? new Date(body.time) : new Date();
+    } else {
+        res.status(400).json({
+            error: 'Invalid image request',
+            message: 'Send a captureId or an image'
+        });
+        return null;
+    }
+    
+    if (!imageIo.detectMimeType(buffer)) {
+        res.status(400).json({
+            error: 'Invalid image',
+            message: 'Expected a JPEG or PNG image'
+        });
+        return null;
+    }
+    if (isNaN(date.getTime())) {
+        res.status(400).json({
+            error: 'Invalid image request',
+            message: 'time must be an ISO date'
+        });
+        return null;
+    }
+    
+    return { record, buffer, date };
+}
+
+app.post('/api/identify', async (req, res) => {
+    let hint;
+    try {
+        hint = parseSolveHint(req.body || {});
+    } catch (error) {
+        return res.status(400).json({
+            error: 'Invalid solve hint',
+            message: error.message
+        });
+    }
+    
+    try {
+        const frame = await readRequestImage(req, res);
+        if (!frame) return;
+        
+        const solution = await plateSolver.solveImage(frame.buffer, { hint, date: frame.date });
+        console.log(solution.solved
+            ? `🎯 Plate solved: RA ${solution.center.ra}° Dec ${solution.center.dec}°, ${solution.matchedStars} stars matched`
+            : `🎯 Plate solve failed: ${solution.message}`);
+        
+        if (frame.record) {
+            await galleryStore.update(frame.record.id, { plateSolution: solution });
+        }
+        logSessionEntry(sessionStore.addIdentification(frame.record ? frame.record.id : null, solution));
+        
+        res.json({
+            success: true,
+            captureId: frame.record ? frame.record.id : null,
+            ...solution,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Identification error:', error);
+        res.status(500).json({
+            error: 'Failed to identify objects',
+            message: error.message
+        });
+    }
+});
+
+// Image processing endpoints
+// Star detection and quality metrics for a stored capture or a posted frame
+app.post('/api/image/analyze', async (req, res) => {
+    try {
+        const frame = await readRequestImage(req, res);
+        if (!frame) return;
+        
+        const { image, applied } = await calibrationLibrary.calibrate(frame.record, imageIo.decodeImage(frame.buffer));
+        const analysis = { ...imageAnalysis.analyzeDecodedImage(image), calibration: applied };
+        if (frame.record) {
+            await galleryStore.update(frame.record.id, { analysis: summarizeAnalysis(analysis) });
+        }
+        
+        res.json({
+            success: true,
+            captureId: frame.record ? frame.record.id : null,
+            ...analysis,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Image analysis error:', error);
+        res.status(500).json({
+            error: 'Failed to analyze image',
+            message: error.message
+        });
+    }
+});
+
+// Resolves the edits in an enhance request: a recipe ({ steps }) or a plain filters object
+function readEnhancement(body) {
+    const filters = body.recipe
+        ? imageEnhancer.filtersFromSteps(body.recipe.steps)
+        : imageEnhancer.normalizeFilters(body.filters);
+    if (imageEnhancer.isIdentity(filters)) {
+        throw new RangeError('No enhancement selected');
+    }
+    return filters;
+}
+
+// Processes a stored capture or a posted frame and saves the result as a new gallery item;
+// the source image is left as it was
+app.post('/api/image/enhance', async (req, res) => {
+    let filters;
+    try {
+        filters = readEnhancement(req.body || {});
+    } catch (error) {
+        return res.status(400).json({
+            error: 'Invalid enhancement',
+            message: error.message
+        });
+    }
+    
+    try {
+        const frame = await readRequestImage(req, res);
+        if (!frame) return;
+        
+        const started = Date.now();
+        const record = await saveEnhancement(frame.buffer, frame.record, filters, req.body.recipe);
+        const capture = galleryStore.describe(record);
+        
+        res.json({
+            success: true,
+            enhanced: true,
+            captureId: record.id,
+            sourceId: record.sourceId,
+            imageUrl: capture.imageUrl,
+            capture,
+            steps: record.enhancement.steps,
+            durationMs: Date.now() - started,
+            timestamp: record.timestamp
+        });
+    } catch (error) {
+        console.error('Image enhancement error:', error);
+        res.status(500).json({
+            error: 'Failed to enhance image',
+            message: error.message
+        });
+    }
+});
+
+async function saveEnhancement(buffer, source, filters, recipe) {
+    const mimeType = imageIo.detectMimeType(buffer);
+    const { image, steps } = imageEnhancer.enhanceImage(imageIo.decodeImage(buffer), filters);
+    const record = await galleryStore.save(imageIo.encodeImage(image, mimeType, 95), {
+        type: 'enhanced',
+        mimeType: mimeType,
+        sourceId: source ? source.id : null,
+        enhancement: {
+            filters,
+            steps,
+            recipe: recipe ? { name: recipe.name || null, steps: recipe.steps } : null
+        },
+        cameraSettings: source ? source.cameraSettings : undefined,
+        deviceId: source ? source.deviceId : undefined,
+        deviceName: source ? source.deviceName : undefined
+    });
+    console.log(`🎨 Enhanced ${source ? source.id : 'posted frame'} into ${record.id} (${steps.map(step => step.operation).join(', ')})`);
+    
+    io.to(ROOMS[ROLES.VIEWER]).emit('gallery_updated', { action: 'created', id: record.id });
+    return record;
+}
+
+// Recipe endpoints
+app.get('/api/recipes', (req, res) => {
+    res.json({ success: true, recipes: recipeStore.list() });
+});
+
+app.put('/api/recipes/:name', async (req, res) => {
+    const steps = (req.body || {}).steps;
+    try {
+        imageEnhancer.filtersFromSteps(steps);
+    } catch (error) {
+        return res.status(400).json({
+            error: 'Invalid recipe',
+            message: error.message
+        });
+    }
+    
+    try {
+        const recipe = await recipeStore.save(req.params.name, steps);
+        res.json({ success: true, recipe });
+    } catch (error) {
+        if (error instanceof RangeError) {
+            return res.status(400).json({
+                error: 'Invalid recipe',
+                message: error.message
+            });
+        }
+        console.error('Recipe save error:', error);
+        res.status(500).json({
+            error: 'Failed to save recipe',
+            message: error.message
+        });
+    }
+});
+
+app.delete('/api/recipes/:name', async (req, res) => {
+    try {
+        const deleted = await recipeStore.delete(req.params.name);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Recipe not found' });
+        }
+        res.json({ success: true, name: req.params.name });
+    } catch (error) {
+        console.error('Recipe delete error:', error);
+        res.status(500).json({
+            error: 'Failed to delete recipe',
+            message: error.message
+        });
+    }
+});
+
+// Runs a saved recipe over a batch of captures, one new gallery item per capture. Answers
+// straight away; each frame reports as recipe_progress and the batch ends with recipe_complete.
+app.post('/api/recipes/:name/apply', (req, res) => {
+    const recipe = recipeStore.get(req.params.name);
+    if (!recipe) {
+        return res.status(404).json({ error: 'Recipe not found' });
+    }
+    
+    const captureIds = Array.isArray((req.body || {}).captureIds) ? Array.from(new Set(req.body.captureIds)) : [];
+    if (captureIds.length === 0) {
+        return res.status(400).json({
+            error: 'Invalid recipe request',
+            message: 'captureIds must list at least one capture'
+        });
+    }
+    const missing = captureIds.filter(id => !galleryStore.get(id));
+    if (missing.length) {
+        return res.status(404).json({
+            error: 'Capture not found',
+            message: `Unknown capture(s): ${missing.join(', ')}`
+        });
+    }
+    
+    const jobId = 'recipe_' + Date.now();
+    applyRecipe(jobId, recipe, captureIds);
+    res.status(202).json({ success: true, jobId, captures: captureIds.length });
+});
+
+async function applyRecipe(jobId, recipe, captureIds) {
+    const filters = imageEnhancer.filtersFromSteps(recipe.steps);
+    const results = [];
+    
+    for (const [index, id] of captureIds.entries()) {
+        const source = galleryStore.get(id);
+        try {
+            if (!source) throw new Error('Capture was deleted');
+            const record = await saveEnhancement(await galleryStore.readFile(source), source, filters, recipe);
+            results.push({ sourceId: id, success: true, captureId: record.id });
+        } catch (error) {
+            console.error(`Recipe ${recipe.name} failed on ${id}:`, error.message);
+            results.push({ sourceId: id, success: false, error: error.message });
+        }
+        
+        io.to(ROOMS[ROLES.VIEWER]).emit('recipe_progress', {
+            jobId,
+            recipe: recipe.name,
+            current: index + 1,
+            total: captureIds.length,
+            result: results[results.length - 1]
+        });
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    
+    io.to(ROOMS[ROLES.VIEWER]).emit('recipe_complete', {
+        jobId,
+        recipe: recipe.name,
+        succeeded: results.filter(result => result.success).length,
+        failed: results.filter(result => !result.success).length,
+        results,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Camera profile endpoints
+// Profiles are applied by the browser through the normal set_camera_mode command, so viewers
+// can read them but only controllers can apply or change them
+app.get('/api/profiles', (req, res) => {
+    res.json({
+        success: true,
+        profiles: profileStore.list(),
+        bindings: profileStore.bindings,
+        limits: {
+            modes: CAMERA_MODES,
+            ranges: SETTING_RANGES,
+            whiteBalanceModes: WHITE_BALANCE_MODES,
+            buttons: PROFILE_BUTTONS
+        }
+    });
+});
+
+app.get('/api/profiles/export', (req, res) => {
+    res.attachment(`drahms-vision-profiles-${new Date().toISOString().slice(0, 10)}.json`);
+    res.json(profileStore.export());
+});
+
+app.post('/api/profiles/import', async (req, res) => {
+    try {
+        const imported = await profileStore.import(req.body);
+        res.json({ success: true, imported, profiles: profileStore.list(), bindings: profileStore.bindings });
+    } catch (error) {
+        if (error instanceof RangeError) {
+            return res.status(400).json({
+                error: 'Invalid profile file',
+                message: error.message
+            });
+        }
+        console.error('Profile import error:', error);
+        res.status(500).json({
+            error: 'Failed to import profiles',
+            message: error.message
+        });
+    }
+});
+
+// Body { profile: name } binds a sidebar button; { profile: null } clears it
+app.put('/api/profiles/bindings/:button', async (req, res) => {
+    const profile = (req.body || {}).profile;
+    try {
+        const bindings = await profileStore.bind(req.params.button, profile === undefined ? null : profile);
+        res.json({ success: true, bindings });
+    } catch (error) {
+        if (error instanceof RangeError) {
+            return res.status(400).json({
+                error: 'Invalid profile binding',
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            error: 'Failed to bind profile',
+            message: error.message
+        });
+    }
+});
+
+app.put('/api/profiles/:name', async (req, res) => {
+    try {
+        const profile = await profileStore.save(req.params.name, req.body);
+        res.json({ success: true, profile });
+    } catch (error) {
+        if (error instanceof RangeError) {
+            return res.status(400).json({
+                error: 'Invalid profile',
+                message: error.message
+            });
+        }
+        console.error('Profile save error:', error);
+        res.status(500).json({
+            error: 'Failed to save profile',
+            message: error.message
+        });
+    }
+});
+
+app.delete('/api/profiles/:name', async (req, res) => {
+    try {
+        const deleted = await profileStore.delete(req.params.name);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+        res.json({ success: true, name: req.params.name, bindings: profileStore.bindings });
+    } catch (error) {
+        console.error('Profile delete error:', error);
+        res.status(500).json({
+            error: 'Failed to delete profile',
+            message: error.message
+        });
+    }
+});
+
+// Capture records keep the frame statistics and only the brightest stars, so gallery
+// listings stay small; POST /api/image/analyze returns the full star list
+function summarizeAnalysis(analysis) {
+    return {
+        ...analysis,
+        stars: analysis.stars.slice(0, RECORD_ANALYSIS_STARS),
+        analyzedAt: new Date().toISOString()
+    };
+}
+
+// Measure a freshly stored frame, calibrated when masters match it, and attach the results
+// to its capture record
+async function analyzeCapture(record, deviceId) {
+    try {
+        const buffer = await galleryStore.readFile(record);
+        const { image, applied } = await calibrationLibrary.calibrate(record, imageIo.decodeImage(buffer));
+        const analysis = { ...imageAnalysis.analyzeDecodedImage(image), calibration: applied };
+        await galleryStore.update(record.id, { analysis: summarizeAnalysis(analysis) });
+        console.log(`📊 Analyzed ${record.id}: ${analysis.stats.starCount} stars, median FWHM ${analysis.stats.medianFwhm ?? 'n/a'} px`);
+        
+        io.to(ROOMS[ROLES.VIEWER]).emit('frame_analysis', {
+            captureId: record.id,
+            deviceId: deviceId,
+            width: analysis.width,
+            height: analysis.height,
+            stats: analysis.stats,
+            calibration: applied,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error(`Failed to analyze capture ${record.id}:`, error.message);
+    }
+}
+
+// Stacking endpoints
+// Aligns the given captures on their stars and integrates them into a new gallery image.
+// Answers 202 straight away; progress and the result arrive as stack_progress and
+// stack_complete events, and GET /api/stack/:jobId reports the same state.
+app.post('/api/stack', (req, res) => {
+    const body = req.body || {};
+    const captureIds = Array.isArray(body.captureIds) ? Array.from(new Set(body.captureIds)) : [];
+    const method = body.method || 'average';
+    const kappa = body.kappa === undefined ? undefined : Number(body.kappa);
+    
+    if (captureIds.length < 2 || captureIds.length > imageStacker.MAX_STACK_FRAMES) {
+        return res.status(400).json({
+            error: 'Invalid stack request',
+            message: `captureIds must list between 2 and ${imageStacker.MAX_STACK_FRAMES} captures`
+        });
+    }
+    if (!imageStacker.STACK_METHODS.includes(method)) {
+        return res.status(400).json({
+            error: 'Invalid stack request',
+            message: `method must be one of ${imageStacker.STACK_METHODS.join(', ')}`
+        });
+    }
+    if (kappa !== undefined && (!Number.isFinite(kappa) || kappa <= 0)) {
+        return res.status(400).json({
+            error: 'Invalid stack request',
+            message: 'kappa must be a positive number'
+        });
+    }
+    if (body.referenceId && !captureIds.includes(body.referenceId)) {
+        return res.status(400).json({
+            error: 'Invalid stack request',
+            message: 'referenceId must be one of the captureIds'
+        });
+    }
+    
+    const missing = captureIds.filter(id => !galleryStore.get(id));
+    if (missing.length) {
+        return res.status(404).json({
+            error: 'Capture not found',
+            message: `Unknown capture(s): ${missing.join(', ')}`
+        });
+    }
+    
+    // Only stills can be stacked; a recording's frames are saved as captures first
+    const recordings = captureIds.filter(id => galleryStore.get(id).type === 'recording');
+    if (recordings.length) {
+        return res.status(400).json({
+            error: 'Invalid stack request',
+            message: `Recordings cannot be stacked directly; save their frames as captures first: ${recordings.join(', ')}`
+        });
+    }
+    
+    // Sizes are known once a frame has been analyzed; the stacker checks the rest itself
+    const pixels = captureIds.reduce((sum, id) => {
+        const analysis = galleryStore.get(id).analysis;
+        return sum + (analysis && analysis.width ? analysis.width * analysis.height : 0);
+    }, 0);
+    if (pixels > imageStacker.MAX_STACK_PIXELS) {
+        return res.status(400).json({
+            error: 'Invalid stack request',
+            message: `These captures hold ${Math.round(pixels / 1e6)} MP; a stack can hold at most ${imageStacker.MAX_STACK_PIXELS / 1e6} MP`
+        });
+    }
+    
+    const running = Array.from(stackJobs.values()).find(job => job.status === 'running');
+    if (running) {
+        return res.status(409).json({
+            error: 'Stack already running',
+            message: `Wait for job ${running.id} to finish`,
+            jobId: running.id
+        });
+    }
+    
+    const job = {
+        id: 'stack_' + Date.now(),
+        status: 'running',
+        captureIds,
+        options: { method, kappa, referenceId: body.referenceId },
+        progress: null,
+        startedAt: new Date().toISOString()
+    };
+    stackJobs.set(job.id, job);
+    
+    // Forget the oldest finished jobs
+    for (const [id, oldJob] of stackJobs) {
+        if (stackJobs.size <= MAX_STACK_JOBS) break;
+        if (oldJob.status !== 'running') stackJobs.delete(id);
+    }
+    
+    runStackJob(job);
+    
+    res.status(202).json({
+        success: true,
+        jobId: job.id,
+        statusUrl: `/api/stack/${job.id}`
+    });
+});
+
+app.get('/api/stack/:jobId', (req, res) => {
+    const job = stackJobs.get(req.params.jobId);
+    if (!job) {
+        return res.status(404).json({ error: 'Stack job not found' });
+    }
+    res.json(job);
+});
+
+async function runStackJob(job) {
+    console.log(`🧮 Stacking ${job.captureIds.length} captures (${job.options.method})`);
+    const emitProgress = progress => {
+        job.progress = {
+            ...progress,
+            percent: progress.total ? Math.round(progress.current / progress.total * 100) : 0
+        };
+        io.to(ROOMS[ROLES.VIEWER]).emit('stack_progress', { jobId: job.id, ...job.progress });
+    };
+    
+    try {
+        // Each file is read when the stacker gets to it rather than all held up front
+        const frames = job.captureIds
+            .map(id => galleryStore.get(id))
+            .filter(Boolean) // deleted since the job was queued; reported below
+            .map(record => ({ id: record.id, load: () => galleryStore.readFile(record), analysis: record.analysis }));
+        
+        const options = {
+            ...job.options,
+            calibrate: async (frame, image) => (await calibrationLibrary.calibrate(galleryStore.get(frame.id), image)).image
+        };
+        const { image, report } = await imageStacker.stackCaptures(frames, options, emitProgress);
+        job.captureIds
+            .filter(id => !frames.some(frame => frame.id === id))
+            .forEach(id => report.frames.push({ id, status: 'rejected', reason: 'Capture was deleted' }));
+        
+        emitProgress({ stage: 'saving', current: 1, total: 1, message: 'Saving stacked image' });
+        const reference = galleryStore.get(report.referenceId);
+        const record = await galleryStore.save(imageIo.encodeImage(image, 'image/png'), {
+            type: 'stack',
+            mimeType: 'image/png',
+            sourceIds: job.captureIds,
+            stack: report,
+            cameraSettings: reference && reference.cameraSettings,
+            deviceId: reference && reference.deviceId,
+            deviceName: reference && reference.deviceName
+        });
+        
+        Object.assign(job, { status: 'complete', captureId: record.id, report, finishedAt: new Date().toISOString() });
+        console.log(`🧮 Stacked ${report.stacked} frame(s) into ${record.id}, ${report.rejected} rejected`);
+        
+        io.to(ROOMS[ROLES.VIEWER]).emit('stack_complete', {
+            jobId: job.id,
+            success: true,
+            capture: galleryStore.describe(record),
+            report,
+            timestamp: job.finishedAt
+        });
+        io.to(ROOMS[ROLES.VIEWER]).emit('gallery_updated', { action: 'created', id: record.id });
+        
+        analyzeCapture(record, record.deviceId);
+    } catch (error) {
+        console.error('Stacking failed:', error.message);
+        Object.assign(job, { status: 'failed', error: error.message, report: error.report, finishedAt: new Date().toISOString() });
+        io.to(ROOMS[ROLES.VIEWER]).emit('stack_complete', {
+            jobId: job.id,
+            success: false,
+            error: error.message,
+            report: error.report,
+            timestamp: job.finishedAt
+        });
+    }
+}
+
+// Calibration endpoints
+// Dark, flat and bias series are captured like any other frame with a frameType tag; masters
+// rebuild on their own once a series goes quiet, or on demand here
+app.get('/api/calibration', (req, res) => {
+    res.json({
+        success: true,
+        ...calibrationLibrary.list(),
+        timestamp: new Date().toISOString()
+    });
+});
+
+app.post('/api/calibration/rebuild', async (req, res) => {
+    const frameType = (req.body || {}).frameType;
+    if (frameType !== undefined && !CALIBRATION_TYPES.includes(frameType)) {
+        return res.status(400).json({
+            error: 'Invalid calibration request',
+            message: `frameType must be one of ${CALIBRATION_TYPES.join(', ')}`
+        });
+    }
+    
+    try {
+        const result = await calibrationLibrary.rebuild(frameType);
+        res.json({
+            success: true,
+            ...result,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Calibration rebuild error:', error);
+        res.status(500).json({
+            error: 'Failed to rebuild calibration masters',
+            message: error.message
+        });
+    }
+});
+
+app.delete('/api/calibration/:id', async (req, res) => {
+    try {
+        const deleted = await calibrationLibrary.delete(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Calibration master not found' });
+        }
+        io.to(ROOMS[ROLES.VIEWER]).emit('calibration_updated', { action: 'deleted', id: req.params.id });
+        res.json({ success: true, id: req.params.id });
+    } catch (error) {
+        console.error('Calibration delete error:', error);
+        res.status(500).json({
+            error: 'Failed to delete calibration master',
+            message: error.message
+        });
+    }
+});
+
+// Sequence endpoints
+// POST /api/sequences takes a plan such as
+//   { name, deviceId?, steps: [{ frameType, count, interval, settings: { iso, exposure } }] }
+// and answers 202 while the server works through it. Each frame is reported as
+// sequence_progress (with the ETA), state changes as sequence_updated and the end as
+// sequence_complete.
+app.post('/api/sequences', (req, res) => {
+    let plan;
+    try {
+        plan = normalizePlan(req.body);
+    } catch (error) {
+        return res.status(400).json({
+            error: 'Invalid sequence',
+            message: error.message
+        });
+    }
+    
+    try {
+        cameraControl.resolveTarget(plan.deviceId);
+        const sequence = sequencer.start(plan);
+        res.status(202).json({
+            success: true,
+            sequenceId: sequence.id,
+            sequence,
+            statusUrl: `/api/sequences/${sequence.id}`
+        });
+    } catch (error) {
+        if (error instanceof SequenceError) {
+            const running = sequencer.active();
+            return res.status(409).json({
+                error: 'Sequence already running',
+                message: error.message,
+                sequenceId: running && running.id
+            });
+        }
+        if (error.code === 'NO_DEVICE') {
+            return res.status(409).json({
+                error: 'Camera not available',
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            error: 'Failed to start sequence',
+            message: error.message
+        });
+    }
+});
+
+app.get('/api/sequences', (req, res) => {
+    res.json({ sequences: sequencer.list() });
+});
+
+app.get('/api/sequences/:id', (req, res) => {
+    const sequence = sequencer.get(req.params.id);
+    if (!sequence) {
+        return res.status(404).json({ error: 'Sequence not found' });
+    }
+    res.json(sequence);
+});
+
+['pause', 'resume', 'abort'].forEach((action) => {
+    app.post(`/api/sequences/:id/${action}`, (req, res) => {
+        try {
+            res.json({ success: true, sequence: sequencer[action](req.params.id) });
+        } catch (error) {
+            if (error.code === 'NOT_FOUND') {
+                return res.status(404).json({ error: 'Sequence not found' });
+            }
+            res.status(error.code === 'INVALID_STATE' ? 409 : 500).json({
+                error: `Failed to ${action} sequence`,
+                message: error.message
+            });
+        }
+    });
+});
+
+// Observing session endpoints
+// A session groups one night's captures, sequences, plate solves and notes under a site.
+// The site comes from the body (latitude/longitude), then the phone's GPS, then the defaults.
+app.post('/api/sessions', async (req, res) => {
+    const body = req.body || {};
+    let observer;
+    try {
+        observer = resolveObserver({ lat: body.latitude ?? body.lat, lon: body.longitude ?? body.lon });
+    } catch (error) {
+        return res.status(400).json({
+            error: 'Invalid session',
+            message: error.message
+        });
+    }
+    
+    try {
+        const session = await sessionStore.start({
+            name: body.name,
+            site: {
+                latitude: observer.latitude,
+                longitude: observer.longitude,
+                source: observer.source === 'query' ? 'manual' : observer.source
+            },
+            device: cameraControl.getActiveDevice()
+        });
+        if (body.notes) {
+            await sessionStore.addNote(session.id, body.notes);
+        }
+        res.status(201).json({ success: true, session });
+    } catch (error) {
+        if (error instanceof RangeError) {
+            return res.status(400).json({
+                error: 'Invalid session',
+                message: error.message
+            });
+        }
+        if (error instanceof SessionError) {
+            const active = sessionStore.active();
+            return res.status(409).json({
+                error: 'Session already active',
+                message: error.message,
+                sessionId: active && active.id
+            });
+        }
+        res.status(500).json({
+            error: 'Failed to start session',
+            message: error.message
+        });
+    }
+});
+
+app.get('/api/sessions', (req, res) => {
+    const active = sessionStore.active();
+    res.json({ activeSessionId: active ? active.id : null, sessions: sessionStore.list() });
+});
+
+// :id may be "active" for the session in progress
+app.get('/api/sessions/:id', (req, res) => {
+    const session = sessionStore.get(req.params.id);
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ ...sessionStore.describe(session), entries: session.entries });
+});
+
+app.post('/api/sessions/:id/end', async (req, res) => {
+    try {
+        const session = await sessionStore.end(req.params.id);
+        res.json({ success: true, session: sessionStore.describe(session) });
+    } catch (error) {
+        if (error.code === 'NOT_FOUND') {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        res.status(error.code === 'ENDED' ? 409 : 500).json({
+            error: 'Failed to end session',
+            message: error.message
+        });
+    }
+});
+
+app.post('/api/sessions/:id/notes', async (req, res) => {
+    try {
+        const entry = await sessionStore.addNote(req.params.id, (req.body || {}).text);
+        res.status(201).json({ success: true, entry });
+    } catch (error) {
+        if (error.code === 'NOT_FOUND') {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        res.status(error instanceof RangeError ? 400 : 500).json({
+            error: error instanceof RangeError ? 'Invalid note' : 'Failed to add note',
+            message: error.message
+        });
+    }
+});
+
+// format=json (default) or csv, sent as a download
+app.get('/api/sessions/:id/export', (req, res) => {
+    const session = sessionStore.get(req.params.id);
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    const format = req.query.format || 'json';
+    if (format !== 'json' && format !== 'csv') {
+        return res.status(400).json({
+            error: 'Invalid export format',
+            message: 'format must be json or csv'
+        });
+    }
+    
+    const filename = `${session.name.replace(/[^\w.-]+/g, '_')}_${session.startedAt.slice(0, 10)}.${format}`;
+    res.attachment(filename);
+    if (format === 'csv') {
+        res.type('text/csv').send(sessionStore.toCsv(session));
+    } else {
+        res.json({ ...sessionStore.describe(session), entries: session.entries });
+    }
+});
+
+// Normalise an image_data payload into a buffer plus any metadata sent with it
+function parseImagePayload(data) {
+    if (data && !Buffer.isBuffer(data) && data.image) {
+        return {
+            buffer: Buffer.from(data.image),
+            mimeType: data.mimeType || 'image/jpeg',
+            settings: data.settings || {},
+            frameType: FRAME_TYPES.includes(data.frameType) ? data.frameType : null,
+            // Capture time (ms or ISO) and running frame counter, used when recording video
+            timestamp: data.timestamp !== undefined ? new Date(data.timestamp).getTime() || null : null,
+            frameNumber: Number.isInteger(data.frameNumber) ? data.frameNumber : null,
+            // Live feed frames are shown (or recorded) but not kept in the gallery
+            preview: data.preview === true
+        };
+    }
+    
+    return {
+        buffer: Buffer.from(data),
+        mimeType: 'image/jpeg',
+        settings: {},
+        frameType: null,
+        timestamp: null,
+        frameNumber: null,
+        preview: false
+    };
+}
+
+// Socket.IO handlers are called as (payload, ack), (ack) or (payload)
+function parseCommandArgs(args) {
+    const ack = typeof args[args.length - 1] === 'function' ? args.pop() : () => {};
+    const payload = args[0] && typeof args[0] === 'object' ? args[0] : {};
+    return { payload, ack };
+}
+
+// Socket.io connection handling
+io.on('connection', (socket) => {
+    const role = resolveRole(socket.handshake);
+    socket.data.role = role;
+    socket.join(ROOMS[role]);
+    diagnostics.trackConnection(socket, role);
+    console.log(`Client connected: ${socket.id} (${role})`);
+    
+    if (socket.data.issuedToken) {
+        socket.emit('paired', { token: socket.data.issuedToken, record: socket.data.auth });
+    }
+    
+    if (role === ROLES.DEVICE) {
+        registerDeviceHandlers(socket);
+    } else {
+        registerViewerHandlers(socket);
+    }
+});
+
+function registerDeviceHandlers(socket) {
+    const device = deviceRegistry.register(socket);
+    cameraControl.deviceConnected(device);
+    
+    socket.onAny(() => {
+        deviceRegistry.touch(socket.id);
+    });
+    
+    socket.on('disconnect', () => {
+        console.log('Camera device disconnected:', socket.id);
+        const device = deviceRegistry.markDisconnected(socket.id);
+        if (device && !device.connected) {
+            cameraControl.deviceDisconnected(device);
+            videoRecorder.stop(device.id, 'disconnected').catch(() => {});
+        }
+    });
+    
+    // Lets the phone update its name, model or capabilities after connecting
+    socket.on('register_device', (...args) => {
+        const { payload, ack } = parseCommandArgs(args);
+        const previous = deviceRegistry.getBySocket(socket.id);
+        const device = deviceRegistry.register(socket, payload);
+        
+        // A new deviceId replaces the socket's old entry, which the registry now marks disconnected
+        if (previous && previous.id !== device.id) {
+            cameraControl.deviceDisconnected(previous);
+            videoRecorder.stop(previous.id, 'disconnected').catch(() => {});
+            cameraControl.deviceConnected(device);
+        }
+        ack({ success: true, device: deviceRegistry.describe(device) });
+    });
+    
+    socket.on('camera_status', (status) => {
+        const device = deviceRegistry.getBySocket(socket.id);
+        cameraControl.applyDeviceStatus(device.id, status);
+        if (status && status.isRecording === false) {
+            videoRecorder.stop(device.id).catch(() => {});
+        }
+    });
+    
+    socket.on('image_data', async (data) => {
+        console.log('Received image data from device');
+        const device = deviceRegistry.getBySocket(socket.id);
+        const state = cameraControl.getState(device.id);
+        
+        // The phone sends either raw JPEG bytes or { image, settings, frameType }. A payload that
+        // cannot be read is answered on the sender's socket, since an async handler that throws
+        // would take the whole server down.
+        let frame;
+        let imageUrl;
+        try {
+            frame = parseImagePayload(data);
+            if (!frame.buffer.length) {
+                throw new TypeError('The image is empty');
+            }
+            if (frame.buffer.length > config.maxImageBytes) {
+                throw new RangeError(`The image is ${frame.buffer.length} bytes; the limit is ${config.maxImageBytes}`);
+            }
+            // Anything else would be stored as a capture nothing can open
+            const mimeType = imageIo.detectMimeType(frame.buffer);
+            if (!mimeType) {
+                throw new TypeError('The data is not a JPEG or PNG image');
+            }
+            frame.mimeType = mimeType;
+            
+            // Convert the image data to base64 for web display
+            imageUrl = `data:${frame.mimeType};base64,${frame.buffer.toString('base64')}`;
+        } catch (error) {
+            console.error('Invalid image data from device:', error.message);
+            socket.emit('image_error', {
+                error: 'Invalid image data',
+                message: error.message,
+                timestamp: new Date().toISOString()
+            });
+            return;
+        }
+        diagnostics.recordFrame(device.id, frame.buffer.length);
+        
+        // Send the image to the web viewers only
+        io.to(ROOMS[ROLES.VIEWER]).emit('camera_feed', {
+            type: 'image',
+            deviceId: device.id,
+            data: imageUrl,
+            timestamp: new Date().toISOString()
+        });
+        
+        // While recording, frames go into the video file; other live feed frames are only shown
+        if (videoRecorder.addFrame(device.id, frame) || frame.preview) return;
+        
+        try {
+            const record = await galleryStore.save(frame.buffer, {
+                mimeType: frame.mimeType,
+                frameType: frame.frameType || state.frameType,
+                cameraSettings: {
+                    mode: state.mode,
+                    ...state.settings,
+                    ...frame.settings
+                },
+                sensorSnapshot: device.sensorData,
+                deviceId: device.id,
+                deviceName: device.name,
+                sequence: sequencer.currentFrame(device.id)
+            });
+            sequencer.handleCapture(device.id, record);
+            logSessionEntry(sessionStore.addCapture(record));
+            
+            // Also emit a capture event for the web interface
+            io.to(ROOMS[ROLES.VIEWER]).emit('capture_complete', {
+                success: true,
+                imageId: record.id,
+                imageUrl: galleryStore.describe(record).imageUrl,
+                capture: galleryStore.describe(record),
+                timestamp: record.timestamp
+            });
+            
+            // Calibration frames feed their master; light frames are measured after the viewers
+            // hear about the capture, with results following as frame_analysis
+            if (CALIBRATION_TYPES.includes(record.frameType)) {
+                calibrationLibrary.scheduleBuild(record);
+            } else {
+                analyzeCapture(record, device.id);
+            }
+        } catch (error) {
+            console.error('Failed to store capture:', error);
+            io.to(ROOMS[ROLES.VIEWER]).emit('capture_complete', {
+                success: false,
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+    
+    socket.on('sensor_data', (data) => {
+        console.log('Received sensor data:', data);
+        const device = deviceRegistry.getBySocket(socket.id);
+        device.sensorData = { ...data, timestamp: new Date().toISOString() };
+        
+        // Orientation readings become the camera's pointing direction, which captures keep too
+        const pointing = pointingTracker.update(device.id, data, deviceObserver(device), {
+            zoom: cameraControl.getState(device.id).settings.zoom
+        });
+        if (pointing) {
+            device.sensorData.pointing = pointing;
+        }
+        
+        const location = readSensorLocation(data);
+        if (location) {
+            logSessionEntry(sessionStore.adoptSite(location));
+        }
+        
+        // Send sensor data to the web viewers only
+        io.to(ROOMS[ROLES.VIEWER]).emit('sensor_update', {
+            ...device.sensorData,
+            deviceId: device.id
+        });
+    });
+}
+
+// While recording, the frames the phone streams are written into the file
+async function syncRecording(command, deviceId) {
+    if (command === 'start_recording') {
+        const state = cameraControl.getState(deviceId);
+        await videoRecorder.start(deviceRegistry.get(deviceId), { format: state.recordingFormat, camera: state });
+    } else if (command === 'stop_recording') {
+        videoRecorder.stop(deviceId).catch(() => {});
+    }
+}
+
+function registerViewerHandlers(socket) {
+    // Reconnecting web clients pick up the current camera state straight away
+    socket.emit('camera_state', cameraControl.getState());
+    
+    socket.on('disconnect', () => {
+        console.log('Client disconnected:', socket.id);
+    });
+    
+    CONTROL_COMMANDS.forEach((command) => {
+        socket.on(command, async (...args) => {
+            const { payload, ack } = parseCommandArgs(args);
+            
+            if (!authManager.can(socket.data.auth, 'control')) {
+                ack({
+                    success: false,
+                    command: command,
+                    error: 'This browser is paired as a viewer and cannot control the camera',
+                    code: 'FORBIDDEN'
+                });
+                return;
+            }
+            
+            try {
+                const result = await cameraControl.sendCommand(command, payload);
+                await syncRecording(result.command, result.deviceId);
+                ack({
+                    success: true,
+                    command: result.command,
+                    deviceId: result.deviceId,
+                    response: result.response,
+                    state: cameraControl.getState(result.deviceId)
+                });
+            } catch (error) {
+                console.error(`Command ${command} failed:`, error.message);
+                ack({
+                    success: false,
+                    command: command,
+                    error: error.message,
+                    code: error.code || 'INTERNAL_ERROR'
+                });
+            }
+        });
+    });
+    
+    socket.on('request_camera_status', (...args) => {
+        const { ack } = parseCommandArgs(args);
+        socket.emit('camera_state', cameraControl.getState());
+        ack({ success: true, state: cameraControl.getState() });
+    });
+    
+    socket.on('request_sensor_data', (...args) => {
+        const { payload, ack } = parseCommandArgs(args);
+        const device = deviceRegistry.get(payload.deviceId || cameraControl.activeDeviceId);
+        if (!device) {
+            ack({ success: false, error: 'No camera device connected', code: 'NO_DEVICE' });
+            return;
+        }
+        
+        if (device.sensorData) {
+            socket.emit('sensor_update', { ...device.sensorData, deviceId: device.id });
+        }
+        
+        // Ask the phone for a fresh reading; it answers with a normal sensor_data event
+        if (device.connected) {
+            io.to(device.socketId).emit('request_sensor_data');
+        }
+        ack({ success: true, deviceId: device.id, sensorData: device.sensorData });
+    });
+}
+
+async function startServer() {
+    await galleryStore.init();
+    await calibrationLibrary.init();
+    await recipeStore.init();
+    await profileStore.init();
+    await videoRecorder.init();
+    await sessionStore.init();
+    await authManager.init();
+    plateSolver.start();
+    
+    server.listen(port, async () => {
+        console.log('🔭 Drahms Vision - Astronomy Camera System');
+        console.log('==========================================');
+        console.log(`✅ Server running on port ${port}`);
+        console.log(`⚙️  Settings: ${config.configFile || 'defaults and environment variables'}`);
+        console.log(`🌐 Web interface: http://localhost:${port}`);
+        console.log(`📡 API status: http://localhost:${port}/api/status`);
+        console.log(`🧪 Test endpoint: http://localhost:${port}/api/test`);
+        if (authManager.required) {
+            // Prints the codes now and a fresh one whenever one expires
+            authManager.pairingCodes();
+            setInterval(() => authManager.pairingCodes(), 30 * 1000).unref();
+        } else {
+            console.log('⚠️  AUTH_DISABLED is set: anyone on the network can control the camera');
+        }
+        console.log('==========================================');
+        console.log('Press Ctrl+C to stop the server');
+    });
+}
+
+startServer().catch((error) => {
+    console.error('❌ Failed to start Drahms Vision server:', error);
+    process.exit(1);
 });
 
 // Graceful shutdown